@@ -0,0 +1,118 @@
+/**
+ * @file Character encoding detection (BOM sniffing + heuristics) for text uploads.
+ */
+
+/**
+ * @typedef {Object} EncodingGuess
+ * @property {string} encoding               // WHATWG encoding label accepted by TextDecoder
+ * @property {'bom'|'heuristic'} source
+ * @property {'high'|'medium'|'low'} confidence
+ */
+
+export const AUTO_ENCODING = 'auto';
+export const LEGACY_FALLBACK_ENCODING = 'windows-1252';
+
+/** Encodings offered in the file options panel. */
+export const ENCODING_CHOICES = Object.freeze([
+  { value: 'utf-8', text: 'UTF-8' },
+  { value: 'utf-16le', text: 'UTF-16 LE' },
+  { value: 'utf-16be', text: 'UTF-16 BE' },
+  { value: 'windows-1252', text: 'Windows-1252 (Western European)' },
+  { value: 'windows-1250', text: 'Windows-1250 (Central European)' },
+  { value: 'windows-1251', text: 'Windows-1251 (Cyrillic)' },
+  { value: 'iso-8859-15', text: 'ISO-8859-15 (Latin-9)' },
+  { value: 'macintosh', text: 'Mac OS Roman' },
+  { value: 'shift_jis', text: 'Shift_JIS (Japanese)' },
+  { value: 'gb18030', text: 'GB18030 (Chinese)' },
+  { value: 'euc-kr', text: 'EUC-KR (Korean)' }
+]);
+
+/** Bytes inspected when guessing an encoding. */
+export const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Detects an encoding from a byte order mark.
+ * @param {Uint8Array} bytes
+ * @returns {string|null}
+ */
+export function sniffBom(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Guesses the encoding of a byte sample: BOM first, then UTF-16 zero-byte patterns,
+ * then UTF-8 validity, falling back to Windows-1252 for legacy Excel exports.
+ * @param {Uint8Array} bytes
+ * @returns {EncodingGuess}
+ */
+export function detectEncoding(bytes) {
+  const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+  const bom = sniffBom(sample);
+  if (bom) return { encoding: bom, source: 'bom', confidence: 'high' };
+
+  const utf16 = guessUtf16ByteOrder(sample);
+  if (utf16) return { encoding: utf16, source: 'heuristic', confidence: 'medium' };
+
+  if (isValidUtf8(sample)) {
+    return { encoding: 'utf-8', source: 'heuristic', confidence: hasNonAscii(sample) ? 'high' : 'medium' };
+  }
+
+  return { encoding: LEGACY_FALLBACK_ENCODING, source: 'heuristic', confidence: 'low' };
+}
+
+/**
+ * Resolves the encoding to decode with: the user's choice, or a detected one for 'auto'.
+ * @param {Uint8Array} firstBytes
+ * @param {string|null|undefined} requested
+ * @returns {string}
+ */
+export function resolveEncoding(firstBytes, requested) {
+  if (requested && requested !== AUTO_ENCODING) return requested;
+  return detectEncoding(firstBytes).encoding;
+}
+
+/**
+ * Text in UTF-16 without a BOM shows up as a zero byte next to most ASCII characters.
+ * @param {Uint8Array} bytes
+ * @returns {'utf-16le'|'utf-16be'|null}
+ */
+function guessUtf16ByteOrder(bytes) {
+  const pairs = Math.floor(bytes.length / 2);
+  if (pairs < 2) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (bytes[i] === 0) evenZeros += 1;
+    if (bytes[i + 1] === 0) oddZeros += 1;
+  }
+
+  if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.1) return 'utf-16le';
+  if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.1) return 'utf-16be';
+  return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isValidUtf8(bytes) {
+  try {
+    // stream: true tolerates a multi-byte sequence cut off at the end of the sample.
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function hasNonAscii(bytes) {
+  return bytes.some((b) => b > 0x7f);
+}
@@ -2,18 +2,23 @@
  * @file File reading helpers for browser File objects.
  */
 
+import { AUTO_ENCODING, resolveEncoding } from './encoding.js';
+
+const DEFAULT_CHUNK_BYTES = 1024 * 1024;
+
 /**
- * Reads a File as UTF-8 text.
+ * Reads a File as text (UTF-8 unless another encoding label is given).
  * @param {File} file
+ * @param {string} [encoding]
  * @returns {Promise<string>}
  */
-export function readFileAsText(file) {
+export function readFileAsText(file, encoding = 'utf-8') {
   return new Promise((resolve, reject) => {
     try {
       const reader = new FileReader();
       reader.onerror = () => reject(reader.error || new Error('Failed to read file as text.'));
       reader.onload = () => resolve(String(reader.result ?? ''));
-      reader.readAsText(file);
+      reader.readAsText(file, encoding);
     } catch (err) {
       reject(err);
     }
@@ -37,3 +42,56 @@ export function readFileAsArrayBuffer(file) {
     }
   });
 }
+
+/**
+ * SHA-256 digest of bytes already read, as lowercase hex. Files read in chunks are hashed while
+ * they are read instead (see `createSha256Hasher`).
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export async function computeSha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads a File (or Blob) as text in fixed-size byte chunks.
+ * The encoding comes from `encoding`, or is detected from the first chunk when it is 'auto'.
+ * Multi-byte characters split across chunk boundaries are decoded correctly, and BOMs are dropped.
+ * With `maxChunks`, reading stops after that many chunks; a character cut at the end is dropped.
+ * @param {Blob} file
+ * @param {{
+ *   chunkSize?: number,
+ *   encoding?: string|null,
+ *   maxChunks?: number,
+ *   signal?: AbortSignal,
+ *   onChunk: (text: string, loadedBytes: number, totalBytes: number) => void,
+ *   onBytes?: (bytes: Uint8Array) => void   // raw bytes of each chunk, before decoding (e.g. for hashing)
+ * }} params
+ * @returns {Promise<{encoding: string, truncated: boolean}>} the encoding used; truncated when `maxChunks` stopped the read early
+ */
+export async function readFileInChunks(file, { chunkSize = DEFAULT_CHUNK_BYTES, encoding = AUTO_ENCODING, maxChunks = Infinity, signal, onChunk, onBytes }) {
+  const size = Number(file?.size || 0);
+  const step = Math.max(1, Math.floor(chunkSize));
+  const total = Math.min(size, step * Math.max(1, maxChunks));
+  /** @type {TextDecoder|null} */
+  let decoder = null;
+  let used = encoding && encoding !== AUTO_ENCODING ? encoding : 'utf-8';
+
+  for (let offset = 0; offset < total; offset += step) {
+    signal?.throwIfAborted();
+    const bytes = new Uint8Array(await file.slice(offset, Math.min(total, offset + step)).arrayBuffer());
+    onBytes?.(bytes);
+    if (!decoder) {
+      used = resolveEncoding(bytes, encoding);
+      decoder = new TextDecoder(used);
+    }
+    const loaded = Math.min(total, offset + step);
+    onChunk(decoder.decode(bytes, { stream: loaded < size }), loaded, total);
+  }
+
+  const truncated = total < size;
+  const tail = decoder && !truncated ? decoder.decode() : '';
+  if (tail) onChunk(tail, total, total);
+  return { encoding: used, truncated };
+}
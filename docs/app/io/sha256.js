@@ -0,0 +1,144 @@
+/**
+ * @file Incremental SHA-256 (FIPS 180-4) over byte chunks.
+ *
+ * Web Crypto only digests a whole buffer at once; this hasher lets a CSV/TSV file be hashed chunk
+ * by chunk as the run reads it, instead of reading its raw bytes a second time into one buffer.
+ */
+
+// First 32 bits of the fractional parts of the cube roots of the first 64 primes.
+const ROUND_CONSTANTS = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// First 32 bits of the fractional parts of the square roots of the first 8 primes.
+const INITIAL_STATE = Object.freeze([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+const BLOCK_BYTES = 64;
+// The message length (in bits) takes the last 8 bytes of the final block.
+const LENGTH_OFFSET = BLOCK_BYTES - 8;
+
+/**
+ * @typedef {Object} Sha256Hasher
+ * @property {(bytes: Uint8Array) => void} update   // feeds the next chunk of bytes
+ * @property {() => string} digestHex               // finishes and returns the digest as lowercase hex
+ */
+
+/**
+ * Creates a SHA-256 hasher fed chunk by chunk. Chunks may have any length; the digest is the same
+ * as hashing their concatenation at once. The hasher cannot be updated after `digestHex`.
+ * @returns {Sha256Hasher}
+ */
+export function createSha256Hasher() {
+  const state = new Uint32Array(INITIAL_STATE);
+  const words = new Uint32Array(64);
+  const pending = new Uint8Array(BLOCK_BYTES);
+  let pendingLength = 0;
+  let byteLength = 0;
+  /** @type {string|null} */
+  let digest = null;
+
+  /**
+   * Mixes one 64-byte block into the state.
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @returns {void}
+   */
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i += 1) {
+      const j = offset + i * 4;
+      words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i += 1) {
+      const w15 = words[i - 15];
+      const w2 = words[i - 2];
+      const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+      const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+      words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i += 1) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + ROUND_CONSTANTS[i] + words[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    // Uint32Array stores wrap modulo 2^32.
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+
+  return {
+    update(bytes) {
+      if (digest !== null) throw new Error('SHA-256 hasher already finished.');
+      byteLength += bytes.length;
+      let offset = 0;
+
+      if (pendingLength > 0) {
+        const take = Math.min(BLOCK_BYTES - pendingLength, bytes.length);
+        pending.set(bytes.subarray(0, take), pendingLength);
+        pendingLength += take;
+        offset = take;
+        if (pendingLength < BLOCK_BYTES) return;
+        compress(pending, 0);
+        pendingLength = 0;
+      }
+
+      for (; offset + BLOCK_BYTES <= bytes.length; offset += BLOCK_BYTES) compress(bytes, offset);
+
+      pending.set(bytes.subarray(offset), 0);
+      pendingLength = bytes.length - offset;
+    },
+
+    digestHex() {
+      if (digest !== null) return digest;
+
+      // Padding: a single 1 bit, zeros, then the message length in bits (64-bit big-endian).
+      pending[pendingLength] = 0x80;
+      pending.fill(0, pendingLength + 1);
+      if (pendingLength + 1 > LENGTH_OFFSET) {
+        compress(pending, 0);
+        pending.fill(0);
+      }
+      const view = new DataView(pending.buffer);
+      view.setUint32(LENGTH_OFFSET, Math.floor(byteLength / 0x20000000));
+      view.setUint32(LENGTH_OFFSET + 4, (byteLength * 8) >>> 0);
+      compress(pending, 0);
+
+      digest = Array.from(state, (word) => word.toString(16).padStart(8, '0')).join('');
+      return digest;
+    }
+  };
+}
+
+/**
+ * Rotates a 32-bit word right.
+ * @param {number} x
+ * @param {number} n
+ * @returns {number}
+ */
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
@@ -2,6 +2,12 @@
  * @file Draft metadata artifact builders for data dictionaries and JSON Schema.
  */
 
+import {
+  datatypeJsonSchema,
+  datatypeLabel
+} from './rdf/datatypes.js';
+import { isNullCell } from './tabular/nullValues.js';
+
 /**
  * @typedef {import('./rdf/schema.js').ColumnSchema} ColumnSchema
  * @typedef {import('./rdf/buildDataset.js').QuadRecord} QuadRecord
@@ -11,22 +17,6 @@ const XSD_NS = 'http://www.w3.org/2001/XMLSchema#';
 const JSON_SCHEMA_DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
 const SAMPLE_LIMIT = 5;
 const UNIQUE_EXAMPLE_LIMIT = 2;
-const INTEGER_TYPES = new Set([
-  'byte',
-  'int',
-  'integer',
-  'long',
-  'negativeInteger',
-  'nonNegativeInteger',
-  'nonPositiveInteger',
-  'positiveInteger',
-  'short',
-  'unsignedByte',
-  'unsignedInt',
-  'unsignedLong',
-  'unsignedShort'
-]);
-const NUMBER_TYPES = new Set(['decimal', 'double', 'float']);
 
 /**
  * Builds both draft metadata export artifacts.
@@ -34,7 +24,8 @@ const NUMBER_TYPES = new Set(['decimal', 'double', 'float']);
  *   filename: string,
  *   columnSchemas: ColumnSchema[],
  *   quads?: QuadRecord[],
- *   sampleValuesByPredicate?: Record<string, string[]>
+ *   sampleValuesByPredicate?: Record<string, string[]>,
+ *   nullCountsByPredicate?: Record<string, number>
  * }} params
  * @returns {{dataDictionaryCsv: string, jsonSchemaText: string}}
  */
@@ -42,13 +33,14 @@ export function buildDraftMetadataArtifacts({
   filename,
   columnSchemas,
   quads = [],
-  sampleValuesByPredicate = {}
+  sampleValuesByPredicate = {},
+  nullCountsByPredicate = {}
 }) {
   const effectiveSamples = hasSampleValues(sampleValuesByPredicate)
     ? sampleValuesByPredicate
     : collectExampleValuesFromQuads(quads, columnSchemas);
 
-  const rows = buildDataDictionaryRows(columnSchemas, effectiveSamples);
+  const rows = buildDataDictionaryRows(columnSchemas, effectiveSamples, nullCountsByPredicate);
   const jsonSchema = buildJsonSchemaDocument(filename, columnSchemas, effectiveSamples);
 
   return {
@@ -72,7 +64,7 @@ export function buildSampleValuesByPredicate({ rows, columnSchemas, maxRows = SA
 
     for (const row of sampleRows) {
       const cell = String(row?.[schema.index] ?? '').trim();
-      if (!cell || values.includes(cell)) continue;
+      if (isNullCell(cell, schema.nullTokens) || values.includes(cell)) continue;
       values.push(cell);
       if (values.length >= UNIQUE_EXAMPLE_LIMIT) break;
     }
@@ -85,13 +77,33 @@ export function buildSampleValuesByPredicate({ rows, columnSchemas, maxRows = SA
   return out;
 }
 
+/**
+ * Counts empty and null-token cells per predicate over all processed data rows.
+ * @param {{rows: string[][], columnSchemas: ColumnSchema[]}} params
+ * @returns {Record<string, number>}
+ */
+export function buildNullCountsByPredicate({ rows, columnSchemas }) {
+  /** @type {Record<string, number>} */
+  const out = {};
+  for (const schema of columnSchemas || []) {
+    let count = 0;
+    for (const row of rows || []) {
+      if (isNullCell(row?.[schema.index], schema.nullTokens)) count += 1;
+    }
+    // Language variants share a predicate, so their counts add up.
+    out[schema.predicateIri] = (out[schema.predicateIri] || 0) + count;
+  }
+  return out;
+}
+
 /**
  * Builds dictionary row objects prior to CSV serialization.
  * @param {ColumnSchema[]} columnSchemas
  * @param {Record<string, string[]>} sampleValuesByPredicate
+ * @param {Record<string, number>} [nullCountsByPredicate]   // blank for runs stored without counts
  * @returns {Array<Record<string, string>>}
  */
-export function buildDataDictionaryRows(columnSchemas, sampleValuesByPredicate) {
+export function buildDataDictionaryRows(columnSchemas, sampleValuesByPredicate, nullCountsByPredicate = {}) {
   return (columnSchemas || []).map((schema) => ({
     'data identifier': String(schema?.predicateLocalName || ''),
     'field name': String(schema?.label || schema?.originalHeader || schema?.key || ''),
@@ -99,7 +111,8 @@ export function buildDataDictionaryRows(columnSchemas, sampleValuesByPredicate)
     description: '',
     'char length': '',
     format: '',
-    example: formatExampleCell(sampleValuesByPredicate?.[schema?.predicateIri] || [])
+    example: formatExampleCell(sampleValuesByPredicate?.[schema?.predicateIri] || []),
+    'null count': String(nullCountsByPredicate?.[schema?.predicateIri] ?? '')
   }));
 }
 
@@ -116,7 +129,8 @@ export function serializeDataDictionaryCsv(rows) {
     'description',
     'char length',
     'format',
-    'example'
+    'example',
+    'null count'
   ];
 
   const lines = [
@@ -223,8 +237,7 @@ function formatExampleCell(values) {
  * @returns {string}
  */
 function formatDatatypeLabel(datatypeIri) {
-  const iri = String(datatypeIri || `${XSD_NS}string`);
-  return iri.startsWith(XSD_NS) ? `xsd:${iri.slice(XSD_NS.length)}` : iri;
+  return datatypeLabel(datatypeIri || `${XSD_NS}string`);
 }
 
 /**
@@ -232,37 +245,7 @@ function formatDatatypeLabel(datatypeIri) {
  * @returns {Record<string, any>}
  */
 function mapXsdDatatypeToJsonSchema(datatypeIri) {
-  const local = datatypeLocalName(datatypeIri);
-
-  if (INTEGER_TYPES.has(local)) {
-    return { type: 'integer' };
-  }
-
-  if (NUMBER_TYPES.has(local)) {
-    return { type: 'number' };
-  }
-
-  if (local === 'boolean') {
-    return { type: 'boolean' };
-  }
-
-  if (local === 'date') {
-    return { type: 'string', format: 'date' };
-  }
-
-  if (local === 'dateTime') {
-    return { type: 'string', format: 'date-time' };
-  }
-
-  if (local === 'time') {
-    return { type: 'string', format: 'time' };
-  }
-
-  if (local === 'anyURI') {
-    return { type: 'string', format: 'uri' };
-  }
-
-  return { type: 'string' };
+  return datatypeJsonSchema(datatypeIri || `${XSD_NS}string`);
 }
 
 /**
@@ -271,21 +254,21 @@ function mapXsdDatatypeToJsonSchema(datatypeIri) {
  * @returns {string|number|boolean|undefined}
  */
 function coerceExampleValue(value, datatypeIri) {
-  const local = datatypeLocalName(datatypeIri);
+  const { type } = mapXsdDatatypeToJsonSchema(datatypeIri);
   const trimmed = String(value ?? '').trim();
   if (!trimmed) return undefined;
 
-  if (INTEGER_TYPES.has(local)) {
+  if (type === 'integer') {
     const parsed = Number(trimmed);
     return Number.isInteger(parsed) ? parsed : trimmed;
   }
 
-  if (NUMBER_TYPES.has(local)) {
+  if (type === 'number') {
     const parsed = Number(trimmed);
     return Number.isFinite(parsed) ? parsed : trimmed;
   }
 
-  if (local === 'boolean') {
+  if (type === 'boolean') {
     if (trimmed === 'true' || trimmed === '1') return true;
     if (trimmed === 'false' || trimmed === '0') return false;
   }
@@ -302,11 +285,3 @@ function buildJsonSchemaTitle(filename) {
   return base ? `${base} rows` : 'Tabular rows';
 }
 
-/**
- * @param {string} datatypeIri
- * @returns {string}
- */
-function datatypeLocalName(datatypeIri) {
-  const iri = String(datatypeIri || `${XSD_NS}string`);
-  return iri.startsWith(XSD_NS) ? iri.slice(XSD_NS.length) : '';
-}
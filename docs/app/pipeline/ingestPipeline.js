@@ -0,0 +1,481 @@
+/**
+ * @file File -> RDF ingest pipeline shared by the ingest worker and the main thread.
+ */
+
+import {
+  DEFAULT_SETTINGS,
+  resolveSettings
+} from '../state/settings.js';
+import {
+  computeSha256Hex,
+  readFileAsArrayBuffer,
+  readFileInChunks
+} from '../io/fileReaders.js';
+import { createSha256Hasher } from '../io/sha256.js';
+import {
+  applyHeaderRowOptions,
+  DEFAULT_QUOTE_CHAR,
+  createDelimitedTextParser,
+  detectDelimiter,
+  detectTabularType,
+  parseXlsxSheet,
+  readXlsxWorkbook,
+  toTabularData
+} from '../tabular/parseTabular.js';
+import {
+  buildColumnKeys,
+  buildColumnSchemas,
+  buildLiteralObject,
+  buildRunGraphIri,
+  buildSheetGraphIris
+} from '../rdf/schema.js';
+import {
+  getActiveSheetName,
+  getSheetOptions,
+  resolveSheetsToRun
+} from '../state/sheetOptions.js';
+import {
+  PROFILE_ROW_LIMIT,
+  applySuggestedDatatypes,
+  profileColumns
+} from '../tabular/profileColumns.js';
+import { buildDatasetFromTabular } from '../rdf/buildDataset.js';
+import {
+  buildTableIriSegment,
+  createRowIriMinter
+} from '../rdf/rowIris.js';
+import { buildRowClass } from '../rdf/rowClass.js';
+import { validateIriTemplate } from '../rdf/iriTemplates.js';
+import { validateDatePattern } from '../rdf/datePatterns.js';
+import { validateNumberFormat } from '../rdf/numberFormats.js';
+import {
+  createCellValidationError,
+  shouldRejectRun
+} from '../rdf/cellValidation.js';
+import {
+  buildNullCountsByPredicate,
+  buildSampleValuesByPredicate
+} from '../metadataDrafts.js';
+import { writeWithN3 } from '../rdf/serialize.js';
+import { buildProvenanceRecords } from '../rdf/provenance.js';
+import { hashCanonicalQuads } from '../rdf/canonical.js';
+
+/**
+ * @typedef {import('../state/types.js').FileOptions} FileOptions
+ * @typedef {import('../tabular/parseTabular.js').TabularData} TabularData
+ * @typedef {import('../tabular/parseTabular.js').ParseIssue} ParseIssue
+ * @typedef {import('../rdf/schema.js').ColumnSchema} ColumnSchema
+ * @typedef {import('../rdf/buildDataset.js').QuadRecord} QuadRecord
+ * @typedef {import('../rdf/cellValidation.js').CellError} CellError
+ * @typedef {import('../rdf/rowIris.js').RowIriCollision} RowIriCollision
+ */
+
+/**
+ * @typedef {'read'|'parse'|'build'|'serialize'} IngestPhase
+ */
+
+/**
+ * @typedef {Object} IngestProgress
+ * @property {IngestPhase} phase
+ * @property {number} done
+ * @property {number} total
+ * @property {string} [detail]   // e.g. the sheet being converted
+ */
+
+/**
+ * @typedef {Object} StagedTable
+ * @property {string|null} sheetName   // null for CSV/TSV
+ * @property {TabularData} tabular
+ */
+
+/**
+ * @typedef {Object} IngestSheetSummary
+ * @property {string} sheetName
+ * @property {string} graphIri
+ * @property {number} quadCount
+ */
+
+/**
+ * @typedef {Object} IngestResult
+ * @property {string} filename
+ * @property {string} graphIri
+ * @property {number} version                 // run version of this source file
+ * @property {string|null} previousGraphIri   // the run this one revises (prov:wasRevisionOf)
+ * @property {string} basePredicateIri        // predicate base the run was built with
+ * @property {Record<string, string>} prefixes   // prefix map the run was serialized with
+ * @property {QuadRecord[]} quads
+ * @property {string} canonicalHash           // SHA-256 of the canonical N-Quads of `quads`, to verify reloads
+ * @property {QuadRecord[]} provenanceQuads   // PROV-O description of the run, in the run graph
+ * @property {ColumnSchema[]} columnSchemas
+ * @property {Record<string, string[]>} sampleValuesByPredicate
+ * @property {Record<string, number>} nullCountsByPredicate   // empty or null-token cells per predicate
+ * @property {string} aboxTurtle
+ * @property {ParseIssue[]} issues
+ * @property {CellError[]} cellErrors       // cells that did not fit their column datatype
+ * @property {Array<RowIriCollision & {sheetName: string|null}>} rowIriCollisions   // rows that needed a suffixed IRI
+ * @property {IngestSheetSummary[]} sheets   // XLSX only; empty for CSV/TSV
+ */
+
+/**
+ * Runs parse -> schema -> dataset -> Turtle for one staged file.
+ * Multi-sheet XLSX runs convert every selected sheet, each with its own sheet options, into
+ * either the shared run graph or one named graph per sheet.
+ * Works on the main thread or inside the ingest worker (plain-data result).
+ * With the reject invalid-cell policy, any invalid cell fails the run with the full report on
+ * `err.cellErrors`; so does any missing cell of a required column, whatever that policy.
+ * @param {{
+ *   file: File,
+ *   options: FileOptions,
+ *   now?: Date,
+ *   settings?: import('../state/settings.js').ProjectSettings,   // active bases and prefixes
+ *   revision?: import('../state/runVersions.js').RunRevision,    // version of this run and the run it revises
+ *   linkTargets?: Record<string, import('../rdf/objectProperties.js').LinkTarget>,   // staged table id -> row IRI options and segment
+ *   signal?: AbortSignal,
+ *   onProgress?: (progress: IngestProgress) => void
+ * }} params
+ * @returns {Promise<IngestResult>}
+ */
+export async function runIngestPipeline({
+  file,
+  options,
+  now = new Date(),
+  settings = DEFAULT_SETTINGS,
+  revision = { version: 1, previousGraphIri: null },
+  linkTargets = {},
+  signal,
+  onProgress = () => {}
+}) {
+  const project = resolveSettings(settings);
+  const { tables, sha256 } = await readStagedTables(file, options, { signal, onProgress, sheetNames: resolveSheetsToRun(options), hash: true });
+  signal?.throwIfAborted();
+
+  const { Store } = /** @type {any} */ (globalThis).N3;
+  const store = new Store();
+
+  const graphIri = buildRunGraphIri({
+    baseRunIri: project.baseRunIri,
+    filename: file.name,
+    now,
+    version: revision.version
+  });
+  const sheetGraphIris = options.sheetGraphMode === 'perSheet'
+    ? buildSheetGraphIris(graphIri, tables.map((t) => t.sheetName || ''))
+    : {};
+
+  /** @type {QuadRecord[]} */
+  const quads = [];
+  /** @type {ColumnSchema[]} */
+  const columnSchemas = [];
+  /** @type {Record<string, string[]>} */
+  const sampleValuesByPredicate = {};
+  /** @type {Record<string, number>} */
+  const nullCountsByPredicate = {};
+  /** @type {ParseIssue[]} */
+  const issues = [];
+  /** @type {CellError[]} */
+  const cellErrors = [];
+  /** @type {Array<RowIriCollision & {sheetName: string|null}>} */
+  const rowIriCollisions = [];
+  /** @type {IngestSheetSummary[]} */
+  const sheets = [];
+  /** @type {Array<{sheetName: string|null, options: FileOptions}>} */
+  const tableSettings = [];
+
+  for (const { sheetName, tabular } of tables) {
+    const tableOptions = getSheetOptions(options, sheetName);
+    tableSettings.push({ sheetName, options: tableOptions });
+    const tableGraphIri = sheetGraphIris[sheetName || ''] || graphIri;
+    const normalized = normalizeTabularForOptions(tabular, tableOptions);
+    const dataRows = getProcessedDataRows(normalized, tableOptions);
+
+    const rowClass = buildRowClass({
+      rowClass: tableOptions.rowClass,
+      baseClassIri: project.basePredicateIri,
+      fallbackName: sheetName || file.name.replace(/\.[^.]+$/, ''),
+      nonAscii: tableOptions.predicate?.nonAscii,
+      naming: project.naming
+    });
+    const tableSchemas = buildColumnSchemas({
+      header: normalized.header,
+      rows: normalized.rows,
+      treatFirstRowAsHeader: tableOptions.treatFirstRowAsHeader,
+      predicateOptions: tableOptions.predicate,
+      basePredicateIri: project.basePredicateIri,
+      datatypesByColumnKey: resolveDatatypesByColumnKey(normalized, dataRows, tableOptions),
+      columnSchemaOverridesByKey: tableOptions.columnSchemaOverridesByKey,
+      iriTemplatesByColumnKey: tableOptions.iriTemplatesByColumnKey,
+      objectPropertiesByColumnKey: tableOptions.objectPropertiesByColumnKey,
+      languagesByColumnKey: tableOptions.languagesByColumnKey,
+      multiValuesByColumnKey: tableOptions.multiValuesByColumnKey,
+      dateFormatsByColumnKey: tableOptions.dateFormatsByColumnKey,
+      numberFormatsByColumnKey: tableOptions.numberFormatsByColumnKey,
+      nullTokens: tableOptions.nullTokens,
+      nullTokensByColumnKey: tableOptions.nullTokensByColumnKey,
+      emptyCellPolicy: tableOptions.emptyCellPolicy,
+      emptyCellPoliciesByColumnKey: tableOptions.emptyCellPoliciesByColumnKey,
+      rowClass,
+      detectHeaderLanguages: tableOptions.detectHeaderLanguages,
+      naming: project.naming
+    });
+    assertColumnSettings(tableSchemas);
+    const samples = buildSampleValuesByPredicate({
+      rows: dataRows,
+      columnSchemas: tableSchemas
+    });
+
+    const rowIris = createRowIriMinter({
+      baseInstanceIri: project.baseInstanceIri,
+      rowIri: tableOptions.rowIri,
+      columnKeys: tableSchemas.map((schema) => schema.key),
+      tableSegment: buildTableIriSegment(file.name, sheetName)
+    });
+
+    const built = await buildDatasetFromTabular({
+      tabular: normalized,
+      options: tableOptions,
+      baseInstanceIri: project.baseInstanceIri,
+      columnSchemas: tableSchemas,
+      graphIri: tableGraphIri,
+      buildRowInstanceIri: ({ rowIndex, row }) => rowIris.mint(row, rowIndex),
+      buildLiteralObject,
+      sheetName,
+      rowClassIri: rowClass?.iri,
+      basePredicateIri: project.basePredicateIri,
+      linkTargets,
+      signal,
+      onProgress: (done, total) => onProgress({ phase: 'build', done, total, detail: sheetName || undefined })
+    });
+    signal?.throwIfAborted();
+
+    for (const q of built.dataset.getQuads(null, null, null, null)) store.addQuad(q);
+    for (const rec of built.quads) quads.push(rec);
+    columnSchemas.push(...tableSchemas);
+    for (const [predicate, values] of Object.entries(samples)) {
+      sampleValuesByPredicate[predicate] = sampleValuesByPredicate[predicate] || values;
+    }
+    for (const [predicate, count] of Object.entries(buildNullCountsByPredicate({ rows: dataRows, columnSchemas: tableSchemas }))) {
+      nullCountsByPredicate[predicate] = (nullCountsByPredicate[predicate] || 0) + count;
+    }
+    for (const issue of normalized.issues || []) issues.push(issue);
+    for (const cellError of built.cellErrors) cellErrors.push(cellError);
+    for (const collision of rowIris.getCollisions()) rowIriCollisions.push({ ...collision, sheetName });
+    if (sheetName) sheets.push({ sheetName, graphIri: tableGraphIri, quadCount: built.quads.length });
+  }
+
+  if (shouldRejectRun(cellErrors, options.invalidCellPolicy)) {
+    throw createCellValidationError(cellErrors);
+  }
+
+  const provenanceQuads = buildProvenanceRecords({
+    graphIri,
+    previousGraphIri: revision.previousGraphIri,
+    source: { name: file.name, size: file.size, sha256 },
+    options,
+    tables: tableSettings,
+    startedAt: now,
+    endedAt: new Date(),
+    basePredicateIri: project.basePredicateIri
+  });
+
+  onProgress({ phase: 'serialize', done: 0, total: 1 });
+  const aboxTurtle = await writeWithN3(toTriplesStore(store), {
+    format: 'Turtle',
+    prefixes: project.prefixes
+  });
+  const canonicalHash = await hashCanonicalQuads(store.getQuads(null, null, null, null));
+  onProgress({ phase: 'serialize', done: 1, total: 1 });
+
+  return {
+    filename: file.name,
+    graphIri,
+    version: Number(revision.version) || 1,
+    previousGraphIri: revision.previousGraphIri || null,
+    basePredicateIri: project.basePredicateIri,
+    prefixes: project.prefixes,
+    quads,
+    canonicalHash,
+    provenanceQuads,
+    columnSchemas,
+    sampleValuesByPredicate,
+    nullCountsByPredicate,
+    aboxTurtle,
+    issues,
+    cellErrors,
+    rowIriCollisions,
+    sheets
+  };
+}
+
+/**
+ * Reads a staged file into one table per sheet; CSV/TSV text is read and parsed chunk by chunk.
+ * With `hash`, the file's SHA-256 is computed from the same read, so the file is not read a
+ * second time; previews leave it off. With `preview`, only what a preview shows and profiles is
+ * parsed: the first read chunk of CSV/TSV text (its unfinished last record dropped), or the first
+ * rows of each workbook sheet.
+ * @param {File} file
+ * @param {FileOptions} options
+ * @param {{
+ *   signal?: AbortSignal,
+ *   onProgress?: (progress: IngestProgress) => void,
+ *   sheetNames?: string[],   // XLSX sheets to parse; defaults to the active (or first) sheet
+ *   hash?: boolean,          // also compute the file's SHA-256 (for run provenance)
+ *   preview?: boolean        // parse only the start of the file
+ * }} [params]
+ * @returns {Promise<{sheetNames: string[]|null, tables: StagedTable[], sha256: string|null}>}   // sha256 is null without `hash`
+ */
+export async function readStagedTables(file, options, { signal, onProgress = () => {}, sheetNames, hash = false, preview = false } = {}) {
+  const kind = detectTabularType(file.name);
+
+  if (kind === 'xlsx') {
+    onProgress({ phase: 'read', done: 0, total: file.size });
+    const buf = await readFileAsArrayBuffer(file);
+    onProgress({ phase: 'read', done: file.size, total: file.size });
+    signal?.throwIfAborted();
+    const sha256 = hash ? await computeSha256Hex(buf) : null;
+
+    const wb = readXlsxWorkbook(buf, preview ? { sheetRows: previewSheetRows(options) } : {});
+    const available = Array.isArray(wb.SheetNames) ? wb.SheetNames.slice() : [];
+    const requested = (sheetNames && sheetNames.length > 0 ? sheetNames : [getActiveSheetName({ ...options, sheetNames: available })])
+      .filter((name) => name && available.includes(name));
+
+    const tables = requested.map((sheetName) => ({ sheetName, tabular: parseXlsxSheet(wb, sheetName) }));
+    return { sheetNames: available, tables, sha256 };
+  }
+
+  const { tabular, sha256 } = await parseDelimitedFile(file, options, { signal, onProgress, hash, preview });
+  return { sheetNames: null, tables: [{ sheetName: null, tabular }], sha256 };
+}
+
+/**
+ * Workbook rows a preview parses: the rows up to the lowest header row of any sheet, plus the rows
+ * column profiling samples.
+ * @param {FileOptions} options
+ * @returns {number}
+ */
+function previewSheetRows(options) {
+  const lowestHeaderRow = [options, ...Object.values(options.sheets || {})]
+    .reduce((max, o) => Math.max(max, Number(o?.headerRowNumber) || 1), 1);
+  return lowestHeaderRow + PROFILE_ROW_LIMIT;
+}
+
+/**
+ * Reads and parses CSV/TSV text chunk by chunk; with `hash`, the bytes are hashed as they are read,
+ * and with `preview` only the first chunk is read.
+ * @param {File} file
+ * @param {FileOptions} options
+ * @param {{signal?: AbortSignal, onProgress?: (progress: IngestProgress) => void, hash?: boolean, preview?: boolean}} params
+ * @returns {Promise<{tabular: TabularData, sha256: string|null}>}
+ */
+async function parseDelimitedFile(file, options, { signal, onProgress = () => {}, hash = false, preview = false }) {
+  const quoteChar = options.quoteChar ?? DEFAULT_QUOTE_CHAR;
+  /** @type {ReturnType<typeof createDelimitedTextParser>|null} */
+  let parser = null;
+  let delimiter = '';
+  /** @type {string[][]} */
+  const records = [];
+  const collect = (/** @type {string[][]} */ batch) => {
+    for (const rec of batch) records.push(rec);
+  };
+  const hasher = hash ? createSha256Hasher() : null;
+
+  const { encoding, truncated } = await readFileInChunks(file, {
+    encoding: options.encoding,
+    ...(preview ? { maxChunks: 1 } : {}),
+    signal,
+    onBytes: hasher ? (bytes) => hasher.update(bytes) : undefined,
+    onChunk: (text, loaded, total) => {
+      if (!parser) {
+        delimiter = options.delimiterHint || detectDelimiter(text, { quoteChar });
+        parser = createDelimitedTextParser(delimiter, quoteChar);
+      }
+      collect(parser.push(text));
+      onProgress({ phase: 'parse', done: loaded, total });
+    }
+  });
+
+  const sha256 = hasher ? hasher.digestHex() : null;
+  if (!parser) return { tabular: { header: null, rows: [], issues: [], encoding }, sha256 };
+  // A preview cut mid-file keeps only complete records.
+  if (!truncated) collect(parser.end());
+  return { tabular: { ...toTabularData(records, parser.getIssues()), delimiter, encoding }, sha256 };
+}
+
+/**
+ * Applies header row options to a parsed table.
+ * @param {TabularData} tabular
+ * @param {FileOptions} options
+ * @returns {TabularData}
+ */
+export function normalizeTabularForOptions(tabular, options) {
+  return applyHeaderRowOptions(tabular, Boolean(options?.treatFirstRowAsHeader ?? true), options?.headerRowNumber || 1);
+}
+
+/**
+ * Fails early when a column's IRI template (syntax or unknown column), date pattern or number
+ * format is unusable.
+ * @param {ColumnSchema[]} columnSchemas
+ * @returns {void}
+ */
+function assertColumnSettings(columnSchemas) {
+  const columnKeys = columnSchemas.map((schema) => schema.key);
+  for (const schema of columnSchemas) {
+    const problem = (schema.iriTemplate ? validateIriTemplate(schema.iriTemplate, columnKeys)[0] : null)
+      || (schema.dateFormat ? validateDatePattern(schema.dateFormat.pattern) : null)
+      || (schema.numberFormat ? validateNumberFormat(schema.numberFormat) : null);
+    if (problem) throw new Error(`Column "${schema.label}": ${problem}`);
+  }
+}
+
+/**
+ * Column datatypes for a run: the user's choices, plus profiled suggestions for unset columns
+ * (so a run without a preview types columns the way the preview would have).
+ * @param {TabularData} normalized
+ * @param {string[][]} dataRows
+ * @param {FileOptions} options
+ * @returns {Record<string, string>}
+ */
+export function resolveDatatypesByColumnKey(normalized, dataRows, options) {
+  if (options?.inferDatatypes === false) return options?.datatypesByColumnKey || {};
+  const profiles = profileColumns({
+    columnKeys: buildColumnKeys(normalized.header, dataRows, Boolean(options?.treatFirstRowAsHeader ?? true)),
+    rows: dataRows,
+    multiValuesByColumnKey: options?.multiValuesByColumnKey,
+    nullTokens: options?.nullTokens,
+    nullTokensByColumnKey: options?.nullTokensByColumnKey
+  });
+  return applySuggestedDatatypes(options?.datatypesByColumnKey, profiles);
+}
+
+/**
+ * Builds the row slice used for draft metadata examples.
+ * @param {TabularData} tabular
+ * @param {FileOptions} options
+ * @returns {string[][]}
+ */
+export function getProcessedDataRows(tabular, options) {
+  if (Boolean(options?.treatFirstRowAsHeader ?? true)) {
+    return tabular.rows || [];
+  }
+
+  return [
+    ...(Array.isArray(tabular.header) ? [tabular.header] : []),
+    ...(tabular.rows || [])
+  ];
+}
+
+/**
+ * Copies a dataset's quads into the default graph (triples view).
+ * @param {any} dataset
+ * @returns {any}
+ */
+export function toTriplesStore(dataset) {
+  const N3 = /** @type {any} */ (globalThis).N3;
+  const { DataFactory, Store } = N3;
+  const triplesStore = new Store();
+
+  for (const q of dataset?.getQuads?.(null, null, null, null) || []) {
+    triplesStore.addQuad(DataFactory.quad(q.subject, q.predicate, q.object));
+  }
+
+  return triplesStore;
+}
@@ -2,27 +2,67 @@
  * @file Build RDF datasets from tabular data.
  */
 
+import { toExcelLetters } from './schema.js';
+import { resolveInvalidCellPolicy } from './cellValidation.js';
+import {
+  expandIriTemplate,
+  rowValuesByKey
+} from './iriTemplates.js';
+import { createObjectIriResolver } from './objectProperties.js';
+import {
+  hashRowValues,
+  isBlankRowSubject
+} from './rowIris.js';
+import { splitCellValues } from '../tabular/multiValues.js';
+import {
+  NO_VALUE_FOR_LOCAL_NAME,
+  isNullCell
+} from '../tabular/nullValues.js';
+import { DEFAULT_SETTINGS } from '../state/settings.js';
+import { toPatternDateLexical } from './datePatterns.js';
+import { toFormattedDecimalLexical } from './numberFormats.js';
+import { buildCellTraceAnnotations } from './cellTrace.js';
+
 /**
  * @typedef {import('../state/types.js').FileOptions} FileOptions
  * @typedef {import('../tabular/parseTabular.js').TabularData} TabularData
  * @typedef {import('./schema.js').ColumnSchema} ColumnSchema
+ * @typedef {import('./cellValidation.js').CellError} CellError
  */
 
 /**
  * @typedef {Object} QuadRecord
  * @property {string} s
+ * @property {'bnode'|'triple'} [sType]   // blank node subject (e.g. an rdf:List cell) or quoted triple (cell trace)
+ * @property {Omit<QuadRecord, 'g'>} [sTriple]   // the quoted triple when sType is 'triple'; `s` is then its subject
  * @property {string} p
- * @property {string} g
- * @property {'iri'|'literal'} oType
- * @property {string} oValue
+ * @property {string} g                   // graph IRI or blank node label; '' for the default graph
+ * @property {'bnode'} [gType]            // set when the graph is a blank node
+ * @property {'iri'|'bnode'|'literal'|'triple'} oType
+ * @property {string} oValue              // for a quoted triple object, its subject
+ * @property {Omit<QuadRecord, 'g'>} [oTriple]   // the quoted triple when oType is 'triple'
  * @property {string} [datatypeIri]
  * @property {string} [lang]
  */
 
-let _n3Mod = null;
+const PROGRESS_EVERY_ROWS = 500;
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+/** Hex characters of the graph/sheet hash that prefix every blank node label of a table (64 bits). */
+const BLANK_NODE_PREFIX_HEX_LENGTH = 16;
 
 /**
  * Builds an RDF dataset (N3.Store) and storable quads from tabular data.
+ * Multi-valued columns emit one triple per value, or one rdf:List when order matters.
+ * Empty cells and null tokens ("N/A") follow the column's empty-cell policy: skipped, stated with a
+ * `tablenova:noValueFor` marker, or (required columns) reported in `cellErrors` as missing.
+ * Cells (or single values of a multi-valued cell) that are not valid for their column datatype (or, for object-property columns, cannot
+ * become an IRI) are handled by `options.invalidCellPolicy` and listed in `cellErrors`; with the
+ * reject policy the caller fails the run.
+ * With the blank row strategy, each row subject is a blank node labelled from the graph, sheet and
+ * row number, so every build and serialization of the run uses the same labels.
+ * With `options.traceCells`, every triple made from a cell is annotated (RDF-star) with the sheet,
+ * row, column and raw text of that cell.
  * @param {{
  *   tabular: TabularData,
  *   options: FileOptions,
@@ -30,10 +70,16 @@ let _n3Mod = null;
  *   predicateIris?: Record<string, string>,
  *   columnSchemas?: ColumnSchema[],
  *   graphIri: string,
- *   buildRowInstanceIri: (params: {baseInstanceIri: string, rowIndex: number}) => string,
- *   buildLiteralObject: (value: string, datatypeIri: string) => Promise<any>
+ *   buildRowInstanceIri: (params: {baseInstanceIri: string, rowIndex: number, row: string[]}) => string|Promise<string>,
+ *   buildLiteralObject: (value: string, datatypeIri: string, lang?: string) => Promise<any|null>,
+ *   sheetName?: string|null,
+ *   rowClassIri?: string|null,   // rdf:type of every row subject
+ *   basePredicateIri?: string,   // namespace of Table Nova terms such as tablenova:noValueFor
+ *   linkTargets?: Record<string, import('./objectProperties.js').LinkTarget>,
+ *   signal?: AbortSignal,
+ *   onProgress?: (doneRows: number, totalRows: number) => void
  * }} params
- * @returns {Promise<{dataset: any, quads: QuadRecord[]}>}
+ * @returns {Promise<{dataset: any, quads: QuadRecord[], cellErrors: CellError[]}>}
  */
 export async function buildDatasetFromTabular({
   tabular,
@@ -43,7 +89,13 @@ export async function buildDatasetFromTabular({
   columnSchemas,
   graphIri,
   buildRowInstanceIri,
-  buildLiteralObject
+  buildLiteralObject,
+  sheetName = null,
+  rowClassIri = null,
+  basePredicateIri = DEFAULT_SETTINGS.basePredicateIri,
+  linkTargets = {},
+  signal,
+  onProgress
 }) {
   const { DataFactory, Store } = N3;
 
@@ -69,11 +121,88 @@ export async function buildDatasetFromTabular({
 
   /** @type {QuadRecord[]} */
   const records = [];
+  // Blank node labels must not clash with those of other runs (or sheets) stored alongside this
+  // one, must be the same on every build of this table, and stay alphanumeric: jsonld's N-Quads
+  // parser rejects any other label character. Hence a hex prefix derived from graph and sheet.
+  const blankNodePrefix = `b${(await hashRowValues([graphIri, sheetName || ''])).slice(0, BLANK_NODE_PREFIX_HEX_LENGTH)}`;
+  let blankNodeCount = 0;
+
+  /**
+   * Adds one quad to the store and its storable record.
+   * @param {any} subject
+   * @param {string} predicateIri
+   * @param {any} obj
+   * @returns {any} the triple, for quoting in cell trace annotations
+   */
+  function emit(subject, predicateIri, obj) {
+    const quad = DataFactory.quad(subject, DataFactory.namedNode(predicateIri), obj, g);
+    store.addQuad(quad);
+    records.push(quadToRecord(quad));
+    return DataFactory.quad(subject, quad.predicate, obj);
+  }
+
+  /**
+   * Adds one quad made from a cell and, when tracing, the annotations naming that cell.
+   * @param {any} subject
+   * @param {string} predicateIri
+   * @param {any} obj
+   * @param {import('./cellTrace.js').CellSource|null} source   // null when not tracing
+   * @returns {void}
+   */
+  function emitFromCell(subject, predicateIri, obj, source) {
+    const triple = emit(subject, predicateIri, obj);
+    if (!source) return;
+    for (const { p, value, datatypeIri } of buildCellTraceAnnotations(source, basePredicateIri)) {
+      emit(triple, p, DataFactory.literal(value, DataFactory.namedNode(datatypeIri)));
+    }
+  }
+
+  /**
+   * Emits an rdf:List of the given items and returns its head node.
+   * @param {any[]} items
+   * @returns {any}
+   */
+  function emitList(items) {
+    const nodes = items.map(() => DataFactory.blankNode(`${blankNodePrefix}l${(blankNodeCount += 1)}`));
+    items.forEach((item, i) => {
+      emit(nodes[i], `${RDF}first`, item);
+      emit(nodes[i], `${RDF}rest`, nodes[i + 1] || DataFactory.namedNode(`${RDF}nil`));
+    });
+    return nodes[0];
+  }
+
+  /** @type {CellError[]} */
+  const cellErrors = [];
+  const policy = resolveInvalidCellPolicy(options.invalidCellPolicy);
+  const columnKeys = schemaList.map((schema) => schema.key);
+  const hasTemplates = schemaList.some((schema) => schema.iriTemplate);
+  const hasNullTokens = schemaList.some((schema) => schema.nullTokens);
+  const noValueForIri = `${basePredicateIri}${NO_VALUE_FOR_LOCAL_NAME}`;
+  // column index -> cell => IRI, for object-property columns
+  const objectIriResolvers = schemaList.map((schema) => (schema.objectProperty && !schema.iriTemplate
+    ? createObjectIriResolver({ objectProperty: schema.objectProperty, baseInstanceIri, linkTargets })
+    : null));
+  // Source row number of the first data row, for the error report.
+  const firstRowNumber = options.treatFirstRowAsHeader ? Math.max(1, Number(options.headerRowNumber || 1)) + 1 : 1;
+  const traceCells = Boolean(options.traceCells);
+  const blankRows = isBlankRowSubject(options.rowIri);
 
   for (let r = 0; r < dataRows.length; r += 1) {
+    if (r > 0 && r % PROGRESS_EVERY_ROWS === 0) {
+      onProgress?.(r, dataRows.length);
+      // Yield so progress and cancel messages get a chance to run.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      signal?.throwIfAborted();
+    }
+
     const row = dataRows[r] || [];
-    const subjectIri = buildRowInstanceIri({ baseInstanceIri, rowIndex: r });
-    const s = DataFactory.namedNode(subjectIri);
+    const s = blankRows
+      ? DataFactory.blankNode(`${blankNodePrefix}r${String(firstRowNumber + r).padStart(6, '0')}`)
+      : DataFactory.namedNode(await buildRowInstanceIri({ baseInstanceIri, rowIndex: r, row }));
+    // Null tokens read as empty cells, also where IRI templates refer to them.
+    const cells = hasNullTokens ? row.map((v, c) => (isNullCell(v, schemaList[c]?.nullTokens) ? '' : v)) : row;
+    const valuesByKey = hasTemplates ? rowValuesByKey(columnKeys, cells) : {};
+    if (rowClassIri) emit(s, `${RDF}type`, DataFactory.namedNode(rowClassIri));
 
     for (let c = 0; c < schemaList.length; c += 1) {
       const schema = schemaList[c];
@@ -81,55 +210,166 @@ export async function buildDatasetFromTabular({
       const pIri = schema.predicateIri;
       if (!pIri) continue;
 
-      const cell = row[c];
-      if (cell === undefined || cell === null || String(cell).trim() === '') continue;
+      const cell = cells[c];
+      const source = traceCells
+        ? { sheetName, row: firstRowNumber + r, column: toExcelLetters(schema.index ?? c), cell: String(row[c] ?? '') }
+        : null;
+      if (cell === undefined || cell === null || String(cell).trim() === '') {
+        if (schema.emptyCell === 'marker') {
+          emitFromCell(s, noValueForIri, DataFactory.namedNode(pIri), source);
+        } else if (schema.emptyCell === 'required') {
+          cellErrors.push({
+            sheetName,
+            row: firstRowNumber + r,
+            column: toExcelLetters(schema.index ?? c),
+            columnKey: key,
+            value: String(row[c] ?? ''),
+            expectedDatatypeIri: schema.datatypeIri || XSD_STRING,
+            missing: true
+          });
+        }
+        continue;
+      }
 
-      const datatype = schema.datatypeIri || options.datatypesByColumnKey?.[key] || 'http://www.w3.org/2001/XMLSchema#string';
-      const obj = await buildLiteralObject(String(cell), datatype);
+      // Template columns build one IRI from the row; empty referenced cells yield no triple.
+      if (schema.iriTemplate) {
+        const iri = expandIriTemplate(schema.iriTemplate, valuesByKey, baseInstanceIri);
+        if (iri) emitFromCell(s, pIri, DataFactory.namedNode(iri), source);
+        continue;
+      }
 
-      const p = DataFactory.namedNode(pIri);
-      const q = DataFactory.quad(s, p, obj, g);
-      store.addQuad(q);
+      // Values that cannot become IRIs (object-property columns) or literals of the column
+      // datatype go through the invalid-cell policy.
+      const resolveObjectIri = objectIriResolvers[c];
+      const datatype = schema.datatypeIri || options.datatypesByColumnKey?.[key] || XSD_STRING;
+      const objects = [];
+      for (const value of splitCellValues(String(cell), schema.multiValue)) {
+        if (schema.nullTokens && isNullCell(value, schema.nullTokens)) continue;
+        let obj;
+        if (resolveObjectIri) {
+          const iri = resolveObjectIri(value);
+          obj = iri ? DataFactory.namedNode(iri) : null;
+        } else if (schema.dateFormat) {
+          const lexical = toPatternDateLexical(value, schema.dateFormat);
+          obj = lexical === null ? null : await buildLiteralObject(lexical, datatype);
+        } else if (schema.numberFormat) {
+          const lexical = toFormattedDecimalLexical(value, schema.numberFormat);
+          obj = lexical === null ? null : await buildLiteralObject(lexical, datatype);
+        } else {
+          obj = await buildLiteralObject(value, datatype, schema.lang);
+        }
+        if (!obj) {
+          cellErrors.push({
+            sheetName,
+            row: firstRowNumber + r,
+            column: toExcelLetters(schema.index ?? c),
+            columnKey: key,
+            value,
+            expectedDatatypeIri: resolveObjectIri ? 'http://www.w3.org/2001/XMLSchema#anyURI' : datatype
+          });
+          if (policy !== 'string') continue;
+          obj = await buildLiteralObject(value, XSD_STRING);
+        }
+        objects.push(obj);
+      }
+      if (objects.length === 0) continue;
 
-      if (obj.termType === 'NamedNode') {
-        records.push({ s: subjectIri, p: pIri, g: graphIri, oType: 'iri', oValue: obj.value });
+      if (schema.multiValue?.asList) {
+        emitFromCell(s, pIri, emitList(objects), source);
       } else {
-        records.push({
-          s: subjectIri,
-          p: pIri,
-          g: graphIri,
-          oType: 'literal',
-          oValue: obj.value,
-          datatypeIri: obj.datatype?.value,
-          lang: obj.language || undefined
-        });
+        for (const obj of objects) emitFromCell(s, pIri, obj, source);
       }
     }
   }
 
-  return { dataset: store, quads: records };
+  onProgress?.(dataRows.length, dataRows.length);
+  return { dataset: store, quads: records, cellErrors };
 }
 
 /**
- * Rebuilds an N3.Store dataset from stored quads.
+ * Rebuilds an N3.Store dataset from stored quads, term types included (see `recordToQuad`).
  * @param {QuadRecord[]} records
  * @returns {Promise<{dataset: any}>}
  */
 export async function datasetFromQuads(records) {
-  const { DataFactory, Store } = N3;
+  const { Store } = N3;
 
   const store = new Store();
-  for (const rec of records || []) {
-    const s = DataFactory.namedNode(rec.s);
-    const p = DataFactory.namedNode(rec.p);
-    const g = DataFactory.namedNode(rec.g);
+  for (const rec of records || []) store.addQuad(recordToQuad(rec));
 
-    const o = rec.oType === 'iri'
-      ? DataFactory.namedNode(rec.oValue)
-      : DataFactory.literal(rec.oValue, DataFactory.namedNode(rec.datatypeIri || 'http://www.w3.org/2001/XMLSchema#string'));
+  return { dataset: store };
+}
 
-    store.addQuad(DataFactory.quad(s, p, o, g));
-  }
+/**
+ * The storable form of one RDFJS quad. Every term type survives `recordToQuad`: named and blank
+ * nodes, literals with datatype or language, quoted triples and the default graph (`g: ''`).
+ * @param {any} quad
+ * @returns {QuadRecord}
+ */
+export function quadToRecord(quad) {
+  const graph = quad.graph;
+  return {
+    ...toTripleRecord(quad),
+    g: !graph || graph.termType === 'DefaultGraph' ? '' : graph.value,
+    ...(graph?.termType === 'BlankNode' ? { gType: /** @type {'bnode'} */ ('bnode') } : {})
+  };
+}
 
-  return { dataset: store };
+/**
+ * Rebuilds the RDFJS quad of a stored record; the inverse of `quadToRecord`.
+ * @param {QuadRecord} rec
+ * @returns {any}
+ */
+export function recordToQuad(rec) {
+  const { DataFactory } = N3;
+  const { subject, predicate, object } = fromTripleRecord(rec);
+  const graph = rec.gType === 'bnode'
+    ? DataFactory.blankNode(rec.g)
+    : rec.g ? DataFactory.namedNode(rec.g) : DataFactory.defaultGraph();
+  return DataFactory.quad(subject, predicate, object, graph);
+}
+
+/**
+ * The storable form of one triple; quoted triples are stored in `sTriple` / `oTriple`.
+ * @param {any} triple
+ * @returns {Omit<QuadRecord, 'g'>}
+ */
+function toTripleRecord({ subject, predicate, object }) {
+  const base = subject.termType === 'Quad'
+    ? { s: subject.subject.value, sType: /** @type {'triple'} */ ('triple'), sTriple: toTripleRecord(subject), p: predicate.value }
+    : {
+        s: subject.value,
+        ...(subject.termType === 'BlankNode' ? { sType: /** @type {'bnode'} */ ('bnode') } : {}),
+        p: predicate.value
+      };
+  if (object.termType === 'NamedNode') return { ...base, oType: 'iri', oValue: object.value };
+  if (object.termType === 'BlankNode') return { ...base, oType: 'bnode', oValue: object.value };
+  if (object.termType === 'Quad') return { ...base, oType: 'triple', oValue: object.subject.value, oTriple: toTripleRecord(object) };
+  return {
+    ...base,
+    oType: 'literal',
+    oValue: object.value,
+    datatypeIri: object.datatype?.value,
+    ...(object.language ? { lang: object.language } : {})
+  };
+}
+
+/**
+ * Rebuilds the terms of one stored triple (the graph is left to the caller).
+ * @param {Omit<QuadRecord, 'g'>} rec
+ * @returns {any}
+ */
+function fromTripleRecord(rec) {
+  const { DataFactory } = N3;
+  const subject = rec.sType === 'triple' && rec.sTriple
+    ? fromTripleRecord(rec.sTriple)
+    : rec.sType === 'bnode' ? DataFactory.blankNode(rec.s) : DataFactory.namedNode(rec.s);
+  const object = rec.oType === 'triple' && rec.oTriple
+    ? fromTripleRecord(rec.oTriple)
+    : rec.oType === 'iri'
+      ? DataFactory.namedNode(rec.oValue)
+      : rec.oType === 'bnode'
+        ? DataFactory.blankNode(rec.oValue)
+        : DataFactory.literal(rec.oValue, rec.lang || DataFactory.namedNode(rec.datatypeIri || XSD_STRING));
+  return DataFactory.quad(subject, DataFactory.namedNode(rec.p), object);
 }
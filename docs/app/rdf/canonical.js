@@ -0,0 +1,92 @@
+/**
+ * @file Canonical N-Quads and SHA-256 hashes of run datasets, used to check that a stored run
+ * reloads exactly as it was built.
+ *
+ * Blank node labels are kept as they are: runs mint their own collision-free labels and store
+ * them, so two datasets with the same quads and labels hash the same. This is not a general RDF
+ * dataset canonicalization (RDFC-1.0), which would also match datasets that differ only in labels.
+ */
+
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+/**
+ * @typedef {'match'|'mismatch'|'unknown'} CanonicalHashCheck   // unknown: no stored hash (older runs)
+ */
+
+/**
+ * Writes one RDFJS quad as a canonical N-Quads line (no trailing newline). Quoted triples use
+ * the RDF-star `<< s p o >>` form; the default graph is left out.
+ * @param {any} quad
+ * @returns {string}
+ */
+export function toCanonicalNQuad(quad) {
+  const graph = quad.graph && quad.graph.termType !== 'DefaultGraph' ? ` ${termToNQuads(quad.graph)}` : '';
+  return `${termToNQuads(quad.subject)} ${termToNQuads(quad.predicate)} ${termToNQuads(quad.object)}${graph} .`;
+}
+
+/**
+ * The canonical N-Quads document of a set of quads: one line per distinct quad, sorted by code
+ * point, each ending in a newline. Input order and duplicates do not change the result.
+ * @param {Iterable<any>} quads
+ * @returns {string}
+ */
+export function canonicalizeQuads(quads) {
+  const lines = [...new Set(Array.from(quads || [], toCanonicalNQuad))];
+  lines.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * SHA-256 of the canonical N-Quads of a set of quads, as lowercase hex.
+ * @param {Iterable<any>} quads
+ * @returns {Promise<string>}
+ */
+export async function hashCanonicalQuads(quads) {
+  const bytes = new TextEncoder().encode(canonicalizeQuads(quads));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compares a reloaded dataset with the canonical hash stored for it.
+ * @param {any} dataset   // RDFJS dataset (N3.Store)
+ * @param {string|null|undefined} expectedHash
+ * @returns {Promise<{status: CanonicalHashCheck, hash: string}>}
+ */
+export async function verifyCanonicalHash(dataset, expectedHash) {
+  const hash = await hashCanonicalQuads(dataset?.getQuads?.(null, null, null, null) || []);
+  if (!expectedHash) return { status: 'unknown', hash };
+  return { status: hash === expectedHash ? 'match' : 'mismatch', hash };
+}
+
+/**
+ * @param {any} term
+ * @returns {string}
+ */
+function termToNQuads(term) {
+  switch (term.termType) {
+    case 'NamedNode':
+      return `<${term.value}>`;
+    case 'BlankNode':
+      return `_:${term.value}`;
+    case 'Quad':
+      return `<< ${termToNQuads(term.subject)} ${termToNQuads(term.predicate)} ${termToNQuads(term.object)} >>`;
+    case 'Literal': {
+      const lexical = `"${escapeLiteral(term.value)}"`;
+      if (term.language) return `${lexical}@${term.language}`;
+      const datatype = term.datatype?.value;
+      return datatype && datatype !== XSD_STRING ? `${lexical}^^<${datatype}>` : lexical;
+    }
+    default:
+      throw new Error(`Cannot write a ${term.termType} term as N-Quads.`);
+  }
+}
+
+/**
+ * Escapes a literal the way canonical N-Quads does: backslash, quote, line feed and carriage return.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLiteral(value) {
+  return String(value).replace(/[\\"\n\r]/g, (ch) => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r' })[ch]);
+}
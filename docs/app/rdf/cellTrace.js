@@ -0,0 +1,49 @@
+/**
+ * @file Cell-level source tracing: annotations on each generated triple naming the sheet, row,
+ * column and raw cell text it came from.
+ *
+ * Annotations use RDF-star, with the cell triple quoted as their subject
+ * (`<< row:1 tablenova:hasName "Ada" >> tablenova:sourceRow 2`). Serializers without RDF-star
+ * support get the same statements as standard reification (see `reifyQuotedTriples`).
+ */
+
+const XSD_INTEGER = 'http://www.w3.org/2001/XMLSchema#integer';
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+/** Local names (under the predicate base) of the trace annotation predicates. */
+export const CELL_TRACE_LOCAL_NAMES = Object.freeze({
+  sheet: 'sourceSheet',
+  row: 'sourceRow',
+  column: 'sourceColumn',
+  cell: 'sourceCell'
+});
+
+/**
+ * @typedef {Object} CellSource
+ * @property {string|null} [sheetName]   // XLSX only
+ * @property {number} row                // 1-based row number in the source file
+ * @property {string} column             // column letter, e.g. "B"
+ * @property {string} cell               // raw cell text, before null tokens, splitting or datatype conversion
+ */
+
+/**
+ * @typedef {Object} CellTraceAnnotation
+ * @property {string} p
+ * @property {string} value
+ * @property {string} datatypeIri
+ */
+
+/**
+ * Lists the annotations stating where one cell triple came from.
+ * @param {CellSource} source
+ * @param {string} basePredicateIri
+ * @returns {CellTraceAnnotation[]}
+ */
+export function buildCellTraceAnnotations({ sheetName = null, row, column, cell }, basePredicateIri) {
+  return [
+    ...(sheetName ? [{ p: `${basePredicateIri}${CELL_TRACE_LOCAL_NAMES.sheet}`, value: sheetName, datatypeIri: XSD_STRING }] : []),
+    { p: `${basePredicateIri}${CELL_TRACE_LOCAL_NAMES.row}`, value: String(row), datatypeIri: XSD_INTEGER },
+    { p: `${basePredicateIri}${CELL_TRACE_LOCAL_NAMES.column}`, value: column, datatypeIri: XSD_STRING },
+    { p: `${basePredicateIri}${CELL_TRACE_LOCAL_NAMES.cell}`, value: String(cell ?? ''), datatypeIri: XSD_STRING }
+  ];
+}
@@ -0,0 +1,108 @@
+/**
+ * @file Datatype validation policies and the per-cell error report.
+ */
+
+import { datatypeLabel } from './datatypes.js';
+
+/**
+ * What to do with a cell whose value is not valid for its column datatype:
+ * - reject: fail the whole run (nothing is stored) and report every bad cell
+ * - skip:   leave the cell out of the output
+ * - string: emit the raw value as an xsd:string literal instead
+ * @typedef {'reject'|'skip'|'string'} InvalidCellPolicy
+ */
+
+/**
+ * @typedef {Object} CellError
+ * @property {string|null} sheetName      // XLSX sheet, null for CSV/TSV
+ * @property {number} row                 // 1-based row number in the source table
+ * @property {string} column              // Excel-style column letter
+ * @property {string} columnKey
+ * @property {string} value               // raw cell text
+ * @property {string} expectedDatatypeIri
+ * @property {boolean} [missing]          // empty or a null token in a required column
+ */
+
+export const INVALID_CELL_POLICIES = Object.freeze(['reject', 'skip', 'string']);
+export const DEFAULT_INVALID_CELL_POLICY = 'string';
+
+export const CELL_VALIDATION_ERROR_NAME = 'CellValidationError';
+
+/**
+ * Normalizes a stored policy value.
+ * @param {any} policy
+ * @returns {InvalidCellPolicy}
+ */
+export function resolveInvalidCellPolicy(policy) {
+  return INVALID_CELL_POLICIES.includes(policy) ? policy : DEFAULT_INVALID_CELL_POLICY;
+}
+
+/**
+ * True when a run must fail: the reject policy found invalid cells, or a required column has
+ * missing cells (whatever the invalid-cell policy).
+ * @param {CellError[]} cellErrors
+ * @param {any} policy
+ * @returns {boolean}
+ */
+export function shouldRejectRun(cellErrors, policy) {
+  if ((cellErrors || []).some((e) => e.missing)) return true;
+  return (cellErrors || []).length > 0 && resolveInvalidCellPolicy(policy) === 'reject';
+}
+
+/**
+ * Builds the error thrown when the reject policy finds invalid cells.
+ * The report travels on `err.cellErrors`.
+ * @param {CellError[]} cellErrors
+ * @returns {Error & {cellErrors: CellError[]}}
+ */
+export function createCellValidationError(cellErrors) {
+  const first = cellErrors[0];
+  const more = cellErrors.length > 1 ? ` (+${cellErrors.length - 1} more)` : '';
+  const err = /** @type {Error & {cellErrors: CellError[]}} */ (new Error(
+    `Run rejected: ${describeCellError(first)}${more}.`
+  ));
+  err.name = CELL_VALIDATION_ERROR_NAME;
+  err.cellErrors = cellErrors;
+  return err;
+}
+
+/**
+ * @param {CellError} e
+ * @returns {string}
+ */
+export function describeCellError(e) {
+  const where = `${e.sheetName ? `${e.sheetName}!` : ''}${e.column}${e.row}`;
+  if (e.missing) return `${where} is missing a value for required column "${e.columnKey}"`;
+  return `${where} "${e.value}" is not a valid ${datatypeLabel(e.expectedDatatypeIri)}`;
+}
+
+/**
+ * Serializes the per-cell error report as CSV.
+ * @param {CellError[]} cellErrors
+ * @returns {string}
+ */
+export function serializeCellErrorReportCsv(cellErrors) {
+  const header = ['sheet', 'row', 'column', 'column key', 'value', 'expected datatype', 'problem'];
+  const lines = [header.join(',')];
+  for (const e of cellErrors || []) {
+    lines.push([
+      e.sheetName || '',
+      String(e.row),
+      e.column,
+      e.columnKey,
+      e.value,
+      datatypeLabel(e.expectedDatatypeIri),
+      e.missing ? 'missing' : 'invalid'
+    ].map(escapeCsvCell).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
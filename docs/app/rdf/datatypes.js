@@ -0,0 +1,316 @@
+/**
+ * @file Datatype registry: the literal datatypes Table Nova supports, with lexical validation
+ * and normalization for each. Datatype selects, literal building and JSON Schema drafts are all
+ * driven from this one list.
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+/**
+ * @typedef {Object} DatatypeDefinition
+ * @property {string} iri
+ * @property {string} label                                // prefixed name, e.g. "xsd:date"
+ * @property {(value: string) => string|null} toLexical   // normalized lexical form; null when invalid
+ * @property {Record<string, any>} jsonSchema              // JSON Schema for one value
+ */
+
+const TIMEZONE_PATTERN = '(Z|[+-]\\d{2}:?\\d{2})?';
+
+/** @type {ReadonlyArray<DatatypeDefinition>} */
+export const DATATYPES = Object.freeze([
+  define('xsd:string', (v) => v, { type: 'string' }),
+  // The language tag comes from the column; see buildLiteralObject.
+  define('rdf:langString', (v) => v, { type: 'string' }),
+  define('xsd:boolean', toBooleanLexical, { type: 'boolean' }),
+  define('xsd:integer', integerLexical(null, null), { type: 'integer' }),
+  define('xsd:long', integerLexical(-(2n ** 63n), 2n ** 63n - 1n), { type: 'integer' }),
+  define('xsd:int', integerLexical(-(2n ** 31n), 2n ** 31n - 1n), { type: 'integer' }),
+  define('xsd:short', integerLexical(-32768n, 32767n), { type: 'integer' }),
+  define('xsd:byte', integerLexical(-128n, 127n), { type: 'integer' }),
+  define('xsd:nonNegativeInteger', integerLexical(0n, null), { type: 'integer', minimum: 0 }),
+  define('xsd:positiveInteger', integerLexical(1n, null), { type: 'integer', minimum: 1 }),
+  define('xsd:nonPositiveInteger', integerLexical(null, 0n), { type: 'integer', maximum: 0 }),
+  define('xsd:negativeInteger', integerLexical(null, -1n), { type: 'integer', maximum: -1 }),
+  define('xsd:unsignedLong', integerLexical(0n, 2n ** 64n - 1n), { type: 'integer', minimum: 0 }),
+  define('xsd:unsignedInt', integerLexical(0n, 2n ** 32n - 1n), { type: 'integer', minimum: 0 }),
+  define('xsd:unsignedShort', integerLexical(0n, 65535n), { type: 'integer', minimum: 0 }),
+  define('xsd:unsignedByte', integerLexical(0n, 255n), { type: 'integer', minimum: 0 }),
+  define('xsd:decimal', toDecimalLexical, { type: 'number' }),
+  define('xsd:double', floatingLexical(Number.MAX_VALUE), { type: 'number' }),
+  define('xsd:float', floatingLexical(3.4028234663852886e38), { type: 'number' }),
+  define('xsd:date', toDateLexical, { type: 'string', format: 'date' }),
+  define('xsd:dateTime', toDateTimeLexical, { type: 'string', format: 'date-time' }),
+  define('xsd:dateTimeStamp', toDateTimeStampLexical, { type: 'string', format: 'date-time' }),
+  define('xsd:time', toTimeLexical, { type: 'string', format: 'time' }),
+  define('xsd:gYear', toGYearLexical, { type: 'string', pattern: '^-?\\d{4,}' }),
+  define('xsd:gYearMonth', toGYearMonthLexical, { type: 'string', pattern: '^-?\\d{4,}-\\d{2}' }),
+  define('xsd:duration', toDurationLexical, { type: 'string', format: 'duration' }),
+  define('xsd:anyURI', toAnyUriLexical, { type: 'string', format: 'uri' }),
+  define('xsd:language', normalizeLanguageTag, { type: 'string' })
+]);
+
+/** @type {Map<string, DatatypeDefinition>} */
+const BY_IRI = new Map(DATATYPES.map((d) => [d.iri, d]));
+
+/**
+ * @param {string} iri
+ * @returns {DatatypeDefinition|undefined}
+ */
+export function getDatatype(iri) {
+  return BY_IRI.get(String(iri ?? ''));
+}
+
+/**
+ * Prefixed label for a datatype IRI; unknown IRIs are returned as-is.
+ * @param {string} iri
+ * @returns {string}
+ */
+export function datatypeLabel(iri) {
+  const known = getDatatype(iri);
+  if (known) return known.label;
+  const s = String(iri ?? '');
+  return s.startsWith(XSD) ? `xsd:${s.slice(XSD.length)}` : s;
+}
+
+/**
+ * Validates a value against a datatype and returns its normalized lexical form.
+ * Datatypes outside the registry pass values through unchanged.
+ * @param {string} v
+ * @param {string} datatypeIri
+ * @returns {string|null} null when the value is not valid for the datatype
+ */
+export function toLexicalForm(v, datatypeIri) {
+  const known = getDatatype(datatypeIri);
+  return known ? known.toLexical(String(v ?? '')) : v;
+}
+
+/**
+ * JSON Schema for values of a datatype; unknown datatypes are plain strings.
+ * @param {string} datatypeIri
+ * @returns {Record<string, any>}
+ */
+export function datatypeJsonSchema(datatypeIri) {
+  return { ...(getDatatype(datatypeIri)?.jsonSchema || { type: 'string' }) };
+}
+
+/**
+ * Validates and canonicalizes a BCP 47 language tag (a leading `@` is allowed).
+ * @param {string|null|undefined} tag
+ * @returns {string|null}
+ */
+export function normalizeLanguageTag(tag) {
+  const s = String(tag ?? '').trim().replace(/^@/, '');
+  if (!/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(s)) return null;
+  try {
+    return Intl.getCanonicalLocales(s)[0] || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Converts a value into xsd:boolean lexical form.
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toBooleanLexical(s) {
+  const v = String(s ?? '').trim().toLowerCase();
+  if (v === '1' || v === 'true' || v === 'yes' || v === 'y') return 'true';
+  if (v === '0' || v === 'false' || v === 'no' || v === 'n') return 'false';
+  return null;
+}
+
+/**
+ * Validates a decimal without exponent and returns its canonical form (no redundant zeros).
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toDecimalLexical(s) {
+  const m = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(String(s ?? '').trim());
+  if (!m || !(m[2] || m[3])) return null;
+  const int = m[2].replace(/^0+(?=\d)/, '') || '0';
+  const frac = (m[3] || '').replace(/0+$/, '');
+  const sign = m[1] === '-' && (int !== '0' || frac) ? '-' : '';
+  return `${sign}${int}${frac ? `.${frac}` : ''}`;
+}
+
+/**
+ * Validates an xsd:date lexical form (YYYY-MM-DD with an optional timezone).
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toDateLexical(s) {
+  const m = new RegExp(`^(\\d{4}-\\d{2}-\\d{2})${TIMEZONE_PATTERN}$`).exec(String(s ?? '').trim());
+  if (!m || !isCalendarDate(m[1])) return null;
+  const tz = normalizeTimezone(m[2]);
+  return tz === null ? null : `${m[1]}${tz}`;
+}
+
+/**
+ * Converts ISO 8601 dates and date-times into xsd:dateTime lexical form. The written clock
+ * time and offset are kept (no conversion to UTC); a date alone means midnight.
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toDateTimeLexical(s) {
+  const raw = String(s ?? '').trim();
+  const m = new RegExp(`^(\\d{4}-\\d{2}-\\d{2})(?:[T ](\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?))?${TIMEZONE_PATTERN}$`).exec(raw);
+  if (!m || !isCalendarDate(m[1])) return null;
+  const time = normalizeClockTime(m[2] || '00:00');
+  const tz = normalizeTimezone(m[3]);
+  return time === null || tz === null ? null : `${m[1]}T${time}${tz}`;
+}
+
+/**
+ * xsd:dateTime with a mandatory timezone.
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toDateTimeStampLexical(s) {
+  const v = toDateTimeLexical(s);
+  return v && /(Z|[+-]\d{2}:\d{2})$/.test(v) ? v : null;
+}
+
+/**
+ * Validates an xsd:time (HH:MM or HH:MM:SS[.fff] with an optional timezone).
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toTimeLexical(s) {
+  const m = new RegExp(`^(\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?)${TIMEZONE_PATTERN}$`).exec(String(s ?? '').trim());
+  if (!m) return null;
+  const time = normalizeClockTime(m[1]);
+  const tz = normalizeTimezone(m[2]);
+  return time === null || tz === null ? null : `${time}${tz}`;
+}
+
+/**
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toGYearLexical(s) {
+  const m = new RegExp(`^(-?\\d{4,})${TIMEZONE_PATTERN}$`).exec(String(s ?? '').trim());
+  if (!m || /^-?0+$/.test(m[1])) return null;
+  const tz = normalizeTimezone(m[2]);
+  return tz === null ? null : `${m[1]}${tz}`;
+}
+
+/**
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toGYearMonthLexical(s) {
+  const m = new RegExp(`^(-?\\d{4,})-(0[1-9]|1[0-2])${TIMEZONE_PATTERN}$`).exec(String(s ?? '').trim());
+  if (!m || /^-?0+$/.test(m[1])) return null;
+  const tz = normalizeTimezone(m[3]);
+  return tz === null ? null : `${m[1]}-${m[2]}${tz}`;
+}
+
+/**
+ * Validates an ISO 8601 duration such as `P1Y2M`, `PT36H` or `-P3DT4.5S`.
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toDurationLexical(s) {
+  const v = String(s ?? '').trim().toUpperCase();
+  const m = /^-?P(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?$/.exec(v);
+  // At least one component, and "T" only when a time component follows.
+  if (!m || /P$|T$/.test(v)) return null;
+  return v;
+}
+
+/**
+ * Rejects characters that can never appear in an IRI reference.
+ * @param {string} s
+ * @returns {string|null}
+ */
+export function toAnyUriLexical(s) {
+  const v = String(s ?? '').trim();
+  return v && !/[\s<>"{}|\\^`]/.test(v) ? v : null;
+}
+
+/**
+ * @param {string} prefixed   // "xsd:name" or "rdf:name"
+ * @param {(value: string) => string|null} toLexical
+ * @param {Record<string, any>} jsonSchema
+ * @returns {DatatypeDefinition}
+ */
+function define(prefixed, toLexical, jsonSchema) {
+  const [prefix, local] = prefixed.split(':');
+  const iri = `${prefix === 'rdf' ? RDF : XSD}${local}`;
+  return Object.freeze({ iri, label: prefixed, toLexical, jsonSchema: Object.freeze(jsonSchema) });
+}
+
+/**
+ * Integer lexical converter with optional inclusive bounds (arbitrary size).
+ * @param {bigint|null} min
+ * @param {bigint|null} max
+ * @returns {(value: string) => string|null}
+ */
+function integerLexical(min, max) {
+  return (s) => {
+    const v = String(s ?? '').trim();
+    if (!/^[+-]?\d+$/.test(v)) return null;
+    const n = BigInt(v);
+    if ((min !== null && n < min) || (max !== null && n > max)) return null;
+    return n.toString();
+  };
+}
+
+/**
+ * xsd:double / xsd:float converter; also accepts INF, -INF and NaN.
+ * @param {number} maxMagnitude
+ * @returns {(value: string) => string|null}
+ */
+function floatingLexical(maxMagnitude) {
+  return (s) => {
+    const v = String(s ?? '').trim();
+    if (/^[+-]?INF$/.test(v)) return v.replace(/^\+/, '');
+    if (v === 'NaN') return v;
+    if (!/^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(v)) return null;
+    const n = Number(v);
+    return Number.isFinite(n) && Math.abs(n) <= maxMagnitude ? String(n) : null;
+  };
+}
+
+/**
+ * Pads HH:MM to HH:MM:SS and checks the clock ranges (24:00:00 is allowed as end of day).
+ * @param {string} time
+ * @returns {string|null}
+ */
+function normalizeClockTime(time) {
+  const [hh, mm, ssRaw = '00'] = time.split(':');
+  const h = Number(hh);
+  const min = Number(mm);
+  const sec = Number(ssRaw);
+  if (h === 24 ? min !== 0 || sec !== 0 : h > 23 || min > 59 || sec >= 60) return null;
+  return `${hh}:${mm}:${ssRaw}`;
+}
+
+/**
+ * Normalizes a timezone suffix ("+0100" -> "+01:00"); '' when absent, null when out of range.
+ * @param {string|undefined} tz
+ * @returns {string|null}
+ */
+function normalizeTimezone(tz) {
+  if (!tz) return '';
+  if (tz === 'Z') return 'Z';
+  const m = /^([+-])(\d{2}):?(\d{2})$/.exec(tz);
+  if (!m) return null;
+  const h = Number(m[2]);
+  const min = Number(m[3]);
+  if (min > 59 || h > 14 || (h === 14 && min > 0)) return null;
+  return `${m[1]}${m[2]}:${m[3]}`;
+}
+
+/**
+ * Rejects dates the Date constructor would roll over (e.g. 2023-02-30).
+ * @param {string} ymd   // YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isCalendarDate(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
@@ -0,0 +1,258 @@
+/**
+ * @file Per-column date/time patterns such as `dd/MM/yyyy` or `yyyyMMdd HHmm`.
+ *
+ * Pattern letters follow the usual Unicode/Java conventions: yyyy yy, MMMM MMM MM M, dd d,
+ * HH H (24h), hh h with a (12h), mm, ss, S… (fraction), XXX / XX / X (offset, or Z).
+ * Text in single quotes and any non-letter characters match literally. Month names are English;
+ * two-digit years (yy) are read as 20yy.
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * @typedef {'date'|'dateTime'|'dateTimeStamp'} DateOutput
+ */
+
+/**
+ * @typedef {Object} DateFormatOptions
+ * @property {string} pattern
+ * @property {DateOutput} output
+ * @property {string} [timezone]   // offset for values without one, e.g. "+01:00" or "Z"
+ */
+
+/**
+ * @typedef {Object} ParsedDate
+ * @property {number} year
+ * @property {number} month
+ * @property {number} day
+ * @property {number} hour
+ * @property {number} minute
+ * @property {number} second
+ * @property {string} fraction        // digits after the decimal point, '' when none
+ * @property {string|null} offset     // "Z" or "+hh:mm"; null when the value has none
+ */
+
+export const DATE_OUTPUTS = Object.freeze(['date', 'dateTime', 'dateTimeStamp']);
+
+/** @type {Map<string, {regex: RegExp, fields: string[]}>} pattern -> compiled, for cell-by-cell parsing */
+const compiledPatterns = new Map();
+
+const MONTHS = Object.freeze([
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+/**
+ * Pattern token -> regex source and the field it fills.
+ * @type {Readonly<Record<string, {re: string, field: string}>>}
+ */
+const TOKENS = Object.freeze({
+  yyyy: { re: '(\\d{4})', field: 'year' },
+  yy: { re: '(\\d{2})', field: 'year2' },
+  MMMM: { re: '([A-Za-z]+)', field: 'monthName' },
+  MMM: { re: '([A-Za-z]{3})', field: 'monthName' },
+  MM: { re: '(\\d{2})', field: 'month' },
+  M: { re: '(\\d{1,2})', field: 'month' },
+  dd: { re: '(\\d{2})', field: 'day' },
+  d: { re: '(\\d{1,2})', field: 'day' },
+  HH: { re: '(\\d{2})', field: 'hour' },
+  H: { re: '(\\d{1,2})', field: 'hour' },
+  hh: { re: '(\\d{2})', field: 'hour12' },
+  h: { re: '(\\d{1,2})', field: 'hour12' },
+  a: { re: '([AaPp][Mm])', field: 'ampm' },
+  mm: { re: '(\\d{2})', field: 'minute' },
+  ss: { re: '(\\d{2})', field: 'second' },
+  XXX: { re: '(Z|[+-]\\d{2}:\\d{2})', field: 'offset' },
+  XX: { re: '(Z|[+-]\\d{4})', field: 'offset' },
+  X: { re: '(Z|[+-]\\d{2}(?:\\d{2})?)', field: 'offset' }
+});
+
+/**
+ * Normalizes stored date format options; null when the column has no pattern.
+ * @param {Partial<DateFormatOptions>|null|undefined} dateFormat
+ * @returns {DateFormatOptions|null}
+ */
+export function resolveDateFormatOptions(dateFormat) {
+  const pattern = String(dateFormat?.pattern ?? '').trim();
+  if (!pattern) return null;
+  const output = DATE_OUTPUTS.includes(/** @type {any} */ (dateFormat?.output)) ? dateFormat.output : 'date';
+  const timezone = normalizeOffset(String(dateFormat?.timezone ?? '').trim()) || '';
+  return { pattern, output: /** @type {DateOutput} */ (output), ...(timezone ? { timezone } : {}) };
+}
+
+/**
+ * The xsd datatype a date format emits.
+ * @param {DateOutput} output
+ * @returns {string}
+ */
+export function dateOutputDatatypeIri(output) {
+  return `${XSD}${DATE_OUTPUTS.includes(output) ? output : 'date'}`;
+}
+
+/**
+ * Compiles a pattern into a regular expression. Unknown pattern letters throw.
+ * @param {string} pattern
+ * @returns {{regex: RegExp, fields: string[]}}
+ */
+export function compileDatePattern(pattern) {
+  const src = String(pattern ?? '');
+  let re = '';
+  /** @type {string[]} */
+  const fields = [];
+
+  for (let i = 0; i < src.length;) {
+    const ch = src[i];
+    if (ch === "'") {
+      const end = src.indexOf("'", i + 1);
+      if (end < 0) throw new Error(`Date pattern: unclosed quote at position ${i + 1}.`);
+      re += escapeRegex(end === i + 1 ? "'" : src.slice(i + 1, end));
+      i = end + 1;
+      continue;
+    }
+    if (/[A-Za-z]/.test(ch)) {
+      let run = ch;
+      while (src[i + run.length] === ch) run += ch;
+      const fraction = ch === 'S';
+      const token = fraction ? null : TOKENS[run];
+      if (!token && !fraction) throw new Error(`Date pattern: unknown field "${run}".`);
+      re += fraction ? `(\\d{${run.length}})` : token.re;
+      fields.push(fraction ? 'fraction' : token.field);
+      i += run.length;
+      continue;
+    }
+    re += escapeRegex(ch);
+    i += 1;
+  }
+
+  if (!fields.includes('year') && !fields.includes('year2')) throw new Error('Date pattern: a year field (yyyy or yy) is required.');
+  if (!fields.includes('month') && !fields.includes('monthName')) throw new Error('Date pattern: a month field (M, MM or MMM) is required.');
+  if (!fields.includes('day')) throw new Error('Date pattern: a day field (d or dd) is required.');
+  if (fields.includes('hour12') !== fields.includes('ampm')) throw new Error('Date pattern: 12-hour fields (h, hh) need an AM/PM marker (a).');
+  return { regex: new RegExp(`^${re}$`), fields };
+}
+
+/**
+ * Checks a pattern; returns the problem, or null when it is usable.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function validateDatePattern(pattern) {
+  try {
+    compileDatePattern(pattern);
+    return null;
+  } catch (err) {
+    return String(/** @type {Error} */ (err).message);
+  }
+}
+
+/**
+ * Parses a cell with a pattern. Returns null when the cell does not match or is not a real date.
+ * @param {string} value
+ * @param {string} pattern
+ * @returns {ParsedDate|null}
+ */
+export function parseDateWithPattern(value, pattern) {
+  if (!compiledPatterns.has(pattern)) compiledPatterns.set(pattern, compileDatePattern(pattern));
+  const { regex, fields } = /** @type {{regex: RegExp, fields: string[]}} */ (compiledPatterns.get(pattern));
+  const m = regex.exec(String(value ?? '').trim());
+  if (!m) return null;
+
+  /** @type {Record<string, string>} */
+  const raw = {};
+  fields.forEach((field, i) => {
+    raw[field] = m[i + 1];
+  });
+
+  const year = raw.year !== undefined ? Number(raw.year) : 2000 + Number(raw.year2);
+  const month = raw.monthName !== undefined ? monthFromName(raw.monthName) : Number(raw.month);
+  const day = Number(raw.day);
+  let hour = Number(raw.hour ?? 0);
+  if (raw.hour12 !== undefined) {
+    const h12 = Number(raw.hour12);
+    if (h12 < 1 || h12 > 12) return null;
+    hour = (h12 % 12) + (/^p/i.test(raw.ampm) ? 12 : 0);
+  }
+  const minute = Number(raw.minute ?? 0);
+  const second = Number(raw.second ?? 0);
+  const offset = raw.offset !== undefined ? normalizeOffset(raw.offset) : null;
+
+  if (!month || !isCalendarDate(year, month, day)) return null;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  if (raw.offset !== undefined && !offset) return null;
+  return { year, month, day, hour, minute, second, fraction: raw.fraction || '', offset };
+}
+
+/**
+ * Converts a cell into the lexical form of the column's date output.
+ * @param {string} value
+ * @param {Partial<DateFormatOptions>} dateFormat
+ * @returns {string|null} null when the cell does not match the pattern, or a timestamp lacks an offset
+ */
+export function toPatternDateLexical(value, dateFormat) {
+  const resolved = resolveDateFormatOptions(dateFormat);
+  if (!resolved) return null;
+  const parsed = parseDateWithPattern(value, resolved.pattern);
+  if (!parsed) return null;
+
+  const offset = parsed.offset ?? (resolved.timezone || '');
+  const date = `${String(parsed.year).padStart(4, '0')}-${pad2(parsed.month)}-${pad2(parsed.day)}`;
+  if (resolved.output === 'date') return `${date}${parsed.offset ?? ''}`;
+  if (resolved.output === 'dateTimeStamp' && !offset) return null;
+  const fraction = parsed.fraction ? `.${parsed.fraction}` : '';
+  return `${date}T${pad2(parsed.hour)}:${pad2(parsed.minute)}:${pad2(parsed.second)}${fraction}${offset}`;
+}
+
+/**
+ * Normalizes "Z", "+01", "+0100" or "+01:00" to "Z" / "+01:00"; null when invalid.
+ * @param {string} offset
+ * @returns {string|null}
+ */
+export function normalizeOffset(offset) {
+  const s = String(offset ?? '').trim();
+  if (s === 'Z' || s === 'z') return 'Z';
+  const m = /^([+-])(\d{2}):?(\d{2})?$/.exec(s);
+  if (!m) return null;
+  const h = Number(m[2]);
+  const min = Number(m[3] ?? 0);
+  if (min > 59 || h > 14 || (h === 14 && min > 0)) return null;
+  return `${m[1]}${m[2]}:${m[3] ?? '00'}`;
+}
+
+/**
+ * @param {string} name
+ * @returns {number} 1-12, or 0 when unknown
+ */
+function monthFromName(name) {
+  const s = String(name ?? '').toLowerCase();
+  const index = MONTHS.findIndex((month) => (s.length === 3 ? month.startsWith(s) : month === s));
+  return index + 1;
+}
+
+/**
+ * @param {number} y
+ * @param {number} m
+ * @param {number} d
+ * @returns {boolean}
+ */
+function isCalendarDate(y, m, d) {
+  // setUTCFullYear, unlike Date.UTC, does not map years 0-99 to 1900-1999.
+  const dt = new Date(0);
+  dt.setUTCFullYear(y, m - 1, d);
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+/**
+ * @param {number} n
+ * @returns {string}
+ */
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
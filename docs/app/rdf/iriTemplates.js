@@ -0,0 +1,149 @@
+/**
+ * @file RML-style IRI templates, e.g. `https://data.example.org/person/{EmployeeID}`.
+ *
+ * `{ColumnKey}` placeholders are replaced by the row's cell value, percent-encoded so that it
+ * stays inside one path segment. `\{` and `\}` produce literal braces. Templates without a
+ * scheme are resolved against the instance base.
+ */
+
+import { ensurePathIriBase } from './schema.js';
+
+/**
+ * @typedef {{text: string}|{column: string}} IriTemplatePart
+ */
+
+/**
+ * Splits a template into literal text and column references.
+ * @param {string} template
+ * @returns {IriTemplatePart[]}
+ */
+export function parseIriTemplate(template) {
+  const src = String(template ?? '');
+  /** @type {IriTemplatePart[]} */
+  const parts = [];
+  let text = '';
+  let column = null;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (ch === '\\' && (src[i + 1] === '{' || src[i + 1] === '}')) {
+      if (column === null) text += src[i + 1];
+      else column += src[i + 1];
+      i += 1;
+    } else if (ch === '{') {
+      if (column !== null) throw new Error(`IRI template: nested "{" at position ${i + 1}.`);
+      if (text) parts.push({ text });
+      text = '';
+      column = '';
+    } else if (ch === '}') {
+      if (column === null) throw new Error(`IRI template: unmatched "}" at position ${i + 1}.`);
+      if (!column.trim()) throw new Error(`IRI template: empty "{}" at position ${i}.`);
+      parts.push({ column });
+      column = null;
+    } else if (column === null) {
+      text += ch;
+    } else {
+      column += ch;
+    }
+  }
+
+  if (column !== null) throw new Error('IRI template: missing closing "}".');
+  if (text) parts.push({ text });
+  return parts;
+}
+
+/**
+ * Checks a template against the table's columns.
+ * @param {string} template
+ * @param {string[]} columnKeys
+ * @returns {string[]} problems; empty when the template is usable
+ */
+export function validateIriTemplate(template, columnKeys) {
+  /** @type {IriTemplatePart[]} */
+  let parts;
+  try {
+    parts = parseIriTemplate(template);
+  } catch (err) {
+    return [String(/** @type {Error} */ (err).message)];
+  }
+
+  const problems = [];
+  const columns = parts.filter((p) => 'column' in p).map((p) => /** @type {{column: string}} */ (p).column);
+  if (columns.length === 0) problems.push('IRI template: reference at least one column, e.g. {ID}.');
+  for (const column of columns) {
+    if (!columnKeys.includes(column)) problems.push(`IRI template: unknown column {${column}}.`);
+  }
+  const literal = parts.map((p) => ('text' in p ? p.text : 'x')).join('');
+  if (/[\s<>"{}|^`\\]/.test(literal)) problems.push('IRI template: the fixed text contains characters not allowed in IRIs.');
+  return problems;
+}
+
+/**
+ * Expands a template for one row. Returns null when a referenced cell is empty, like RML
+ * (no IRI, so no triple).
+ * @param {string} template
+ * @param {Record<string, string>} valuesByKey
+ * @param {string} baseIri   // used when the template has no scheme
+ * @returns {string|null}
+ */
+export function expandIriTemplate(template, valuesByKey, baseIri) {
+  let out = '';
+  for (const part of parseIriTemplate(template)) {
+    if ('text' in part) {
+      out += part.text;
+      continue;
+    }
+    const value = String(valuesByKey?.[part.column] ?? '').trim();
+    if (!value) return null;
+    out += percentEncodeIriValue(value);
+  }
+  return resolveAgainstBase(out, baseIri);
+}
+
+/**
+ * Percent-encodes a cell value so it cannot introduce IRI delimiters (/, ?, #, ...).
+ * @param {string} value
+ * @returns {string}
+ */
+export function percentEncodeIriValue(value) {
+  return encodeURIComponent(String(value ?? '')).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Expands a template for the first rows of a table, for previews. Invalid templates yield no IRIs.
+ * @param {string} template
+ * @param {string[]} columnKeys
+ * @param {string[][]} rows
+ * @param {string} baseIri
+ * @param {number} [limit]
+ * @returns {Array<string|null>}
+ */
+export function previewIriTemplate(template, columnKeys, rows, baseIri, limit = 3) {
+  if (validateIriTemplate(template, columnKeys).length > 0) return [];
+  return (rows || []).slice(0, limit).map((row) => expandIriTemplate(template, rowValuesByKey(columnKeys, row), baseIri));
+}
+
+/**
+ * Maps a row's cells to their column keys.
+ * @param {string[]} columnKeys
+ * @param {string[]} row
+ * @returns {Record<string, string>}
+ */
+export function rowValuesByKey(columnKeys, row) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  columnKeys.forEach((key, i) => {
+    out[key] = String(row?.[i] ?? '');
+  });
+  return out;
+}
+
+/**
+ * @param {string} iri
+ * @param {string} baseIri
+ * @returns {string}
+ */
+function resolveAgainstBase(iri, baseIri) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(iri)) return iri;
+  return `${ensurePathIriBase(baseIri)}${iri.replace(/^\/+/, '')}`;
+}
@@ -0,0 +1,105 @@
+/**
+ * @file The naming dictionary: project-wide acronyms, stop words and token replacements applied
+ * when header tokens become labels and predicate local names.
+ */
+
+/**
+ * @typedef {Object} NamingDictionary
+ * @property {string[]} acronyms       // kept upper case in labels and names, e.g. SSN, NAICS
+ * @property {string[]} stopWords      // dropped from headers, e.g. the, of
+ * @property {Record<string, string>} replacements   // word or symbol -> words, e.g. qty -> quantity, # -> number
+ */
+
+/** @type {Readonly<NamingDictionary>} */
+export const EMPTY_NAMING_DICTIONARY = Object.freeze({
+  acronyms: Object.freeze([]),
+  stopWords: Object.freeze([]),
+  replacements: Object.freeze({})
+});
+
+/**
+ * Normalizes a stored dictionary: acronyms upper case, stop words and replacement keys lower case,
+ * blanks and duplicates dropped. Lists may be arrays or comma-separated strings.
+ * @param {Partial<NamingDictionary>|null|undefined} naming
+ * @returns {NamingDictionary}
+ */
+export function resolveNamingDictionary(naming) {
+  /** @type {Record<string, string>} */
+  const replacements = {};
+  for (const [from, to] of Object.entries(naming?.replacements || {})) {
+    const key = String(from ?? '').trim().toLowerCase();
+    if (key) replacements[key] = String(to ?? '').trim().replace(/\s+/g, ' ');
+  }
+  return {
+    acronyms: normalizeWordList(naming?.acronyms, (w) => w.toUpperCase()),
+    stopWords: normalizeWordList(naming?.stopWords, (w) => w.toLowerCase()),
+    replacements
+  };
+}
+
+/**
+ * Lists what is wrong with a dictionary; empty when it is usable.
+ * @param {NamingDictionary} naming
+ * @returns {string[]}
+ */
+export function validateNamingDictionary(naming) {
+  /** @type {string[]} */
+  const problems = [];
+  for (const acronym of naming?.acronyms || []) {
+    if (!/^[\p{L}\p{N}]+$/u.test(acronym)) problems.push(`Acronym "${acronym}" must be letters and digits only.`);
+  }
+  for (const word of naming?.stopWords || []) {
+    if (/\s/.test(word)) problems.push(`Stop word "${word}" must be a single word.`);
+  }
+  for (const [from, to] of Object.entries(naming?.replacements || {})) {
+    if (/\s/.test(from)) problems.push(`Replacement "${from}" must be a single word or symbol.`);
+    if (!to) problems.push(`Replacement for "${from}" is empty; add it as a stop word instead.`);
+  }
+  return problems;
+}
+
+/**
+ * Reads replacements written one per line as `from = to`.
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function parseReplacementLines(text) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const at = line.indexOf('=');
+    if (at < 0) continue;
+    const from = line.slice(0, at).trim();
+    if (from) out[from] = line.slice(at + 1).trim();
+  }
+  return out;
+}
+
+/**
+ * Writes replacements one per line as `from = to`.
+ * @param {Record<string, string>} replacements
+ * @returns {string}
+ */
+export function formatReplacementLines(replacements) {
+  return Object.entries(replacements || {}).map(([from, to]) => `${from} = ${to}`).join('\n');
+}
+
+/**
+ * Replacement keys that are symbols rather than words (`#`, `%`, `&`); these are substituted in
+ * the raw header because tokenizing drops punctuation.
+ * @param {NamingDictionary} naming
+ * @returns {Array<[string, string]>}
+ */
+export function symbolReplacements(naming) {
+  return Object.entries(naming?.replacements || {}).filter(([from]) => !/[\p{L}\p{N}]/u.test(from));
+}
+
+/**
+ * @param {string[]|string|null|undefined} words
+ * @param {(word: string) => string} toCase
+ * @returns {string[]}
+ */
+function normalizeWordList(words, toCase) {
+  const list = Array.isArray(words) ? words : String(words ?? '').split(',');
+  return [...new Set(list.map((w) => toCase(String(w ?? '').trim())).filter(Boolean))];
+}
@@ -0,0 +1,161 @@
+/**
+ * @file Per-column number formats: locale separators (`1.234,56`), currency amounts (`$1,200`)
+ * and percentages (`45%`). Values are rewritten as text, never through floating point, so the
+ * resulting xsd:decimal keeps every digit.
+ */
+
+import { toDecimalLexical } from './datatypes.js';
+
+/**
+ * @typedef {Object} NumberFormatOptions
+ * @property {'.'|','} decimalSeparator
+ * @property {''|','|'.'|' '|"'"} groupSeparator   // '' = no grouping; ' ' also matches no-break spaces
+ * @property {string} [currency]   // ISO 4217 code; symbols and the code are stripped from cells
+ * @property {boolean} [percent]   // "45%" becomes 0.45
+ */
+
+export const DECIMAL_SEPARATORS = Object.freeze(['.', ',']);
+export const GROUP_SEPARATORS = Object.freeze(['', ',', '.', ' ', "'"]);
+
+const SPACES = /[\u00a0\u202f ]/g;
+const CURRENCY_SYMBOL = /^\p{Sc}$/u;
+
+/**
+ * Normalizes a stored number format; null when the column has none.
+ * @param {Partial<NumberFormatOptions>|null|undefined} numberFormat
+ * @returns {NumberFormatOptions|null}
+ */
+export function resolveNumberFormatOptions(numberFormat) {
+  if (!numberFormat) return null;
+  const decimalSeparator = DECIMAL_SEPARATORS.includes(/** @type {any} */ (numberFormat.decimalSeparator))
+    ? numberFormat.decimalSeparator
+    : '.';
+  const groupSeparator = GROUP_SEPARATORS.includes(/** @type {any} */ (numberFormat.groupSeparator))
+    ? numberFormat.groupSeparator
+    : '';
+  const currency = String(numberFormat.currency ?? '').trim().toUpperCase();
+  return {
+    decimalSeparator: /** @type {NumberFormatOptions['decimalSeparator']} */ (decimalSeparator),
+    groupSeparator: /** @type {NumberFormatOptions['groupSeparator']} */ (groupSeparator),
+    ...(currency ? { currency } : {}),
+    ...(numberFormat.percent ? { percent: true } : {})
+  };
+}
+
+/**
+ * Checks a number format; returns the problem, or null when it is usable.
+ * @param {Partial<NumberFormatOptions>} numberFormat
+ * @returns {string|null}
+ */
+export function validateNumberFormat(numberFormat) {
+  const resolved = resolveNumberFormatOptions(numberFormat);
+  if (!resolved) return null;
+  if (resolved.groupSeparator === resolved.decimalSeparator) {
+    return 'Number format: the grouping and decimal separators must differ.';
+  }
+  if (resolved.currency && !/^[A-Z]{3}$/.test(resolved.currency)) {
+    return `Number format: "${resolved.currency}" is not a three-letter currency code.`;
+  }
+  return null;
+}
+
+/**
+ * Converts a formatted cell into a canonical xsd:decimal lexical form.
+ * Accounting negatives such as `(1,200)` are read as -1200.
+ * @param {string} value
+ * @param {Partial<NumberFormatOptions>} numberFormat
+ * @returns {string|null} null when the cell does not fit the format
+ */
+export function toFormattedDecimalLexical(value, numberFormat) {
+  const format = resolveNumberFormatOptions(numberFormat);
+  if (!format) return null;
+  let s = String(value ?? '').trim();
+
+  let negative = false;
+  const accounting = /^\((.*)\)$/.exec(s);
+  if (accounting) {
+    negative = true;
+    s = accounting[1].trim();
+  }
+
+  let isPercent = false;
+  // Sign, currency and percent may come in either order around the digits ("-$5", "$-5", "5 %").
+  for (let changed = true; changed;) {
+    changed = false;
+    const sign = /^([+-])\s*/.exec(s);
+    if (sign) {
+      if (sign[1] === '-') negative = !negative;
+      s = s.slice(sign[0].length);
+      changed = true;
+    }
+    if (format.currency) {
+      const stripped = stripCurrency(s, format.currency);
+      if (stripped === null) return null;
+      if (stripped !== s) {
+        s = stripped;
+        changed = true;
+      }
+    }
+    if (format.percent && !isPercent && /\s*%$/.test(s)) {
+      s = s.replace(/\s*%$/, '');
+      isPercent = true;
+      changed = true;
+    }
+  }
+
+  const parts = s.split(format.decimalSeparator);
+  if (parts.length > 2) return null;
+  const int = ungroup(parts[0], format.groupSeparator);
+  const frac = parts[1] ?? '';
+  if (int === null || !/^\d*$/.test(frac) || !(int || frac)) return null;
+
+  const digits = isPercent ? shiftDecimalLeft(int, frac, 2) : `${int}.${frac}`;
+  return toDecimalLexical(`${negative ? '-' : ''}${digits}`);
+}
+
+/**
+ * Removes a leading or trailing currency symbol or code. A different currency code fails.
+ * @param {string} s
+ * @param {string} currency
+ * @returns {string|null}
+ */
+function stripCurrency(s, currency) {
+  const lead = /^(\p{Sc}|[A-Za-z]{3})\s*/u.exec(s);
+  const trail = /\s*(\p{Sc}|[A-Za-z]{3})$/u.exec(s);
+  const match = lead || trail;
+  if (!match) return s;
+  if (!CURRENCY_SYMBOL.test(match[1]) && match[1].toUpperCase() !== currency) return null;
+  return lead ? s.slice(lead[0].length) : s.slice(0, s.length - match[0].length);
+}
+
+/**
+ * Removes grouping from an integer part, accepting groups of three ("1,234,567") and the
+ * Indian lakh grouping ("12,34,567").
+ * @param {string} int
+ * @param {string} groupSeparator
+ * @returns {string|null} digits only; null when grouping is malformed
+ */
+function ungroup(int, groupSeparator) {
+  if (/^\d*$/.test(int)) return int;
+  if (!groupSeparator) return null;
+  const groups = (groupSeparator === ' ' ? int.replace(SPACES, ' ') : int).split(groupSeparator);
+  const [first, ...rest] = groups;
+  const last = rest[rest.length - 1];
+  if (!/^\d{1,3}$/.test(first) || !/^\d{3}$/.test(last)) return null;
+  const middle = rest.slice(0, -1);
+  const thousands = middle.every((g) => /^\d{3}$/.test(g));
+  const lakh = first.length <= 2 && middle.every((g) => /^\d{2}$/.test(g));
+  return thousands || lakh ? groups.join('') : null;
+}
+
+/**
+ * Divides a decimal written as integer and fraction digits by 10^places.
+ * @param {string} int
+ * @param {string} frac
+ * @param {number} places
+ * @returns {string}
+ */
+function shiftDecimalLeft(int, frac, places) {
+  const padded = int.padStart(places + 1, '0');
+  return `${padded.slice(0, -places)}.${padded.slice(-places)}${frac}`;
+}
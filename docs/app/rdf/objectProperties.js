@@ -0,0 +1,122 @@
+/**
+ * @file Object-property columns: cells become IRIs instead of literals.
+ */
+
+import {
+  ensurePathIriBase,
+  looksLikeAbsoluteIri
+} from './schema.js';
+import { percentEncodeIriValue } from './iriTemplates.js';
+import {
+  buildLinkedRowIri,
+  buildTableIriSegment,
+  getLinkKeyColumn
+} from './rowIris.js';
+import { getSheetOptions } from '../state/sheetOptions.js';
+
+/**
+ * @typedef {import('./schema.js').ColumnSchema} ColumnSchema
+ * @typedef {import('./rowIris.js').RowIriOptions} RowIriOptions
+ * @typedef {import('../state/types.js').StagedFile} StagedFile
+ */
+
+/**
+ * - absolute: cells must already be absolute IRIs
+ * - base:     absolute IRIs are kept, other values are resolved against a base IRI
+ * - link:     values are key values of another staged table; cells become that table's row IRIs
+ * @typedef {'absolute'|'base'|'link'} ObjectPropertyMode
+ */
+
+/**
+ * @typedef {Object} ObjectPropertyOptions
+ * @property {ObjectPropertyMode} mode
+ * @property {string} [base]          // base mode; defaults to the instance base
+ * @property {string} [targetTable]   // link mode; a table id from buildTableId()
+ */
+
+/**
+ * @typedef {Object} LinkTarget
+ * @property {RowIriOptions} rowIri
+ * @property {string} tableSegment   // IRI segment of the table's rows (see buildTableIriSegment)
+ */
+
+/**
+ * @typedef {LinkTarget & {id: string, keyColumn: string}} LinkableTable   // keyColumn: column whose values identify rows of this table
+ */
+
+export const OBJECT_PROPERTY_MODES = Object.freeze(['absolute', 'base', 'link']);
+
+/**
+ * Identifies a staged table (a CSV/TSV file or one workbook sheet) for links between tables.
+ * @param {string} filename
+ * @param {string|null} sheetName
+ * @returns {string}
+ */
+export function buildTableId(filename, sheetName) {
+  return sheetName ? `${filename} › ${sheetName}` : filename;
+}
+
+/**
+ * True when a column's cells become IRIs (declared as owl:ObjectProperty).
+ * @param {ColumnSchema} schema
+ * @returns {boolean}
+ */
+export function isObjectPropertyColumn(schema) {
+  return Boolean(schema?.iriTemplate || schema?.objectProperty);
+}
+
+/**
+ * Lists staged tables that other tables can link to: those minting row IRIs from one key column.
+ * @param {StagedFile[]} stagedFiles
+ * @returns {LinkableTable[]}
+ */
+export function listLinkableTables(stagedFiles) {
+  /** @type {LinkableTable[]} */
+  const out = [];
+  for (const staged of stagedFiles || []) {
+    const sheetNames = staged.options?.sheetNames?.length ? staged.options.sheetNames : [null];
+    for (const sheetName of sheetNames) {
+      const rowIri = getSheetOptions(staged.options, sheetName)?.rowIri;
+      const keyColumn = getLinkKeyColumn(rowIri);
+      if (!keyColumn || !rowIri) continue;
+      out.push({
+        id: buildTableId(staged.file.name, sheetName),
+        keyColumn,
+        rowIri,
+        tableSegment: buildTableIriSegment(staged.file.name, sheetName)
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Creates the cell -> IRI function for one object-property column. Configuration problems
+ * (unknown or unlinkable target table) throw up front.
+ * @param {{
+ *   objectProperty: ObjectPropertyOptions,
+ *   baseInstanceIri: string,
+ *   linkTargets?: Record<string, LinkTarget>   // table id -> that table's row IRI options and segment
+ * }} params
+ * @returns {(value: string) => string|null} null when the cell cannot become an IRI
+ */
+export function createObjectIriResolver({ objectProperty, baseInstanceIri, linkTargets = {} }) {
+  const mode = OBJECT_PROPERTY_MODES.includes(objectProperty?.mode) ? objectProperty.mode : 'base';
+
+  if (mode === 'absolute') {
+    return (value) => (looksLikeAbsoluteIri(value) ? value : null);
+  }
+
+  if (mode === 'link') {
+    const table = String(objectProperty.targetTable || '');
+    const target = linkTargets[table];
+    if (!target) throw new Error(`Linked table "${table}" is not staged.`);
+    if (!getLinkKeyColumn(target.rowIri)) {
+      throw new Error(`Linked table "${table}" must mint row IRIs from a single key column (key or template strategy).`);
+    }
+    return (value) => buildLinkedRowIri(value, target.rowIri, baseInstanceIri, target.tableSegment);
+  }
+
+  const base = ensurePathIriBase(String(objectProperty?.base || '').trim() || baseInstanceIri);
+  return (value) => (looksLikeAbsoluteIri(value) ? value : `${base}${percentEncodeIriValue(value)}`);
+}
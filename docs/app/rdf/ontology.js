@@ -2,42 +2,60 @@
  * @file Generate a thin ontology artifact from Table Nova column schemas.
  */
 
+import { isObjectPropertyColumn } from './objectProperties.js';
+import { NO_VALUE_FOR_LOCAL_NAME } from '../tabular/nullValues.js';
+import { quadToRecord } from './buildDataset.js';
+
 /**
  * @typedef {import('./schema.js').ColumnSchema} ColumnSchema
+ * @typedef {import('./rowClass.js').RowClass} RowClass
  */
 
 const DEFAULT_PREFIXES = {
   tablenova: 'https://example.org/TableNova/',
   xsd: 'http://www.w3.org/2001/XMLSchema#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
   owl: 'http://www.w3.org/2002/07/owl#',
   rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
   dcterms: 'http://purl.org/dc/terms/'
 };
+const RDF_LIST = `${DEFAULT_PREFIXES.rdf}List`;
+const ROW_CLASS_COMMENT = 'Generated by Table Nova as the class of table rows.';
+// Annotation on amount columns (under the predicate base): the ISO 4217 currency stripped from their cells.
+const CURRENCY_LOCAL_NAME = 'currency';
+const CURRENCY_COMMENT = 'ISO 4217 currency of the amounts in a column, recorded by Table Nova.';
+const NO_VALUE_FOR_COMMENT = 'Links a row to a property it has no value for (an empty or null cell), as recorded by Table Nova.';
 
 /**
- * Builds ontology Turtle that annotates generated column predicates.
+ * Builds ontology Turtle that declares row classes and annotates generated column predicates.
  * @param {ColumnSchema[]} columnSchemas
  * @param {Record<string, string>} prefixes
+ * @param {string} [basePredicateIri]   // namespace of Table Nova annotation terms
  * @returns {string}
  */
-export function buildOntologyTurtle(columnSchemas, prefixes = DEFAULT_PREFIXES) {
+export function buildOntologyTurtle(columnSchemas, prefixes = DEFAULT_PREFIXES, basePredicateIri = DEFAULT_PREFIXES.tablenova) {
   const activePrefixes = { ...DEFAULT_PREFIXES, ...(prefixes || {}) };
-  const prefixText = ['tablenova', 'xsd', 'owl', 'rdfs', 'dcterms']
+  const prefixText = ['tablenova', 'xsd', 'rdf', 'owl', 'rdfs', 'dcterms']
     .filter((name) => activePrefixes[name])
     .map((name) => `@prefix ${name}: <${activePrefixes[name]}> .`)
     .join('\n');
 
-  const propertyBlocks = (columnSchemas || []).map((schema) => buildPropertyBlock(schema, activePrefixes));
-  return `${prefixText}\n\n${propertyBlocks.join('\n\n')}\n`;
+  const domains = resolvePredicateDomains(columnSchemas);
+  const classBlocks = collectRowClasses(columnSchemas).map((rowClass) => buildClassBlock(rowClass, activePrefixes));
+  const propertyBlocks = (columnSchemas || []).map((schema) => buildPropertyBlock(schema, activePrefixes, domains[schema.predicateIri], basePredicateIri));
+  const annotationBlocks = usedAnnotationProperties(columnSchemas, basePredicateIri).map(({ iri, comment }) =>
+    `${compactIri(iri, activePrefixes)} a owl:AnnotationProperty ;\n  rdfs:comment "${escapeTurtleLiteral(comment)}" .`);
+  return `${prefixText}\n\n${[...annotationBlocks, ...classBlocks, ...propertyBlocks].join('\n\n')}\n`;
 }
 
 /**
  * Builds ontology triples as an RDFJS dataset so the T-Box can use the same
  * serializers as instance data.
  * @param {ColumnSchema[]} columnSchemas
+ * @param {string} [basePredicateIri]   // namespace of Table Nova annotation terms
  * @returns {any}
  */
-export function buildOntologyDataset(columnSchemas) {
+export function buildOntologyDataset(columnSchemas, basePredicateIri = DEFAULT_PREFIXES.tablenova) {
   const N3 = /** @type {any} */ (globalThis).N3;
   if (!N3) {
     throw new Error('Global N3 not found. Ensure ./app/imports/n3.min.js is loaded before Table Nova modules.');
@@ -47,19 +65,47 @@ export function buildOntologyDataset(columnSchemas) {
   const store = new Store();
   const rdfType = DataFactory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
   const datatypeProperty = DataFactory.namedNode(DEFAULT_PREFIXES.owl + 'DatatypeProperty');
+  const objectProperty = DataFactory.namedNode(DEFAULT_PREFIXES.owl + 'ObjectProperty');
   const rdfsLabel = DataFactory.namedNode(DEFAULT_PREFIXES.rdfs + 'label');
   const rdfsRange = DataFactory.namedNode(DEFAULT_PREFIXES.rdfs + 'range');
+  const rdfsDomain = DataFactory.namedNode(DEFAULT_PREFIXES.rdfs + 'domain');
+  const owlClass = DataFactory.namedNode(DEFAULT_PREFIXES.owl + 'Class');
   const rdfsComment = DataFactory.namedNode(DEFAULT_PREFIXES.rdfs + 'comment');
   const dctermsIdentifier = DataFactory.namedNode(DEFAULT_PREFIXES.dcterms + 'identifier');
+  const currencyAnnotation = DataFactory.namedNode(`${basePredicateIri}${CURRENCY_LOCAL_NAME}`);
+
+  for (const { iri, comment } of usedAnnotationProperties(columnSchemas, basePredicateIri)) {
+    const subject = DataFactory.namedNode(iri);
+    store.addQuad(subject, rdfType, DataFactory.namedNode(DEFAULT_PREFIXES.owl + 'AnnotationProperty'));
+    store.addQuad(subject, rdfsComment, DataFactory.literal(comment));
+  }
 
+  for (const rowClass of collectRowClasses(columnSchemas)) {
+    const subject = DataFactory.namedNode(rowClass.iri);
+    store.addQuad(subject, rdfType, owlClass);
+    if (!rowClass.minted) continue;
+    store.addQuad(subject, rdfsLabel, DataFactory.literal(rowClass.label));
+    store.addQuad(subject, rdfsComment, DataFactory.literal(ROW_CLASS_COMMENT));
+  }
+
+  const domains = resolvePredicateDomains(columnSchemas);
   for (const schema of columnSchemas || []) {
     const subject = DataFactory.namedNode(schema.predicateIri);
     const identifier = schema.originalHeader || schema.key;
     const comment = `Generated by Table Nova from source column '${identifier}'.`;
 
-    store.addQuad(subject, rdfType, datatypeProperty);
+    const isList = Boolean(schema.multiValue?.asList);
+    const isObject = isList || isObjectPropertyColumn(schema);
+
+    store.addQuad(subject, rdfType, isObject ? objectProperty : datatypeProperty);
     store.addQuad(subject, rdfsLabel, DataFactory.literal(String(schema.label || '')));
-    store.addQuad(subject, rdfsRange, DataFactory.namedNode(schema.datatypeIri));
+    // Object properties point at IRIs, so the column datatype is not their range.
+    if (isList) store.addQuad(subject, rdfsRange, DataFactory.namedNode(RDF_LIST));
+    else if (!isObject) store.addQuad(subject, rdfsRange, DataFactory.namedNode(schema.datatypeIri));
+    const domain = domains[schema.predicateIri];
+    if (domain) store.addQuad(subject, rdfsDomain, DataFactory.namedNode(domain));
+    const currency = schema.numberFormat?.currency;
+    if (currency) store.addQuad(subject, currencyAnnotation, DataFactory.literal(currency));
     store.addQuad(subject, dctermsIdentifier, DataFactory.literal(String(identifier || '')));
     store.addQuad(subject, rdfsComment, DataFactory.literal(comment));
   }
@@ -70,47 +116,100 @@ export function buildOntologyDataset(columnSchemas) {
 /**
  * Converts ontology dataset quads into Table Nova display/storage records.
  * @param {any} dataset
- * @returns {Array<{s: string, p: string, g: string, oType: 'iri'|'literal', oValue: string, datatypeIri?: string, lang?: string}>}
+ * @returns {import('./buildDataset.js').QuadRecord[]}
  */
 export function ontologyRecordsFromDataset(dataset) {
   const quads = dataset?.getQuads ? dataset.getQuads(null, null, null, null) : [];
-  return quads.map((q) => {
-    const base = {
-      s: q.subject.value,
-      p: q.predicate.value,
-      g: q.graph?.termType === 'DefaultGraph' ? '' : q.graph?.value || ''
-    };
-    if (q.object.termType === 'NamedNode') {
-      return { ...base, oType: 'iri', oValue: q.object.value };
-    }
-    return {
-      ...base,
-      oType: 'literal',
-      oValue: q.object.value,
-      datatypeIri: q.object.datatype?.value,
-      lang: q.object.language || undefined
-    };
-  });
+  return quads.map(quadToRecord);
 }
 
 /**
  * @param {ColumnSchema} schema
  * @param {Record<string, string>} prefixes
+ * @param {string|null} [domainIri]   // row class shared by every table using the predicate
+ * @param {string} [basePredicateIri]   // namespace of Table Nova annotation terms
  * @returns {string}
  */
-export function buildPropertyBlock(schema, prefixes) {
+export function buildPropertyBlock(schema, prefixes, domainIri = null, basePredicateIri = DEFAULT_PREFIXES.tablenova) {
   const subject = compactIri(schema.predicateIri, prefixes);
-  const range = compactIri(schema.datatypeIri, prefixes);
+  const isList = Boolean(schema.multiValue?.asList);
+  const isObject = isList || isObjectPropertyColumn(schema);
   const identifier = schema.originalHeader || schema.key;
   const comment = `Generated by Table Nova from source column '${identifier}'.`;
+  const range = isList ? RDF_LIST : isObject ? '' : schema.datatypeIri;
+  const currency = schema.numberFormat?.currency;
 
-  return `${subject} a owl:DatatypeProperty ;\n` +
+  return `${subject} a ${isObject ? 'owl:ObjectProperty' : 'owl:DatatypeProperty'} ;\n` +
     `  rdfs:label "${escapeTurtleLiteral(schema.label)}" ;\n` +
-    `  rdfs:range ${range} ;\n` +
+    (range ? `  rdfs:range ${compactIri(range, prefixes)} ;\n` : '') +
+    (domainIri ? `  rdfs:domain ${compactIri(domainIri, prefixes)} ;\n` : '') +
+    (currency ? `  ${compactIri(`${basePredicateIri}${CURRENCY_LOCAL_NAME}`, prefixes)} "${escapeTurtleLiteral(currency)}" ;\n` : '') +
     `  dcterms:identifier "${escapeTurtleLiteral(identifier)}" ;\n` +
     `  rdfs:comment "${escapeTurtleLiteral(comment)}" .`;
 }
 
+/**
+ * @param {RowClass} rowClass
+ * @param {Record<string, string>} prefixes
+ * @returns {string}
+ */
+export function buildClassBlock(rowClass, prefixes) {
+  const subject = compactIri(rowClass.iri, prefixes);
+  if (!rowClass.minted) return `${subject} a owl:Class .`;
+  return `${subject} a owl:Class ;\n` +
+    `  rdfs:label "${escapeTurtleLiteral(rowClass.label)}" ;\n` +
+    `  rdfs:comment "${escapeTurtleLiteral(ROW_CLASS_COMMENT)}" .`;
+}
+
+/**
+ * Distinct row classes of the given columns, in first-use order.
+ * @param {ColumnSchema[]} columnSchemas
+ * @returns {RowClass[]}
+ */
+function collectRowClasses(columnSchemas) {
+  /** @type {Map<string, RowClass>} */
+  const byIri = new Map();
+  for (const schema of columnSchemas || []) {
+    if (schema.rowClass && !byIri.has(schema.rowClass.iri)) byIri.set(schema.rowClass.iri, schema.rowClass);
+  }
+  return [...byIri.values()];
+}
+
+/**
+ * Table Nova annotation properties the columns use: the currency of amount columns and the
+ * "no value" marker of columns that state missing cells.
+ * @param {ColumnSchema[]} columnSchemas
+ * @param {string} basePredicateIri
+ * @returns {Array<{iri: string, comment: string}>}
+ */
+function usedAnnotationProperties(columnSchemas, basePredicateIri) {
+  const schemas = columnSchemas || [];
+  return [
+    ...(schemas.some((schema) => schema.numberFormat?.currency)
+      ? [{ iri: `${basePredicateIri}${CURRENCY_LOCAL_NAME}`, comment: CURRENCY_COMMENT }]
+      : []),
+    ...(schemas.some((schema) => schema.emptyCell === 'marker')
+      ? [{ iri: `${basePredicateIri}${NO_VALUE_FOR_LOCAL_NAME}`, comment: NO_VALUE_FOR_COMMENT }]
+      : [])
+  ];
+}
+
+/**
+ * rdfs:domain per predicate. Several domains would mean their intersection, so a predicate used
+ * by tables with different (or no) row classes gets no domain.
+ * @param {ColumnSchema[]} columnSchemas
+ * @returns {Record<string, string|null>} predicate IRI -> class IRI
+ */
+function resolvePredicateDomains(columnSchemas) {
+  /** @type {Record<string, string|null>} */
+  const out = {};
+  for (const schema of columnSchemas || []) {
+    const classIri = schema.rowClass?.iri || null;
+    out[schema.predicateIri] = schema.predicateIri in out && out[schema.predicateIri] !== classIri ? null : classIri;
+  }
+  return out;
+}
+
 /**
  * Compacts an IRI to a prefixed name when possible.
  * @param {string} iri
@@ -0,0 +1,134 @@
+/**
+ * @file Provenance statements about run graphs (PROV-O).
+ *
+ * Every run graph is a prov:Entity generated by one conversion activity, which used the source
+ * file and was carried out by a versioned Table Nova software agent. The records live in the run
+ * graph itself and are exported as their own output scope.
+ */
+
+import { TABLENOVA_VERSION } from '../state/defaults.js';
+
+export const PROV = 'http://www.w3.org/ns/prov#';
+export const PROV_WAS_REVISION_OF = `${PROV}wasRevisionOf`;
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDF_JSON = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#JSON';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+const DCTERMS = 'http://purl.org/dc/terms/';
+const DCAT_BYTE_SIZE = 'http://www.w3.org/ns/dcat#byteSize';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * @typedef {import('./buildDataset.js').QuadRecord} QuadRecord
+ * @typedef {import('../state/types.js').FileOptions} FileOptions
+ */
+
+/**
+ * @typedef {Object} RunProvenance
+ * @property {string} graphIri
+ * @property {string|null} [previousGraphIri]
+ * @property {{name: string, size: number, sha256: string}} source
+ * @property {FileOptions} options                                          // file-level options of the run
+ * @property {Array<{sheetName: string|null, options: FileOptions}>} tables   // effective options of each converted table
+ * @property {Date} startedAt
+ * @property {Date} endedAt
+ * @property {string} basePredicateIri   // namespace of the tablenova: provenance terms
+ * @property {string} [softwareVersion]
+ */
+
+/**
+ * States, inside the run graph, that it revises an earlier run of the same source.
+ * @param {string} graphIri
+ * @param {string} previousGraphIri
+ * @returns {QuadRecord}
+ */
+export function buildRevisionQuadRecord(graphIri, previousGraphIri) {
+  return { s: graphIri, p: PROV_WAS_REVISION_OF, g: graphIri, oType: 'iri', oValue: previousGraphIri };
+}
+
+/**
+ * Builds the PROV-O description of one run: the run graph, the activity that generated it, the
+ * source file it was derived from and the software agent. The activity records the file-level
+ * header, predicate and datatype settings as plain values; the exact options of every converted
+ * table (sheet overrides included) are kept as one rdf:JSON configuration literal.
+ * @param {RunProvenance} provenance
+ * @returns {QuadRecord[]}
+ */
+export function buildProvenanceRecords({
+  graphIri,
+  previousGraphIri = null,
+  source,
+  options,
+  tables,
+  startedAt,
+  endedAt,
+  basePredicateIri,
+  softwareVersion = TABLENOVA_VERSION
+}) {
+  const activity = `${graphIri}/activity`;
+  const sourceIri = `${graphIri}/source`;
+  const agent = `${basePredicateIri}agent/TableNova-${softwareVersion}`;
+  /** @type {QuadRecord[]} */
+  const records = [];
+  /**
+   * @param {string} s
+   * @param {string} p
+   * @param {string} o
+   */
+  const iri = (s, p, o) => records.push({ s, p, g: graphIri, oType: 'iri', oValue: o });
+  /**
+   * @param {string} s
+   * @param {string} p
+   * @param {any} value
+   * @param {string} [datatypeIri]
+   */
+  const literal = (s, p, value, datatypeIri) => records.push({
+    s, p, g: graphIri, oType: 'literal', oValue: String(value), ...(datatypeIri ? { datatypeIri } : {})
+  });
+
+  iri(graphIri, RDF_TYPE, `${PROV}Entity`);
+  iri(graphIri, `${PROV}wasGeneratedBy`, activity);
+  iri(graphIri, `${PROV}wasDerivedFrom`, sourceIri);
+  literal(graphIri, `${PROV}generatedAtTime`, endedAt.toISOString(), `${XSD}dateTime`);
+  if (previousGraphIri) records.push(buildRevisionQuadRecord(graphIri, previousGraphIri));
+
+  iri(sourceIri, RDF_TYPE, `${PROV}Entity`);
+  literal(sourceIri, `${DCTERMS}title`, source.name);
+  literal(sourceIri, DCAT_BYTE_SIZE, Number(source.size) || 0, `${XSD}nonNegativeInteger`);
+  literal(sourceIri, `${basePredicateIri}sha256`, source.sha256);
+
+  iri(agent, RDF_TYPE, `${PROV}SoftwareAgent`);
+  literal(agent, RDFS_LABEL, `Table Nova ${softwareVersion}`);
+  literal(agent, `${DCTERMS}hasVersion`, softwareVersion);
+
+  iri(activity, RDF_TYPE, `${PROV}Activity`);
+  iri(activity, `${PROV}used`, sourceIri);
+  iri(activity, `${PROV}wasAssociatedWith`, agent);
+  literal(activity, `${PROV}startedAtTime`, startedAt.toISOString(), `${XSD}dateTime`);
+  literal(activity, `${PROV}endedAtTime`, endedAt.toISOString(), `${XSD}dateTime`);
+  for (const { sheetName } of tables) {
+    if (sheetName) literal(activity, `${basePredicateIri}sheet`, sheetName);
+  }
+  literal(activity, `${basePredicateIri}treatFirstRowAsHeader`, Boolean(options.treatFirstRowAsHeader), `${XSD}boolean`);
+  if (options.treatFirstRowAsHeader) {
+    literal(activity, `${basePredicateIri}headerRowNumber`, Number(options.headerRowNumber) || 1, `${XSD}integer`);
+  }
+  literal(activity, `${basePredicateIri}predicateCasing`, options.predicate?.casing || 'camelCase');
+  literal(activity, `${basePredicateIri}predicatePrefixHas`, options.predicate?.prefixHas !== false, `${XSD}boolean`);
+  literal(activity, `${basePredicateIri}nonAsciiHandling`, options.predicate?.nonAscii || 'transliterate');
+  literal(activity, `${basePredicateIri}inferDatatypes`, options.inferDatatypes !== false, `${XSD}boolean`);
+  if (options.invalidCellPolicy) literal(activity, `${basePredicateIri}invalidCellPolicy`, options.invalidCellPolicy);
+  literal(activity, `${basePredicateIri}configuration`, JSON.stringify(tables.map(toConfigurationEntry)), RDF_JSON);
+
+  return records;
+}
+
+/**
+ * The settings of one table that decide its RDF; staging state such as the preview is left out.
+ * @param {{sheetName: string|null, options: FileOptions}} table
+ * @returns {Record<string, any>}
+ */
+function toConfigurationEntry({ sheetName, options }) {
+  const { preview, sheetNames, selectedSheetName, sheetsToRun, sheets, ...rest } = /** @type {any} */ (options);
+  return { sheet: sheetName, ...rest };
+}
@@ -0,0 +1,79 @@
+/**
+ * @file Row classes: the rdf:type given to every row subject of a table.
+ */
+
+import {
+  looksLikeAbsoluteIri,
+  splitHeaderTokens,
+  toIriLocalName,
+  toTitleToken
+} from './schema.js';
+
+/**
+ * - none: rows get no rdf:type
+ * - mint: a class in the Table Nova namespace, named after `name` (or the sheet / file)
+ * - iri:  an existing class IRI, e.g. `https://schema.org/Person`
+ * @typedef {'none'|'mint'|'iri'} RowClassMode
+ */
+
+/**
+ * @typedef {Object} RowClassOptions
+ * @property {RowClassMode} mode
+ * @property {string} name   // mint: class name; empty = sheet or file name
+ * @property {string} iri    // iri: the existing class
+ */
+
+/**
+ * @typedef {Object} RowClass
+ * @property {string} iri
+ * @property {string} label
+ * @property {boolean} minted   // true when Table Nova coined the class (and so declares its label)
+ */
+
+export const ROW_CLASS_MODES = Object.freeze(['none', 'mint', 'iri']);
+
+/**
+ * Normalizes stored row class options.
+ * @param {Partial<RowClassOptions>|null|undefined} rowClass
+ * @returns {RowClassOptions}
+ */
+export function resolveRowClassOptions(rowClass) {
+  const mode = ROW_CLASS_MODES.includes(/** @type {any} */ (rowClass?.mode)) ? rowClass.mode : 'none';
+  return {
+    mode: /** @type {RowClassMode} */ (mode),
+    name: String(rowClass?.name ?? '').trim(),
+    iri: String(rowClass?.iri ?? '').trim()
+  };
+}
+
+/**
+ * Resolves a table's row class. An existing class IRI that is not absolute throws. Minted class
+ * names are title-cased like PascalCase predicates, with the same naming dictionary, so
+ * acronyms stay upper case (`NAICS codes` -> `NAICSCodes`).
+ * @param {{
+ *   rowClass?: Partial<RowClassOptions>|null,
+ *   baseClassIri: string,
+ *   fallbackName: string,   // sheet name, or the file name without extension
+ *   nonAscii?: import('../state/types.js').NonAsciiHandling,   // for the minted local name; the label keeps its script
+ *   naming?: import('./naming.js').NamingDictionary            // project naming dictionary
+ * }} params
+ * @returns {RowClass|null} null when rows get no rdf:type
+ */
+export function buildRowClass({ rowClass, baseClassIri, fallbackName, nonAscii = 'transliterate', naming }) {
+  const { mode, name, iri } = resolveRowClassOptions(rowClass);
+  if (mode === 'none') return null;
+
+  if (mode === 'iri') {
+    if (!looksLikeAbsoluteIri(iri)) throw new Error(`Row class: "${iri}" is not an absolute IRI.`);
+    return { iri, label: iri, minted: false };
+  }
+
+  const source = name || fallbackName;
+  const words = splitHeaderTokens(source, naming).map(toTitleToken);
+  const localName = toIriLocalName(words.join(''), nonAscii) || 'Row';
+  return {
+    iri: `${String(baseClassIri ?? '')}${localName}`,
+    label: words.join(' ') || 'Row',
+    minted: true
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * @file Row subject minting strategies: random (UUID), key columns, a row-content hash, an IRI template,
+ * or anonymous blank nodes.
+ */
+
+import {
+  buildRowInstanceIri,
+  ensurePathIriBase,
+  toIriLocalName,
+  transliterateToAscii
+} from './schema.js';
+import {
+  expandIriTemplate,
+  parseIriTemplate,
+  rowValuesByKey,
+  validateIriTemplate
+} from './iriTemplates.js';
+
+/**
+ * - minted: row number + random UUID (new subjects on every run)
+ * - key:    values of one or more key columns, under the table's segment (`customers.csv/42`)
+ * - hash:   SHA-256 of the row's cell values, under the table's segment
+ * - template: an RML-style template such as `https://data.example.org/person/{EmployeeID}`
+ * - blank:  a blank node per row, for anonymous records (no IRI; other tables cannot link to them)
+ * @typedef {'minted'|'key'|'hash'|'template'|'blank'} RowIriStrategy
+ */
+
+/**
+ * @typedef {Object} RowIriOptions
+ * @property {RowIriStrategy} strategy
+ * @property {string[]} keyColumns   // column keys, in the order their values are joined
+ * @property {string} template       // IRI template (template strategy)
+ */
+
+/**
+ * @typedef {Object} RowIriCollision
+ * @property {string} iri            // IRI both rows would have received
+ * @property {number} rowIndex       // zero-based data row that collided
+ * @property {number} firstRowIndex  // zero-based data row that minted the IRI first
+ * @property {string} resolvedIri    // suffixed IRI used for the colliding row
+ */
+
+export const ROW_IRI_STRATEGIES = Object.freeze(['minted', 'key', 'hash', 'template', 'blank']);
+/** Hex characters of the SHA-256 digest kept in hash-based IRIs (128 bits). */
+const ROW_HASH_HEX_LENGTH = 32;
+// Joins cell values before hashing; unlikely to appear in cell text.
+const HASH_FIELD_SEPARATOR = '\u001f';
+
+/**
+ * Normalizes stored row IRI options.
+ * @param {Partial<RowIriOptions>|null|undefined} rowIri
+ * @returns {RowIriOptions}
+ */
+export function resolveRowIriOptions(rowIri) {
+  const strategy = ROW_IRI_STRATEGIES.includes(/** @type {any} */ (rowIri?.strategy)) ? rowIri.strategy : 'minted';
+  const keyColumns = Array.isArray(rowIri?.keyColumns) ? rowIri.keyColumns.filter(Boolean) : [];
+  const template = String(rowIri?.template ?? '').trim();
+  return { strategy: /** @type {RowIriStrategy} */ (strategy), keyColumns, template };
+}
+
+/**
+ * Turns a cell value into an IRI path segment: keeps unreserved characters (case preserved) and
+ * collapses other ASCII characters into single hyphens. Latin letters are spelled in ASCII
+ * (`Zoë` -> `Zoe`); other letters are percent-encoded (`東京` -> `%E6%9D%B1%E4%BA%AC`), so
+ * non-Latin keys still give value-based IRIs.
+ * @param {string} value
+ * @returns {string}
+ */
+export function toIriSlug(value) {
+  const slug = transliterateToAscii(String(value ?? ''))
+    .trim()
+    .replace(/[^A-Za-z0-9._~\u0080-\uffff]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  return toIriLocalName(slug);
+}
+
+/**
+ * The IRI path segment that keeps key, hash and ordinal row IRIs of one table apart from those of
+ * other tables under the same instance base: the file name, plus the sheet for workbook sheets
+ * (`book.xlsx/Customers`). Key `1` in customers.csv and in products.csv are different rows.
+ * @param {string} filename
+ * @param {string|null} [sheetName]
+ * @returns {string}
+ */
+export function buildTableIriSegment(filename, sheetName = null) {
+  return [filename, sheetName].map((part) => toIriSlug(part ?? '')).filter(Boolean).join('/');
+}
+
+/**
+ * Returns the single column a table's row IRIs are minted from, or null when its IRIs cannot be
+ * derived from one cell value (minted, hash and blank strategies, multi-column keys or templates).
+ * Other tables can link to rows of such a table by that column's value.
+ * @param {Partial<RowIriOptions>|null|undefined} rowIri
+ * @returns {string|null}
+ */
+export function getLinkKeyColumn(rowIri) {
+  const { strategy, keyColumns, template } = resolveRowIriOptions(rowIri);
+  if (strategy === 'key') return keyColumns.length === 1 ? keyColumns[0] : null;
+  if (strategy !== 'template') return null;
+  try {
+    const columns = new Set(parseIriTemplate(template).filter((p) => 'column' in p).map((p) => /** @type {{column: string}} */ (p).column));
+    return columns.size === 1 ? [...columns][0] : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Builds the IRI a row of another table has for a given key value, without reading that table.
+ * Collision suffixes in the target table are not reflected.
+ * @param {string} value
+ * @param {Partial<RowIriOptions>} rowIri          // the target table's row IRI options
+ * @param {string} baseInstanceIri
+ * @param {string} [tableSegment]                  // the target table's `buildTableIriSegment`
+ * @returns {string|null} null when the value yields no IRI
+ */
+export function buildLinkedRowIri(value, rowIri, baseInstanceIri, tableSegment = '') {
+  const column = getLinkKeyColumn(rowIri);
+  if (!column) throw new Error('Linked table does not mint row IRIs from a single key column.');
+  const { strategy, template } = resolveRowIriOptions(rowIri);
+  const base = ensurePathIriBase(baseInstanceIri);
+  if (strategy === 'key') {
+    const slug = toIriSlug(value);
+    return slug ? `${toTableIriBase(base, tableSegment)}${slug}` : null;
+  }
+  return expandIriTemplate(template, { [column]: value }, base);
+}
+
+/**
+ * True when rows become blank nodes rather than IRIs.
+ * @param {Partial<RowIriOptions>|null|undefined} rowIri
+ * @returns {boolean}
+ */
+export function isBlankRowSubject(rowIri) {
+  return resolveRowIriOptions(rowIri).strategy === 'blank';
+}
+
+/**
+ * Hashes a row's cell values (SHA-256, hex).
+ * @param {string[]} row
+ * @returns {Promise<string>}
+ */
+export async function hashRowValues(row) {
+  const text = (row || []).map((v) => String(v ?? '').trim()).join(HASH_FIELD_SEPARATOR);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates a row IRI minter for one table. Key and hash strategies are deterministic: the same
+ * rows always receive the same IRIs, placed under the table's segment so that equal keys of
+ * different tables stay different subjects. When two rows would share an IRI, the later row gets a
+ * `-2`, `-3`, ... suffix and the collision is recorded. Blank-node rows are labelled by the
+ * dataset builder instead; the minter is not asked for them.
+ * @param {{
+ *   baseInstanceIri: string,
+ *   rowIri?: Partial<RowIriOptions>,
+ *   columnKeys?: string[],
+ *   tableSegment?: string   // from buildTableIriSegment
+ * }} params
+ * @returns {{
+ *   mint: (row: string[], rowIndex: number) => Promise<string>,
+ *   getCollisions: () => RowIriCollision[]
+ * }}
+ */
+export function createRowIriMinter({ baseInstanceIri, rowIri, columnKeys = [], tableSegment = '' }) {
+  const { strategy, keyColumns, template } = resolveRowIriOptions(rowIri);
+  const base = ensurePathIriBase(baseInstanceIri);
+  const tableBase = toTableIriBase(base, tableSegment);
+  const keyIndexes = keyColumns.map((key) => columnKeys.indexOf(key)).filter((i) => i >= 0);
+  if (strategy === 'key' && keyIndexes.length === 0) {
+    throw new Error('Row IRIs: choose at least one key column, or switch to another strategy.');
+  }
+  if (strategy === 'template') {
+    const problems = validateIriTemplate(template, columnKeys);
+    if (problems.length > 0) throw new Error(`Row IRIs: ${problems[0]}`);
+  }
+
+  /** @type {Map<string, number>} iri -> first row index */
+  const firstRowByIri = new Map();
+  /** @type {RowIriCollision[]} */
+  const collisions = [];
+
+  /**
+   * A row with blank key (or template) values still gets a stable IRI from its position.
+   * @param {number} rowIndex
+   * @returns {string}
+   */
+  function rowOrdinalIri(rowIndex) {
+    return `${tableBase}row-${String(rowIndex + 1).padStart(6, '0')}`;
+  }
+
+  /**
+   * @param {string[]} row
+   * @param {number} rowIndex
+   * @returns {Promise<string>}
+   */
+  async function mintCandidate(row, rowIndex) {
+    if (strategy === 'hash') {
+      return `${tableBase}row-${(await hashRowValues(row)).slice(0, ROW_HASH_HEX_LENGTH)}`;
+    }
+    if (strategy === 'key') {
+      const slug = keyIndexes.map((i) => toIriSlug(row?.[i] ?? '')).filter(Boolean).join('-');
+      return slug ? `${tableBase}${slug}` : rowOrdinalIri(rowIndex);
+    }
+    if (strategy === 'template') {
+      return expandIriTemplate(template, rowValuesByKey(columnKeys, row), base) || rowOrdinalIri(rowIndex);
+    }
+    return buildRowInstanceIri({ baseInstanceIri, rowIndex });
+  }
+
+  /**
+   * @param {string[]} row
+   * @param {number} rowIndex
+   * @returns {Promise<string>}
+   */
+  async function mint(row, rowIndex) {
+    const candidate = await mintCandidate(row, rowIndex);
+    if (!firstRowByIri.has(candidate)) {
+      firstRowByIri.set(candidate, rowIndex);
+      return candidate;
+    }
+
+    let n = 2;
+    while (firstRowByIri.has(`${candidate}-${n}`)) n += 1;
+    const resolvedIri = `${candidate}-${n}`;
+    firstRowByIri.set(resolvedIri, rowIndex);
+    collisions.push({ iri: candidate, rowIndex, firstRowIndex: /** @type {number} */ (firstRowByIri.get(candidate)), resolvedIri });
+    return resolvedIri;
+  }
+
+  return Object.freeze({
+    mint,
+    getCollisions: () => collisions.slice()
+  });
+}
+
+/**
+ * The base under which a table's key, hash and ordinal row IRIs are minted.
+ * @param {string} base         // instance base ending in `/`
+ * @param {string} tableSegment
+ * @returns {string}
+ */
+function toTableIriBase(base, tableSegment) {
+  return tableSegment ? `${base}${tableSegment}/` : base;
+}
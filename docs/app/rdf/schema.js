@@ -2,13 +2,41 @@
  * @file Table Nova RDF schema helpers (IRI + predicate building, literals).
  */
 
+import { resolveMultiValueOptions } from '../tabular/multiValues.js';
+import {
+  columnNullTokens,
+  resolveEmptyCellPolicy
+} from '../tabular/nullValues.js';
+import {
+  normalizeLanguageTag,
+  toLexicalForm
+} from './datatypes.js';
+import {
+  dateOutputDatatypeIri,
+  resolveDateFormatOptions
+} from './datePatterns.js';
+import {
+  EMPTY_NAMING_DICTIONARY,
+  symbolReplacements
+} from './naming.js';
+import { resolveNumberFormatOptions } from './numberFormats.js';
+
 /**
  * @typedef {import('../state/types.js').PredicateOptions} PredicateOptions
  * @typedef {import('../state/types.js').HeaderStyle} HeaderStyle
+ * @typedef {import('../state/types.js').NonAsciiHandling} NonAsciiHandling
  */
 
 const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+const XSD_DECIMAL = 'http://www.w3.org/2001/XMLSchema#decimal';
+export const RDF_LANGSTRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
 const SIMPLE_ACRONYMS = new Set(['ID', 'IRI', 'URI', 'URL', 'UUID', 'API', 'CSV', 'TSV', 'JSON', 'XML', 'HTML', 'RDF', 'RDFS', 'OWL']);
+export const NON_ASCII_HANDLINGS = Object.freeze(['transliterate', 'keep']);
+/** Letters that Unicode decomposition leaves alone but have a common ASCII spelling. */
+const ASCII_LETTERS = Object.freeze({
+  ß: 'ss', ẞ: 'SS', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L',
+  đ: 'd', Đ: 'D', ð: 'd', Ð: 'D', þ: 'th', Þ: 'TH', ı: 'i', ħ: 'h', Ħ: 'H'
+});
 
 /**
  * @typedef {Object} ColumnSchema
@@ -21,6 +49,15 @@ const SIMPLE_ACRONYMS = new Set(['ID', 'IRI', 'URI', 'URL', 'UUID', 'API', 'CSV'
  * @property {string} predicateLocalName
  * @property {string} predicateIri
  * @property {string} datatypeIri
+ * @property {string} [lang]          // BCP 47 tag; cells become rdf:langString literals
+ * @property {string} [iriTemplate]   // when set, cells become IRIs from this template instead of literals
+ * @property {import('./objectProperties.js').ObjectPropertyOptions} [objectProperty]   // cells become IRIs
+ * @property {import('../tabular/multiValues.js').MultiValueOptions} [multiValue]   // cells hold several values
+ * @property {import('./datePatterns.js').DateFormatOptions} [dateFormat]   // cells are parsed with this pattern
+ * @property {import('./numberFormats.js').NumberFormatOptions} [numberFormat]   // cells are formatted xsd:decimal amounts
+ * @property {string[]} [nullTokens]   // cell values read as missing
+ * @property {import('../tabular/nullValues.js').EmptyCellPolicy} [emptyCell]   // set unless missing cells are skipped
+ * @property {import('./rowClass.js').RowClass} [rowClass]   // rdf:type of the table's rows; the predicate's domain
  */
 
 /**
@@ -43,16 +80,42 @@ export function slugify(s) {
 }
 
 /**
- * Builds a run graph IRI that encodes filename and UTC midnight date stamp.
- * @param {{baseRunIri: string, filename: string, now: Date}} params
+ * Builds a run graph IRI that encodes the UTC date, the source file and the run version,
+ * e.g. `run#/2026-03-04/customers-csv/v2`.
+ * @param {{baseRunIri: string, filename: string, now: Date, version?: number}} params
  * @returns {string}
  */
-export function buildRunGraphIri({ baseRunIri, filename, now }) {
+export function buildRunGraphIri({ baseRunIri, filename, now, version = 1 }) {
   const utc = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
   const date = utc.toISOString().slice(0, 10); // YYYY-MM-DD
-  const file = slugify(filename.replace(/\.[^.]+$/, ''));
   const base = ensureTrailingSlash(baseRunIri);
-  return `${base}${date}/${file}`;
+  return `${base}${date}/${runSourceKey(filename)}/v${Math.max(1, Math.floor(Number(version) || 1))}`;
+}
+
+/**
+ * The slug that identifies a source file across runs. The extension is part of it, so
+ * `orders.csv` and `orders.xlsx` keep separate version chains.
+ * @param {string} filename
+ * @returns {string}
+ */
+export function runSourceKey(filename) {
+  return slugify(filename);
+}
+
+/**
+ * Builds one named graph IRI per sheet under a run graph IRI (slug collisions get a suffix).
+ * @param {string} runGraphIri
+ * @param {string[]} sheetNames
+ * @returns {Record<string, string>} sheetName -> graph IRI
+ */
+export function buildSheetGraphIris(runGraphIri, sheetNames) {
+  const slugs = dedupeKeys((sheetNames || []).map((name) => slugify(name)));
+  /** @type {Record<string, string>} */
+  const out = {};
+  (sheetNames || []).forEach((name, i) => {
+    out[name] = `${ensureTrailingSlash(runGraphIri)}${slugs[i]}`;
+  });
+  return out;
 }
 
 /**
@@ -79,11 +142,10 @@ export function buildColumnKeys(header, rows, treatFirstRowAsHeader) {
     return dedupeKeys(header.map((h) => (String(h ?? '').trim() || 'Column')));
   }
 
-  const counts = [
-    Array.isArray(header) ? header.length : 0,
-    ...(rows || []).map((r) => (Array.isArray(r) ? r.length : 0))
-  ];
-  const max = Math.max(0, ...counts);
+  const max = (rows || []).reduce(
+    (widest, r) => Math.max(widest, Array.isArray(r) ? r.length : 0),
+    Array.isArray(header) ? header.length : 0
+  );
   return Array.from({ length: max }, (_, i) => `Column${toExcelLetters(i)}`);
 }
 
@@ -149,7 +211,8 @@ export function buildPredicateLocalName(columnKey, predicateOptions) {
 }
 
 /**
- * Builds a predicate local name from already-normalized header tokens.
+ * Builds a predicate local name from already-normalized header tokens, made IRI-safe
+ * according to `predicateOptions.nonAscii`.
  * @param {string[]} tokens
  * @param {PredicateOptions} predicateOptions
  * @returns {string}
@@ -161,11 +224,13 @@ export function buildPredicateLocalNameFromTokens(tokens, predicateOptions) {
   const effective = prefixHas ? ['has', ...words] : words;
 
   if (effective.length === 0) return casing === 'PascalCase' ? 'Value' : casing === 'SHOUT_CASE' ? 'VALUE' : 'value';
-  if (casing === 'snake_case') return effective.map((t) => t.toLowerCase()).join('_');
-  if (casing === 'SHOUT_CASE') return effective.map((t) => t.toUpperCase()).join('_');
-  if (casing === 'PascalCase') return effective.map(toPredicatePascalToken).join('');
+  let name;
+  if (casing === 'snake_case') name = effective.map((t) => t.toLowerCase()).join('_');
+  else if (casing === 'SHOUT_CASE') name = effective.map((t) => t.toUpperCase()).join('_');
+  else if (casing === 'PascalCase') name = effective.map(toTitleToken).join('');
   // default camelCase
-  return [effective[0].toLowerCase(), ...effective.slice(1).map(toPredicatePascalToken)].join('');
+  else name = [effective[0].toLowerCase(), ...effective.slice(1).map(toTitleToken)].join('');
+  return toIriLocalName(name, predicateOptions?.nonAscii);
 }
 
 /**
@@ -196,7 +261,20 @@ export function capitalize(token) {
  *   predicateOptions: PredicateOptions,
  *   basePredicateIri: string,
  *   datatypesByColumnKey?: Record<string, string>,
- *   columnSchemaOverridesByKey?: Record<string, {label?: string, predicateLocalName?: string}>
+ *   columnSchemaOverridesByKey?: Record<string, {label?: string, predicateLocalName?: string}>,
+ *   iriTemplatesByColumnKey?: Record<string, string>,
+ *   objectPropertiesByColumnKey?: Record<string, import('./objectProperties.js').ObjectPropertyOptions>,
+ *   languagesByColumnKey?: Record<string, string>,
+ *   multiValuesByColumnKey?: Record<string, import('../tabular/multiValues.js').MultiValueOptions>,
+ *   dateFormatsByColumnKey?: Record<string, import('./datePatterns.js').DateFormatOptions>,
+ *   numberFormatsByColumnKey?: Record<string, import('./numberFormats.js').NumberFormatOptions>,
+ *   nullTokens?: string[],
+ *   nullTokensByColumnKey?: Record<string, string[]>,
+ *   emptyCellPolicy?: import('../tabular/nullValues.js').EmptyCellPolicy,
+ *   emptyCellPoliciesByColumnKey?: Record<string, import('../tabular/nullValues.js').EmptyCellPolicy>,
+ *   rowClass?: import('./rowClass.js').RowClass|null,
+ *   detectHeaderLanguages?: boolean,
+ *   naming?: import('./naming.js').NamingDictionary   // project acronyms, stop words and replacements
  * }} params
  * @returns {ColumnSchema[]}
  */
@@ -207,22 +285,57 @@ export function buildColumnSchemas({
   predicateOptions,
   basePredicateIri,
   datatypesByColumnKey = {},
-  columnSchemaOverridesByKey = {}
+  columnSchemaOverridesByKey = {},
+  iriTemplatesByColumnKey = {},
+  objectPropertiesByColumnKey = {},
+  languagesByColumnKey = {},
+  multiValuesByColumnKey = {},
+  dateFormatsByColumnKey = {},
+  numberFormatsByColumnKey = {},
+  nullTokens = [],
+  nullTokensByColumnKey = {},
+  emptyCellPolicy = 'skip',
+  emptyCellPoliciesByColumnKey = {},
+  rowClass = null,
+  detectHeaderLanguages = false,
+  naming = EMPTY_NAMING_DICTIONARY
 }) {
   const keys = buildColumnKeys(header, rows, treatFirstRowAsHeader);
   /** @type {Record<string, number>} */
   const usedLocalNames = {};
+  // Language variants of one column ("Name (de)", "Name (en)") share a predicate.
+  /** @type {Record<string, {localName: string, langs: Set<string>}>} */
+  const languageGroups = {};
 
   return keys.map((key, index) => {
     const source = getOriginalHeaderForColumn(header, key, index, treatFirstRowAsHeader);
-    const detectedStyle = detectHeaderStyle(source);
-    const tokens = splitHeaderTokens(source);
-    const inferredLabel = buildHumanLabel(tokens, source);
+    const headerLanguage = detectHeaderLanguages ? detectHeaderLanguage(source) : null;
+    const nameSource = headerLanguage ? headerLanguage.name : source;
+    const detectedStyle = detectHeaderStyle(nameSource);
+    const tokens = splitHeaderTokens(nameSource, naming);
+    const inferredLabel = buildHumanLabel(tokens, nameSource);
     const inferredLocal = buildPredicateLocalNameFromTokens(tokens, predicateOptions);
     const override = columnSchemaOverridesByKey?.[key] || {};
     const label = String(override.label ?? inferredLabel).trim() || inferredLabel;
-    const baseLocalName = sanitizePredicateLocalName(override.predicateLocalName ?? inferredLocal) || inferredLocal;
-    const predicateLocalName = uniquePredicateLocalName(baseLocalName, usedLocalNames);
+    const baseLocalName = sanitizePredicateLocalName(override.predicateLocalName ?? inferredLocal, predicateOptions?.nonAscii) || inferredLocal;
+    const lang = normalizeLanguageTag(languagesByColumnKey?.[key]) || headerLanguage?.lang || null;
+
+    const group = lang ? languageGroups[baseLocalName] : undefined;
+    let predicateLocalName;
+    if (group && !group.langs.has(lang)) {
+      predicateLocalName = group.localName;
+      group.langs.add(lang);
+    } else {
+      predicateLocalName = uniquePredicateLocalName(baseLocalName, usedLocalNames);
+      if (lang && !group) languageGroups[baseLocalName] = { localName: predicateLocalName, langs: new Set([lang]) };
+    }
+    const iriTemplate = String(iriTemplatesByColumnKey?.[key] ?? '').trim();
+    const objectProperty = objectPropertiesByColumnKey?.[key];
+    const multiValue = resolveMultiValueOptions(multiValuesByColumnKey?.[key]);
+    const dateFormat = lang ? null : resolveDateFormatOptions(dateFormatsByColumnKey?.[key]);
+    const numberFormat = lang || dateFormat ? null : resolveNumberFormatOptions(numberFormatsByColumnKey?.[key]);
+    const columnTokens = columnNullTokens(nullTokens, nullTokensByColumnKey, key);
+    const emptyCell = resolveEmptyCellPolicy(emptyCellPoliciesByColumnKey?.[key] ?? emptyCellPolicy);
 
     return {
       key,
@@ -233,7 +346,20 @@ export function buildColumnSchemas({
       label,
       predicateLocalName,
       predicateIri: `${String(basePredicateIri ?? '')}${predicateLocalName}`,
-      datatypeIri: datatypesByColumnKey?.[key] || XSD_STRING
+      datatypeIri: lang
+        ? RDF_LANGSTRING
+        : dateFormat
+          ? dateOutputDatatypeIri(dateFormat.output)
+          : numberFormat ? XSD_DECIMAL : datatypesByColumnKey?.[key] || XSD_STRING,
+      ...(lang ? { lang } : {}),
+      ...(iriTemplate ? { iriTemplate } : {}),
+      ...(objectProperty ? { objectProperty } : {}),
+      ...(multiValue ? { multiValue } : {}),
+      ...(dateFormat ? { dateFormat } : {}),
+      ...(numberFormat ? { numberFormat } : {}),
+      ...(columnTokens.length ? { nullTokens: columnTokens } : {}),
+      ...(emptyCell !== 'skip' ? { emptyCell } : {}),
+      ...(rowClass ? { rowClass } : {})
     };
   });
 }
@@ -265,6 +391,34 @@ export function columnSchemasByKey(columnSchemas) {
   return out;
 }
 
+/**
+ * Detects a language tag written into a header: `Name (de)`, `Name [pt-BR]` or `label@de`.
+ * Only known languages count, so units and currencies such as `Price (USD)` are left alone.
+ * @param {string} header
+ * @returns {{name: string, lang: string}|null}
+ */
+export function detectHeaderLanguage(header) {
+  const s = String(header ?? '').trim();
+  const m = /^(.*\S)\s*\(([A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\)$/.exec(s)
+    || /^(.*\S)\s*\[([A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\]$/.exec(s)
+    || /^(.*[^\s@])@([A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)$/.exec(s);
+  if (!m) return null;
+  const lang = normalizeLanguageTag(m[2]);
+  return lang && isKnownLanguage(lang) ? { name: m[1].trim(), lang } : null;
+}
+
+/**
+ * @param {string} lang   // canonical BCP 47 tag
+ * @returns {boolean}
+ */
+function isKnownLanguage(lang) {
+  try {
+    return Boolean(new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(lang));
+  } catch (_) {
+    return false;
+  }
+}
+
 /**
  * Detects common column header naming styles.
  * @param {string} value
@@ -274,32 +428,51 @@ export function detectHeaderStyle(value) {
   const s = String(value ?? '').trim();
   if (!s) return 'unknown';
   if (/\s/.test(s)) return 'human';
-  if (/^[A-Z0-9]+(?:_[A-Z0-9]+)+$/.test(s)) return 'SHOUTING_SNAKE';
-  if (/^[a-z0-9]+(?:_[a-z0-9]+)+$/.test(s)) return 'snake_case';
-  if (/^[A-Z0-9]+$/.test(s)) return 'SHOUT_CASE';
-  if (/^[a-z][A-Za-z0-9]*$/.test(s) && /[a-z0-9][A-Z]/.test(s)) return 'camelCase';
-  if (/^[A-Z][A-Za-z0-9]*$/.test(s) && (/[a-z0-9][A-Z]/.test(s) || /[A-Z][a-z]/.test(s))) return 'PascalCase';
-  if (/^[A-Za-z0-9]+$/.test(s)) return 'human';
+  if (/^[\p{Lu}\p{N}]+(?:_[\p{Lu}\p{N}]+)+$/u.test(s)) return 'SHOUTING_SNAKE';
+  if (/^[\p{Ll}\p{N}]+(?:_[\p{Ll}\p{N}]+)+$/u.test(s)) return 'snake_case';
+  if (/^[\p{Lu}\p{N}]+$/u.test(s)) return 'SHOUT_CASE';
+  if (/^\p{Ll}[\p{L}\p{N}]*$/u.test(s) && /[\p{Ll}\p{N}]\p{Lu}/u.test(s)) return 'camelCase';
+  if (/^\p{Lu}[\p{L}\p{N}]*$/u.test(s) && (/[\p{Ll}\p{N}]\p{Lu}/u.test(s) || /\p{Lu}\p{Ll}/u.test(s))) return 'PascalCase';
+  if (/^[\p{L}\p{M}\p{N}]+$/u.test(s)) return 'human';
   return 'unknown';
 }
 
 /**
  * Splits human, snake, shout, kebab, camel, and Pascal headers into word tokens.
+ * Letters and digits of any script are kept (`Größe`, `Prénom`, `顧客ID`); tokens are in the
+ * header's own script, and only local names are made ASCII when asked.
+ *
+ * A naming dictionary substitutes symbols (`#` -> `number`) before splitting, then drops stop
+ * words (unless that would leave nothing), expands word replacements and upper-cases acronyms.
+ * Tokens come out lower case except acronyms.
  * @param {string} value
+ * @param {import('./naming.js').NamingDictionary} [naming]
  * @returns {string[]}
  */
-export function splitHeaderTokens(value) {
-  const prepared = String(value ?? '')
+export function splitHeaderTokens(value, naming = EMPTY_NAMING_DICTIONARY) {
+  let raw = String(value ?? '').normalize('NFC');
+  for (const [symbol, words] of symbolReplacements(naming)) raw = raw.split(symbol).join(` ${words} `);
+
+  const prepared = raw
     .trim()
-    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
-    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+    .replace(/(\p{Lo})([\p{Lu}\p{Ll}])|([\p{Lu}\p{Ll}])(\p{Lo})/gu, '$1$3 $2$4')
     .replace(/[_-]+/g, ' ')
-    .replace(/[^A-Za-z0-9 ]+/g, ' ')
+    .replace(/[^\p{L}\p{M}\p{N} ]+/gu, ' ')
     .replace(/\s+/g, ' ')
     .trim();
 
   if (!prepared) return [];
-  return prepared.split(' ').map(normalizeToken).filter(Boolean);
+  const words = prepared.split(' ');
+  const stopWords = new Set(naming?.stopWords || []);
+  const kept = words.filter((w) => !stopWords.has(w.toLowerCase()));
+  const replacements = naming?.replacements || {};
+  const acronyms = new Set(naming?.acronyms || []);
+  return (kept.length > 0 ? kept : words)
+    .flatMap((w) => (Object.hasOwn(replacements, w.toLowerCase()) ? replacements[w.toLowerCase()].split(' ') : [w]))
+    .map((w) => normalizeToken(w, acronyms))
+    .filter(Boolean);
 }
 
 /**
@@ -309,22 +482,59 @@ export function splitHeaderTokens(value) {
  * @returns {string}
  */
 export function buildHumanLabel(tokens, fallback) {
-  const words = (tokens || []).map(labelToken).filter(Boolean);
+  const words = (tokens || []).map(toTitleToken).filter(Boolean);
   return words.length > 0 ? words.join(' ') : (String(fallback ?? '').trim() || 'Column');
 }
 
 /**
- * Sanitizes a user-provided local name for use as an IRI suffix.
+ * Sanitizes a user-provided local name for use as an IRI suffix. Percent-encoded characters
+ * are read back first, so an already-encoded name comes out unchanged.
  * @param {string} value
+ * @param {NonAsciiHandling} [nonAscii]
  * @returns {string}
  */
-export function sanitizePredicateLocalName(value) {
-  return String(value ?? '')
+export function sanitizePredicateLocalName(value, nonAscii = 'transliterate') {
+  const cleaned = decodePercentRuns(String(value ?? ''))
+    .normalize('NFC')
     .trim()
     .replace(/\s+/g, '_')
-    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/[^\p{L}\p{M}\p{N}_-]+/gu, '_')
     .replace(/_+/g, '_')
     .replace(/^[_-]+|[_-]+$/g, '');
+  return toIriLocalName(cleaned, nonAscii);
+}
+
+/**
+ * Makes a local name safe to append to a base IRI.
+ * - transliterate: accents are dropped and letters such as `ß` or `ø` spelled out
+ *   (`Größe` -> `Grosse`); characters with no ASCII spelling (CJK, Cyrillic, ...) are
+ *   percent-encoded, so the name is always plain ASCII.
+ * - keep: Unicode letters stay as they are (IRIs allow them); only characters outside the
+ *   IRI `ucschar` ranges are percent-encoded.
+ * @param {string} name
+ * @param {NonAsciiHandling} [nonAscii]
+ * @returns {string}
+ */
+export function toIriLocalName(name, nonAscii = 'transliterate') {
+  const s = String(name ?? '').normalize('NFC');
+  if (nonAscii === 'keep') {
+    return Array.from(s, (ch) => (isIriChar(ch) ? ch : encodeURIComponent(ch))).join('');
+  }
+  return Array.from(transliterateToAscii(s), (ch) => (ch.charCodeAt(0) < 0x80 ? ch : encodeURIComponent(ch))).join('');
+}
+
+/**
+ * Spells Latin letters in ASCII where there is a conventional spelling; other characters are kept.
+ * @param {string} value
+ * @returns {string}
+ */
+export function transliterateToAscii(value) {
+  return Array.from(String(value ?? '').normalize('NFC'), (ch) => {
+    if (ch.charCodeAt(0) < 0x80) return ch;
+    if (ASCII_LETTERS[ch]) return ASCII_LETTERS[ch];
+    const stripped = ch.normalize('NFKD').replace(/\p{M}/gu, '');
+    return /^[\x20-\x7e]+$/.test(stripped) ? stripped : ch;
+  }).join('');
 }
 
 /**
@@ -344,36 +554,65 @@ function getOriginalHeaderForColumn(header, key, index, treatFirstRowAsHeader) {
 }
 
 /**
- * @param {string} token
+ * True for ASCII IRI characters and RFC 3987 `ucschar`.
+ * @param {string} ch   // one code point
+ * @returns {boolean}
+ */
+function isIriChar(ch) {
+  const cp = /** @type {number} */ (ch.codePointAt(0));
+  if (cp < 0x80) return /[A-Za-z0-9_.~-]/.test(ch);
+  return (cp >= 0xa0 && cp <= 0xd7ff)
+    || (cp >= 0xf900 && cp <= 0xfdcf)
+    || (cp >= 0xfdf0 && cp <= 0xffef)
+    || (cp >= 0x10000 && cp <= 0xefffd && (cp & 0xffff) <= 0xfffd);
+}
+
+/**
+ * Decodes runs of `%XX` escapes that form valid UTF-8; other text is returned as is.
+ * @param {string} value
  * @returns {string}
  */
-function normalizeToken(token) {
-  const s = String(token ?? '').trim();
-  if (!s) return '';
-  const upper = s.toUpperCase();
-  return SIMPLE_ACRONYMS.has(upper) ? upper : s.toLowerCase();
+function decodePercentRuns(value) {
+  return value.replace(/(?:%[0-9A-Fa-f]{2})+/g, (run) => {
+    try {
+      return decodeURIComponent(run);
+    } catch (_) {
+      return run;
+    }
+  });
 }
 
 /**
  * @param {string} token
+ * @param {Set<string>} [acronyms]   // from the naming dictionary, upper case
  * @returns {string}
  */
-function labelToken(token) {
+function normalizeToken(token, acronyms) {
   const s = String(token ?? '').trim();
   if (!s) return '';
   const upper = s.toUpperCase();
-  return SIMPLE_ACRONYMS.has(upper) ? upper : capitalize(s);
+  return SIMPLE_ACRONYMS.has(upper) || acronyms?.has(upper) ? upper : s.toLowerCase();
 }
 
 /**
+ * True for tokens `normalizeToken` kept as acronyms: upper case, with at least one cased letter.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isAcronymToken(token) {
+  return token === token.toUpperCase() && token !== token.toLowerCase();
+}
+
+/**
+ * Capitalizes one token for labels and PascalCase/camelCase names; acronyms stay upper case.
  * @param {string} token
  * @returns {string}
  */
-function toPredicatePascalToken(token) {
+export function toTitleToken(token) {
   const s = String(token ?? '').trim();
   if (!s) return '';
   const upper = s.toUpperCase();
-  return SIMPLE_ACRONYMS.has(upper) ? upper : capitalize(s);
+  return SIMPLE_ACRONYMS.has(upper) || isAcronymToken(s) ? upper : capitalize(s);
 }
 
 /**
@@ -401,33 +640,23 @@ let _n3Mod = null;
 
 /**
  * Builds an RDFJS literal term for a cell value according to an xsd datatype.
+ * Returns null when the value is not a valid lexical form for the datatype; callers decide
+ * whether that rejects the run, skips the cell, or falls back to xsd:string.
  * @param {string} value
  * @param {string} datatypeIri
- * @returns {Promise<any>} RDFJS Literal
+ * @param {string} [lang]   // language tag; makes an rdf:langString literal
+ * @returns {Promise<any|null>} RDFJS Literal, or null for an invalid value
  */
-export async function buildLiteralObject(value, datatypeIri) {
+export async function buildLiteralObject(value, datatypeIri, lang) {
   const N3 = await getN3();
   const { DataFactory } = N3;
   const v = String(value ?? '').trim();
+  if (lang) return DataFactory.literal(v, lang);
   const dt = String(datatypeIri ?? 'http://www.w3.org/2001/XMLSchema#string');
-
-  if (dt.endsWith('#boolean')) {
-    return DataFactory.literal(toBooleanLexical(v), DataFactory.namedNode(dt));
-  }
-
-  if (dt.endsWith('#integer')) {
-    return DataFactory.literal(toIntegerLexical(v), DataFactory.namedNode(dt));
-  }
-
-  if (dt.endsWith('#decimal') || dt.endsWith('#double') || dt.endsWith('#float')) {
-    return DataFactory.literal(toNumberLexical(v), DataFactory.namedNode(dt));
-  }
-
-  if (dt.endsWith('#dateTime')) {
-    return DataFactory.literal(toDateTimeLexical(v), DataFactory.namedNode(dt));
-  }
-
-  return DataFactory.literal(v, DataFactory.namedNode(dt));
+  // rdf:langString without a tag is not a valid literal.
+  if (dt === RDF_LANGSTRING) return null;
+  const lexical = toLexicalForm(v, dt);
+  return lexical === null ? null : DataFactory.literal(lexical, DataFactory.namedNode(dt));
 }
 
 /**
@@ -439,49 +668,6 @@ export function looksLikeAbsoluteIri(s) {
   return /^https?:\/\//i.test(String(s ?? ''));
 }
 
-/**
- * Coerces a value into xsd:boolean lexical form.
- * @param {string} s
- * @returns {string}
- */
-export function toBooleanLexical(s) {
-  const v = String(s ?? '').trim().toLowerCase();
-  if (v === '1' || v === 'true' || v === 'yes' || v === 'y') return 'true';
-  if (v === '0' || v === 'false' || v === 'no' || v === 'n') return 'false';
-  return v ? 'true' : 'false';
-}
-
-/**
- * Coerces into xsd:integer lexical form (best-effort).
- * @param {string} s
- * @returns {string}
- */
-export function toIntegerLexical(s) {
-  const n = parseInt(String(s ?? '').trim(), 10);
-  return Number.isFinite(n) ? String(n) : '0';
-}
-
-/**
- * Coerces into numeric lexical form (decimal/double/float best-effort).
- * @param {string} s
- * @returns {string}
- */
-export function toNumberLexical(s) {
-  const n = Number(String(s ?? '').trim());
-  return Number.isFinite(n) ? String(n) : '0';
-}
-
-/**
- * Coerces into xsd:dateTime lexical form (ISO 8601 best-effort).
- * @param {string} s
- * @returns {string}
- */
-export function toDateTimeLexical(s) {
-  const raw = String(s ?? '').trim();
-  const d = new Date(raw);
-  return Number.isFinite(d.getTime()) ? d.toISOString() : new Date(0).toISOString();
-}
-
 /**
  * Loads N3 via esm.sh (pinned), cached.
  * @returns {Promise<any>}
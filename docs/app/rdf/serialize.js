@@ -59,8 +59,9 @@ export async function datasetToSerializations({ dataset, graphIri, prefixes }) {
   const trig = await writeWithN3(dataset, { format: 'application/trig', prefixes });
   const nquads = await writeWithN3(dataset, { format: 'N-Quads' });
 
-  const jsonldTriples = await rdfToJsonLd(ntriples, false);
-  const jsonldGraph = await rdfToJsonLd(nquads, true, graphIri);
+  // JSON-LD has no RDF-star; quoted triples (cell trace annotations) go out reified.
+  const jsonldTriples = await rdfToJsonLd(await writeWithN3(reifyQuotedTriples(triplesStore), { format: 'N-Triples' }), false);
+  const jsonldGraph = await rdfToJsonLd(await writeWithN3(reifyQuotedTriples(dataset), { format: 'N-Quads' }), true, graphIri);
 
   return { turtle, trig, ntriples, nquads, jsonldTriples, jsonldGraph };
 }
@@ -83,6 +84,43 @@ export function writeWithN3(store, options) {
   });
 }
 
+/**
+ * Rewrites quads whose subject is a quoted triple (RDF-star) as standard reification: each quoted
+ * triple becomes one rdf:Statement blank node per graph, carrying the annotations. Other quads are
+ * copied unchanged. Used for serializers without RDF-star support.
+ * @param {any} dataset
+ * @returns {any} a new N3.Store
+ */
+export function reifyQuotedTriples(dataset) {
+  const { DataFactory, Store } = N3;
+  const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+  const out = new Store();
+  /** @type {Map<string, any>} */
+  const statements = new Map();
+
+  for (const q of dataset?.getQuads?.(null, null, null, null) || []) {
+    if (q.subject.termType !== 'Quad') {
+      out.addQuad(q);
+      continue;
+    }
+    const quoted = q.subject;
+    const key = `${N3.termToId(q.graph)} ${N3.termToId(quoted)}`;
+    let statement = statements.get(key);
+    if (!statement) {
+      // Numbered per call rather than by N3's global counter, so re-exports get the same labels.
+      statement = DataFactory.blankNode(`stmt${statements.size + 1}`);
+      statements.set(key, statement);
+      out.addQuad(statement, DataFactory.namedNode(`${RDF}type`), DataFactory.namedNode(`${RDF}Statement`), q.graph);
+      out.addQuad(statement, DataFactory.namedNode(`${RDF}subject`), quoted.subject, q.graph);
+      out.addQuad(statement, DataFactory.namedNode(`${RDF}predicate`), quoted.predicate, q.graph);
+      out.addQuad(statement, DataFactory.namedNode(`${RDF}object`), quoted.object, q.graph);
+    }
+    out.addQuad(statement, q.predicate, q.object, q.graph);
+  }
+
+  return out;
+}
+
 /**
  * Converts N-Triples or N-Quads string to JSON-LD using jsonld.js.
  * @param {string} nquadsOrNtriples
@@ -2,8 +2,12 @@
  * @file Default app settings and namespace bases.
  */
 
+/** Recorded on the software agent of every run's provenance; keep in step with package.json. */
+export const TABLENOVA_VERSION = '0.1.0';
+
 export const TABLENOVA_DEFAULTS = Object.freeze({
-  // Swap these bases later when you have a real domain.
+  // Starting bases and prefixes for new projects; the active ones are project settings
+  // (see state/settings.js), edited in the settings panel.
   baseInstanceIri: 'https://example.org/TableNova/instance/',
   basePredicateIri: 'https://example.org/TableNova/',
   baseRunIri: 'https://example.org/TableNova/run#',
@@ -12,25 +16,70 @@ export const TABLENOVA_DEFAULTS = Object.freeze({
     tablenova: 'https://example.org/TableNova/',
     tablenovaid: 'https://example.org/TableNova/instance/',
     xsd: 'http://www.w3.org/2001/XMLSchema#',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
     owl: 'http://www.w3.org/2002/07/owl#',
     rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
-    dcterms: 'http://purl.org/dc/terms/'
+    dcterms: 'http://purl.org/dc/terms/',
+    prov: 'http://www.w3.org/ns/prov#',
+    dcat: 'http://www.w3.org/ns/dcat#'
   },
 
   fileOptions: {
     treatFirstRowAsHeader: true,
     headerRowNumber: 1,
-    delimiterHint: null, // ',' or '\t' or null (auto)
+    delimiterHint: null, // any single character (',', '\t', ';', '|', ...) or null (auto)
+    quoteChar: '"', // single character, or '' to disable quoting
+    encoding: 'auto', // 'auto' (BOM sniffing + heuristic) or a TextDecoder label, e.g. 'windows-1252'
     predicate: {
       prefixHas: true,
       casing: 'camelCase', // camelCase | PascalCase | snake_case | SHOUT_CASE
+      nonAscii: 'transliterate', // transliterate (Größe -> hasGrosse) | keep (IRI-legal Unicode: hasGröße)
       whenNoHeader: 'ordinal' // ordinal (A,B,AA...) or index (1..n) - MVP uses ordinal
     },
     // preview cached after user clicks Preview
     preview: null,
     // columnKey -> xsd datatype IRI
     datatypesByColumnKey: {},
+    // infer datatypes from column profiling for every column without an explicit one, in preview and in the run
+    inferDatatypes: true,
+    // cells invalid for their datatype: reject (fail the run) | skip (drop the cell) | string (emit as xsd:string)
+    invalidCellPolicy: 'string',
+    // annotate each cell triple with its source sheet, row, column and raw text (RDF-star)
+    traceCells: false,
+    // cell values read as missing (besides empty cells), e.g. ['N/A', 'NULL', '-', '#N/A']
+    nullTokens: [],
+    // columnKey -> null tokens replacing the file-level list for that column
+    nullTokensByColumnKey: {},
+    // empty or null cells: skip | marker (emit tablenova:noValueFor) | required (fail validation)
+    emptyCellPolicy: 'skip',
+    // columnKey -> empty-cell policy overriding the file-level one
+    emptyCellPoliciesByColumnKey: {},
     // columnKey -> user-edited schema metadata
-    columnSchemaOverridesByKey: {}
+    columnSchemaOverridesByKey: {},
+    // columnKey -> IRI template; those cells become IRIs instead of literals
+    iriTemplatesByColumnKey: {},
+    // columnKey -> object-property settings ({mode: absolute|base|link, base?, targetTable?})
+    objectPropertiesByColumnKey: {},
+    // columnKey -> {pattern, output: date|dateTime|dateTimeStamp, timezone?}, e.g. "dd/MM/yyyy"
+    dateFormatsByColumnKey: {},
+    // columnKey -> {decimalSeparator, groupSeparator, currency?, percent?}, e.g. "1.234,56 €"
+    numberFormatsByColumnKey: {},
+    // rdf:type of row subjects: none, a minted class, or an existing class IRI
+    rowClass: { mode: 'none', name: '', iri: '' },
+    // columnKey -> BCP 47 language tag; those cells become rdf:langString literals
+    languagesByColumnKey: {},
+    // columnKey -> {separator, asList}; splits cells like "red; green; blue" into several values
+    multiValuesByColumnKey: {},
+    // read language tags from headers such as "Name (de)" or "label@de"
+    detectHeaderLanguages: false,
+    // row subjects: minted (row number + UUID) | key (key column values) | hash (row content) | template | blank (blank nodes)
+    rowIri: { strategy: 'minted', keyColumns: [], template: '' },
+    // XLSX: workbook sheet names (filled in by preview), sheet being edited, sheets to convert
+    sheetNames: null,
+    selectedSheetName: null,
+    sheetsToRun: [],
+    sheetGraphMode: 'shared', // shared (one run graph) | perSheet (one named graph per sheet)
+    // sheetName -> sheet-scoped options
+    sheets: {}
   }
 });
@@ -0,0 +1,87 @@
+/**
+ * @file Run versions: every run of a source file gets the next version number, and links to the
+ * run it revises, so converting the same file again never replaces an earlier run.
+ */
+
+import { runSourceKey } from '../rdf/schema.js';
+
+/**
+ * @typedef {Object} RunRevision
+ * @property {number} version                 // 1 for the first run of a source
+ * @property {string|null} previousGraphIri   // the latest earlier run of the same source
+ */
+
+/**
+ * @typedef {Object} RunSummary
+ * @property {string} graphIri
+ * @property {string} filename
+ * @property {string} createdAtIso
+ * @property {string} [sourceKey]            // missing on runs stored before versioning
+ * @property {number} [version]
+ * @property {string|null} [previousGraphIri]
+ */
+
+/**
+ * @typedef {Object} RunVersionGroup
+ * @property {string} sourceKey
+ * @property {string} filename   // of the latest version
+ * @property {RunSummary[]} runs  // newest first
+ */
+
+/**
+ * The revision a new run of `filename` should get. Runs stored before versioning count as version 1.
+ * @param {RunSummary[]} runs
+ * @param {string} filename
+ * @returns {RunRevision}
+ */
+export function nextRunRevision(runs, filename) {
+  const key = runSourceKey(filename);
+  const same = (runs || []).filter((run) => summarySourceKey(run) === key);
+  if (same.length === 0) return { version: 1, previousGraphIri: null };
+  const [latest] = same.sort(compareRunsNewestFirst);
+  return { version: runVersion(latest) + 1, previousGraphIri: latest.graphIri };
+}
+
+/**
+ * Groups runs by source file; groups are ordered by their newest run.
+ * @param {RunSummary[]} runs
+ * @returns {RunVersionGroup[]}
+ */
+export function groupRunVersions(runs) {
+  /** @type {Map<string, RunSummary[]>} */
+  const bySource = new Map();
+  for (const run of runs || []) {
+    const key = summarySourceKey(run);
+    if (!bySource.has(key)) bySource.set(key, []);
+    /** @type {RunSummary[]} */ (bySource.get(key)).push(run);
+  }
+  return Array.from(bySource, ([sourceKey, group]) => {
+    const sorted = group.sort(compareRunsNewestFirst);
+    return { sourceKey, filename: sorted[0].filename, runs: sorted };
+  }).sort((a, b) => String(b.runs[0].createdAtIso).localeCompare(String(a.runs[0].createdAtIso)));
+}
+
+/**
+ * @param {RunSummary} run
+ * @returns {number}
+ */
+export function runVersion(run) {
+  return Number.isInteger(run?.version) && Number(run.version) > 0 ? Number(run.version) : 1;
+}
+
+/**
+ * @param {RunSummary} run
+ * @returns {string}
+ */
+function summarySourceKey(run) {
+  return run.sourceKey || runSourceKey(run.filename);
+}
+
+/**
+ * @param {RunSummary} a
+ * @param {RunSummary} b
+ * @returns {number}
+ */
+function compareRunsNewestFirst(a, b) {
+  return runVersion(b) - runVersion(a) || String(b.createdAtIso).localeCompare(String(a.createdAtIso));
+}
@@ -0,0 +1,158 @@
+/**
+ * @file Project settings: the namespace bases, prefix map and naming dictionary every run uses.
+ *
+ * The shipped values in TABLENOVA_DEFAULTS are only the starting point; the active settings are
+ * edited in the settings panel, stored in IndexedDB and passed explicitly to the pipeline.
+ */
+
+import { TABLENOVA_DEFAULTS } from './defaults.js';
+import {
+  EMPTY_NAMING_DICTIONARY,
+  resolveNamingDictionary,
+  validateNamingDictionary
+} from '../rdf/naming.js';
+
+/**
+ * @typedef {Object} ProjectSettings
+ * @property {string} baseInstanceIri    // row subjects and object IRIs resolve against this
+ * @property {string} basePredicateIri   // column predicates, row classes and Table Nova annotation terms
+ * @property {string} baseRunIri         // run named graphs
+ * @property {Record<string, string>} prefixes   // prefix -> namespace IRI, for serializations
+ * @property {import('../rdf/naming.js').NamingDictionary} naming   // acronyms, stop words and replacements for column names
+ */
+
+export const SETTINGS_FORMAT = 'table-nova-settings';
+export const SETTINGS_VERSION = 1;
+
+/** The three bases, with the labels the settings panel shows. */
+export const SETTINGS_BASE_FIELDS = Object.freeze([
+  { key: 'baseInstanceIri', label: 'Instance base' },
+  { key: 'basePredicateIri', label: 'Predicate base' },
+  { key: 'baseRunIri', label: 'Run base' }
+]);
+
+/** @type {Readonly<ProjectSettings>} */
+export const DEFAULT_SETTINGS = Object.freeze({
+  baseInstanceIri: TABLENOVA_DEFAULTS.baseInstanceIri,
+  basePredicateIri: TABLENOVA_DEFAULTS.basePredicateIri,
+  baseRunIri: TABLENOVA_DEFAULTS.baseRunIri,
+  prefixes: Object.freeze({ ...TABLENOVA_DEFAULTS.prefixes }),
+  naming: EMPTY_NAMING_DICTIONARY
+});
+
+/**
+ * Fills missing fields from the defaults. A stored prefix map replaces the default one, so
+ * removed prefixes stay removed.
+ * @param {Partial<ProjectSettings>|null|undefined} settings
+ * @returns {ProjectSettings}
+ */
+export function resolveSettings(settings) {
+  /** @type {Record<string, string>} */
+  const prefixes = {};
+  for (const [name, iri] of Object.entries(settings?.prefixes || DEFAULT_SETTINGS.prefixes)) {
+    prefixes[String(name).trim()] = String(iri ?? '').trim();
+  }
+  return {
+    baseInstanceIri: String(settings?.baseInstanceIri ?? DEFAULT_SETTINGS.baseInstanceIri).trim(),
+    basePredicateIri: String(settings?.basePredicateIri ?? DEFAULT_SETTINGS.basePredicateIri).trim(),
+    baseRunIri: String(settings?.baseRunIri ?? DEFAULT_SETTINGS.baseRunIri).trim(),
+    prefixes,
+    naming: resolveNamingDictionary(settings?.naming)
+  };
+}
+
+/**
+ * Lists what is wrong with a set of settings; empty when they are usable.
+ * Bases must be absolute IRIs ending in `/`, `#` or `:` because local names are appended to them.
+ * @param {ProjectSettings} settings
+ * @returns {string[]}
+ */
+export function validateSettings(settings) {
+  /** @type {string[]} */
+  const problems = [];
+  for (const { key, label } of SETTINGS_BASE_FIELDS) {
+    const iri = settings?.[key];
+    if (!isAbsoluteIri(iri)) problems.push(`${label}: "${iri ?? ''}" is not an absolute IRI.`);
+    else if (!isSettingsBaseIri(iri)) problems.push(`${label}: "${iri}" must end with "/", "#" or ":".`);
+  }
+  for (const [name, iri] of Object.entries(settings?.prefixes || {})) {
+    if (!isPrefixName(name)) problems.push(`Prefix "${name}" is not a valid prefix name.`);
+    if (!isAbsoluteIri(iri)) problems.push(`Prefix "${name}": "${iri}" is not an absolute IRI.`);
+  }
+  problems.push(...validateNamingDictionary(settings?.naming));
+  return problems;
+}
+
+/**
+ * Serializes settings for export.
+ * @param {ProjectSettings} settings
+ * @returns {string}
+ */
+export function serializeSettingsJson(settings) {
+  return `${JSON.stringify({ format: SETTINGS_FORMAT, version: SETTINGS_VERSION, ...resolveSettings(settings) }, null, 2)}\n`;
+}
+
+/**
+ * Reads exported settings. Invalid JSON, another format or invalid IRIs throw.
+ * @param {string} text
+ * @returns {ProjectSettings}
+ */
+export function parseSettingsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text ?? ''));
+  } catch (_) {
+    throw new Error('Settings file is not valid JSON.');
+  }
+  if (data?.format !== SETTINGS_FORMAT) throw new Error('Not a Table Nova settings file.');
+  if (Number(data.version) > SETTINGS_VERSION) throw new Error(`Settings version ${data.version} is newer than this app supports.`);
+  const settings = resolveSettings(data);
+  const problems = validateSettings(settings);
+  if (problems.length > 0) throw new Error(`Settings file rejected: ${problems.join(' ')}`);
+  return settings;
+}
+
+/**
+ * Changes one base and moves prefixes that pointed at the old base along with it
+ * (so `tablenova:` keeps naming the predicate base).
+ * @param {ProjectSettings} settings
+ * @param {'baseInstanceIri'|'basePredicateIri'|'baseRunIri'} key
+ * @param {string} iri
+ * @returns {ProjectSettings}
+ */
+export function withSettingsBase(settings, key, iri) {
+  const previous = settings[key];
+  const next = String(iri ?? '').trim();
+  /** @type {Record<string, string>} */
+  const prefixes = {};
+  for (const [name, ns] of Object.entries(settings.prefixes || {})) {
+    prefixes[name] = ns === previous ? next : ns;
+  }
+  return { ...settings, [key]: next, prefixes };
+}
+
+/**
+ * @param {any} iri
+ * @returns {boolean}
+ */
+export function isAbsoluteIri(iri) {
+  return /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|\\^`]+$/.test(String(iri ?? ''));
+}
+
+/**
+ * An absolute IRI that local names can be appended to.
+ * @param {any} iri
+ * @returns {boolean}
+ */
+export function isSettingsBaseIri(iri) {
+  return isAbsoluteIri(iri) && /[/#:]$/.test(String(iri));
+}
+
+/**
+ * Turtle PN_PREFIX (ASCII subset); the empty prefix is allowed.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isPrefixName(name) {
+  return name === '' || /^[A-Za-z]([A-Za-z0-9_.-]*[A-Za-z0-9_-])?$/.test(name);
+}
@@ -0,0 +1,120 @@
+/**
+ * @file Per-sheet option scoping for multi-sheet workbooks.
+ *
+ * A staged XLSX file keeps one FileOptions object. Settings that describe a table (header row,
+ * predicate naming, datatypes, column edits, row IRIs and classes, preview) are stored per sheet under
+ * `options.sheets[sheetName]`; everything else stays file-level.
+ */
+
+/**
+ * @typedef {import('./types.js').FileOptions} FileOptions
+ */
+
+/**
+ * Options stored per sheet. Sheets without their own entry inherit these from the file level.
+ * @type {ReadonlyArray<keyof FileOptions>}
+ */
+export const SHEET_SCOPED_OPTION_KEYS = Object.freeze([
+  'treatFirstRowAsHeader',
+  'headerRowNumber',
+  'predicate',
+  'preview',
+  'datatypesByColumnKey',
+  'columnSchemaOverridesByKey',
+  'iriTemplatesByColumnKey',
+  'objectPropertiesByColumnKey',
+  'languagesByColumnKey',
+  'multiValuesByColumnKey',
+  'dateFormatsByColumnKey',
+  'numberFormatsByColumnKey',
+  'nullTokensByColumnKey',
+  'emptyCellPoliciesByColumnKey',
+  'detectHeaderLanguages',
+  'rowIri',
+  'rowClass'
+]);
+
+/**
+ * Column-level options; these start empty for a sheet instead of inheriting another sheet's columns.
+ * @type {Readonly<Partial<FileOptions>>}
+ */
+const FRESH_SHEET_OPTIONS = Object.freeze({
+  preview: null,
+  datatypesByColumnKey: {},
+  columnSchemaOverridesByKey: {},
+  iriTemplatesByColumnKey: {},
+  objectPropertiesByColumnKey: {},
+  languagesByColumnKey: {},
+  multiValuesByColumnKey: {},
+  dateFormatsByColumnKey: {},
+  numberFormatsByColumnKey: {},
+  nullTokensByColumnKey: {},
+  emptyCellPoliciesByColumnKey: {},
+  rowIri: { strategy: 'minted', keyColumns: [], template: '' },
+  rowClass: { mode: 'none', name: '', iri: '' }
+});
+
+/**
+ * Returns the sheet the options panel is editing (null for CSV/TSV or unlisted workbooks).
+ * @param {FileOptions} options
+ * @returns {string|null}
+ */
+export function getActiveSheetName(options) {
+  const names = options?.sheetNames || [];
+  if (names.length === 0) return null;
+  const selected = options?.selectedSheetName;
+  return selected && names.includes(selected) ? selected : names[0];
+}
+
+/**
+ * Resolves the effective FileOptions for one sheet.
+ * @param {FileOptions} options
+ * @param {string|null} sheetName
+ * @returns {FileOptions}
+ */
+export function getSheetOptions(options, sheetName) {
+  if (!sheetName) return options;
+  const own = options?.sheets?.[sheetName];
+  return own ? { ...options, ...own } : { ...options, ...structuredClone(FRESH_SHEET_OPTIONS) };
+}
+
+/**
+ * Writes effective options for one sheet back into file options.
+ * Sheet-scoped keys go under `sheets[sheetName]`; other keys are kept at file level.
+ * @param {FileOptions} options
+ * @param {string|null} sheetName
+ * @param {FileOptions} nextSheetOptions
+ * @returns {FileOptions}
+ */
+export function withSheetOptions(options, sheetName, nextSheetOptions) {
+  if (!sheetName) return nextSheetOptions;
+
+  /** @type {Record<string, any>} */
+  const scoped = {};
+  /** @type {Record<string, any>} */
+  const fileLevel = { ...nextSheetOptions };
+  for (const key of SHEET_SCOPED_OPTION_KEYS) {
+    scoped[key] = nextSheetOptions[key];
+    fileLevel[key] = options[key];
+  }
+
+  return {
+    ...fileLevel,
+    sheets: { ...(options.sheets || {}), [sheetName]: scoped }
+  };
+}
+
+/**
+ * Lists the sheets a run should convert, in workbook order.
+ * Falls back to the sheet being edited when nothing is ticked.
+ * @param {FileOptions} options
+ * @returns {string[]}
+ */
+export function resolveSheetsToRun(options) {
+  const names = options?.sheetNames || [];
+  const picked = new Set(options?.sheetsToRun || []);
+  const chosen = names.filter((name) => picked.has(name));
+  if (chosen.length > 0) return chosen;
+  const active = getActiveSheetName(options);
+  return active ? [active] : [];
+}
@@ -6,14 +6,25 @@
  * @typedef {'camelCase'|'PascalCase'|'snake_case'|'SHOUT_CASE'} PredicateCasing
  */
 
+/**
+ * How predicate and class local names treat letters outside ASCII:
+ * transliterate (`Größe` -> `hasGrosse`, other scripts percent-encoded) or keep (`hasGröße`).
+ * @typedef {'transliterate'|'keep'} NonAsciiHandling
+ */
+
 /**
  * @typedef {'human'|'camelCase'|'PascalCase'|'snake_case'|'SHOUT_CASE'|'SHOUTING_SNAKE'|'unknown'} HeaderStyle
  */
 
+/**
+ * @typedef {'shared'|'perSheet'} SheetGraphMode
+ */
+
 /**
  * @typedef {Object} PredicateOptions
  * @property {boolean} prefixHas
  * @property {PredicateCasing} casing
+ * @property {NonAsciiHandling} [nonAscii]
  * @property {'ordinal'|'index'} whenNoHeader
  */
 
@@ -21,17 +32,44 @@
  * @typedef {Object} PreviewData
  * @property {string[]|null} header
  * @property {string[][]} rows
+ * @property {import('../tabular/parseTabular.js').ParseIssue[]} [issues]
+ * @property {string} [delimiter]   // delimiter used for CSV/TSV previews
+ * @property {string} [encoding]    // encoding used for CSV/TSV previews
+ * @property {Record<string, import('../tabular/profileColumns.js').ColumnProfile>} [profiles]  // columnKey -> datatype suggestion
  */
 
 /**
  * @typedef {Object} FileOptions
  * @property {boolean} treatFirstRowAsHeader
  * @property {number} headerRowNumber
- * @property {(','|'\t'|null)} delimiterHint
+ * @property {string|null} delimiterHint        // single character; null = auto-detect
+ * @property {string} [quoteChar]                // single character; '' disables quoting
+ * @property {string} [encoding]                 // 'auto' or a TextDecoder encoding label
  * @property {PredicateOptions} predicate
  * @property {PreviewData|null} preview
  * @property {Record<string, string>} datatypesByColumnKey
+ * @property {boolean} [inferDatatypes]         // infer datatypes for columns without an explicit one, in preview and run
+ * @property {import('../rdf/cellValidation.js').InvalidCellPolicy} [invalidCellPolicy]
+ * @property {boolean} [traceCells]             // annotate cell triples with their source row, column and cell (RDF-star)
+ * @property {string[]} [nullTokens]                              // cell values read as missing, e.g. "N/A"
+ * @property {Record<string, string[]>} [nullTokensByColumnKey]   // columnKey -> tokens replacing the file list
+ * @property {import('../tabular/nullValues.js').EmptyCellPolicy} [emptyCellPolicy]
+ * @property {Record<string, import('../tabular/nullValues.js').EmptyCellPolicy>} [emptyCellPoliciesByColumnKey]
  * @property {Record<string, {label?: string, predicateLocalName?: string}>} columnSchemaOverridesByKey
+ * @property {import('../rdf/rowIris.js').RowIriOptions} [rowIri]   // how row subject IRIs are minted
+ * @property {Record<string, string>} [iriTemplatesByColumnKey]      // columnKey -> IRI template for object values
+ * @property {Record<string, import('../rdf/objectProperties.js').ObjectPropertyOptions>} [objectPropertiesByColumnKey]
+ * @property {Record<string, import('../rdf/datePatterns.js').DateFormatOptions>} [dateFormatsByColumnKey]
+ * @property {Record<string, import('../rdf/numberFormats.js').NumberFormatOptions>} [numberFormatsByColumnKey]
+ * @property {import('../rdf/rowClass.js').RowClassOptions} [rowClass]   // rdf:type of row subjects
+ * @property {Record<string, string>} [languagesByColumnKey]   // columnKey -> BCP 47 language tag
+ * @property {Record<string, import('../tabular/multiValues.js').MultiValueOptions>} [multiValuesByColumnKey]
+ * @property {boolean} [detectHeaderLanguages]                // "Name (de)" / "label@de" headers set the column language
+ * @property {string[]|null} [sheetNames]          // XLSX only, filled in by preview
+ * @property {string|null} [selectedSheetName]     // sheet being configured in the options panel
+ * @property {string[]} [sheetsToRun]              // sheets converted by a run (empty = selected sheet)
+ * @property {SheetGraphMode} [sheetGraphMode]
+ * @property {Record<string, Partial<FileOptions>>} [sheets]  // per-sheet overrides (see state/sheetOptions.js)
  */
 
 /**
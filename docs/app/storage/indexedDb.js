@@ -1,5 +1,5 @@
 /**
- * @file IndexedDB storage for Table Nova runs (named graphs).
+ * @file IndexedDB storage for Table Nova runs (named graphs) and project settings.
  */
 
 /**
@@ -12,15 +12,25 @@
  * @property {string} graphIri
  * @property {string} filename
  * @property {string} createdAtIso
+ * @property {string} [sourceKey]            // source file slug shared by all versions; missing on pre-versioning runs
+ * @property {number} [version]
+ * @property {string|null} [previousGraphIri]   // the run this one revises
+ * @property {string} [basePredicateIri]    // predicate base the run was built with; its T-Box is rebuilt from it
+ * @property {Record<string, string>} [prefixes]   // prefix map the run was built with; its outputs are serialized with it
  * @property {QuadRecord[]} quads
+ * @property {string} [canonicalHash]       // SHA-256 of the canonical N-Quads of `quads`; missing on older runs
+ * @property {QuadRecord[]} [provenanceQuads]   // PROV-O description of the run; missing on older runs
  * @property {ColumnSchema[]} [columnSchemas]
  * @property {string} [ontologyTurtle]
  * @property {Record<string, string[]>} [sampleValuesByPredicate]
+ * @property {Record<string, number>} [nullCountsByPredicate]
  */
 
 const DB_NAME = 'table-nova';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_RUNS = 'runs';
+const STORE_SETTINGS = 'settings';
+const PROJECT_SETTINGS_KEY = 'project';
 
 /**
  * Opens (or creates) the Table Nova IndexedDB database.
@@ -36,6 +46,10 @@ export function openTableNovaDb() {
         const store = db.createObjectStore(STORE_RUNS, { keyPath: 'graphIri' });
         store.createIndex('createdAtIso', 'createdAtIso', { unique: false });
       }
+      // Version 2: one record per settings scope, keyed out of line.
+      if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
+        db.createObjectStore(STORE_SETTINGS);
+      }
     };
 
     req.onsuccess = () => resolve(req.result);
@@ -44,19 +58,20 @@ export function openTableNovaDb() {
 }
 
 /**
- * Stores a run.
+ * Stores a new run. Runs are never replaced: a run whose graph IRI is already stored fails
+ * with a ConstraintError, so new versions must get a new IRI.
  * @param {IDBDatabase} db
  * @param {StoredRun} run
  * @returns {Promise<void>}
  */
 export function putRun(db, run) {
-  return tx(db, 'readwrite', (store) => store.put(run));
+  return tx(db, 'readwrite', (store) => store.add(run));
 }
 
 /**
  * Lists runs (metadata only).
  * @param {IDBDatabase} db
- * @returns {Promise<Array<Pick<StoredRun,'graphIri'|'filename'|'createdAtIso'>>>}
+ * @returns {Promise<Array<Pick<StoredRun,'graphIri'|'filename'|'createdAtIso'|'sourceKey'|'version'|'previousGraphIri'>>>}
  */
 export function listRuns(db) {
   return new Promise((resolve, reject) => {
@@ -64,7 +79,14 @@ export function listRuns(db) {
     req.onsuccess = () => {
       const all = /** @type {StoredRun[]} */ (req.result || []);
       const sorted = all
-        .map(({ graphIri, filename, createdAtIso }) => ({ graphIri, filename, createdAtIso }))
+        .map(({ graphIri, filename, createdAtIso, sourceKey, version, previousGraphIri }) => ({
+          graphIri,
+          filename,
+          createdAtIso,
+          sourceKey,
+          version,
+          previousGraphIri
+        }))
         .sort((a, b) => String(b.createdAtIso).localeCompare(String(a.createdAtIso)));
       resolve(sorted);
     };
@@ -96,17 +118,41 @@ export function getRunDataset(db, graphIri) {
   });
 }
 
+/**
+ * Reads the stored project settings.
+ * @param {IDBDatabase} db
+ * @returns {Promise<import('../state/settings.js').ProjectSettings|null>} null until settings are saved
+ */
+export function getProjectSettings(db) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE_SETTINGS, 'readonly').objectStore(STORE_SETTINGS).get(PROJECT_SETTINGS_KEY);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error || new Error('Failed to read settings.'));
+  });
+}
+
+/**
+ * Stores the project settings.
+ * @param {IDBDatabase} db
+ * @param {import('../state/settings.js').ProjectSettings} settings
+ * @returns {Promise<void>}
+ */
+export function putProjectSettings(db, settings) {
+  return tx(db, 'readwrite', (store) => store.put(settings, PROJECT_SETTINGS_KEY), STORE_SETTINGS);
+}
+
 /**
  * Runs a single object store operation inside a transaction.
  * @param {IDBDatabase} db
  * @param {IDBTransactionMode} mode
  * @param {(store: IDBObjectStore) => IDBRequest} op
+ * @param {string} [storeName]
  * @returns {Promise<void>}
  */
-export function tx(db, mode, op) {
+export function tx(db, mode, op, storeName = STORE_RUNS) {
   return new Promise((resolve, reject) => {
-    const t = db.transaction(STORE_RUNS, mode);
-    const store = t.objectStore(STORE_RUNS);
+    const t = db.transaction(storeName, mode);
+    const store = t.objectStore(storeName);
     op(store);
 
     t.oncomplete = () => resolve();
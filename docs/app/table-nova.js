@@ -3,45 +3,67 @@
  */
 
 import { TABLENOVA_DEFAULTS } from './state/defaults.js';
+import {
+  DEFAULT_SETTINGS,
+  parseSettingsJson,
+  resolveSettings,
+  serializeSettingsJson
+} from './state/settings.js';
 import {
   createLogger,
   createToastBus,
   safeAsync
 } from './ui/telemetry.js';
 import {
-  readFileAsArrayBuffer,
-  readFileAsText
-} from './io/fileReaders.js';
+  getProcessedDataRows,
+  normalizeTabularForOptions,
+  readStagedTables,
+  toTriplesStore
+} from './pipeline/ingestPipeline.js';
 import {
-  applyHeaderRowOptions,
-  detectTabularType,
-  parseCsvOrTsvText,
-  parseXlsxArrayBuffer
-} from './tabular/parseTabular.js';
+  applySuggestedDatatypes,
+  profileColumns
+} from './tabular/profileColumns.js';
 import {
-  buildColumnSchemas,
-  buildRowInstanceIri,
-  buildRunGraphIri,
-  buildLiteralObject
+  buildColumnKeys,
+  runSourceKey
 } from './rdf/schema.js';
+import { listLinkableTables } from './rdf/objectProperties.js';
+import { nextRunRevision } from './state/runVersions.js';
+import {
+  getActiveSheetName,
+  getSheetOptions,
+  withSheetOptions
+} from './state/sheetOptions.js';
+import {
+  createIngestClient,
+  isAbortError
+} from './workers/ingestClient.js';
 import {
   buildOntologyDataset,
   ontologyRecordsFromDataset
 } from './rdf/ontology.js';
 import {
   rdfToJsonLd,
+  reifyQuotedTriples,
   writeWithN3
 } from './rdf/serialize.js';
+import { verifyCanonicalHash } from './rdf/canonical.js';
 import {
-  buildDraftMetadataArtifacts,
-  buildSampleValuesByPredicate
+  buildDraftMetadataArtifacts
 } from './metadataDrafts.js';
+import {
+  describeCellError,
+  serializeCellErrorReportCsv
+} from './rdf/cellValidation.js';
 import {
   openTableNovaDb,
   putRun,
   listRuns,
   deleteRun,
-  getRunDataset
+  getRunDataset,
+  getProjectSettings,
+  putProjectSettings
 } from './storage/indexedDb.js';
 import {
   downloadTextFile
@@ -51,6 +73,8 @@ import {
   renderFileOptionsPanel,
   renderOutputs,
   renderRunsList,
+  renderRunProgress,
+  renderSettingsPanel,
   setRunButtonEnabled,
   setDropzoneDragState,
   mountTabs,
@@ -69,7 +93,10 @@ const dom = {
   fileInput: /** @type {HTMLInputElement} */ (document.getElementById('TableNovaFileInput')),
   fileList: /** @type {HTMLElement} */ (document.getElementById('TableNovaFileList')),
   optionsPanel: /** @type {HTMLElement} */ (document.getElementById('TableNovaOptionsPanel')),
+  settingsPanel: /** @type {HTMLElement} */ (document.getElementById('TableNovaSettingsPanel')),
   runBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaRunBtn')),
+  cancelRunBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaCancelRunBtn')),
+  runProgress: /** @type {HTMLElement} */ (document.getElementById('TableNovaRunProgress')),
   clearBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaClearBtn')),
   turtleText: /** @type {HTMLTextAreaElement} */ (document.getElementById('TableNovaTurtleText')),
   jsonldText: /** @type {HTMLTextAreaElement} */ (document.getElementById('TableNovaJsonLdText')),
@@ -83,13 +110,17 @@ const dom = {
   exportJsonLdGraphBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaExportJsonLdGraphBtn')),
   exportDataDictionaryBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaExportDataDictionaryBtn')),
   exportJsonSchemaBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaExportJsonSchemaBtn')),
+  exportCellErrorsBtn: /** @type {HTMLButtonElement} */ (document.getElementById('TableNovaExportCellErrorsBtn')),
   outputScopeInputs: /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('input[name="TableNovaOutputScope"]')),
   runList: /** @type {HTMLElement} */ (document.getElementById('TableNovaRunList'))
 };
 
 let stagedFiles = /** @type {StagedFile[]} */ ([]);
 let db = null;
-let lastOutput = null; // { filename, graphIri, datasets, quadsByScope, views, columnSchemas, sampleValuesByPredicate }
+let settings = /** @type {import('./state/settings.js').ProjectSettings} */ (resolveSettings(DEFAULT_SETTINGS));
+let lastOutput = null; // { filename, graphIri, datasets, quadsByScope (abox, tbox, prov, both), views, columnSchemas, sampleValuesByPredicate, nullCountsByPredicate }
+let lastCellErrors = /** @type {{filename: string, cellErrors: import('./rdf/cellValidation.js').CellError[]}|null} */ (null);
+const ingest = createIngestClient({ workerUrl: new URL('./workers/ingestWorker.js', import.meta.url) });
 
 /**
  * @param {FileList|File[]} files
@@ -111,8 +142,8 @@ function setStagedFiles(next) {
   const scrollState = captureOptionsScrollState();
   stagedFiles = next;
   renderStagedFiles(dom.fileList, stagedFiles, handleRemoveStagedFile);
-  setRunButtonEnabled(dom.runBtn, stagedFiles.length > 0);
-  renderFileOptionsPanel(dom.optionsPanel, stagedFiles, handleUpdateFileOptions, handlePreviewFile);
+  setRunButtonEnabled(dom.runBtn, stagedFiles.length > 0 && !ingest.isRunning());
+  renderFileOptionsPanel(dom.optionsPanel, stagedFiles, handleUpdateFileOptions, handlePreviewFile, settings);
   restoreOptionsScrollState(scrollState);
 }
 
@@ -154,29 +185,51 @@ async function handlePreviewFile(stagedId) {
   if (!staged) return;
 
   await safeAsync(log, async () => {
-    const { file, options } = staged;
-    const kind = detectTabularType(file.name);
-
-    const tabular = await (kind === 'xlsx'
-      ? parseXlsxArrayBuffer(await readFileAsArrayBuffer(file))
-      : parseCsvOrTsvText(await readFileAsText(file), options.delimiterHint));
-
-    const normalized = normalizeTabularForOptions(tabular, options);
+    const { file } = staged;
+    // Only the start of the file: enough to show and profile it without parsing it all here.
+    const { sheetNames, tables } = await readStagedTables(file, staged.options, { preview: true });
+
+    // Workbooks: remember the sheet list, then preview the sheet being edited.
+    const options = sheetNames
+      ? { ...staged.options, sheetNames, selectedSheetName: getActiveSheetName({ ...staged.options, sheetNames }) }
+      : staged.options;
+    const sheetName = tables[0]?.sheetName ?? null;
+    const sheetOptions = getSheetOptions(options, sheetName);
+
+    const normalized = normalizeTabularForOptions(tables[0]?.tabular || { header: null, rows: [] }, sheetOptions);
     const preview = normalized.rows.slice(0, 5);
     const header = normalized.header;
 
-    const nextOptions = {
-      ...options,
+    // Profile every row read for the preview (capped), not just the rows shown.
+    const dataRows = getProcessedDataRows(normalized, sheetOptions);
+    const profiles = profileColumns({
+      columnKeys: buildColumnKeys(header, dataRows, Boolean(sheetOptions.treatFirstRowAsHeader ?? true)),
+      rows: dataRows,
+      multiValuesByColumnKey: sheetOptions.multiValuesByColumnKey,
+      nullTokens: sheetOptions.nullTokens,
+      nullTokensByColumnKey: sheetOptions.nullTokensByColumnKey
+    });
+    const datatypesByColumnKey = sheetOptions.inferDatatypes === false
+      ? sheetOptions.datatypesByColumnKey ?? {}
+      : applySuggestedDatatypes(sheetOptions.datatypesByColumnKey, profiles);
+
+    const nextSheetOptions = {
+      ...sheetOptions,
       preview: {
         header,
-        rows: preview
+        rows: preview,
+        issues: normalized.issues || [],
+        delimiter: normalized.delimiter,
+        encoding: normalized.encoding,
+        profiles
       },
-      datatypesByColumnKey: options.datatypesByColumnKey ?? {},
-      columnSchemaOverridesByKey: options.columnSchemaOverridesByKey ?? {}
+      datatypesByColumnKey,
+      columnSchemaOverridesByKey: sheetOptions.columnSchemaOverridesByKey ?? {}
     };
 
-    handleUpdateFileOptions(stagedId, nextOptions);
+    handleUpdateFileOptions(stagedId, withSheetOptions(options, sheetName, nextSheetOptions));
     toasts.show({ title: 'Preview ready', body: `Showing first ${preview.length} rows.` });
+    showParseIssuesToast(normalized.issues);
   }, (err) => {
     toasts.show({ title: 'Preview failed', body: String(err?.message || err) });
   });
@@ -198,63 +251,57 @@ async function handleRun() {
 
   await safeAsync(log, async () => {
     const { file, options } = staged;
-    const kind = detectTabularType(file.name);
-
-    const tabular = await (kind === 'xlsx'
-      ? parseXlsxArrayBuffer(await readFileAsArrayBuffer(file))
-      : parseCsvOrTsvText(await readFileAsText(file), options.delimiterHint));
-
-    const normalized = normalizeTabularForOptions(tabular, options);
-
-    const columnSchemas = buildColumnSchemas({
-      header: normalized.header,
-      rows: normalized.rows,
-      treatFirstRowAsHeader: options.treatFirstRowAsHeader,
-      predicateOptions: options.predicate,
-      basePredicateIri: TABLENOVA_DEFAULTS.basePredicateIri,
-      datatypesByColumnKey: options.datatypesByColumnKey,
-      columnSchemaOverridesByKey: options.columnSchemaOverridesByKey
-    });
-    const sampleValuesByPredicate = buildSampleValuesByPredicate({
-      rows: getProcessedDataRows(normalized, options),
-      columnSchemas
-    });
 
-    const graphIri = buildRunGraphIri({
-      baseRunIri: TABLENOVA_DEFAULTS.baseRunIri,
-      filename: file.name,
-      now: new Date()
-    });
+    setRunButtonEnabled(dom.runBtn, false);
+    renderRunProgress(dom.runProgress, dom.cancelRunBtn, { phase: 'read', done: 0, total: file.size });
+
+    let result;
+    try {
+      const linkTargets = Object.fromEntries(listLinkableTables(stagedFiles).map((t) => [t.id, { rowIri: t.rowIri, tableSegment: t.tableSegment }]));
+      const revision = nextRunRevision(await listRuns(db), file.name);
+      result = await ingest.run({ file, options, linkTargets, settings, revision }, (progress) => {
+        renderRunProgress(dom.runProgress, dom.cancelRunBtn, progress);
+      });
+    } finally {
+      renderRunProgress(dom.runProgress, dom.cancelRunBtn, null);
+      setRunButtonEnabled(dom.runBtn, stagedFiles.length > 0);
+    }
 
-    const { dataset, quads } = await import('./rdf/buildDataset.js').then((m) =>
-      m.buildDatasetFromTabular({
-        tabular: normalized,
-        options,
-        baseInstanceIri: TABLENOVA_DEFAULTS.baseInstanceIri,
-        columnSchemas,
-        graphIri,
-        buildRowInstanceIri,
-        buildLiteralObject
-      })
-    );
+    showParseIssuesToast(result.issues);
+    setLastCellErrors(result.filename, result.cellErrors);
+    showCellErrorsToast(result.cellErrors);
+    showRowIriCollisionsToast(result.rowIriCollisions);
 
     const outputPackage = await buildOutputPackage({
-      dataset,
-      graphIri,
-      filename: file.name,
-      quads,
-      columnSchemas,
-      sampleValuesByPredicate
+      dataset: null,
+      graphIri: result.graphIri,
+      filename: result.filename,
+      quads: result.quads,
+      provenanceQuads: result.provenanceQuads,
+      basePredicateIri: result.basePredicateIri,
+      prefixes: result.prefixes,
+      columnSchemas: result.columnSchemas,
+      sampleValuesByPredicate: result.sampleValuesByPredicate,
+      nullCountsByPredicate: result.nullCountsByPredicate,
+      aboxTurtle: result.aboxTurtle
     });
 
     await putRun(db, {
-      graphIri,
-      filename: file.name,
+      graphIri: result.graphIri,
+      filename: result.filename,
       createdAtIso: new Date().toISOString(),
-      quads,
-      columnSchemas,
+      sourceKey: runSourceKey(result.filename),
+      version: result.version,
+      previousGraphIri: result.previousGraphIri,
+      basePredicateIri: result.basePredicateIri,
+      prefixes: result.prefixes,
+      quads: result.quads,
+      canonicalHash: result.canonicalHash,
+      provenanceQuads: result.provenanceQuads,
+      columnSchemas: result.columnSchemas,
       ontologyTurtle: outputPackage.views.tbox.turtle,
-      sampleValuesByPredicate
+      sampleValuesByPredicate: result.sampleValuesByPredicate,
+      nullCountsByPredicate: result.nullCountsByPredicate
     });
 
     lastOutput = outputPackage;
@@ -263,12 +310,32 @@ async function handleRun() {
     mountTableSortingAndFiltering(dom.quadTable, dom.quadFilter);
     await refreshRunsList();
 
-    toasts.show({ title: 'Run complete', body: `Stored named graph in IndexedDB.` });
+    const sheetNote = result.sheets.length > 1 ? ` Converted ${result.sheets.length} sheets.` : '';
+    const versionNote = result.previousGraphIri ? ` Saved as version ${result.version}; earlier versions are kept.` : '';
+    toasts.show({ title: 'Run complete', body: `Stored named graph in IndexedDB.${versionNote}${sheetNote}` });
   }, (err) => {
+    if (isAbortError(err)) {
+      toasts.show({ title: 'Run cancelled', body: 'Nothing was stored.', kind: 'warning' });
+      return;
+    }
+    if (Array.isArray(err?.cellErrors)) {
+      setLastCellErrors(staged.file.name, err.cellErrors);
+      toasts.show({ title: 'Run failed', body: `${String(err.message)} Export the validation report to see every cell.`, kind: 'warning', timeoutMs: 8000 });
+      return;
+    }
     toasts.show({ title: 'Run failed', body: String(err?.message || err) });
   });
 }
 
+/**
+ * @returns {void}
+ */
+function handleCancelRun() {
+  if (!ingest.isRunning()) return;
+  log.info('cancel_run');
+  ingest.cancel();
+}
+
 /**
  * @returns {Promise<void>}
  */
@@ -310,24 +377,90 @@ async function handleLoadRunToOutput(graphIri) {
     const { dataset } = await import('./rdf/buildDataset.js').then((m) =>
       m.datasetFromQuads(run.quads)
     );
+    const check = await verifyCanonicalHash(dataset, run.canonicalHash);
 
     lastOutput = await buildOutputPackage({
       dataset,
       graphIri,
       filename: run.filename,
       quads: run.quads || [],
+      provenanceQuads: run.provenanceQuads || [],
+      // Runs stored before the base and prefixes were recorded fall back to the current settings.
+      basePredicateIri: run.basePredicateIri || settings.basePredicateIri,
+      prefixes: run.prefixes || settings.prefixes,
       columnSchemas: run.columnSchemas || [],
-      sampleValuesByPredicate: run.sampleValuesByPredicate || {}
+      sampleValuesByPredicate: run.sampleValuesByPredicate || {},
+      nullCountsByPredicate: run.nullCountsByPredicate || {}
     });
 
     renderCurrentOutputs();
     mountTableSortingAndFiltering(dom.quadTable, dom.quadFilter);
-    toasts.show({ title: 'Loaded', body: 'Run loaded from IndexedDB.' });
+    if (check.status === 'mismatch') {
+      toasts.show({
+        title: 'Loaded with differences',
+        body: 'The reloaded run does not match the canonical hash stored when it was built.',
+        kind: 'warning',
+        timeoutMs: 8000
+      });
+      return;
+    }
+    const verified = check.status === 'match' ? ' Verified against its canonical hash.' : '';
+    toasts.show({ title: 'Loaded', body: `Run loaded from IndexedDB.${verified}` });
   }, (err) => {
     toasts.show({ title: 'Load failed', body: String(err?.message || err) });
   });
 }
 
+/**
+ * @returns {void}
+ */
+function renderCurrentSettings() {
+  renderSettingsPanel(dom.settingsPanel, settings, {
+    onSave: handleSaveSettings,
+    onExport: handleExportSettings,
+    onImport: handleImportSettings
+  });
+}
+
+/**
+ * Stores validated settings and re-renders everything that previews IRIs.
+ * @param {import('./state/settings.js').ProjectSettings} next
+ * @returns {Promise<void>}
+ */
+async function handleSaveSettings(next) {
+  if (!db) return;
+
+  await safeAsync(log, async () => {
+    await putProjectSettings(db, next);
+    settings = next;
+    renderCurrentSettings();
+    setStagedFiles(stagedFiles);
+    toasts.show({ title: 'Settings saved', body: 'New runs use these bases and prefixes.' });
+  }, (err) => {
+    toasts.show({ title: 'Settings not saved', body: String(err?.message || err) });
+  });
+}
+
+/**
+ * @returns {void}
+ */
+function handleExportSettings() {
+  downloadTextFile('table-nova-settings.json', serializeSettingsJson(settings), 'application/json;charset=utf-8');
+  toasts.show({ title: 'Exported', body: 'Downloaded project settings.' });
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function handleImportSettings(file) {
+  await safeAsync(log, async () => {
+    await handleSaveSettings(parseSettingsJson(await file.text()));
+  }, (err) => {
+    toasts.show({ title: 'Import failed', body: String(err?.message || err), kind: 'warning' });
+  });
+}
+
 /**
  * @param {DragEvent} e
  * @returns {void}
@@ -343,7 +476,7 @@ function handleDrop(e) {
   setStagedFiles(next);
 
   // Automatically select the latest file for configuration in options UI.
-  renderFileOptionsPanel(dom.optionsPanel, stagedFiles, handleUpdateFileOptions, handlePreviewFile);
+  renderFileOptionsPanel(dom.optionsPanel, stagedFiles, handleUpdateFileOptions, handlePreviewFile, settings);
 
   toasts.show({ title: 'Added', body: `${files.length} file(s) added to staging.` });
 }
@@ -456,7 +589,8 @@ function buildCurrentDraftMetadata() {
     filename: lastOutput.filename,
     columnSchemas: lastOutput.columnSchemas || [],
     quads: lastOutput.quadsByScope?.abox || [],
-    sampleValuesByPredicate: lastOutput.sampleValuesByPredicate || {}
+    sampleValuesByPredicate: lastOutput.sampleValuesByPredicate || {},
+    nullCountsByPredicate: lastOutput.nullCountsByPredicate || {}
   });
 }
 
@@ -491,11 +625,67 @@ function handleExportJsonSchema() {
 }
 
 /**
- * @returns {'abox'|'tbox'|'both'}
+ * Remembers the latest per-cell datatype report for export.
+ * @param {string} filename
+ * @param {import('./rdf/cellValidation.js').CellError[]|undefined} cellErrors
+ * @returns {void}
+ */
+function setLastCellErrors(filename, cellErrors) {
+  lastCellErrors = cellErrors && cellErrors.length > 0 ? { filename, cellErrors } : null;
+  dom.exportCellErrorsBtn.disabled = !lastCellErrors;
+  if (lastCellErrors) log.warn('invalid_cells', { count: lastCellErrors.cellErrors.length });
+}
+
+/**
+ * @param {import('./rdf/cellValidation.js').CellError[]|undefined} cellErrors
+ * @returns {void}
+ */
+function showCellErrorsToast(cellErrors) {
+  if (!cellErrors || cellErrors.length === 0) return;
+  const more = cellErrors.length > 1 ? ` (+${cellErrors.length - 1} more)` : '';
+  toasts.show({ title: 'Datatype warning', body: `${describeCellError(cellErrors[0])}${more}`, kind: 'warning', timeoutMs: 6000 });
+}
+
+/**
+ * @param {import('./pipeline/ingestPipeline.js').IngestResult['rowIriCollisions']|undefined} collisions
+ * @returns {void}
+ */
+function showRowIriCollisionsToast(collisions) {
+  if (!collisions || collisions.length === 0) return;
+  const first = collisions[0];
+  const more = collisions.length > 1 ? ` (+${collisions.length - 1} more)` : '';
+  toasts.show({
+    title: 'Duplicate row IRIs',
+    body: `Data rows ${first.firstRowIndex + 1} and ${first.rowIndex + 1} share ${first.iri}; the later row was suffixed${more}.`,
+    kind: 'warning',
+    timeoutMs: 8000
+  });
+}
+
+/**
+ * @returns {void}
+ */
+function handleExportCellErrors() {
+  if (!lastCellErrors) {
+    toasts.show({ title: 'Nothing to export', body: 'The last run had no invalid cells.' });
+    return;
+  }
+
+  const baseName = lastCellErrors.filename.replace(/\.[^.]+$/, '') || 'table-nova';
+  downloadTextFile(
+    `${baseName}.validation-report.csv`,
+    serializeCellErrorReportCsv(lastCellErrors.cellErrors),
+    'text/csv;charset=utf-8'
+  );
+  toasts.show({ title: 'Exported', body: 'Downloaded validation report.' });
+}
+
+/**
+ * @returns {'abox'|'tbox'|'prov'|'both'}
  */
 function getOutputScope() {
   const selected = Array.from(dom.outputScopeInputs || []).find((input) => input.checked)?.value;
-  return selected === 'tbox' || selected === 'both' ? selected : 'abox';
+  return selected === 'tbox' || selected === 'prov' || selected === 'both' ? selected : 'abox';
 }
 
 /**
@@ -518,32 +708,40 @@ function renderCurrentOutputs() {
 }
 
 /**
- * @param {{dataset: any, graphIri: string, filename: string, quads: any[], columnSchemas: any[], sampleValuesByPredicate?: Record<string, string[]>}} params
+ * Builds the lazily-serialized output package. When `dataset` is null (worker runs), the A-Box
+ * store is rebuilt from `quads` the first time a non-Turtle view needs it; the provenance store
+ * is always built on demand from `provenanceQuads`. The T-Box uses `basePredicateIri` and every
+ * view uses `prefixes`, both as the run was built, so they match the run's IRIs.
+ * @param {{dataset: any|null, graphIri: string, filename: string, quads: any[], provenanceQuads?: any[], basePredicateIri: string, prefixes: Record<string, string>, columnSchemas: any[], sampleValuesByPredicate?: Record<string, string[]>, nullCountsByPredicate?: Record<string, number>, aboxTurtle?: string}} params
  * @returns {Promise<any>}
  */
-async function buildOutputPackage({ dataset, graphIri, filename, quads, columnSchemas, sampleValuesByPredicate = {} }) {
-  const prefixes = TABLENOVA_DEFAULTS.prefixes;
-  const aboxTurtle = await serializeScopeKind(dataset, graphIri, prefixes, 'turtle');
+async function buildOutputPackage({ dataset, graphIri, filename, quads, provenanceQuads = [], basePredicateIri, prefixes, columnSchemas, sampleValuesByPredicate = {}, nullCountsByPredicate = {}, aboxTurtle }) {
+  const turtle = aboxTurtle ?? await serializeScopeKind(dataset, graphIri, prefixes, 'turtle');
 
   return {
     filename,
     graphIri,
     columnSchemas,
     sampleValuesByPredicate,
+    nullCountsByPredicate,
     prefixes,
+    basePredicateIri,
     datasets: {
       abox: dataset,
       tbox: null,
+      prov: null,
       both: null
     },
     quadsByScope: {
       abox: quads || [],
       tbox: null,
+      prov: provenanceQuads || [],
       both: null
     },
     views: {
-      abox: createEmptyView({ turtle: aboxTurtle }),
+      abox: createEmptyView({ turtle }),
       tbox: createEmptyView(),
+      prov: createEmptyView(),
       both: createEmptyView()
     }
   };
@@ -581,7 +779,7 @@ function getActiveOutputTab() {
 }
 
 /**
- * @param {'abox'|'tbox'|'both'} scope
+ * @param {'abox'|'tbox'|'prov'|'both'} scope
  * @param {'turtle'|'ntriples'|'jsonld'|'session'|'trig'|'nquads'|'jsonldTriples'|'jsonldGraph'|'quadTable'} target
  * @returns {Promise<void>}
  */
@@ -641,7 +839,7 @@ async function ensureViewReady(scope, target) {
 }
 
 /**
- * @param {'abox'|'tbox'|'both'} scope
+ * @param {'abox'|'tbox'|'prov'|'both'} scope
  * @returns {Promise<{dataset: any, quads: any[]}>}
  */
 async function ensureScopeMaterials(scope) {
@@ -650,6 +848,12 @@ async function ensureScopeMaterials(scope) {
   }
 
   if (scope === 'abox') {
+    if (!lastOutput.datasets.abox) {
+      const { dataset } = await import('./rdf/buildDataset.js').then((m) =>
+        m.datasetFromQuads(lastOutput.quadsByScope.abox || [])
+      );
+      lastOutput.datasets.abox = dataset;
+    }
     return {
       dataset: lastOutput.datasets.abox,
       quads: lastOutput.quadsByScope.abox || []
@@ -658,7 +862,7 @@ async function ensureScopeMaterials(scope) {
 
   if (scope === 'tbox') {
     if (!lastOutput.datasets.tbox) {
-      lastOutput.datasets.tbox = buildOntologyDataset(lastOutput.columnSchemas || []);
+      lastOutput.datasets.tbox = buildOntologyDataset(lastOutput.columnSchemas || [], lastOutput.basePredicateIri);
     }
     if (!lastOutput.quadsByScope.tbox) {
       lastOutput.quadsByScope.tbox = ontologyRecordsFromDataset(lastOutput.datasets.tbox);
@@ -669,14 +873,28 @@ async function ensureScopeMaterials(scope) {
     };
   }
 
+  if (scope === 'prov') {
+    if (!lastOutput.datasets.prov) {
+      const { dataset } = await import('./rdf/buildDataset.js').then((m) =>
+        m.datasetFromQuads(lastOutput.quadsByScope.prov || [])
+      );
+      lastOutput.datasets.prov = dataset;
+    }
+    return {
+      dataset: lastOutput.datasets.prov,
+      quads: lastOutput.quadsByScope.prov || []
+    };
+  }
+
   const abox = await ensureScopeMaterials('abox');
   const tbox = await ensureScopeMaterials('tbox');
+  const prov = await ensureScopeMaterials('prov');
 
   if (!lastOutput.datasets.both) {
-    lastOutput.datasets.both = mergeDatasets(abox.dataset, tbox.dataset);
+    lastOutput.datasets.both = mergeDatasets(abox.dataset, tbox.dataset, prov.dataset);
   }
   if (!lastOutput.quadsByScope.both) {
-    lastOutput.quadsByScope.both = [...(abox.quads || []), ...(tbox.quads || [])];
+    lastOutput.quadsByScope.both = [...(abox.quads || []), ...(tbox.quads || []), ...(prov.quads || [])];
   }
 
   return {
@@ -711,31 +929,16 @@ async function serializeScopeKind(dataset, graphIri, prefixes, kind) {
     return writeWithN3(dataset, { format: 'N-Quads' });
   }
 
+  // JSON-LD has no RDF-star; cell trace annotations are written as reification instead.
   if (kind === 'jsonldTriples') {
-    const ntriples = await writeWithN3(toTriplesStore(dataset), { format: 'N-Triples' });
+    const ntriples = await writeWithN3(reifyQuotedTriples(toTriplesStore(dataset)), { format: 'N-Triples' });
     return rdfToJsonLd(ntriples, false);
   }
 
-  const nquads = await writeWithN3(dataset, { format: 'N-Quads' });
+  const nquads = await writeWithN3(reifyQuotedTriples(dataset), { format: 'N-Quads' });
   return rdfToJsonLd(nquads, true, graphIri);
 }
 
-/**
- * @param {any} dataset
- * @returns {any}
- */
-function toTriplesStore(dataset) {
-  const N3 = /** @type {any} */ (globalThis).N3;
-  const { DataFactory, Store } = N3;
-  const triplesStore = new Store();
-
-  for (const q of dataset?.getQuads?.(null, null, null, null) || []) {
-    triplesStore.addQuad(DataFactory.quad(q.subject, q.predicate, q.object));
-  }
-
-  return triplesStore;
-}
-
 /**
  * @param {{filename: string, graphIri: string}} output
  * @returns {string}
@@ -767,30 +970,14 @@ function mergeDatasets(...datasets) {
 }
 
 /**
- * Applies header row options to a parsed table.
- * @param {import('./tabular/parseTabular.js').TabularData} tabular
- * @param {import('./state/types.js').FileOptions} options
- * @returns {import('./tabular/parseTabular.js').TabularData}
- */
-function normalizeTabularForOptions(tabular, options) {
-  return applyHeaderRowOptions(tabular, Boolean(options?.treatFirstRowAsHeader ?? true), options?.headerRowNumber || 1);
-}
-
-/**
- * Builds the row slice used for draft metadata examples.
- * @param {import('./tabular/parseTabular.js').TabularData} tabular
- * @param {import('./state/types.js').FileOptions} options
- * @returns {string[][]}
+ * Warns about malformed CSV/TSV quoting without blocking the preview or run.
+ * @param {import('./tabular/parseTabular.js').ParseIssue[]|undefined} issues
+ * @returns {void}
  */
-function getProcessedDataRows(tabular, options) {
-  if (Boolean(options?.treatFirstRowAsHeader ?? true)) {
-    return tabular.rows || [];
-  }
-
-  return [
-    ...(Array.isArray(tabular.header) ? [tabular.header] : []),
-    ...(tabular.rows || [])
-  ];
+function showParseIssuesToast(issues) {
+  if (!issues || issues.length === 0) return;
+  const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : '';
+  toasts.show({ title: 'Parse warning', body: `${issues[0].message}${more}`, kind: 'warning', timeoutMs: 6000 });
 }
 
 /**
@@ -841,11 +1028,13 @@ async function init() {
 
   // IndexedDB
   db = await openTableNovaDb();
+  settings = resolveSettings(await getProjectSettings(db));
+  renderCurrentSettings();
   await refreshRunsList();
 
   // File selection in options panel
   document.addEventListener('tablenova:selected-file-changed', () => {
-    renderFileOptionsPanel(dom.optionsPanel, stagedFiles, handleUpdateFileOptions, handlePreviewFile);
+    renderFileOptionsPanel(dom.optionsPanel, stagedFiles, handleUpdateFileOptions, handlePreviewFile, settings);
   });
 
   // Dropzone
@@ -856,6 +1045,7 @@ async function init() {
 
   // Buttons
   dom.runBtn.addEventListener('click', handleRun);
+  dom.cancelRunBtn.addEventListener('click', handleCancelRun);
   dom.clearBtn.addEventListener('click', handleClearStaged);
 
   // Exports
@@ -867,6 +1057,7 @@ async function init() {
   dom.exportJsonLdGraphBtn.addEventListener('click', handleExportJsonLdGraph);
   dom.exportDataDictionaryBtn.addEventListener('click', handleExportDataDictionary);
   dom.exportJsonSchemaBtn.addEventListener('click', handleExportJsonSchema);
+  dom.exportCellErrorsBtn.addEventListener('click', handleExportCellErrors);
   dom.outputScopeInputs.forEach((input) => input.addEventListener('change', renderCurrentOutputs));
   document.querySelector('.table-nova-tabs')?.addEventListener('click', (e) => {
     const target = /** @type {HTMLElement|null} */ (e.target instanceof HTMLElement ? e.target : null);
@@ -0,0 +1,34 @@
+/**
+ * @file Multi-valued cells: one cell such as `red; green; blue` holding several values.
+ */
+
+/**
+ * @typedef {Object} MultiValueOptions
+ * @property {string} separator   // splits the cell; empty = single-valued column
+ * @property {boolean} [asList]   // emit one ordered rdf:List instead of repeated triples
+ */
+
+/**
+ * Normalizes a stored multi-value setting; null when the column is single-valued.
+ * @param {Partial<MultiValueOptions>|null|undefined} multiValue
+ * @returns {MultiValueOptions|null}
+ */
+export function resolveMultiValueOptions(multiValue) {
+  // Whitespace separators (tab, space) are meaningful, so the separator is not trimmed.
+  const separator = String(multiValue?.separator ?? '');
+  if (!separator) return null;
+  return { separator, asList: Boolean(multiValue?.asList) };
+}
+
+/**
+ * Splits a cell into its trimmed, non-empty values. Single-valued columns yield the whole cell.
+ * @param {string} cell
+ * @param {Partial<MultiValueOptions>|null|undefined} multiValue
+ * @returns {string[]}
+ */
+export function splitCellValues(cell, multiValue) {
+  const text = String(cell ?? '');
+  const resolved = resolveMultiValueOptions(multiValue);
+  const pieces = resolved ? text.split(resolved.separator) : [text];
+  return pieces.map((piece) => piece.trim()).filter(Boolean);
+}
@@ -0,0 +1,62 @@
+/**
+ * @file Null tokens (`N/A`, `NULL`, `-`, `#N/A`) and what to do with empty cells.
+ */
+
+/**
+ * What to do with a cell that is empty or holds a null token:
+ * - skip:     emit nothing for the cell
+ * - marker:   emit `<row> tablenova:noValueFor <predicate>`, stating the value is known to be missing
+ * - required: fail validation; the run is rejected with the cell in the report
+ * @typedef {'skip'|'marker'|'required'} EmptyCellPolicy
+ */
+
+export const EMPTY_CELL_POLICIES = Object.freeze(['skip', 'marker', 'required']);
+export const DEFAULT_EMPTY_CELL_POLICY = 'skip';
+/** Placeholders offered by the UI; not applied unless the user picks them. */
+export const COMMON_NULL_TOKENS = Object.freeze(['N/A', 'NA', 'NULL', '-', '#N/A', 'none']);
+/** Local name (under the predicate base) of the "no value" marker predicate. */
+export const NO_VALUE_FOR_LOCAL_NAME = 'noValueFor';
+
+/**
+ * Normalizes a stored policy value.
+ * @param {any} policy
+ * @returns {EmptyCellPolicy}
+ */
+export function resolveEmptyCellPolicy(policy) {
+  return EMPTY_CELL_POLICIES.includes(policy) ? policy : DEFAULT_EMPTY_CELL_POLICY;
+}
+
+/**
+ * Trims, drops blanks and de-duplicates a token list. A string is read as a comma-separated list.
+ * @param {string[]|string|null|undefined} tokens
+ * @returns {string[]}
+ */
+export function normalizeNullTokens(tokens) {
+  const list = Array.isArray(tokens) ? tokens : String(tokens ?? '').split(',');
+  return [...new Set(list.map((t) => String(t ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * The null tokens of one column: its own list when set, otherwise the file's.
+ * @param {string[]|undefined} fileTokens
+ * @param {Record<string, string[]>|undefined} tokensByColumnKey
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function columnNullTokens(fileTokens, tokensByColumnKey, key) {
+  const own = tokensByColumnKey?.[key];
+  return normalizeNullTokens(Array.isArray(own) ? own : fileTokens);
+}
+
+/**
+ * True when a cell is empty or (ignoring case and surrounding space) one of the null tokens.
+ * @param {any} cell
+ * @param {string[]|undefined} nullTokens
+ * @returns {boolean}
+ */
+export function isNullCell(cell, nullTokens) {
+  const s = String(cell ?? '').trim();
+  if (!s) return true;
+  const lower = s.toLowerCase();
+  return (nullTokens || []).some((token) => token.toLowerCase() === lower);
+}
@@ -6,10 +6,28 @@
  * @typedef {'csv'|'tsv'|'xlsx'|'unknown'} TabularKind
  */
 
+/** Delimiters tried by auto-detection, in tie-break order. */
+export const DELIMITER_CANDIDATES = Object.freeze([',', '\t', ';', '|']);
+export const DEFAULT_QUOTE_CHAR = '"';
+const DETECT_SAMPLE_LINES = 10;
+const DETECT_SAMPLE_CHARS = 64 * 1024;
+
+/**
+ * @typedef {Object} ParseIssue
+ * @property {'unterminated-quote'|'unexpected-quote'|'text-after-quote'} kind
+ * @property {number} line      // 1-based physical line
+ * @property {number} column    // 1-based character column on that line
+ * @property {number} record    // 1-based record (row) number
+ * @property {string} message
+ */
+
 /**
  * @typedef {Object} TabularData
  * @property {string[]|null} header    // first row (if present)
  * @property {string[][]} rows         // remaining rows
+ * @property {ParseIssue[]} [issues]   // parse problems (CSV/TSV only)
+ * @property {string} [delimiter]      // delimiter used (CSV/TSV only)
+ * @property {string} [encoding]       // character encoding the text was decoded with (CSV/TSV only)
  */
 
 /**
@@ -29,81 +47,320 @@ export function detectTabularType(filename) {
 /**
  * Heuristically detects delimiter from a single line.
  * @param {string} line
- * @returns {','|'\t'}
+ * @returns {string}
  */
 export function detectDelimiterFromLine(line) {
-  const comma = (line.match(/,/g) || []).length;
-  const tab = (line.match(/\t/g) || []).length;
-  return tab > comma ? '\t' : ',';
+  return detectDelimiter(line, { maxLines: 1 });
+}
+
+/**
+ * Detects the delimiter by scoring candidates over the first few records.
+ * A candidate scores well when it appears (outside quotes) the same number of times on most lines;
+ * ties go to the earlier candidate.
+ * @param {string} text
+ * @param {{candidates?: readonly string[], quoteChar?: string, maxLines?: number}} [params]
+ * @returns {string}
+ */
+export function detectDelimiter(text, { candidates = DELIMITER_CANDIDATES, quoteChar = DEFAULT_QUOTE_CHAR, maxLines = DETECT_SAMPLE_LINES } = {}) {
+  const countsByLine = countCandidatesPerLine(String(text ?? '').slice(0, DETECT_SAMPLE_CHARS), candidates, quoteChar, maxLines);
+
+  let best = candidates[0] ?? ',';
+  let bestScore = 0;
+  for (const cand of candidates) {
+    const score = scoreDelimiterCounts(countsByLine.map((counts) => counts[cand] || 0));
+    if (score > bestScore) {
+      best = cand;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Scores per-line occurrence counts: the most common non-zero count, weighted by how
+ * consistently lines share it.
+ * @param {number[]} counts
+ * @returns {number}
+ */
+export function scoreDelimiterCounts(counts) {
+  if (counts.length === 0) return 0;
+  /** @type {Record<number, number>} */
+  const freq = {};
+  for (const n of counts) {
+    if (n > 0) freq[n] = (freq[n] || 0) + 1;
+  }
+
+  let mode = 0;
+  let modeLines = 0;
+  for (const [n, lines] of Object.entries(freq)) {
+    if (lines > modeLines || (lines === modeLines && Number(n) > mode)) {
+      mode = Number(n);
+      modeLines = lines;
+    }
+  }
+
+  const consistency = modeLines / counts.length;
+  return mode * consistency * consistency;
+}
+
+/**
+ * Counts candidate delimiters outside quotes for each non-empty record in a text sample.
+ * @param {string} sample
+ * @param {readonly string[]} candidates
+ * @param {string} quoteChar
+ * @param {number} maxLines
+ * @returns {Array<Record<string, number>>}
+ */
+function countCandidatesPerLine(sample, candidates, quoteChar, maxLines) {
+  /** @type {Array<Record<string, number>>} */
+  const out = [];
+  /** @type {Record<string, number>} */
+  let counts = {};
+  let inQuotes = false;
+  let hasContent = false;
+
+  for (let i = 0; i < sample.length && out.length < maxLines; i += 1) {
+    const ch = sample[i];
+    if (quoteChar && ch === quoteChar) {
+      inQuotes = !inQuotes;
+      hasContent = true;
+      continue;
+    }
+    if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      if (hasContent) out.push(counts);
+      counts = {};
+      hasContent = false;
+      continue;
+    }
+    if (ch.trim()) hasContent = true;
+    if (!inQuotes && candidates.includes(ch)) {
+      counts[ch] = (counts[ch] || 0) + 1;
+      hasContent = true;
+    }
+  }
+
+  if (hasContent && out.length < maxLines) out.push(counts);
+  return out;
 }
 
 /**
  * Splits CSV/TSV into rows of cells.
- * Minimal RFC4180-ish parsing: supports quotes and escaped quotes.
+ * RFC 4180 parsing: quoted fields may contain delimiters, escaped quotes, and line breaks.
  * @param {string} text
- * @param {','|'\t'|null} delimiterHint
+ * @param {string|null} delimiterHint   // any single character, or null to auto-detect
+ * @param {string} [quoteChar]          // single character, or '' to disable quoting
  * @returns {TabularData}
  */
-export function parseCsvOrTsvText(text, delimiterHint = null) {
+export function parseCsvOrTsvText(text, delimiterHint = null, quoteChar = DEFAULT_QUOTE_CHAR) {
   const src = String(text ?? '');
-  const lines = src.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-  const firstNonEmpty = lines.find((l) => l.trim().length > 0) ?? '';
-  const delim = delimiterHint ?? detectDelimiterFromLine(firstNonEmpty);
-
-  /** @type {string[][]} */
-  const all = [];
-  for (const line of lines) {
-    if (line.length === 0) continue;
-    all.push(parseLine(line, delim));
-  }
+  const delim = delimiterHint || detectDelimiter(src, { quoteChar });
 
-  if (all.length === 0) return { header: null, rows: [] };
+  const parser = createDelimitedTextParser(delim, quoteChar);
+  const all = [...parser.push(src), ...parser.end()];
+  return { ...toTabularData(all, parser.getIssues()), delimiter: delim };
+}
+
+/**
+ * Builds TabularData from parsed records (first record becomes the header candidate).
+ * @param {string[][]} records
+ * @param {ParseIssue[]} [issues]
+ * @returns {TabularData}
+ */
+export function toTabularData(records, issues = []) {
+  const all = dropTrailingEmptyColumns(records || []);
+  if (all.length === 0) return { header: null, rows: [], issues };
   const header = normalizeRow(all[0]);
   const rows = all.slice(1).map(normalizeRow);
-  return { header, rows };
+  return { header, rows, issues };
 }
 
 /**
  * Parses a single CSV/TSV line.
  * @param {string} line
- * @param {','|'\t'} delim
+ * @param {string} delim
+ * @param {string} [quoteChar]
  * @returns {string[]}
  */
-export function parseLine(line, delim) {
+export function parseLine(line, delim, quoteChar = DEFAULT_QUOTE_CHAR) {
+  const parser = createDelimitedTextParser(delim, quoteChar);
+  const records = [...parser.push(String(line ?? '')), ...parser.end()];
+  return records[0] ?? [''];
+}
+
+/**
+ * @typedef {Object} DelimitedTextParser
+ * @property {(chunk: string) => string[][]} push   // feeds text, returns records completed so far
+ * @property {() => string[][]} end                 // flushes the final record
+ * @property {() => ParseIssue[]} getIssues
+ */
+
+/**
+ * Creates a character-level RFC 4180 parser that accepts text in arbitrary chunks.
+ * - CRLF, LF, and lone CR all end a record; inside quotes they become LF.
+ * - Blank lines are skipped.
+ * - Malformed quoting is parsed leniently and reported as a ParseIssue.
+ * @param {string} delim
+ * @param {string} [quote]   // quote character; '' disables quoting
+ * @returns {DelimitedTextParser}
+ */
+export function createDelimitedTextParser(delim, quote = DEFAULT_QUOTE_CHAR) {
+  /** @type {ParseIssue[]} */
+  const issues = [];
   /** @type {string[]} */
-  const out = [];
-  let cur = '';
-  let inQuotes = false;
+  let row = [];
+  let field = '';
+  /** @type {'start'|'unquoted'|'quoted'|'quoteInQuoted'} */
+  let state = 'start';
+  let fieldQuoted = false;
+  let fieldFlagged = false;
+  let pendingCr = false;
+  let line = 1;
+  let column = 0;
+  let record = 1;
+  let quoteLine = 1;
+  let quoteColumn = 1;
+
+  /**
+   * @param {ParseIssue['kind']} kind
+   * @param {number} atLine
+   * @param {number} atColumn
+   * @param {string} message
+   * @returns {void}
+   */
+  function report(kind, atLine, atColumn, message) {
+    issues.push({ kind, line: atLine, column: atColumn, record, message });
+  }
+
+  function endField() {
+    row.push(field);
+    field = '';
+    fieldQuoted = false;
+    fieldFlagged = false;
+    state = 'start';
+  }
+
+  /**
+   * @param {string[][]} out
+   * @returns {void}
+   */
+  function endRecord(out) {
+    const blank = row.length === 0 && field === '' && !fieldQuoted;
+    endField();
+    if (!blank) {
+      out.push(row);
+      record += 1;
+    }
+    row = [];
+  }
+
+  return Object.freeze({
+    push(chunk) {
+      /** @type {string[][]} */
+      const out = [];
+      const text = String(chunk ?? '');
+
+      for (let i = 0; i < text.length; i += 1) {
+        const ch = text[i];
 
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
+        if (pendingCr) {
+          pendingCr = false;
+          if (ch === '\n') continue;
+        }
 
-    if (inQuotes) {
-      if (ch === '"') {
-        const next = line[i + 1];
-        if (next === '"') {
-          cur += '"';
-          i += 1;
+        const isBreak = ch === '\n' || ch === '\r';
+        if (isBreak) {
+          pendingCr = ch === '\r';
+          line += 1;
+          column = 0;
         } else {
-          inQuotes = false;
+          column += 1;
+        }
+
+        if (state === 'quoted') {
+          if (ch === quote) state = 'quoteInQuoted';
+          else field += isBreak ? '\n' : ch;
+          continue;
+        }
+
+        if (state === 'quoteInQuoted') {
+          if (ch === quote) {
+            field += quote;
+            state = 'quoted';
+            continue;
+          }
+          if (ch === delim) {
+            endField();
+            continue;
+          }
+          if (isBreak) {
+            endRecord(out);
+            continue;
+          }
+          report('text-after-quote', line, column, `Unexpected text after closing quote at line ${line}, column ${column}.`);
+          field += ch;
+          state = 'unquoted';
+          continue;
+        }
+
+        if (ch === delim) {
+          endField();
+          continue;
+        }
+
+        if (isBreak) {
+          endRecord(out);
+          continue;
         }
-      } else {
-        cur += ch;
+
+        if (state === 'start' && ch === quote) {
+          state = 'quoted';
+          fieldQuoted = true;
+          quoteLine = line;
+          quoteColumn = column;
+          continue;
+        }
+
+        if (ch === quote && !fieldFlagged) {
+          fieldFlagged = true;
+          report('unexpected-quote', line, column, `Unexpected quote inside unquoted field at line ${line}, column ${column}.`);
+        }
+        field += ch;
+        state = 'unquoted';
       }
-    } else {
-      if (ch === '"') {
-        inQuotes = true;
-      } else if (ch === delim) {
-        out.push(cur);
-        cur = '';
-      } else {
-        cur += ch;
+
+      return out;
+    },
+
+    end() {
+      /** @type {string[][]} */
+      const out = [];
+      if (state === 'quoted') {
+        report('unterminated-quote', quoteLine, quoteColumn, `Unterminated quoted field starting at line ${quoteLine}, column ${quoteColumn}.`);
       }
+      endRecord(out);
+      return out;
+    },
+
+    getIssues() {
+      return issues.slice();
     }
-  }
+  });
+}
 
-  out.push(cur);
-  return out;
+/**
+ * Drops trailing columns that are empty in every record (e.g., from trailing delimiters).
+ * @param {string[][]} records
+ * @returns {string[][]}
+ */
+export function dropTrailingEmptyColumns(records) {
+  // A loop rather than Math.max(...widths): spreading one argument per record overflows the stack on large files.
+  let width = 0;
+  for (const r of records) {
+    let n = r.length;
+    while (n > width && String(r[n - 1] ?? '').trim() === '') n -= 1;
+    width = Math.max(width, n);
+  }
+  return records.map((r) => (r.length > width ? r.slice(0, Math.max(width, 1)) : r));
 }
 
 /**
@@ -129,29 +386,38 @@ export function applyHeaderRowOptions(tabular, treatFirstRowAsHeader, headerRowN
     ...(Array.isArray(tabular.header) ? [tabular.header] : []),
     ...(tabular.rows || [])
   ];
-  if (allRows.length === 0) return { header: null, rows: [] };
+  if (allRows.length === 0) return { ...tabular, header: null, rows: [], issues: tabular.issues || [] };
 
   const requested = Math.max(1, Math.floor(Number(headerRowNumber || 1)));
   const headerIndex = Math.min(allRows.length - 1, requested - 1);
   return {
+    ...tabular,
     header: allRows[headerIndex],
-    rows: allRows.slice(headerIndex + 1)
+    rows: allRows.slice(headerIndex + 1),
+    issues: tabular.issues || []
   };
 }
 
 /**
- * Parses an XLSX ArrayBuffer into TabularData (first sheet, first row as header candidate).
+ * Reads an XLSX ArrayBuffer into a SheetJS workbook.
  * @param {ArrayBuffer} buf
- * @returns {Promise<TabularData>}
+ * @param {{sheetRows?: number}} [params]   // sheetRows: parse only the first rows of every sheet (previews)
+ * @returns {any}
  */
-export async function parseXlsxArrayBuffer(buf) {
-  // XLSX is already resolved globally at module load; this stays async for API compatibility.
-  const wb = XLSX.read(buf, { type: 'array' });
+export function readXlsxWorkbook(buf, { sheetRows } = {}) {
+  return XLSX.read(buf, { type: 'array', ...(sheetRows ? { sheetRows } : {}) });
+}
 
-  const sheetName = wb.SheetNames?.[0];
-  if (!sheetName) return { header: null, rows: [] };
+/**
+ * Converts one workbook sheet into TabularData (first row as header candidate).
+ * @param {any} wb
+ * @param {string} sheetName
+ * @returns {TabularData}
+ */
+export function parseXlsxSheet(wb, sheetName) {
+  const ws = sheetName ? wb?.Sheets?.[sheetName] : null;
+  if (!ws) return { header: null, rows: [] };
 
-  const ws = wb.Sheets[sheetName];
   const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: '' });
 
   const all = aoa.map((row) => (Array.isArray(row) ? row.map((c) => String(c ?? '').trim()) : []));
@@ -161,3 +427,15 @@ export async function parseXlsxArrayBuffer(buf) {
   const rows = all.slice(1);
   return { header, rows };
 }
+
+/**
+ * Parses an XLSX ArrayBuffer into TabularData (named sheet, or the first sheet).
+ * @param {ArrayBuffer} buf
+ * @param {string|null} [sheetName]
+ * @returns {Promise<TabularData>}
+ */
+export async function parseXlsxArrayBuffer(buf, sheetName = null) {
+  // XLSX is already resolved globally at module load; this stays async for API compatibility.
+  const wb = readXlsxWorkbook(buf);
+  return parseXlsxSheet(wb, sheetName ?? wb.SheetNames?.[0]);
+}
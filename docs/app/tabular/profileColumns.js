@@ -0,0 +1,150 @@
+/**
+ * @file Column profiling: suggest an xsd datatype per column from its cell values.
+ */
+
+import {
+  resolveMultiValueOptions,
+  splitCellValues
+} from './multiValues.js';
+import {
+  columnNullTokens,
+  isNullCell
+} from './nullValues.js';
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/** Rows inspected per column when profiling a preview. */
+export const PROFILE_ROW_LIMIT = 2000;
+/** Share of non-empty values that must match before a type is suggested. */
+export const MIN_CONFIDENCE = 0.9;
+const FAILING_VALUE_LIMIT = 5;
+
+/**
+ * @typedef {Object} ColumnProfile
+ * @property {string} datatypeIri      // suggested xsd datatype
+ * @property {number} confidence       // 0..1 share of non-empty values that fit the suggestion
+ * @property {number} nonEmptyCount
+ * @property {number} failingCount     // non-empty values that do not fit the suggestion
+ * @property {string[]} failingValues  // a few distinct failing values, for display
+ */
+
+/**
+ * Candidate types from most to least specific. The first candidate that fits at least
+ * MIN_CONFIDENCE of the values wins; xsd:string is the fallback.
+ * @type {ReadonlyArray<{datatypeIri: string, test: (value: string) => boolean}>}
+ */
+const CANDIDATES = Object.freeze([
+  { datatypeIri: `${XSD}boolean`, test: (v) => /^(true|false|yes|no|y|n)$/i.test(v) },
+  // Leading zeros (postcodes, account numbers) are identifiers, not integers.
+  { datatypeIri: `${XSD}integer`, test: (v) => /^[+-]?(0|[1-9]\d*)$/.test(v) },
+  { datatypeIri: `${XSD}decimal`, test: (v) => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(v) && !/^[+-]?0\d/.test(v) },
+  { datatypeIri: `${XSD}date`, test: isIsoDate },
+  { datatypeIri: `${XSD}dateTime`, test: isIsoDateTime },
+  { datatypeIri: `${XSD}anyURI`, test: (v) => /^(https?|ftp):\/\/[^\s/$.?#][^\s]*$/i.test(v) || /^(urn|mailto):[^\s]+$/i.test(v) }
+]);
+
+/**
+ * Suggests a datatype for one column of raw cell values.
+ * @param {string[]} values
+ * @returns {ColumnProfile}
+ */
+export function inferColumnDatatype(values) {
+  const nonEmpty = (values || []).map((v) => String(v ?? '').trim()).filter(Boolean);
+  if (nonEmpty.length === 0) {
+    return { datatypeIri: `${XSD}string`, confidence: 0, nonEmptyCount: 0, failingCount: 0, failingValues: [] };
+  }
+
+  for (const candidate of CANDIDATES) {
+    const failing = nonEmpty.filter((v) => !candidate.test(v));
+    const confidence = (nonEmpty.length - failing.length) / nonEmpty.length;
+    if (confidence >= MIN_CONFIDENCE) {
+      return {
+        datatypeIri: candidate.datatypeIri,
+        confidence,
+        nonEmptyCount: nonEmpty.length,
+        failingCount: failing.length,
+        failingValues: [...new Set(failing)].slice(0, FAILING_VALUE_LIMIT)
+      };
+    }
+  }
+
+  return { datatypeIri: `${XSD}string`, confidence: 1, nonEmptyCount: nonEmpty.length, failingCount: 0, failingValues: [] };
+}
+
+/**
+ * Profiles every column of a table. Multi-valued columns are profiled by their split values;
+ * null tokens ("N/A") count as empty.
+ * @param {{
+ *   columnKeys: string[],
+ *   rows: string[][],
+ *   maxRows?: number,
+ *   multiValuesByColumnKey?: Record<string, import('./multiValues.js').MultiValueOptions>,
+ *   nullTokens?: string[],
+ *   nullTokensByColumnKey?: Record<string, string[]>
+ * }} params
+ * @returns {Record<string, ColumnProfile>} columnKey -> profile
+ */
+export function profileColumns({
+  columnKeys,
+  rows,
+  maxRows = PROFILE_ROW_LIMIT,
+  multiValuesByColumnKey = {},
+  nullTokens = [],
+  nullTokensByColumnKey = {}
+}) {
+  const sample = (rows || []).slice(0, Math.max(0, maxRows));
+  /** @type {Record<string, ColumnProfile>} */
+  const out = {};
+  (columnKeys || []).forEach((key, index) => {
+    const multiValue = resolveMultiValueOptions(multiValuesByColumnKey?.[key]);
+    const tokens = columnNullTokens(nullTokens, nullTokensByColumnKey, key);
+    const values = sample.map((row) => row?.[index] ?? '');
+    const split = multiValue ? values.flatMap((v) => splitCellValues(v, multiValue)) : values;
+    out[key] = inferColumnDatatype(split.filter((v) => !isNullCell(v, tokens)));
+  });
+  return out;
+}
+
+/**
+ * Fills in suggested datatypes for columns the user has not set yet.
+ * @param {Record<string, string>} datatypesByColumnKey
+ * @param {Record<string, ColumnProfile>} profiles
+ * @returns {Record<string, string>}
+ */
+export function applySuggestedDatatypes(datatypesByColumnKey, profiles) {
+  const out = { ...(datatypesByColumnKey || {}) };
+  for (const [key, profile] of Object.entries(profiles || {})) {
+    if (!out[key] && profile.nonEmptyCount > 0) out[key] = profile.datatypeIri;
+  }
+  return out;
+}
+
+/**
+ * @param {string} v
+ * @returns {boolean}
+ */
+function isIsoDate(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+  return Boolean(m) && isRealDate(Number(m[1]), Number(m[2]), Number(m[3]));
+}
+
+/**
+ * @param {string} v
+ * @returns {boolean}
+ */
+function isIsoDateTime(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(v);
+  if (!m) return false;
+  return isRealDate(Number(m[1]), Number(m[2]), Number(m[3])) && Number(m[4]) <= 23 && Number(m[5]) <= 59;
+}
+
+/**
+ * @param {number} y
+ * @param {number} m
+ * @param {number} d
+ * @returns {boolean}
+ */
+function isRealDate(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
@@ -2,11 +2,74 @@
  * @file Render helpers (DOM updates) for Table Nova UI.
  */
 
-import { buildColumnSchemas } from '../rdf/schema.js';
+import {
+  NON_ASCII_HANDLINGS,
+  RDF_LANGSTRING,
+  buildColumnSchemas
+} from '../rdf/schema.js';
+import {
+  DATATYPES,
+  datatypeLabel,
+  normalizeLanguageTag
+} from '../rdf/datatypes.js';
+import { detectTabularType } from '../tabular/parseTabular.js';
+import { AUTO_ENCODING, ENCODING_CHOICES } from '../io/encoding.js';
+import { resolveInvalidCellPolicy } from '../rdf/cellValidation.js';
+import {
+  COMMON_NULL_TOKENS,
+  isNullCell,
+  normalizeNullTokens,
+  resolveEmptyCellPolicy
+} from '../tabular/nullValues.js';
+import { resolveRowIriOptions } from '../rdf/rowIris.js';
+import {
+  buildRowClass,
+  resolveRowClassOptions
+} from '../rdf/rowClass.js';
+import {
+  previewIriTemplate,
+  validateIriTemplate
+} from '../rdf/iriTemplates.js';
+import {
+  DATE_OUTPUTS,
+  normalizeOffset,
+  toPatternDateLexical,
+  validateDatePattern
+} from '../rdf/datePatterns.js';
+import {
+  toFormattedDecimalLexical,
+  validateNumberFormat
+} from '../rdf/numberFormats.js';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_BASE_FIELDS,
+  isAbsoluteIri,
+  isPrefixName,
+  isSettingsBaseIri,
+  resolveSettings,
+  validateSettings,
+  withSettingsBase
+} from '../state/settings.js';
+import {
+  formatReplacementLines,
+  parseReplacementLines
+} from '../rdf/naming.js';
+import { listLinkableTables } from '../rdf/objectProperties.js';
+import {
+  groupRunVersions,
+  runVersion
+} from '../state/runVersions.js';
+import {
+  getActiveSheetName,
+  getSheetOptions,
+  withSheetOptions
+} from '../state/sheetOptions.js';
 
 /**
  * @typedef {import('../state/types.js').StagedFile} StagedFile
  * @typedef {import('../state/types.js').FileOptions} FileOptions
+ * @typedef {import('../state/settings.js').ProjectSettings} ProjectSettings
+ * @typedef {import('../state/runVersions.js').RunSummary} RunSummary
  */
 
 const XSD = 'http://www.w3.org/2001/XMLSchema#';
@@ -15,6 +78,61 @@ const MAX_PREVIEW_COL_CH = 38;
 const ROW_HEADER_COL_CH = 10;
 const FILE_WARN_MB = 5;
 const FILE_DANGER_MB = 10;
+const PARSE_ISSUE_LIMIT = 5;
+const DELIMITER_CHOICES = Object.freeze([
+  { value: ',', text: 'Comma (,)' },
+  { value: '\t', text: 'Tab' },
+  { value: ';', text: 'Semicolon (;)' },
+  { value: '|', text: 'Pipe (|)' }
+]);
+const QUOTE_CHOICES = Object.freeze([
+  { value: '"', text: 'Double quote (")' },
+  { value: "'", text: "Single quote (')" },
+  { value: '', text: 'None' }
+]);
+const INVALID_CELL_POLICY_CHOICES = Object.freeze([
+  { value: 'string', text: 'Keep as xsd:string' },
+  { value: 'skip', text: 'Skip the cell' },
+  { value: 'reject', text: 'Reject the run' }
+]);
+const EMPTY_CELL_POLICY_CHOICES = Object.freeze([
+  { value: 'skip', text: 'Skip the cell' },
+  { value: 'marker', text: 'State "no value" (tablenova:noValueFor)' },
+  { value: 'required', text: 'Required: reject the run' }
+]);
+const ROW_IRI_STRATEGY_CHOICES = Object.freeze([
+  { value: 'minted', text: 'New IRI per run (row number + UUID)' },
+  { value: 'key', text: 'Key columns' },
+  { value: 'hash', text: 'Hash of row content' },
+  { value: 'template', text: 'IRI template' },
+  { value: 'blank', text: 'Blank nodes (anonymous rows)' }
+]);
+const NON_ASCII_CHOICES = Object.freeze([
+  { value: 'transliterate', text: 'Transliterate to ASCII (Größe → hasGrosse)' },
+  { value: 'keep', text: 'Keep Unicode (Größe → hasGröße)' }
+]);
+const ROW_CLASS_MODE_CHOICES = Object.freeze([
+  { value: 'none', text: 'No rdf:type' },
+  { value: 'mint', text: 'New class' },
+  { value: 'iri', text: 'Existing class IRI' }
+]);
+// value = decimal separator + grouping separator
+const NUMBER_FORMAT_CHOICES = Object.freeze([
+  { value: '', text: 'As written' },
+  { value: '.,', text: '1,234.56' },
+  { value: ',.', text: '1.234,56' },
+  { value: ', ', text: '1 234,56' },
+  { value: ".'", text: "1'234.56" },
+  { value: '.', text: '1234.56' },
+  { value: ',', text: '1234,56' }
+]);
+const IRI_TEMPLATE_PREVIEW_ROWS = 3;
+const RUN_PHASE_LABELS = Object.freeze({
+  read: 'Reading file…',
+  parse: 'Parsing rows…',
+  build: 'Building triples…',
+  serialize: 'Serializing…'
+});
 
 /**
  * Enables or disables the Run button.
@@ -26,6 +144,27 @@ export function setRunButtonEnabled(btn, enabled) {
   btn.disabled = !enabled;
 }
 
+/**
+ * Shows ingest progress (or hides it when progress is null) and toggles the Cancel button.
+ * @param {HTMLElement} progressEl
+ * @param {HTMLButtonElement} cancelBtn
+ * @param {{phase: string, done: number, total: number}|null} progress
+ * @returns {void}
+ */
+export function renderRunProgress(progressEl, cancelBtn, progress) {
+  progressEl.hidden = !progress;
+  cancelBtn.hidden = !progress;
+  cancelBtn.disabled = !progress;
+  if (!progress) return;
+
+  const bar = /** @type {HTMLProgressElement|null} */ (progressEl.querySelector('progress'));
+  const label = progressEl.querySelector('[data-table-nova-progress-label]');
+  const fraction = progress.total > 0 ? Math.min(1, progress.done / progress.total) : 0;
+
+  if (bar) bar.value = fraction;
+  if (label) label.textContent = `${RUN_PHASE_LABELS[progress.phase] || progress.phase} ${Math.round(fraction * 100)}%`;
+}
+
 /**
  * Toggles dropzone dragover state.
  * @param {HTMLElement} dropzone
@@ -108,7 +247,7 @@ export function getStagedFileWarning(bytes) {
 
   if (size > dangerThreshold) {
     return {
-      message: 'Large file warning: files over 10 MB are likely to make this page crash. Select a smaller file if possible.',
+      message: 'Large file warning: files over 10 MB can take a while to convert and use a lot of memory. Progress is shown during the run, and you can cancel it.',
       itemClass: 'table-nova-fileitem--danger',
       noteClass: 'table-nova-fileitem__warning--danger'
     };
@@ -116,7 +255,7 @@ export function getStagedFileWarning(bytes) {
 
   if (size > warnThreshold) {
     return {
-      message: 'Large file warning: files over 5 MB may take extra time to load and process.',
+      message: 'Large file warning: files over 5 MB may take extra time to process.',
       itemClass: 'table-nova-fileitem--warn',
       noteClass: 'table-nova-fileitem__warning--warn'
     };
@@ -160,9 +299,10 @@ export function handleRemoveClick(e, onRemove) {
  * @param {StagedFile[]} stagedFiles
  * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
  * @param {(stagedId: string) => Promise<void>} onPreview
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
  * @returns {void}
  */
-export function renderFileOptionsPanel(panelEl, stagedFiles, onUpdateOptions, onPreview) {
+export function renderFileOptionsPanel(panelEl, stagedFiles, onUpdateOptions, onPreview, settings = DEFAULT_SETTINGS) {
   panelEl.innerHTML = '';
 
   if (!stagedFiles || stagedFiles.length === 0) {
@@ -181,9 +321,401 @@ export function renderFileOptionsPanel(panelEl, stagedFiles, onUpdateOptions, on
     panelEl.appendChild(buildFileSelector(stagedFiles, staged.id));
   }
 
-  panelEl.appendChild(buildHeaderOption(staged, onUpdateOptions));
-  panelEl.appendChild(buildPredicateOptions(staged, onUpdateOptions));
-  panelEl.appendChild(buildPreviewSection(staged, onUpdateOptions, onPreview));
+  if (staged.options?.sheetNames?.length) {
+    panelEl.appendChild(buildSheetOptions(staged, onUpdateOptions, onPreview));
+  } else if (detectTabularType(staged.file?.name) !== 'xlsx') {
+    panelEl.appendChild(buildEncodingOption(staged, onUpdateOptions, onPreview));
+    panelEl.appendChild(buildDelimiterOptions(staged, onUpdateOptions));
+  }
+
+  // Table-level controls edit the active sheet of a workbook (or the whole file for CSV/TSV).
+  const sheetName = getActiveSheetName(staged.options);
+  const sheetStaged = { ...staged, options: getSheetOptions(staged.options, sheetName) };
+  /** @type {(stagedId: string, nextOptions: FileOptions) => void} */
+  const onUpdateSheetOptions = (stagedId, nextOptions) => {
+    onUpdateOptions(stagedId, withSheetOptions(staged.options, sheetName, nextOptions));
+  };
+
+  panelEl.appendChild(buildHeaderOption(sheetStaged, onUpdateSheetOptions));
+  panelEl.appendChild(buildPredicateOptions(sheetStaged, onUpdateSheetOptions));
+  panelEl.appendChild(buildRowIriOptions(sheetStaged, onUpdateSheetOptions, settings));
+  panelEl.appendChild(buildRowClassOptions(sheetStaged, sheetName, onUpdateSheetOptions, settings));
+  panelEl.appendChild(buildInvalidCellPolicyOption(staged, onUpdateOptions));
+  panelEl.appendChild(buildCellTraceOption(staged, onUpdateOptions));
+  panelEl.appendChild(buildMissingValueOptions(staged, onUpdateOptions));
+  panelEl.appendChild(buildPreviewSection(sheetStaged, onUpdateSheetOptions, onPreview, listLinkableTables(stagedFiles), settings));
+}
+
+/**
+ * Builds the text encoding selector; changing it re-decodes the preview immediately.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {(stagedId: string) => Promise<void>} onPreview
+ * @returns {HTMLElement}
+ */
+export function buildEncodingOption(staged, onUpdateOptions, onPreview) {
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = 'Encoding';
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', 'Text encoding');
+
+  const detected = staged.options?.preview?.encoding;
+  const autoText = detected ? `Auto-detect (${describeEncoding(detected)})` : 'Auto-detect';
+  sel.appendChild(optionOf(AUTO_ENCODING, autoText));
+  for (const choice of ENCODING_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = staged.options?.encoding || AUTO_ENCODING;
+
+  sel.addEventListener('change', () => {
+    updateParseOptions(staged, { encoding: sel.value }, onUpdateOptions);
+    void onPreview(staged.id);
+  });
+
+  wrap.appendChild(label);
+  wrap.appendChild(sel);
+  return wrap;
+}
+
+/**
+ * Builds the selector for cells whose value does not fit the column datatype.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildInvalidCellPolicyOption(staged, onUpdateOptions) {
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = 'Invalid cells';
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', 'When a cell does not match its column datatype');
+  for (const choice of INVALID_CELL_POLICY_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = resolveInvalidCellPolicy(staged.options?.invalidCellPolicy);
+  sel.addEventListener('change', () => {
+    onUpdateOptions(staged.id, { ...staged.options, invalidCellPolicy: resolveInvalidCellPolicy(sel.value) });
+  });
+
+  wrap.appendChild(label);
+  wrap.appendChild(sel);
+  return wrap;
+}
+
+/**
+ * Builds the "trace cells" checkbox: annotate every triple with the row, column and cell it came from.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildCellTraceOption(staged, onUpdateOptions) {
+  const row = document.createElement('div');
+  row.className = 'table-nova-checkboxrow';
+
+  const cb = document.createElement('input');
+  cb.type = 'checkbox';
+  cb.id = `TableNovaTraceCells-${staged.id}`;
+  cb.checked = Boolean(staged.options?.traceCells);
+  cb.addEventListener('change', () => {
+    onUpdateOptions(staged.id, { ...staged.options, traceCells: cb.checked });
+  });
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.htmlFor = cb.id;
+  label.textContent = 'Trace each triple to its source row, column and cell (RDF-star; reified in JSON-LD)';
+
+  row.appendChild(cb);
+  row.appendChild(label);
+  return row;
+}
+
+/**
+ * Builds the file-level null tokens input and empty-cell policy selector.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildMissingValueOptions(staged, onUpdateOptions) {
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = 'Missing values';
+
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'text';
+  input.value = normalizeNullTokens(staged.options?.nullTokens).join(', ');
+  input.placeholder = `null tokens, e.g. ${COMMON_NULL_TOKENS.join(', ')}`;
+  input.setAttribute('aria-label', 'Cell values read as missing (comma-separated)');
+  input.addEventListener('change', () => {
+    onUpdateOptions(staged.id, { ...staged.options, nullTokens: normalizeNullTokens(input.value) });
+  });
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', 'When a cell is empty or a null token');
+  for (const choice of EMPTY_CELL_POLICY_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = resolveEmptyCellPolicy(staged.options?.emptyCellPolicy);
+  sel.addEventListener('change', () => {
+    onUpdateOptions(staged.id, { ...staged.options, emptyCellPolicy: resolveEmptyCellPolicy(sel.value) });
+  });
+
+  wrap.appendChild(label);
+  wrap.appendChild(input);
+  wrap.appendChild(sel);
+  return wrap;
+}
+
+/**
+ * @param {string} encoding
+ * @returns {string}
+ */
+export function describeEncoding(encoding) {
+  return ENCODING_CHOICES.find((c) => c.value === encoding)?.text || encoding;
+}
+
+/**
+ * Builds CSV/TSV delimiter and quote character controls.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildDelimiterOptions(staged, onUpdateOptions) {
+  const hint = staged.options?.delimiterHint || '';
+  const isPreset = hint === '' || DELIMITER_CHOICES.some((c) => c.value === hint);
+
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-checkboxrow';
+
+  const delimLabel = document.createElement('label');
+  delimLabel.className = 'table-nova-label';
+  delimLabel.textContent = 'Delimiter';
+
+  const delimSel = document.createElement('select');
+  delimSel.className = 'table-nova-select';
+  delimSel.setAttribute('aria-label', 'Delimiter');
+  const detected = staged.options?.preview?.delimiter;
+  delimSel.appendChild(optionOf('', detected ? `Auto (${describeDelimiter(detected)})` : 'Auto-detect'));
+  for (const choice of DELIMITER_CHOICES) delimSel.appendChild(optionOf(choice.value, choice.text));
+  delimSel.appendChild(optionOf('custom', 'Custom…'));
+  delimSel.value = isPreset ? hint : 'custom';
+
+  const custom = document.createElement('input');
+  custom.className = 'table-nova-input table-nova-input--rownum';
+  custom.type = 'text';
+  custom.maxLength = 1;
+  custom.value = isPreset ? '' : hint;
+  custom.hidden = isPreset;
+  custom.setAttribute('aria-label', 'Custom delimiter character');
+
+  delimSel.addEventListener('change', () => {
+    if (delimSel.value === 'custom') {
+      custom.hidden = false;
+      custom.focus();
+      return;
+    }
+    updateParseOptions(staged, { delimiterHint: delimSel.value || null }, onUpdateOptions);
+  });
+  custom.addEventListener('change', () => {
+    const ch = custom.value.slice(0, 1);
+    if (ch) updateParseOptions(staged, { delimiterHint: ch }, onUpdateOptions);
+  });
+
+  const quoteLabel = document.createElement('label');
+  quoteLabel.className = 'table-nova-label';
+  quoteLabel.textContent = 'Quote';
+
+  const quoteSel = document.createElement('select');
+  quoteSel.className = 'table-nova-select';
+  quoteSel.setAttribute('aria-label', 'Quote character');
+  for (const choice of QUOTE_CHOICES) quoteSel.appendChild(optionOf(choice.value, choice.text));
+  quoteSel.value = staged.options?.quoteChar ?? '"';
+  quoteSel.addEventListener('change', () => {
+    updateParseOptions(staged, { quoteChar: quoteSel.value }, onUpdateOptions);
+  });
+
+  wrap.appendChild(delimLabel);
+  wrap.appendChild(delimSel);
+  wrap.appendChild(custom);
+  wrap.appendChild(quoteLabel);
+  wrap.appendChild(quoteSel);
+  return wrap;
+}
+
+/**
+ * Applies a parse-level option change; the cached preview no longer matches, so it is cleared.
+ * @param {StagedFile} staged
+ * @param {Partial<FileOptions>} patch
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateParseOptions(staged, patch, onUpdateOptions) {
+  onUpdateOptions(staged.id, { ...staged.options, ...patch, preview: null });
+}
+
+/**
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export function describeDelimiter(delimiter) {
+  const known = DELIMITER_CHOICES.find((c) => c.value === delimiter);
+  return known ? known.text : `'${delimiter}'`;
+}
+
+/**
+ * Builds workbook sheet controls: which sheet to configure, which sheets to convert, and graph layout.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {(stagedId: string) => Promise<void>} onPreview
+ * @returns {HTMLElement}
+ */
+export function buildSheetOptions(staged, onUpdateOptions, onPreview) {
+  const names = staged.options.sheetNames || [];
+  const active = getActiveSheetName(staged.options);
+  const picked = new Set(staged.options.sheetsToRun || []);
+
+  const container = document.createElement('div');
+  container.className = 'table-nova-preview';
+  container.setAttribute('aria-label', 'Workbook sheets');
+
+  const header = document.createElement('div');
+  header.className = 'table-nova-preview__header';
+
+  const title = document.createElement('h3');
+  title.className = 'table-nova-preview__title';
+  title.textContent = `Sheets (${names.length})`;
+
+  const allBtn = document.createElement('button');
+  allBtn.className = 'table-nova-btn table-nova-btn--tertiary';
+  allBtn.type = 'button';
+  allBtn.textContent = picked.size === names.length ? 'Convert selected sheet only' : 'Convert all sheets';
+  allBtn.addEventListener('click', () => {
+    onUpdateOptions(staged.id, { ...staged.options, sheetsToRun: picked.size === names.length ? [] : names.slice() });
+  });
+
+  header.appendChild(title);
+  header.appendChild(allBtn);
+  container.appendChild(header);
+
+  // Sheet being configured / previewed
+  const editField = document.createElement('div');
+  editField.className = 'table-nova-field';
+  editField.style.marginTop = '0.5rem';
+
+  const editLabel = document.createElement('label');
+  editLabel.className = 'table-nova-label';
+  editLabel.textContent = 'Configure sheet';
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  for (const name of names) {
+    const o = optionOf(name, name);
+    o.selected = name === active;
+    sel.appendChild(o);
+  }
+  sel.addEventListener('change', (e) => handleActiveSheetChange(e, staged, onUpdateOptions, onPreview));
+
+  editField.appendChild(editLabel);
+  editField.appendChild(sel);
+  container.appendChild(editField);
+
+  // Sheets to convert
+  const list = document.createElement('div');
+  list.className = 'table-nova-field';
+  list.style.marginTop = '0.5rem';
+
+  const listLabel = document.createElement('span');
+  listLabel.className = 'table-nova-label';
+  listLabel.textContent = 'Convert';
+  list.appendChild(listLabel);
+
+  for (const name of names) {
+    const row = document.createElement('label');
+    row.className = 'table-nova-checkboxrow';
+
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = picked.size > 0 ? picked.has(name) : name === active;
+    cb.addEventListener('change', (e) => handleSheetToRunToggle(e, staged, name, onUpdateOptions));
+
+    const text = document.createElement('span');
+    text.textContent = name;
+
+    row.appendChild(cb);
+    row.appendChild(text);
+    list.appendChild(row);
+  }
+  container.appendChild(list);
+
+  // Graph layout
+  const modeField = document.createElement('div');
+  modeField.className = 'table-nova-field';
+  modeField.style.marginTop = '0.5rem';
+
+  const modeLabel = document.createElement('label');
+  modeLabel.className = 'table-nova-label';
+  modeLabel.textContent = 'Named graphs';
+
+  const modeSel = document.createElement('select');
+  modeSel.className = 'table-nova-select';
+  modeSel.appendChild(optionOf('shared', 'All sheets share one graph'));
+  modeSel.appendChild(optionOf('perSheet', 'One named graph per sheet'));
+  modeSel.value = staged.options.sheetGraphMode === 'perSheet' ? 'perSheet' : 'shared';
+  modeSel.addEventListener('change', () => {
+    onUpdateOptions(staged.id, { ...staged.options, sheetGraphMode: modeSel.value === 'perSheet' ? 'perSheet' : 'shared' });
+  });
+
+  modeField.appendChild(modeLabel);
+  modeField.appendChild(modeSel);
+  container.appendChild(modeField);
+
+  return container;
+}
+
+/**
+ * Switches which sheet the options panel edits; previews it if it has no preview yet.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {(stagedId: string) => Promise<void>} onPreview
+ * @returns {void}
+ */
+export function handleActiveSheetChange(e, staged, onUpdateOptions, onPreview) {
+  const target = /** @type {HTMLSelectElement|null} */ (e.target instanceof HTMLSelectElement ? e.target : null);
+  if (!target) return;
+  const next = { ...staged.options, selectedSheetName: target.value };
+  onUpdateOptions(staged.id, next);
+  if (!getSheetOptions(next, target.value).preview) void onPreview(staged.id);
+}
+
+/**
+ * Adds or removes a sheet from the run selection.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {string} sheetName
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handleSheetToRunToggle(e, staged, sheetName, onUpdateOptions) {
+  const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
+  if (!target) return;
+  const names = staged.options.sheetNames || [];
+  const current = (staged.options.sheetsToRun || []).length > 0
+    ? new Set(staged.options.sheetsToRun)
+    : new Set([getActiveSheetName(staged.options)]);
+  if (target.checked) current.add(sheetName);
+  else current.delete(sheetName);
+  onUpdateOptions(staged.id, { ...staged.options, sheetsToRun: names.filter((name) => current.has(name)) });
 }
 
 /**
@@ -331,7 +863,7 @@ export function handleHeaderRowNumberChange(e, staged, onUpdateOptions) {
 }
 
 /**
- * Builds predicate options UI (prefixHas + casing).
+ * Builds predicate options UI (prefixHas, casing and non-ASCII handling).
  * @param {StagedFile} staged
  * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
  * @returns {HTMLElement}
@@ -399,67 +931,376 @@ export function buildPredicateOptions(staged, onUpdateOptions) {
   casingField.appendChild(casingLabel);
   casingField.appendChild(sel);
 
+  // non-ASCII letters
+  const nonAsciiField = document.createElement('div');
+  nonAsciiField.className = 'table-nova-field';
+  nonAsciiField.style.marginTop = '0.75rem';
+
+  const nonAsciiLabel = document.createElement('label');
+  nonAsciiLabel.className = 'table-nova-label';
+  nonAsciiLabel.textContent = 'Non-ASCII letters';
+
+  const nonAsciiSel = document.createElement('select');
+  nonAsciiSel.className = 'table-nova-select';
+  nonAsciiSel.setAttribute('aria-label', 'Non-ASCII letters in predicate and class names');
+  for (const choice of NON_ASCII_CHOICES) nonAsciiSel.appendChild(optionOf(choice.value, choice.text));
+  nonAsciiSel.value = staged.options?.predicate?.nonAscii ?? 'transliterate';
+  nonAsciiSel.addEventListener('change', (e) => handleNonAsciiChange(e, staged, onUpdateOptions));
+
+  nonAsciiField.appendChild(nonAsciiLabel);
+  nonAsciiField.appendChild(nonAsciiSel);
+
   container.appendChild(prefixRow);
   container.appendChild(casingField);
+  container.appendChild(nonAsciiField);
+  container.appendChild(mutedNote('Labels always keep the header\'s own script.'));
 
   return container;
 }
 
 /**
- * Handles prefixHas toggle.
- * @param {Event} e
+ * Builds row subject IRI options (strategy + key columns).
  * @param {StagedFile} staged
  * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
- * @returns {void}
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
+ * @returns {HTMLElement}
  */
-export function handlePrefixHasToggle(e, staged, onUpdateOptions) {
-  const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
-  if (!target) return;
-  const next = {
-    ...staged.options,
-    predicate: { ...staged.options.predicate, prefixHas: Boolean(target.checked) }
-  };
-  onUpdateOptions(staged.id, next);
-}
+export function buildRowIriOptions(staged, onUpdateOptions, settings = DEFAULT_SETTINGS) {
+  const rowIri = resolveRowIriOptions(staged.options?.rowIri);
 
-/**
- * Handles casing change.
- * @param {Event} e
- * @param {StagedFile} staged
- * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
- * @returns {void}
- */
-export function handleCasingChange(e, staged, onUpdateOptions) {
-  const target = /** @type {HTMLSelectElement|null} */ (e.target instanceof HTMLSelectElement ? e.target : null);
-  if (!target) return;
-  const next = {
-    ...staged.options,
-    predicate: { ...staged.options.predicate, casing: /** @type {any} */ (target.value) }
-  };
-  onUpdateOptions(staged.id, next);
+  const container = document.createElement('div');
+  container.className = 'table-nova-preview';
+  container.setAttribute('aria-label', 'Row IRIs');
+
+  const header = document.createElement('div');
+  header.className = 'table-nova-preview__header';
+  const title = document.createElement('h3');
+  title.className = 'table-nova-preview__title';
+  title.textContent = 'Row IRIs';
+  header.appendChild(title);
+  container.appendChild(header);
+
+  const field = document.createElement('div');
+  field.className = 'table-nova-field';
+  field.style.marginTop = '0.5rem';
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = 'Mint from';
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  for (const choice of ROW_IRI_STRATEGY_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = rowIri.strategy;
+  sel.addEventListener('change', () => updateRowIriOptions(staged, { strategy: sel.value }, onUpdateOptions));
+
+  field.appendChild(label);
+  field.appendChild(sel);
+  container.appendChild(field);
+
+  if (rowIri.strategy === 'key') {
+    container.appendChild(buildKeyColumnPicker(staged, rowIri.keyColumns, onUpdateOptions));
+  }
+  if (rowIri.strategy === 'template') {
+    container.appendChild(buildRowIriTemplateField(staged, rowIri.template, onUpdateOptions, settings));
+  }
+  if (rowIri.strategy === 'blank') {
+    container.appendChild(mutedNote('Rows become blank nodes: no instance IRIs are minted, and other tables cannot link to these rows.'));
+  }
+
+  return container;
 }
 
 /**
- * Builds preview section with optional datatype selectors.
+ * Builds the row class controls: no type, a minted class, or an existing class IRI.
  * @param {StagedFile} staged
+ * @param {string|null} sheetName   // names the minted class when no name is given
  * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
- * @param {(stagedId: string) => Promise<void>} onPreview
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
  * @returns {HTMLElement}
  */
-export function buildPreviewSection(staged, onUpdateOptions, onPreview) {
-  const container = document.createElement('section');
+export function buildRowClassOptions(staged, sheetName, onUpdateOptions, settings = DEFAULT_SETTINGS) {
+  const rowClass = resolveRowClassOptions(staged.options?.rowClass);
+
+  const container = document.createElement('div');
   container.className = 'table-nova-preview';
+  container.setAttribute('aria-label', 'Row class');
 
   const header = document.createElement('div');
   header.className = 'table-nova-preview__header';
-
   const title = document.createElement('h3');
   title.className = 'table-nova-preview__title';
-  title.textContent = 'Preview data';
+  title.textContent = 'Row class';
+  header.appendChild(title);
+  container.appendChild(header);
 
-  const btn = document.createElement('button');
-  btn.className = 'table-nova-btn table-nova-btn--tertiary';
-  btn.type = 'button';
+  const field = document.createElement('div');
+  field.className = 'table-nova-field';
+  field.style.marginTop = '0.5rem';
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = 'Type rows as';
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  for (const choice of ROW_CLASS_MODE_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = rowClass.mode;
+  sel.addEventListener('change', () => updateRowClassOptions(staged, { mode: sel.value }, onUpdateOptions));
+
+  field.appendChild(label);
+  field.appendChild(sel);
+  container.appendChild(field);
+  if (rowClass.mode === 'none') return container;
+
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'text';
+  input.style.marginTop = '0.5rem';
+  const fallbackName = sheetName || String(staged.file?.name || '').replace(/\.[^.]+$/, '');
+  if (rowClass.mode === 'mint') {
+    input.value = rowClass.name;
+    input.placeholder = fallbackName || 'Class name';
+    input.setAttribute('aria-label', 'Row class name');
+    input.addEventListener('change', () => updateRowClassOptions(staged, { name: input.value }, onUpdateOptions));
+  } else {
+    input.value = rowClass.iri;
+    input.placeholder = 'https://schema.org/Person';
+    input.setAttribute('aria-label', 'Row class IRI');
+    input.addEventListener('change', () => updateRowClassOptions(staged, { iri: input.value }, onUpdateOptions));
+  }
+  container.appendChild(input);
+  if (rowClass.mode === 'iri' && !rowClass.iri) return container;
+
+  try {
+    const resolved = buildRowClass({
+      rowClass,
+      baseClassIri: settings.basePredicateIri,
+      fallbackName,
+      nonAscii: staged.options?.predicate?.nonAscii,
+      naming: settings.naming
+    });
+    if (resolved && rowClass.mode === 'mint') container.appendChild(mutedNote(resolved.iri));
+  } catch (err) {
+    container.appendChild(mutedNote(String(/** @type {Error} */ (err).message)));
+  }
+  return container;
+}
+
+/**
+ * @param {StagedFile} staged
+ * @param {Partial<import('../rdf/rowClass.js').RowClassOptions>} patch
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateRowClassOptions(staged, patch, onUpdateOptions) {
+  const rowClass = resolveRowClassOptions({ ...resolveRowClassOptions(staged.options?.rowClass), ...patch });
+  onUpdateOptions(staged.id, { ...staged.options, rowClass });
+}
+
+/**
+ * Builds the row subject template input with validation and an IRI preview for the first rows.
+ * @param {StagedFile} staged
+ * @param {string} template
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
+ * @returns {HTMLElement}
+ */
+export function buildRowIriTemplateField(staged, template, onUpdateOptions, settings = DEFAULT_SETTINGS) {
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+  wrap.style.marginTop = '0.5rem';
+
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'text';
+  input.value = template;
+  input.placeholder = 'https://data.example.org/person/{EmployeeID}';
+  input.setAttribute('aria-label', 'Row IRI template');
+  input.addEventListener('change', () => updateRowIriOptions(staged, { template: input.value }, onUpdateOptions));
+  wrap.appendChild(input);
+
+  if (!template) return wrap;
+  if (!staged.options?.preview) {
+    wrap.appendChild(mutedNote('Preview the file to check the template.'));
+    return wrap;
+  }
+
+  const columnKeys = getPreviewColumnSchemas(staged).map((schema) => schema.key);
+  const problems = validateIriTemplate(template, columnKeys);
+  if (problems.length > 0) {
+    wrap.appendChild(mutedNote(problems.join(' ')));
+    return wrap;
+  }
+
+  const iris = previewIriTemplate(template, columnKeys, getPreviewDataRows(staged), settings.baseInstanceIri, IRI_TEMPLATE_PREVIEW_ROWS);
+  const list = document.createElement('ul');
+  list.className = 'table-nova-muted';
+  list.style.margin = '0.25rem 0 0';
+  iris.forEach((iri, i) => {
+    const li = document.createElement('li');
+    li.textContent = `Row ${i + 1}: ${iri || '(empty key; falls back to the row number)'}`;
+    list.appendChild(li);
+  });
+  wrap.appendChild(list);
+  return wrap;
+}
+
+/**
+ * @param {string} text
+ * @returns {HTMLParagraphElement}
+ */
+export function mutedNote(text) {
+  const p = document.createElement('p');
+  p.className = 'table-nova-muted';
+  p.style.margin = '0.25rem 0 0';
+  p.textContent = text;
+  return p;
+}
+
+/**
+ * Builds the key column checkboxes; needs a preview to know the columns.
+ * @param {StagedFile} staged
+ * @param {string[]} keyColumns
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildKeyColumnPicker(staged, keyColumns, onUpdateOptions) {
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+  wrap.style.marginTop = '0.5rem';
+
+  if (!staged.options?.preview) {
+    const p = document.createElement('p');
+    p.className = 'table-nova-muted';
+    p.style.margin = '0';
+    p.textContent = 'Preview the file to choose key columns.';
+    wrap.appendChild(p);
+    return wrap;
+  }
+
+  for (const schema of getPreviewColumnSchemas(staged)) {
+    const row = document.createElement('div');
+    row.className = 'table-nova-checkboxrow';
+
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.id = `TableNovaKeyColumn-${staged.id}-${schema.index}`;
+    cb.checked = keyColumns.includes(schema.key);
+    cb.addEventListener('change', () => {
+      const next = cb.checked
+        ? [...keyColumns.filter((k) => k !== schema.key), schema.key]
+        : keyColumns.filter((k) => k !== schema.key);
+      updateRowIriOptions(staged, { keyColumns: next }, onUpdateOptions);
+    });
+
+    const lbl = document.createElement('label');
+    lbl.className = 'table-nova-label';
+    lbl.htmlFor = cb.id;
+    lbl.textContent = schema.originalHeader || schema.key;
+
+    row.appendChild(cb);
+    row.appendChild(lbl);
+    wrap.appendChild(row);
+  }
+
+  if (keyColumns.length === 0) {
+    const note = document.createElement('p');
+    note.className = 'table-nova-muted';
+    note.style.margin = '0.25rem 0 0';
+    note.textContent = 'Pick at least one column; values are joined in the order picked.';
+    wrap.appendChild(note);
+  }
+
+  return wrap;
+}
+
+/**
+ * @param {StagedFile} staged
+ * @param {Partial<import('../rdf/rowIris.js').RowIriOptions>} patch
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateRowIriOptions(staged, patch, onUpdateOptions) {
+  const rowIri = resolveRowIriOptions({ ...resolveRowIriOptions(staged.options?.rowIri), ...patch });
+  onUpdateOptions(staged.id, { ...staged.options, rowIri });
+}
+
+/**
+ * Handles prefixHas toggle.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handlePrefixHasToggle(e, staged, onUpdateOptions) {
+  const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
+  if (!target) return;
+  const next = {
+    ...staged.options,
+    predicate: { ...staged.options.predicate, prefixHas: Boolean(target.checked) }
+  };
+  onUpdateOptions(staged.id, next);
+}
+
+/**
+ * Handles casing change.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handleCasingChange(e, staged, onUpdateOptions) {
+  const target = /** @type {HTMLSelectElement|null} */ (e.target instanceof HTMLSelectElement ? e.target : null);
+  if (!target) return;
+  const next = {
+    ...staged.options,
+    predicate: { ...staged.options.predicate, casing: /** @type {any} */ (target.value) }
+  };
+  onUpdateOptions(staged.id, next);
+}
+
+/**
+ * Handles the non-ASCII letters choice.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handleNonAsciiChange(e, staged, onUpdateOptions) {
+  const target = /** @type {HTMLSelectElement|null} */ (e.target instanceof HTMLSelectElement ? e.target : null);
+  if (!target) return;
+  const nonAscii = NON_ASCII_HANDLINGS.includes(target.value) ? target.value : 'transliterate';
+  const next = {
+    ...staged.options,
+    predicate: { ...staged.options.predicate, nonAscii: /** @type {any} */ (nonAscii) }
+  };
+  onUpdateOptions(staged.id, next);
+}
+
+/**
+ * Builds preview section with optional datatype selectors.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {(stagedId: string) => Promise<void>} onPreview
+ * @param {import('../rdf/objectProperties.js').LinkableTable[]} [linkableTables]
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
+ * @returns {HTMLElement}
+ */
+export function buildPreviewSection(staged, onUpdateOptions, onPreview, linkableTables = [], settings = DEFAULT_SETTINGS) {
+  const container = document.createElement('section');
+  container.className = 'table-nova-preview';
+
+  const header = document.createElement('div');
+  header.className = 'table-nova-preview__header';
+
+  const title = document.createElement('h3');
+  title.className = 'table-nova-preview__title';
+  title.textContent = 'Preview data';
+
+  const btn = document.createElement('button');
+  btn.className = 'table-nova-btn table-nova-btn--tertiary';
+  btn.type = 'button';
   btn.textContent = staged.options?.preview ? 'Refresh preview' : 'Preview first 5 rows';
   btn.addEventListener('click', () => onPreview(staged.id));
 
@@ -467,6 +1308,8 @@ export function buildPreviewSection(staged, onUpdateOptions, onPreview) {
   header.appendChild(btn);
 
   container.appendChild(header);
+  container.appendChild(buildInferDatatypesOption(staged, onUpdateOptions));
+  container.appendChild(buildDetectHeaderLanguagesOption(staged, onUpdateOptions));
 
   if (!staged.options?.preview) {
     const p = document.createElement('p');
@@ -480,7 +1323,12 @@ export function buildPreviewSection(staged, onUpdateOptions, onPreview) {
   const body = document.createElement('div');
   body.className = 'table-nova-preview__body';
 
-  body.appendChild(buildPreviewTable(staged, onUpdateOptions));
+  const issues = staged.options.preview.issues || [];
+  if (issues.length > 0) {
+    body.appendChild(buildParseIssuesNote(issues));
+  }
+
+  body.appendChild(buildPreviewTable(staged, onUpdateOptions, linkableTables, settings));
 
   const dtHelp = document.createElement('p');
   dtHelp.className = 'table-nova-muted';
@@ -492,6 +1340,127 @@ export function buildPreviewSection(staged, onUpdateOptions, onPreview) {
   return container;
 }
 
+/**
+ * Builds the "suggest datatypes" checkbox shown above the preview.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildInferDatatypesOption(staged, onUpdateOptions) {
+  const row = document.createElement('div');
+  row.className = 'table-nova-checkboxrow';
+  row.style.marginTop = '0.5rem';
+
+  const cb = document.createElement('input');
+  cb.type = 'checkbox';
+  cb.id = `TableNovaInferDatatypes-${staged.id}`;
+  cb.checked = staged.options?.inferDatatypes !== false;
+  cb.addEventListener('change', (e) => handleInferDatatypesToggle(e, staged, onUpdateOptions));
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.htmlFor = cb.id;
+  label.textContent = 'Suggest column datatypes on preview';
+
+  row.appendChild(cb);
+  row.appendChild(label);
+  return row;
+}
+
+/**
+ * Handles the "suggest datatypes" checkbox.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handleInferDatatypesToggle(e, staged, onUpdateOptions) {
+  const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
+  if (!target) return;
+  onUpdateOptions(staged.id, { ...staged.options, inferDatatypes: Boolean(target.checked) });
+}
+
+/**
+ * Builds the "language tags in headers" checkbox shown above the preview.
+ * @param {StagedFile} staged
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLElement}
+ */
+export function buildDetectHeaderLanguagesOption(staged, onUpdateOptions) {
+  const row = document.createElement('div');
+  row.className = 'table-nova-checkboxrow';
+
+  const cb = document.createElement('input');
+  cb.type = 'checkbox';
+  cb.id = `TableNovaDetectHeaderLanguages-${staged.id}`;
+  cb.checked = Boolean(staged.options?.detectHeaderLanguages);
+  cb.addEventListener('change', (e) => {
+    const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
+    if (!target) return;
+    onUpdateOptions(staged.id, { ...staged.options, detectHeaderLanguages: Boolean(target.checked) });
+  });
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.htmlFor = cb.id;
+  label.textContent = 'Read language tags from headers such as "Name (de)" or "label@de"';
+
+  row.appendChild(cb);
+  row.appendChild(label);
+  return row;
+}
+
+/**
+ * Builds the cell showing a column's suggested datatype, its confidence, and values that would fail it.
+ * @param {import('../tabular/profileColumns.js').ColumnProfile|undefined} profile
+ * @returns {HTMLTableCellElement}
+ */
+export function buildSuggestionCell(profile) {
+  const cell = document.createElement('td');
+  if (!profile || profile.nonEmptyCount === 0) {
+    cell.textContent = '—';
+    return cell;
+  }
+
+  cell.textContent = `${shortDatatypeLabel(profile.datatypeIri)} (${Math.round(profile.confidence * 100)}%)`;
+  cell.title = `${profile.nonEmptyCount - profile.failingCount} of ${profile.nonEmptyCount} non-empty values fit`;
+
+  if (profile.failingCount > 0) {
+    const fails = document.createElement('div');
+    fails.className = 'table-nova-muted';
+    const shown = profile.failingValues.map((v) => `"${v}"`).join(', ');
+    fails.textContent = `${profile.failingCount} would fail, e.g. ${shown}`;
+    cell.appendChild(fails);
+  }
+  return cell;
+}
+
+/**
+ * Builds a warning note listing where CSV/TSV quoting problems were found.
+ * @param {import('../tabular/parseTabular.js').ParseIssue[]} issues
+ * @returns {HTMLElement}
+ */
+export function buildParseIssuesNote(issues) {
+  const note = document.createElement('div');
+  note.className = 'table-nova-fileitem__warning table-nova-fileitem__warning--warn';
+  note.setAttribute('role', 'status');
+
+  const summary = document.createElement('p');
+  summary.style.margin = '0';
+  summary.textContent = `${issues.length} parse issue(s) found; cells were read leniently.`;
+  note.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.style.margin = '0.25rem 0 0';
+  for (const issue of issues.slice(0, PARSE_ISSUE_LIMIT)) {
+    const li = document.createElement('li');
+    li.textContent = `Row ${issue.record}: ${issue.message}`;
+    list.appendChild(li);
+  }
+  note.appendChild(list);
+  return note;
+}
+
 /**
  * Builds one pivoted schema row.
  * @param {string} rowLabel
@@ -538,9 +1507,11 @@ export function controlCell(control) {
  * Builds a preview table (first 5 rows).
  * @param {StagedFile} staged
  * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {import('../rdf/objectProperties.js').LinkableTable[]} [linkableTables]   // targets for link columns
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
  * @returns {HTMLElement}
  */
-export function buildPreviewTable(staged, onUpdateOptions) {
+export function buildPreviewTable(staged, onUpdateOptions, linkableTables = [], settings = DEFAULT_SETTINGS) {
   const preview = staged.options?.preview;
   const header = preview?.header || [];
   const rows = preview?.rows || [];
@@ -559,7 +1530,7 @@ export function buildPreviewTable(staged, onUpdateOptions) {
 
   const effectiveCols = Math.max(header.length, ...(rows.map((r) => r.length)));
   const colKeys = Array.from({ length: effectiveCols }, (_, i) => header[i] || `Column${i + 1}`);
-  const schemas = getPreviewColumnSchemas(staged);
+  const schemas = getPreviewColumnSchemas(staged, settings.naming);
   const colWidths = estimatePreviewColumnWidths(colKeys, rows, schemas);
 
   table.appendChild(buildPreviewColGroup(colWidths));
@@ -589,6 +1560,14 @@ export function buildPreviewTable(staged, onUpdateOptions) {
     for (let i = 0; i < effectiveCols; i += 1) {
       const td = document.createElement('td');
       td.textContent = String(r?.[i] ?? '');
+      const parsedValue = previewParsedValue(schemas[i], String(r?.[i] ?? ''));
+      if (parsedValue !== undefined) {
+        // Show what the date pattern or number format makes of the raw cell.
+        const parsed = document.createElement('div');
+        parsed.className = 'table-nova-muted';
+        parsed.textContent = `→ ${parsedValue ?? 'no match'}`;
+        td.appendChild(parsed);
+      }
       tr.appendChild(td);
     }
     tbody.appendChild(tr);
@@ -615,9 +1594,63 @@ export function buildPreviewTable(staged, onUpdateOptions) {
   }));
   tbody.appendChild(buildSchemaValueRow('Range', schemas, (schema) => {
     const sel = buildDatatypeSelect(schema.datatypeIri);
+    if (schema.lang) {
+      // The language tag decides the range; clear it to choose a datatype again.
+      sel.disabled = true;
+      sel.title = 'Language-tagged columns are rdf:langString.';
+    } else if (schema.dateFormat || schema.numberFormat) {
+      sel.disabled = true;
+      sel.title = `The ${schema.dateFormat ? 'date' : 'number'} format below decides the range.`;
+    }
     sel.addEventListener('change', (e) => handleDatatypeChange(e, staged, schema.index, onUpdateOptions));
     return controlCell(sel);
   }));
+  tbody.appendChild(buildSchemaValueRow('Language', schemas, (schema) => {
+    const input = document.createElement('input');
+    input.className = 'table-nova-input';
+    input.type = 'text';
+    input.value = schema.lang || '';
+    input.placeholder = 'none';
+    if (!schema.lang && schema.datatypeIri === RDF_LANGSTRING) {
+      input.setAttribute('aria-invalid', 'true');
+      input.title = 'rdf:langString needs a language tag.';
+    }
+    input.setAttribute('aria-label', `Language tag for ${schema.originalHeader}`);
+    input.addEventListener('change', (e) => handleColumnLanguageChange(e, staged, schema.key, onUpdateOptions));
+    return controlCell(input);
+  }));
+  tbody.appendChild(buildSchemaValueRow('Values', schemas, (schema) => buildObjectPropertyCell(staged, schema, linkableTables, onUpdateOptions, settings)));
+  tbody.appendChild(buildSchemaValueRow('Date format', schemas, (schema) => buildDateFormatCell(staged, schema, onUpdateOptions)));
+  tbody.appendChild(buildSchemaValueRow('Number format', schemas, (schema) => buildNumberFormatCell(staged, schema, onUpdateOptions)));
+  tbody.appendChild(buildSchemaValueRow('Missing', schemas, (schema) => buildMissingValueCell(staged, schema, onUpdateOptions)));
+  tbody.appendChild(buildSchemaValueRow('Split', schemas, (schema) => buildMultiValueCell(staged, schema, onUpdateOptions)));
+  const firstRow = getPreviewDataRows(staged)[0] || [];
+  const columnKeys = schemas.map((schema) => schema.key);
+  tbody.appendChild(buildSchemaValueRow('IRI template', schemas, (schema) => {
+    const input = document.createElement('input');
+    input.className = 'table-nova-input';
+    input.type = 'text';
+    input.value = schema.iriTemplate || '';
+    input.placeholder = 'literal';
+    input.setAttribute('aria-label', `IRI template for ${schema.originalHeader}`);
+    input.addEventListener('change', (e) => handleColumnIriTemplateChange(e, staged, schema.key, onUpdateOptions));
+    const cell = controlCell(input);
+    if (schema.iriTemplate) {
+      const problems = validateIriTemplate(schema.iriTemplate, columnKeys);
+      const [iri] = problems.length > 0
+        ? [null]
+        : previewIriTemplate(schema.iriTemplate, columnKeys, [firstRow], settings.baseInstanceIri, 1);
+      const note = document.createElement('div');
+      note.className = 'table-nova-muted';
+      note.textContent = problems.length > 0 ? problems[0] : (iri || '(empty cell; no triple)');
+      cell.appendChild(note);
+    }
+    return cell;
+  }));
+  const profiles = preview?.profiles;
+  if (profiles) {
+    tbody.appendChild(buildSchemaValueRow('Suggested', schemas, (schema) => buildSuggestionCell(profiles[schema.key])));
+  }
 
   table.appendChild(tbody);
   wrap.appendChild(table);
@@ -682,27 +1715,18 @@ export function textWidthCh(value) {
  * @returns {string}
  */
 export function shortDatatypeLabel(datatypeIri) {
-  const s = String(datatypeIri || '');
-  if (s.startsWith(XSD)) return `xsd:${s.slice(XSD.length)}`;
-  return s;
+  return datatypeLabel(datatypeIri);
 }
 
 /**
- * Builds an xsd datatype selector.
+ * Builds a datatype selector from the datatype registry.
  * @param {string} selected
  * @returns {HTMLSelectElement}
  */
 export function buildDatatypeSelect(selected) {
   const sel = document.createElement('select');
   sel.className = 'table-nova-select';
-  sel.appendChild(optionOf(`${XSD}string`, 'xsd:string'));
-  sel.appendChild(optionOf(`${XSD}boolean`, 'xsd:boolean'));
-  sel.appendChild(optionOf(`${XSD}integer`, 'xsd:integer'));
-  sel.appendChild(optionOf(`${XSD}decimal`, 'xsd:decimal'));
-  sel.appendChild(optionOf(`${XSD}double`, 'xsd:double'));
-  sel.appendChild(optionOf(`${XSD}dateTime`, 'xsd:dateTime'));
-  sel.appendChild(optionOf(`${XSD}date`, 'xsd:date'));
-  sel.appendChild(optionOf(`${XSD}anyURI`, 'xsd:anyURI'));
+  for (const datatype of DATATYPES) sel.appendChild(optionOf(datatype.iri, datatype.label));
   sel.value = selected || `${XSD}string`;
   return sel;
 }
@@ -787,6 +1811,391 @@ export function handleDatatypeChange(e, staged, colIndex, onUpdateOptions) {
   onUpdateOptions(staged.id, next);
 }
 
+/**
+ * Builds the literal / IRI selector for one column, plus a base input for resolved IRIs.
+ * @param {StagedFile} staged
+ * @param {import('../rdf/schema.js').ColumnSchema} schema
+ * @param {import('../rdf/objectProperties.js').LinkableTable[]} linkableTables
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @param {ProjectSettings} [settings]   // active bases, for IRI previews
+ * @returns {HTMLTableCellElement}
+ */
+export function buildObjectPropertyCell(staged, schema, linkableTables, onUpdateOptions, settings = DEFAULT_SETTINGS) {
+  const current = schema.objectProperty;
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', `Value kind for ${schema.originalHeader}`);
+  sel.appendChild(optionOf('literal', 'Literal'));
+  sel.appendChild(optionOf('absolute', 'IRI (as written)'));
+  sel.appendChild(optionOf('base', 'IRI (resolve against base)'));
+  for (const table of linkableTables) {
+    sel.appendChild(optionOf(`link:${table.id}`, `Link to ${table.id} (${table.keyColumn})`));
+  }
+  if (current?.mode === 'link' && !linkableTables.some((t) => t.id === current.targetTable)) {
+    // Keep a stale target visible so the run error makes sense.
+    sel.appendChild(optionOf(`link:${current.targetTable}`, `Link to ${current.targetTable} (not linkable)`));
+  }
+  sel.value = !current ? 'literal' : current.mode === 'link' ? `link:${current.targetTable}` : current.mode;
+  sel.disabled = Boolean(schema.iriTemplate);
+  if (schema.iriTemplate) sel.title = 'The IRI template below already makes this column an object property.';
+  sel.addEventListener('change', () => {
+    const value = sel.value;
+    /** @type {import('../rdf/objectProperties.js').ObjectPropertyOptions|null} */
+    const next = value === 'literal'
+      ? null
+      : value.startsWith('link:')
+        ? { mode: 'link', targetTable: value.slice('link:'.length) }
+        : { mode: /** @type {'absolute'|'base'} */ (value), ...(current?.base ? { base: current.base } : {}) };
+    updateObjectPropertyOptions(staged, schema.key, next, onUpdateOptions);
+  });
+
+  const cell = controlCell(sel);
+  if (current?.mode === 'base' && !schema.iriTemplate) {
+    const input = document.createElement('input');
+    input.className = 'table-nova-input';
+    input.type = 'text';
+    input.value = current.base || '';
+    input.placeholder = settings.baseInstanceIri;
+    input.setAttribute('aria-label', `Base IRI for ${schema.originalHeader}`);
+    input.addEventListener('change', () => {
+      updateObjectPropertyOptions(staged, schema.key, { mode: 'base', ...(input.value.trim() ? { base: input.value.trim() } : {}) }, onUpdateOptions);
+    });
+    cell.appendChild(input);
+  }
+  return cell;
+}
+
+/**
+ * @param {StagedFile} staged
+ * @param {string} key
+ * @param {import('../rdf/objectProperties.js').ObjectPropertyOptions|null} objectProperty   // null = literal column
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateObjectPropertyOptions(staged, key, objectProperty, onUpdateOptions) {
+  const byKey = { ...(staged.options?.objectPropertiesByColumnKey || {}) };
+  if (objectProperty) byKey[key] = objectProperty;
+  else delete byKey[key];
+  onUpdateOptions(staged.id, { ...staged.options, objectPropertiesByColumnKey: byKey });
+}
+
+/**
+ * Builds the date pattern input, output datatype select and default offset for a column.
+ * @param {StagedFile} staged
+ * @param {import('../rdf/schema.js').ColumnSchema} schema
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLTableCellElement}
+ */
+export function buildDateFormatCell(staged, schema, onUpdateOptions) {
+  const current = schema.dateFormat;
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'text';
+  input.value = current?.pattern || '';
+  input.placeholder = 'dd/MM/yyyy';
+  input.disabled = Boolean(schema.lang);
+  input.setAttribute('aria-label', `Date pattern for ${schema.originalHeader}`);
+  input.addEventListener('change', () => {
+    const pattern = input.value.trim();
+    updateDateFormatOptions(staged, schema.key, pattern ? { output: 'date', ...current, pattern } : null, onUpdateOptions);
+  });
+
+  const cell = controlCell(input);
+  if (!current) return cell;
+
+  const problem = validateDatePattern(current.pattern);
+  if (problem) {
+    input.setAttribute('aria-invalid', 'true');
+    cell.appendChild(mutedNote(problem));
+    return cell;
+  }
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', `Date output for ${schema.originalHeader}`);
+  for (const output of DATE_OUTPUTS) sel.appendChild(optionOf(output, `xsd:${output}`));
+  sel.value = current.output;
+  sel.addEventListener('change', () => {
+    updateDateFormatOptions(staged, schema.key, { ...current, output: /** @type {any} */ (sel.value) }, onUpdateOptions);
+  });
+  cell.appendChild(sel);
+
+  if (current.output !== 'date') {
+    const tz = document.createElement('input');
+    tz.className = 'table-nova-input';
+    tz.type = 'text';
+    tz.value = current.timezone || '';
+    tz.placeholder = 'offset, e.g. +01:00';
+    tz.setAttribute('aria-label', `Default timezone offset for ${schema.originalHeader}`);
+    tz.addEventListener('change', () => {
+      const timezone = normalizeOffset(tz.value);
+      if (tz.value.trim() && !timezone) {
+        tz.setAttribute('aria-invalid', 'true');
+        tz.title = 'Use Z or an offset such as +01:00.';
+        return;
+      }
+      const { timezone: _previous, ...rest } = current;
+      updateDateFormatOptions(staged, schema.key, timezone ? { ...rest, timezone } : rest, onUpdateOptions);
+    });
+    cell.appendChild(tz);
+  }
+  return cell;
+}
+
+/**
+ * @param {StagedFile} staged
+ * @param {string} key
+ * @param {import('../rdf/datePatterns.js').DateFormatOptions|null} dateFormat   // null = no pattern
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateDateFormatOptions(staged, key, dateFormat, onUpdateOptions) {
+  const byKey = { ...(staged.options?.dateFormatsByColumnKey || {}) };
+  if (dateFormat) byKey[key] = dateFormat;
+  else delete byKey[key];
+  onUpdateOptions(staged.id, { ...staged.options, dateFormatsByColumnKey: byKey });
+}
+
+/**
+ * The parsed form of a preview cell in a column with a date pattern or number format, or
+ * "missing" for a null token.
+ * @param {import('../rdf/schema.js').ColumnSchema|undefined} schema
+ * @param {string} cell
+ * @returns {string|null|undefined} undefined when nothing is parsed; null when the cell does not fit
+ */
+export function previewParsedValue(schema, cell) {
+  if (!schema || !cell.trim()) return undefined;
+  if (schema.nullTokens && isNullCell(cell, schema.nullTokens)) return 'missing';
+  if (schema.dateFormat) {
+    return validateDatePattern(schema.dateFormat.pattern) ? undefined : toPatternDateLexical(cell, schema.dateFormat);
+  }
+  if (schema.numberFormat) {
+    return validateNumberFormat(schema.numberFormat) ? undefined : toFormattedDecimalLexical(cell, schema.numberFormat);
+  }
+  return undefined;
+}
+
+/**
+ * Builds the separator preset select, currency code input and percent checkbox for a column.
+ * @param {StagedFile} staged
+ * @param {import('../rdf/schema.js').ColumnSchema} schema
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLTableCellElement}
+ */
+export function buildNumberFormatCell(staged, schema, onUpdateOptions) {
+  const current = schema.numberFormat;
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', `Number format for ${schema.originalHeader}`);
+  for (const choice of NUMBER_FORMAT_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = current ? `${current.decimalSeparator}${current.groupSeparator}` : '';
+  sel.disabled = Boolean(schema.lang || schema.dateFormat);
+  sel.addEventListener('change', () => {
+    const [decimalSeparator, groupSeparator = ''] = sel.value;
+    updateNumberFormatOptions(
+      staged,
+      schema.key,
+      sel.value ? { ...current, decimalSeparator: /** @type {any} */ (decimalSeparator), groupSeparator: /** @type {any} */ (groupSeparator) } : null,
+      onUpdateOptions
+    );
+  });
+
+  const cell = controlCell(sel);
+  if (!current || sel.disabled) return cell;
+
+  const currency = document.createElement('input');
+  currency.className = 'table-nova-input';
+  currency.type = 'text';
+  currency.value = current.currency || '';
+  currency.placeholder = 'currency, e.g. EUR';
+  currency.setAttribute('aria-label', `Currency code for ${schema.originalHeader}`);
+  const problem = validateNumberFormat(current);
+  if (problem) {
+    currency.setAttribute('aria-invalid', 'true');
+    currency.title = problem;
+  }
+  currency.addEventListener('change', () => {
+    const { currency: _previous, ...rest } = current;
+    const code = currency.value.trim().toUpperCase();
+    updateNumberFormatOptions(staged, schema.key, code ? { ...rest, currency: code } : rest, onUpdateOptions);
+  });
+  cell.appendChild(currency);
+
+  const row = document.createElement('div');
+  row.className = 'table-nova-checkboxrow';
+  const cb = document.createElement('input');
+  cb.type = 'checkbox';
+  cb.id = `TableNovaNumberPercent-${staged.id}-${schema.index}`;
+  cb.checked = Boolean(current.percent);
+  cb.addEventListener('change', () => {
+    updateNumberFormatOptions(staged, schema.key, { ...current, percent: cb.checked }, onUpdateOptions);
+  });
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.htmlFor = cb.id;
+  label.textContent = 'Percent (45% → 0.45)';
+  row.appendChild(cb);
+  row.appendChild(label);
+  cell.appendChild(row);
+  return cell;
+}
+
+/**
+ * @param {StagedFile} staged
+ * @param {string} key
+ * @param {import('../rdf/numberFormats.js').NumberFormatOptions|null} numberFormat   // null = cells as written
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateNumberFormatOptions(staged, key, numberFormat, onUpdateOptions) {
+  const byKey = { ...(staged.options?.numberFormatsByColumnKey || {}) };
+  if (numberFormat) byKey[key] = numberFormat;
+  else delete byKey[key];
+  onUpdateOptions(staged.id, { ...staged.options, numberFormatsByColumnKey: byKey });
+}
+
+/**
+ * Builds a column's own null tokens and empty-cell policy; both fall back to the file settings.
+ * @param {StagedFile} staged
+ * @param {import('../rdf/schema.js').ColumnSchema} schema
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLTableCellElement}
+ */
+export function buildMissingValueCell(staged, schema, onUpdateOptions) {
+  const ownTokens = staged.options?.nullTokensByColumnKey?.[schema.key];
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'text';
+  input.value = Array.isArray(ownTokens) ? ownTokens.join(', ') : '';
+  input.placeholder = normalizeNullTokens(staged.options?.nullTokens).join(', ') || 'no null tokens';
+  input.setAttribute('aria-label', `Null tokens for ${schema.originalHeader}`);
+  input.addEventListener('change', () => {
+    const byKey = { ...(staged.options?.nullTokensByColumnKey || {}) };
+    // A blank input falls back to the file-level tokens.
+    if (input.value.trim()) byKey[schema.key] = normalizeNullTokens(input.value);
+    else delete byKey[schema.key];
+    onUpdateOptions(staged.id, { ...staged.options, nullTokensByColumnKey: byKey });
+  });
+
+  const sel = document.createElement('select');
+  sel.className = 'table-nova-select';
+  sel.setAttribute('aria-label', `When a ${schema.originalHeader} cell is missing`);
+  sel.appendChild(optionOf('', 'File default'));
+  for (const choice of EMPTY_CELL_POLICY_CHOICES) sel.appendChild(optionOf(choice.value, choice.text));
+  sel.value = staged.options?.emptyCellPoliciesByColumnKey?.[schema.key] || '';
+  sel.addEventListener('change', () => {
+    const byKey = { ...(staged.options?.emptyCellPoliciesByColumnKey || {}) };
+    if (sel.value) byKey[schema.key] = resolveEmptyCellPolicy(sel.value);
+    else delete byKey[schema.key];
+    onUpdateOptions(staged.id, { ...staged.options, emptyCellPoliciesByColumnKey: byKey });
+  });
+
+  const cell = controlCell(input);
+  cell.appendChild(sel);
+  return cell;
+}
+
+/**
+ * Builds the separator input and "ordered list" checkbox for multi-valued cells.
+ * @param {StagedFile} staged
+ * @param {import('../rdf/schema.js').ColumnSchema} schema
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {HTMLTableCellElement}
+ */
+export function buildMultiValueCell(staged, schema, onUpdateOptions) {
+  const current = schema.multiValue;
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'text';
+  input.value = current?.separator || '';
+  input.placeholder = 'single value';
+  input.disabled = Boolean(schema.iriTemplate);
+  input.setAttribute('aria-label', `Value separator for ${schema.originalHeader}`);
+  input.addEventListener('change', () => {
+    // Keep spaces: a lone space is a valid separator.
+    const separator = input.value.trim() ? input.value.trim() : input.value;
+    updateMultiValueOptions(staged, schema.key, separator ? { separator, asList: Boolean(current?.asList) } : null, onUpdateOptions);
+  });
+
+  const cell = controlCell(input);
+  if (current && !schema.iriTemplate) {
+    const row = document.createElement('div');
+    row.className = 'table-nova-checkboxrow';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.id = `TableNovaMultiValueList-${staged.id}-${schema.index}`;
+    cb.checked = Boolean(current.asList);
+    cb.addEventListener('change', () => {
+      updateMultiValueOptions(staged, schema.key, { separator: current.separator, asList: cb.checked }, onUpdateOptions);
+    });
+    const label = document.createElement('label');
+    label.className = 'table-nova-label';
+    label.htmlFor = cb.id;
+    label.textContent = 'Ordered (rdf:List)';
+    row.appendChild(cb);
+    row.appendChild(label);
+    cell.appendChild(row);
+  }
+  return cell;
+}
+
+/**
+ * @param {StagedFile} staged
+ * @param {string} key
+ * @param {import('../tabular/multiValues.js').MultiValueOptions|null} multiValue   // null = single-valued column
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function updateMultiValueOptions(staged, key, multiValue, onUpdateOptions) {
+  const byKey = { ...(staged.options?.multiValuesByColumnKey || {}) };
+  if (multiValue) byKey[key] = multiValue;
+  else delete byKey[key];
+  onUpdateOptions(staged.id, { ...staged.options, multiValuesByColumnKey: byKey });
+}
+
+/**
+ * Handles IRI template edits for a column; an empty template turns the column back into literals.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {string} key
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handleColumnIriTemplateChange(e, staged, key, onUpdateOptions) {
+  const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
+  if (!target) return;
+  const templates = { ...(staged.options?.iriTemplatesByColumnKey || {}) };
+  const template = target.value.trim();
+  if (template) templates[key] = template;
+  else delete templates[key];
+  onUpdateOptions(staged.id, { ...staged.options, iriTemplatesByColumnKey: templates });
+}
+
+/**
+ * Handles language tag edits for a column. Invalid tags are flagged on the input and not saved;
+ * an empty value removes the column's tag.
+ * @param {Event} e
+ * @param {StagedFile} staged
+ * @param {string} key
+ * @param {(stagedId: string, nextOptions: FileOptions) => void} onUpdateOptions
+ * @returns {void}
+ */
+export function handleColumnLanguageChange(e, staged, key, onUpdateOptions) {
+  const target = /** @type {HTMLInputElement|null} */ (e.target instanceof HTMLInputElement ? e.target : null);
+  if (!target) return;
+  const raw = target.value.trim();
+  const lang = normalizeLanguageTag(raw);
+  if (raw && !lang) {
+    target.setAttribute('aria-invalid', 'true');
+    target.title = `"${raw}" is not a BCP 47 language tag (e.g. en, de, pt-BR).`;
+    return;
+  }
+  const languages = { ...(staged.options?.languagesByColumnKey || {}) };
+  if (lang) languages[key] = lang;
+  else delete languages[key];
+  onUpdateOptions(staged.id, { ...staged.options, languagesByColumnKey: languages });
+}
+
 /**
  * Handles label edits for a column schema.
  * @param {Event} e
@@ -836,9 +2245,10 @@ export function updateColumnSchemaOverride(staged, key, patch, onUpdateOptions)
 /**
  * Builds column schemas from the current preview state.
  * @param {StagedFile} staged
+ * @param {import('../rdf/naming.js').NamingDictionary} [naming]   // project naming dictionary, for labels and names
  * @returns {import('../rdf/schema.js').ColumnSchema[]}
  */
-export function getPreviewColumnSchemas(staged) {
+export function getPreviewColumnSchemas(staged, naming = DEFAULT_SETTINGS.naming) {
   const preview = staged.options?.preview || { header: [], rows: [] };
   return buildColumnSchemas({
     header: preview.header || [],
@@ -847,10 +2257,33 @@ export function getPreviewColumnSchemas(staged) {
     predicateOptions: staged.options?.predicate,
     basePredicateIri: '',
     datatypesByColumnKey: staged.options?.datatypesByColumnKey || {},
-    columnSchemaOverridesByKey: staged.options?.columnSchemaOverridesByKey || {}
+    columnSchemaOverridesByKey: staged.options?.columnSchemaOverridesByKey || {},
+    iriTemplatesByColumnKey: staged.options?.iriTemplatesByColumnKey || {},
+    objectPropertiesByColumnKey: staged.options?.objectPropertiesByColumnKey || {},
+    languagesByColumnKey: staged.options?.languagesByColumnKey || {},
+    multiValuesByColumnKey: staged.options?.multiValuesByColumnKey || {},
+    dateFormatsByColumnKey: staged.options?.dateFormatsByColumnKey || {},
+    numberFormatsByColumnKey: staged.options?.numberFormatsByColumnKey || {},
+    nullTokens: staged.options?.nullTokens || [],
+    nullTokensByColumnKey: staged.options?.nullTokensByColumnKey || {},
+    emptyCellPolicy: resolveEmptyCellPolicy(staged.options?.emptyCellPolicy),
+    emptyCellPoliciesByColumnKey: staged.options?.emptyCellPoliciesByColumnKey || {},
+    detectHeaderLanguages: Boolean(staged.options?.detectHeaderLanguages),
+    naming
   });
 }
 
+/**
+ * Returns the previewed rows as data rows (the header row counts as data when headers are off).
+ * @param {StagedFile} staged
+ * @returns {string[][]}
+ */
+export function getPreviewDataRows(staged) {
+  const preview = staged.options?.preview || { header: [], rows: [] };
+  if (Boolean(staged.options?.treatFirstRowAsHeader ?? true)) return preview.rows || [];
+  return [...(Array.isArray(preview.header) ? [preview.header] : []), ...(preview.rows || [])];
+}
+
 /**
  * Formats a detected style for display.
  * @param {string} style
@@ -860,11 +2293,298 @@ export function formatDetectedStyle(style) {
   return String(style || 'unknown');
 }
 
+/**
+ * Renders the project settings editor: the three namespace bases and the prefix map.
+ * Nothing is applied until Save, which validates the IRIs first.
+ * @param {HTMLElement} panelEl
+ * @param {ProjectSettings} settings
+ * @param {{onSave: (settings: ProjectSettings) => void, onExport: () => void, onImport: (file: File) => void}} handlers
+ * @returns {void}
+ */
+export function renderSettingsPanel(panelEl, settings, { onSave, onExport, onImport }) {
+  panelEl.innerHTML = '';
+
+  /** @type {Record<string, HTMLInputElement>} */
+  const baseInputs = {};
+  for (const { key, label } of SETTINGS_BASE_FIELDS) {
+    const field = buildSettingsIriField(label, settings[key]);
+    baseInputs[key] = /** @type {HTMLInputElement} */ (field.querySelector('input'));
+    baseInputs[key].dataset.tableNovaSettingsBase = key;
+    panelEl.appendChild(field);
+  }
+
+  const prefixTable = buildPrefixTable(settings.prefixes);
+  const prefixWrap = document.createElement('div');
+  prefixWrap.className = 'table-nova-field';
+  const prefixLabel = document.createElement('span');
+  prefixLabel.className = 'table-nova-label';
+  prefixLabel.textContent = 'Prefixes';
+  const addBtn = document.createElement('button');
+  addBtn.className = 'table-nova-btn table-nova-btn--tertiary';
+  addBtn.type = 'button';
+  addBtn.textContent = 'Add prefix';
+  addBtn.addEventListener('click', () => {
+    prefixTable.tBodies[0].appendChild(buildPrefixRow('', ''));
+  });
+  prefixWrap.appendChild(prefixLabel);
+  prefixWrap.appendChild(prefixTable);
+  prefixWrap.appendChild(addBtn);
+  panelEl.appendChild(prefixWrap);
+
+  const namingEl = buildNamingDictionaryFields(settings.naming);
+  panelEl.appendChild(namingEl);
+
+  const problemsEl = document.createElement('div');
+  problemsEl.setAttribute('role', 'alert');
+
+  const actions = document.createElement('div');
+  actions.className = 'table-nova-actions';
+  const saveBtn = settingsButton('Save settings', 'table-nova-btn--primary');
+  const resetBtn = settingsButton('Reset to defaults', 'table-nova-btn--secondary');
+  const exportBtn = settingsButton('Export JSON', 'table-nova-btn--tertiary');
+  const importBtn = settingsButton('Import JSON', 'table-nova-btn--tertiary');
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.json,application/json';
+  importInput.hidden = true;
+
+  saveBtn.addEventListener('click', () => {
+    const next = readSettingsPanel(settings, baseInputs, prefixTable, namingEl);
+    const problems = validateSettings(next);
+    markInvalidSettingsInputs(panelEl);
+    problemsEl.innerHTML = '';
+    for (const problem of problems) problemsEl.appendChild(mutedNote(problem));
+    if (problems.length === 0) onSave(next);
+  });
+  resetBtn.addEventListener('click', () => onSave(resolveSettings(DEFAULT_SETTINGS)));
+  exportBtn.addEventListener('click', () => onExport());
+  importBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files?.[0];
+    importInput.value = '';
+    if (file) onImport(file);
+  });
+
+  actions.appendChild(saveBtn);
+  actions.appendChild(resetBtn);
+  actions.appendChild(exportBtn);
+  actions.appendChild(importBtn);
+  actions.appendChild(importInput);
+  panelEl.appendChild(problemsEl);
+  panelEl.appendChild(actions);
+  panelEl.appendChild(mutedNote('Runs use the saved settings; stored runs keep the IRIs they were minted with.'));
+}
+
+/**
+ * @param {string} labelText
+ * @param {string} value
+ * @returns {HTMLElement}
+ */
+export function buildSettingsIriField(labelText, value) {
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = labelText;
+
+  const input = document.createElement('input');
+  input.className = 'table-nova-input';
+  input.type = 'url';
+  input.value = value;
+  input.spellcheck = false;
+  input.setAttribute('aria-label', labelText);
+
+  label.appendChild(input);
+  wrap.appendChild(label);
+  return wrap;
+}
+
+/**
+ * @param {Record<string, string>} prefixes
+ * @returns {HTMLTableElement}
+ */
+export function buildPrefixTable(prefixes) {
+  const table = document.createElement('table');
+  table.className = 'table-nova-table';
+  const thead = table.createTHead().insertRow();
+  for (const text of ['Prefix', 'Namespace IRI', '']) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    thead.appendChild(th);
+  }
+  const tbody = table.createTBody();
+  for (const [name, iri] of Object.entries(prefixes || {})) tbody.appendChild(buildPrefixRow(name, iri));
+  return table;
+}
+
+/**
+ * @param {string} name
+ * @param {string} iri
+ * @returns {HTMLTableRowElement}
+ */
+export function buildPrefixRow(name, iri) {
+  const tr = document.createElement('tr');
+
+  const nameInput = document.createElement('input');
+  nameInput.className = 'table-nova-input';
+  nameInput.type = 'text';
+  nameInput.value = name;
+  nameInput.spellcheck = false;
+  nameInput.setAttribute('aria-label', 'Prefix name');
+  nameInput.dataset.tableNovaPrefixName = '1';
+
+  const iriInput = document.createElement('input');
+  iriInput.className = 'table-nova-input';
+  iriInput.type = 'url';
+  iriInput.value = iri;
+  iriInput.spellcheck = false;
+  iriInput.setAttribute('aria-label', `Namespace IRI for ${name || 'new prefix'}`);
+  iriInput.dataset.tableNovaPrefixIri = '1';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'table-nova-btn table-nova-btn--icon';
+  removeBtn.type = 'button';
+  removeBtn.textContent = '×';
+  removeBtn.setAttribute('aria-label', 'Remove prefix');
+  removeBtn.addEventListener('click', () => tr.remove());
+
+  tr.appendChild(controlCell(nameInput));
+  tr.appendChild(controlCell(iriInput));
+  tr.appendChild(controlCell(removeBtn));
+  return tr;
+}
+
+/**
+ * Builds the naming dictionary fields: acronyms, stop words and replacements.
+ * @param {import('../rdf/naming.js').NamingDictionary} naming
+ * @returns {HTMLElement}
+ */
+export function buildNamingDictionaryFields(naming) {
+  const container = document.createElement('div');
+  container.className = 'table-nova-preview';
+
+  const header = document.createElement('div');
+  header.className = 'table-nova-preview__header';
+  const title = document.createElement('h3');
+  title.className = 'table-nova-preview__title';
+  title.textContent = 'Naming dictionary';
+  header.appendChild(title);
+  container.appendChild(header);
+
+  const fields = [
+    { key: 'acronyms', label: 'Acronyms', value: naming.acronyms.join(', '), placeholder: 'SSN, ICD, NAICS, GPS' },
+    { key: 'stopWords', label: 'Stop words', value: naming.stopWords.join(', '), placeholder: 'the, of' }
+  ];
+  for (const field of fields) {
+    const wrap = document.createElement('div');
+    wrap.className = 'table-nova-field';
+    const label = document.createElement('label');
+    label.className = 'table-nova-label';
+    label.textContent = field.label;
+    const input = document.createElement('input');
+    input.className = 'table-nova-input';
+    input.type = 'text';
+    input.value = field.value;
+    input.placeholder = field.placeholder;
+    input.setAttribute('aria-label', `${field.label} (comma-separated)`);
+    input.dataset.tableNovaNaming = field.key;
+    label.appendChild(input);
+    wrap.appendChild(label);
+    container.appendChild(wrap);
+  }
+
+  const wrap = document.createElement('div');
+  wrap.className = 'table-nova-field';
+  const label = document.createElement('label');
+  label.className = 'table-nova-label';
+  label.textContent = 'Replacements';
+  const textarea = document.createElement('textarea');
+  textarea.className = 'table-nova-textarea';
+  textarea.style.minHeight = '6rem';
+  textarea.spellcheck = false;
+  textarea.value = formatReplacementLines(naming.replacements);
+  textarea.placeholder = '# = number\nqty = quantity';
+  textarea.setAttribute('aria-label', 'Replacements, one per line as: from = to');
+  textarea.dataset.tableNovaNaming = 'replacements';
+  label.appendChild(textarea);
+  wrap.appendChild(label);
+  container.appendChild(wrap);
+
+  container.appendChild(mutedNote('Applied to column labels and predicate names in new previews and runs.'));
+  return container;
+}
+
+/**
+ * Collects the edited settings. Prefixes that named an old base follow it to the new one.
+ * @param {ProjectSettings} settings
+ * @param {Record<string, HTMLInputElement>} baseInputs
+ * @param {HTMLTableElement} prefixTable
+ * @param {HTMLElement} namingEl   // from buildNamingDictionaryFields
+ * @returns {ProjectSettings}
+ */
+export function readSettingsPanel(settings, baseInputs, prefixTable, namingEl) {
+  /** @type {Record<string, string>} */
+  const prefixes = {};
+  for (const tr of Array.from(prefixTable.tBodies[0].rows)) {
+    const name = /** @type {HTMLInputElement} */ (tr.querySelector('[data-table-nova-prefix-name]')).value.trim();
+    const iri = /** @type {HTMLInputElement} */ (tr.querySelector('[data-table-nova-prefix-iri]')).value.trim();
+    if (name || iri) prefixes[name] = iri;
+  }
+
+  /** @param {string} key */
+  const namingValue = (key) => /** @type {HTMLInputElement|HTMLTextAreaElement} */ (
+    namingEl.querySelector(`[data-table-nova-naming="${key}"]`)
+  ).value;
+  const naming = {
+    acronyms: namingValue('acronyms'),
+    stopWords: namingValue('stopWords'),
+    replacements: parseReplacementLines(namingValue('replacements'))
+  };
+
+  let next = resolveSettings({ ...settings, prefixes, naming: /** @type {any} */ (naming) });
+  for (const { key } of SETTINGS_BASE_FIELDS) {
+    next = withSettingsBase(next, /** @type {any} */ (key), baseInputs[key].value);
+  }
+  return next;
+}
+
+/**
+ * Flags the base and prefix inputs whose values fail validation.
+ * @param {HTMLElement} panelEl
+ * @returns {void}
+ */
+export function markInvalidSettingsInputs(panelEl) {
+  for (const input of Array.from(panelEl.querySelectorAll('input'))) {
+    const el = /** @type {HTMLInputElement} */ (input);
+    const value = el.value.trim();
+    let valid = true;
+    if (el.dataset.tableNovaSettingsBase) valid = isSettingsBaseIri(value);
+    else if (el.dataset.tableNovaPrefixName) valid = isPrefixName(value);
+    else if (el.dataset.tableNovaPrefixIri) valid = isAbsoluteIri(value);
+    if (valid) el.removeAttribute('aria-invalid');
+    else el.setAttribute('aria-invalid', 'true');
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} variant
+ * @returns {HTMLButtonElement}
+ */
+export function settingsButton(text, variant) {
+  const btn = document.createElement('button');
+  btn.className = `table-nova-btn ${variant}`;
+  btn.type = 'button';
+  btn.textContent = text;
+  return btn;
+}
+
 /**
  * Renders outputs into the output area.
  * @param {any} dom
  * @param {any} lastOutput
- * @param {'abox'|'tbox'|'both'} [scope]
+ * @param {'abox'|'tbox'|'prov'|'both'} [scope]
  * @param {'turtle'|'ntriples'|'jsonld'|'session'} [activeTab]
  * @returns {void}
  */
@@ -907,7 +2627,7 @@ export function renderQuadTable(table, quads) {
 
   for (const q of quads || []) {
     const tr = document.createElement('tr');
-    tr.appendChild(td(q.s));
+    tr.appendChild(td(formatSubject(q)));
     tr.appendChild(td(q.p));
     tr.appendChild(td(formatObject(q)));
     tr.appendChild(td(q.g));
@@ -923,9 +2643,22 @@ export function renderQuadTable(table, quads) {
 export function formatObject(q) {
   if (!q) return '';
   if (q.oType === 'iri') return `<${q.oValue}>`;
+  if (q.oType === 'bnode') return `_:${q.oValue}`;
+  if (q.oType === 'triple' && q.oTriple) return formatSubject({ sType: 'triple', sTriple: q.oTriple });
+  if (q.lang) return `"${escapeLiteral(q.oValue)}"@${q.lang}`;
   const dt = q.datatypeIri ? `^^<${q.datatypeIri}>` : '';
-  const lang = q.lang ? `@${q.lang}` : '';
-  return `"${escapeLiteral(q.oValue)}"${lang}${dt}`;
+  return `"${escapeLiteral(q.oValue)}"${dt}`;
+}
+
+/**
+ * Formats a quad subject for display; quoted triples (cell trace annotations) as `<< s p o >>`.
+ * @param {any} q
+ * @returns {string}
+ */
+export function formatSubject(q) {
+  if (!q) return '';
+  if (q.sType === 'triple' && q.sTriple) return `<< ${formatSubject(q.sTriple)} <${q.sTriple.p}> ${formatObject(q.sTriple)} >>`;
+  return q.sType === 'bnode' ? `_:${q.s}` : q.s;
 }
 
 /**
@@ -949,24 +2682,48 @@ export function td(s) {
 }
 
 /**
- * Renders run list with delete/load controls.
+ * Renders run list with delete/load controls, one group per source file with its versions newest first.
  * @param {HTMLElement} listEl
- * @param {Array<{graphIri: string, filename: string, createdAtIso: string}>} runs
+ * @param {RunSummary[]} runs
  * @param {(graphIri: string) => Promise<void>} onDelete
  * @param {(graphIri: string) => Promise<void>} onLoad
  * @returns {void}
  */
 export function renderRunsList(listEl, runs, onDelete, onLoad) {
   listEl.innerHTML = '';
-  for (const r of runs || []) {
-    listEl.appendChild(buildRunItem(r));
+  for (const group of groupRunVersions(runs)) {
+    listEl.appendChild(buildRunGroup(group));
   }
   mountRunListHandlers(listEl, onDelete, onLoad);
 }
 
+/**
+ * Builds the list entry for all versions of one source file.
+ * @param {import('../state/runVersions.js').RunVersionGroup} group
+ * @returns {HTMLLIElement}
+ */
+export function buildRunGroup(group) {
+  const li = document.createElement('li');
+  li.className = 'table-nova-rungroup';
+
+  const title = document.createElement('div');
+  title.className = 'table-nova-fileitem__name';
+  const count = group.runs.length;
+  title.textContent = count > 1 ? `${group.filename} (${count} versions)` : group.filename;
+
+  const versions = document.createElement('ul');
+  versions.className = 'table-nova-runlist';
+  versions.setAttribute('aria-label', `Runs of ${group.filename}`);
+  for (const run of group.runs) versions.appendChild(buildRunItem(run));
+
+  li.appendChild(title);
+  li.appendChild(versions);
+  return li;
+}
+
 /**
  * Builds a run list item.
- * @param {{graphIri: string, filename: string, createdAtIso: string}} run
+ * @param {RunSummary} run
  * @returns {HTMLLIElement}
  */
 export function buildRunItem(run) {
@@ -978,7 +2735,7 @@ export function buildRunItem(run) {
 
   const name = document.createElement('div');
   name.className = 'table-nova-fileitem__name';
-  name.textContent = run.filename;
+  name.textContent = `v${runVersion(run)} · ${run.filename}`;
 
   const sub = document.createElement('div');
   sub.className = 'table-nova-fileitem__sub';
@@ -0,0 +1,156 @@
+/**
+ * @file Main-thread client for the ingest worker.
+ */
+
+import { runIngestPipeline } from '../pipeline/ingestPipeline.js';
+
+/**
+ * @typedef {import('../pipeline/ingestPipeline.js').IngestProgress} IngestProgress
+ * @typedef {import('../pipeline/ingestPipeline.js').IngestResult} IngestResult
+ * @typedef {import('../state/types.js').FileOptions} FileOptions
+ * @typedef {import('../rdf/objectProperties.js').LinkTarget} LinkTarget
+ * @typedef {import('../state/settings.js').ProjectSettings} ProjectSettings
+ * @typedef {import('../state/runVersions.js').RunRevision} RunRevision
+ */
+
+/**
+ * @typedef {{file: File, options: FileOptions, now?: Date, settings?: ProjectSettings, revision?: RunRevision, linkTargets?: Record<string, LinkTarget>}} IngestRunParams
+ */
+
+/**
+ * @typedef {Object} IngestClient
+ * @property {(params: IngestRunParams, onProgress?: (progress: IngestProgress) => void) => Promise<IngestResult>} run
+ * @property {() => void} cancel
+ * @property {() => boolean} isRunning
+ */
+
+/**
+ * Creates an ingest client. Each run gets a fresh worker that is terminated when the run settles,
+ * so large parsed tables are released with it. Where the worker cannot start or load the pipeline
+ * (no Worker support, or no module import() in classic workers as in Firefox before 114), runs
+ * fall back to the main thread, which still yields between row batches for progress and cancel.
+ * @param {{workerUrl: string|URL}} params
+ * @returns {IngestClient}
+ */
+export function createIngestClient({ workerUrl }) {
+  /** @type {Worker|null} */
+  let worker = null;
+  /** @type {AbortController|null} */
+  let mainThreadRun = null;
+  let workerUnavailable = false;
+
+  /**
+   * @param {IngestRunParams} params
+   * @param {(progress: IngestProgress) => void} [onProgress]
+   * @returns {Promise<IngestResult>}
+   */
+  function run(params, onProgress) {
+    if (worker || mainThreadRun) return Promise.reject(new Error('A run is already in progress.'));
+    if (workerUnavailable) return runOnMainThread(params, onProgress);
+
+    const { file, options, now = new Date(), settings, revision, linkTargets = {} } = params;
+    return new Promise((resolve, reject) => {
+      /** @type {Worker} */
+      let w;
+      try {
+        w = new Worker(workerUrl);
+      } catch (_) {
+        workerUnavailable = true;
+        resolve(runOnMainThread(params, onProgress));
+        return;
+      }
+      worker = w;
+      let started = false;
+
+      const settle = () => {
+        w.terminate();
+        if (worker === w) worker = null;
+      };
+
+      const fallBack = () => {
+        settle();
+        workerUnavailable = true;
+        resolve(runOnMainThread(params, onProgress));
+      };
+
+      w.addEventListener('message', (e) => {
+        const msg = e.data || {};
+        started = true;
+        if (msg.type === 'progress') {
+          onProgress?.(msg.progress);
+          return;
+        }
+        if (msg.type === 'unsupported') {
+          fallBack();
+          return;
+        }
+        settle();
+        if (msg.type === 'result') {
+          resolve(msg.result);
+        } else {
+          const err = /** @type {Error & {cellErrors?: any[]}} */ (new Error(msg.message || 'Ingest worker failed.'));
+          err.name = msg.name || 'Error';
+          // Datatype validation failures carry the per-cell report.
+          if (Array.isArray(msg.cellErrors)) err.cellErrors = msg.cellErrors;
+          reject(err);
+        }
+      });
+
+      w.addEventListener('error', (e) => {
+        // A worker script that fails before answering (syntax or importScripts errors) cannot run here.
+        if (!started) {
+          e.preventDefault();
+          fallBack();
+          return;
+        }
+        settle();
+        reject(new Error(e.message || 'Ingest worker failed.'));
+      });
+
+      w.postMessage({ type: 'run', file, options, nowIso: now.toISOString(), settings, revision, linkTargets });
+    });
+  }
+
+  /**
+   * Runs the pipeline on the main thread, for browsers where the worker cannot.
+   * @param {IngestRunParams} params
+   * @param {(progress: IngestProgress) => void} [onProgress]
+   * @returns {Promise<IngestResult>}
+   */
+  async function runOnMainThread({ file, options, now = new Date(), settings, revision, linkTargets = {} }, onProgress) {
+    const controller = new AbortController();
+    mainThreadRun = controller;
+    try {
+      return await runIngestPipeline({
+        file,
+        options,
+        now,
+        settings,
+        revision,
+        linkTargets,
+        signal: controller.signal,
+        onProgress: (progress) => onProgress?.(progress)
+      });
+    } finally {
+      if (mainThreadRun === controller) mainThreadRun = null;
+    }
+  }
+
+  return Object.freeze({
+    run,
+    cancel: () => {
+      worker?.postMessage({ type: 'cancel' });
+      mainThreadRun?.abort();
+    },
+    isRunning: () => worker !== null || mainThreadRun !== null
+  });
+}
+
+/**
+ * Returns true when an error represents a user-requested cancellation.
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
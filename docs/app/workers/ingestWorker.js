@@ -0,0 +1,73 @@
+/**
+ * @file Dedicated (classic) worker that runs the ingest pipeline off the main thread.
+ *
+ * Protocol (main -> worker):
+ *   {type: 'run', file: File, options: FileOptions, nowIso: string, settings: ProjectSettings, linkTargets: Record<string, LinkTarget>}
+ *   {type: 'cancel'}
+ * Protocol (worker -> main):
+ *   {type: 'progress', progress: IngestProgress}
+ *   {type: 'result', result: IngestResult}
+ *   {type: 'error', name: string, message: string, cellErrors?: CellError[]}
+ *   {type: 'unsupported', message: string}   // the pipeline cannot load here; the client runs it on the main thread
+ */
+
+/* global importScripts */
+// The pipeline modules expect the same globals the page loads via <script> tags.
+importScripts('../imports/n3.min.js', '../imports/jsonld.min.js', '../imports/xlsx.full.min.js');
+
+// Classic workers without module import() (Firefox before 114) reject here; the first run then
+// reports 'unsupported' instead of failing.
+const pipelineModule = import('../pipeline/ingestPipeline.js');
+pipelineModule.catch(() => {});
+
+/** @type {AbortController|null} */
+let controller = null;
+
+self.addEventListener('message', (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'cancel') {
+    controller?.abort();
+    return;
+  }
+  if (msg.type === 'run') {
+    void handleRunMessage(msg);
+  }
+});
+
+/**
+ * @param {{file: File, options: any, nowIso: string, settings?: any, linkTargets?: Record<string, any>}} msg
+ * @returns {Promise<void>}
+ */
+async function handleRunMessage(msg) {
+  let runIngestPipeline;
+  try {
+    ({ runIngestPipeline } = await pipelineModule);
+  } catch (err) {
+    self.postMessage({ type: 'unsupported', message: String(err?.message || err) });
+    return;
+  }
+
+  controller = new AbortController();
+  try {
+    const result = await runIngestPipeline({
+      file: msg.file,
+      options: msg.options,
+      now: new Date(msg.nowIso),
+      settings: msg.settings,
+      revision: msg.revision,
+      linkTargets: msg.linkTargets || {},
+      signal: controller.signal,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({
+      type: 'error',
+      name: String(err?.name || 'Error'),
+      message: String(err?.message || err),
+      cellErrors: err?.cellErrors
+    });
+  } finally {
+    controller = null;
+  }
+}
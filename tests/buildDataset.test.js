@@ -0,0 +1,108 @@
+import { loadBundledRdfLibraries } from './helpers/bundledRdf.js';
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const TN = 'https://example.org/TableNova/';
+const INSTANCE = `${TN}instance/`;
+const RUN = `${TN}run#2026-03-04/orders-csv/v1`;
+
+/** @type {typeof import('../docs/app/rdf/buildDataset.js')} */
+let buildDataset;
+/** @type {typeof import('../docs/app/rdf/serialize.js')} */
+let serialize;
+/** @type {typeof import('../docs/app/rdf/canonical.js')} */
+let canonical;
+
+beforeAll(async () => {
+  loadBundledRdfLibraries();
+  buildDataset = await import('../docs/app/rdf/buildDataset.js');
+  serialize = await import('../docs/app/rdf/serialize.js');
+  canonical = await import('../docs/app/rdf/canonical.js');
+});
+
+/**
+ * Builds the run dataset of a small orders table whose `tags` cells are ordered lists.
+ * @param {Record<string, any>} [options]
+ * @param {string|null} [sheetName]
+ */
+function buildOrders(options = {}, sheetName = null) {
+  const { DataFactory } = globalThis.N3;
+  return buildDataset.buildDatasetFromTabular({
+    tabular: { header: ['id', 'tags'], rows: [['1', 'red; green'], ['2', 'blue']] },
+    options: { treatFirstRowAsHeader: true, headerRowNumber: 1, ...options },
+    baseInstanceIri: INSTANCE,
+    columnSchemas: [
+      { key: 'id', index: 0, predicateIri: `${TN}hasId`, datatypeIri: `${XSD}string` },
+      { key: 'tags', index: 1, predicateIri: `${TN}hasTags`, datatypeIri: `${XSD}string`, multiValue: { separator: ';', asList: true } }
+    ],
+    graphIri: RUN,
+    buildRowInstanceIri: ({ baseInstanceIri, rowIndex }) => `${baseInstanceIri}order${rowIndex + 1}`,
+    buildLiteralObject: async (value, datatypeIri) => DataFactory.literal(value, DataFactory.namedNode(datatypeIri)),
+    sheetName,
+    basePredicateIri: TN
+  });
+}
+
+test('list columns serialize to JSON-LD as ordered lists', async () => {
+  const { dataset } = await buildOrders();
+  const labels = dataset.getQuads(null, `${RDF}first`, null, null).map((q) => q.subject.value);
+  expect(labels).toHaveLength(3);
+  for (const label of labels) expect(label).toMatch(/^[A-Za-z0-9]+$/);
+
+  const { jsonldTriples, jsonldGraph } = await serialize.datasetToSerializations({ dataset, graphIri: RUN, prefixes: {} });
+  const tags = (/** @type {any[]} */ nodes) => nodes.find((node) => node['@id'] === `${INSTANCE}order1`)[`${TN}hasTags`];
+  expect(tags(JSON.parse(jsonldTriples))).toEqual([{ '@list': [{ '@value': 'red' }, { '@value': 'green' }] }]);
+
+  const [graph] = JSON.parse(jsonldGraph);
+  expect(graph['@id']).toBe(RUN);
+  expect(tags(graph['@graph'])).toEqual([{ '@list': [{ '@value': 'red' }, { '@value': 'green' }] }]);
+});
+
+/**
+ * Blank node labels used as subjects in a dataset, in order.
+ * @param {any} dataset
+ * @returns {string[]}
+ */
+function blankSubjects(dataset) {
+  const labels = dataset.getQuads(null, null, null, null)
+    .filter((q) => q.subject.termType === 'BlankNode')
+    .map((q) => q.subject.value);
+  return [...new Set(labels)].sort();
+}
+
+test('blank row subjects get the same alphanumeric labels on every build', async () => {
+  const first = await buildOrders({ rowIri: { strategy: 'blank' } });
+  const second = await buildOrders({ rowIri: { strategy: 'blank' } });
+  const labels = blankSubjects(first.dataset);
+  expect(labels).toHaveLength(5);   // two rows and three list nodes
+  for (const label of labels) expect(label).toMatch(/^[A-Za-z0-9]+$/);
+  expect(blankSubjects(second.dataset)).toEqual(labels);
+  expect(second.quads).toEqual(first.quads);
+
+  const otherSheet = await buildOrders({ rowIri: { strategy: 'blank' } }, 'Returns');
+  const otherLabels = new Set(blankSubjects(otherSheet.dataset));
+  expect(labels.some((label) => otherLabels.has(label))).toBe(false);
+});
+
+test('blank row datasets reload from their records and match the canonical hash', async () => {
+  const { dataset, quads } = await buildOrders({ rowIri: { strategy: 'blank' } });
+  const hash = await canonical.hashCanonicalQuads(dataset.getQuads(null, null, null, null));
+  const rows = dataset.getQuads(null, `${TN}hasId`, null, null);
+  expect(rows.map((q) => q.subject.termType)).toEqual(['BlankNode', 'BlankNode']);
+
+  const records = rows.map(buildDataset.quadToRecord);
+  expect(records.map((r) => r.sType)).toEqual(['bnode', 'bnode']);
+  expect(records.map(buildDataset.recordToQuad).every((q, i) => q.equals(rows[i]))).toBe(true);
+
+  const { dataset: reloaded } = await buildDataset.datasetFromQuads(JSON.parse(JSON.stringify(quads)));
+  expect(await canonical.verifyCanonicalHash(reloaded, hash)).toEqual({ status: 'match', hash });
+});
+
+test('blank row datasets serialize to JSON-LD', async () => {
+  const { dataset } = await buildOrders({ rowIri: { strategy: 'blank' } });
+  const { jsonldGraph } = await serialize.datasetToSerializations({ dataset, graphIri: RUN, prefixes: {} });
+  const [graph] = JSON.parse(jsonldGraph);
+  const rows = graph['@graph'].filter((node) => node[`${TN}hasId`]);
+  expect(rows.map((node) => node[`${TN}hasId`])).toEqual([[{ '@value': '1' }], [{ '@value': '2' }]]);
+  for (const node of rows) expect(node['@id']).toMatch(/^_:[A-Za-z0-9]+$/);
+});
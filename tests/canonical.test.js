@@ -0,0 +1,93 @@
+import {
+  canonicalizeQuads,
+  hashCanonicalQuads,
+  toCanonicalNQuad,
+  verifyCanonicalHash
+} from '../docs/app/rdf/canonical.js';
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const EX = 'https://example.org/';
+
+const DataFactory = {
+  namedNode: (value) => ({ termType: 'NamedNode', value }),
+  blankNode: (value) => ({ termType: 'BlankNode', value }),
+  literal: (value, langOrDatatype) => (typeof langOrDatatype === 'string'
+    ? { termType: 'Literal', value, language: langOrDatatype, datatype: { termType: 'NamedNode', value: `${RDF}langString` } }
+    : { termType: 'Literal', value, language: '', datatype: langOrDatatype || { termType: 'NamedNode', value: `${XSD}string` } }),
+  defaultGraph: () => ({ termType: 'DefaultGraph', value: '' }),
+  quad: (subject, predicate, object, graph) => ({
+    termType: 'Quad',
+    subject,
+    predicate,
+    object,
+    graph: graph || { termType: 'DefaultGraph', value: '' }
+  })
+};
+
+beforeAll(() => {
+  globalThis.N3 = {
+    DataFactory,
+    Store: class Store {
+      constructor() {
+        this.quads = [];
+      }
+
+      addQuad(q) {
+        this.quads.push(q);
+      }
+
+      getQuads() {
+        return this.quads;
+      }
+    }
+  };
+});
+
+const { namedNode, blankNode, literal, quad } = DataFactory;
+const g = namedNode(`${EX}run`);
+const row = namedNode(`${EX}row/1`);
+const hasName = namedNode(`${EX}hasName`);
+
+const quads = [
+  quad(row, hasName, literal('Ada "the first"\nLovelace', 'en'), g),
+  quad(row, namedNode(`${EX}hasAge`), literal('36', namedNode(`${XSD}integer`)), g),
+  quad(blankNode('b1_1'), namedNode(`${RDF}first`), literal('red'), g),
+  quad(quad(row, hasName, literal('Ada')), namedNode(`${EX}sourceRow`), literal('2', namedNode(`${XSD}integer`)), g),
+  quad(namedNode(`${EX}hasName`), namedNode(`${RDF}type`), namedNode(`${RDF}Property`))
+];
+
+test('toCanonicalNQuad writes every term type', () => {
+  expect(quads.map(toCanonicalNQuad)).toEqual([
+    `<${EX}row/1> <${EX}hasName> "Ada \\"the first\\"\\nLovelace"@en <${EX}run> .`,
+    `<${EX}row/1> <${EX}hasAge> "36"^^<${XSD}integer> <${EX}run> .`,
+    `_:b1_1 <${RDF}first> "red" <${EX}run> .`,
+    `<< <${EX}row/1> <${EX}hasName> "Ada" >> <${EX}sourceRow> "2"^^<${XSD}integer> <${EX}run> .`,
+    `<${EX}hasName> <${RDF}type> <${RDF}Property> .`
+  ]);
+});
+
+test('canonicalizeQuads ignores order and duplicates', async () => {
+  const shuffled = [quads[3], quads[0], quads[4], quads[0], quads[2], quads[1]];
+  expect(canonicalizeQuads(shuffled)).toBe(canonicalizeQuads(quads));
+  expect(await hashCanonicalQuads(shuffled)).toBe(await hashCanonicalQuads(quads));
+  expect(await hashCanonicalQuads(quads)).toMatch(/^[0-9a-f]{64}$/);
+});
+
+test('stored records rebuild every quad exactly', async () => {
+  const { datasetFromQuads, quadToRecord } = await import('../docs/app/rdf/buildDataset.js');
+  const records = quads.map(quadToRecord);
+  expect(records[4].g).toBe('');
+  expect(records[0].lang).toBe('en');
+  expect(records[3].sType).toBe('triple');
+
+  const { dataset } = await datasetFromQuads(JSON.parse(JSON.stringify(records)));
+  expect(canonicalizeQuads(dataset.getQuads())).toBe(canonicalizeQuads(quads));
+  expect((await verifyCanonicalHash(dataset, await hashCanonicalQuads(quads))).status).toBe('match');
+});
+
+test('verifyCanonicalHash reports changed and unhashed runs', async () => {
+  const dataset = { getQuads: () => quads.slice(1) };
+  expect((await verifyCanonicalHash(dataset, await hashCanonicalQuads(quads))).status).toBe('mismatch');
+  expect((await verifyCanonicalHash(dataset, undefined)).status).toBe('unknown');
+});
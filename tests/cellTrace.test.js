@@ -0,0 +1,139 @@
+import { buildCellTraceAnnotations } from '../docs/app/rdf/cellTrace.js';
+import { loadBundledRdfLibraries } from './helpers/bundledRdf.js';
+
+const TN = 'https://example.org/TableNova/';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const INSTANCE = `${TN}instance/`;
+const RUN = `${TN}run#2026-03-04/orders-xlsx/v1`;
+
+test('buildCellTraceAnnotations names the row, column and raw cell text', () => {
+  expect(buildCellTraceAnnotations({ row: 7, column: 'C', cell: ' 1.234,50 € ' }, TN)).toEqual([
+    { p: `${TN}sourceRow`, value: '7', datatypeIri: `${XSD}integer` },
+    { p: `${TN}sourceColumn`, value: 'C', datatypeIri: `${XSD}string` },
+    { p: `${TN}sourceCell`, value: ' 1.234,50 € ', datatypeIri: `${XSD}string` }
+  ]);
+});
+
+test('buildCellTraceAnnotations adds the sheet for workbook cells', () => {
+  const annotations = buildCellTraceAnnotations({ sheetName: 'Orders', row: 2, column: 'AA', cell: 'x' }, TN);
+  expect(annotations[0]).toEqual({ p: `${TN}sourceSheet`, value: 'Orders', datatypeIri: `${XSD}string` });
+  expect(annotations).toHaveLength(4);
+});
+
+/** @type {typeof import('../docs/app/rdf/buildDataset.js')} */
+let buildDataset;
+/** @type {typeof import('../docs/app/rdf/serialize.js')} */
+let serialize;
+/** @type {typeof import('../docs/app/rdf/canonical.js')} */
+let canonical;
+
+beforeAll(async () => {
+  loadBundledRdfLibraries();
+  buildDataset = await import('../docs/app/rdf/buildDataset.js');
+  serialize = await import('../docs/app/rdf/serialize.js');
+  canonical = await import('../docs/app/rdf/canonical.js');
+});
+
+/**
+ * Builds the traced run dataset of a small Orders sheet; the second order has no tags.
+ */
+function buildTracedOrders() {
+  const { DataFactory } = globalThis.N3;
+  return buildDataset.buildDatasetFromTabular({
+    tabular: { header: ['id', 'tags'], rows: [['1', ' red; green '], ['2', '']] },
+    options: { treatFirstRowAsHeader: true, headerRowNumber: 1, traceCells: true },
+    baseInstanceIri: INSTANCE,
+    columnSchemas: [
+      { key: 'id', index: 0, predicateIri: `${TN}hasId`, datatypeIri: `${XSD}string` },
+      { key: 'tags', index: 1, predicateIri: `${TN}hasTags`, datatypeIri: `${XSD}string`, multiValue: { separator: ';', asList: true } }
+    ],
+    graphIri: RUN,
+    buildRowInstanceIri: ({ baseInstanceIri, rowIndex }) => `${baseInstanceIri}order${rowIndex + 1}`,
+    buildLiteralObject: async (value, datatypeIri) => DataFactory.literal(value, DataFactory.namedNode(datatypeIri)),
+    sheetName: 'Orders',
+    basePredicateIri: TN
+  });
+}
+
+/**
+ * The annotations of every quoted triple in a dataset, keyed by its subject and predicate.
+ * @param {any} dataset
+ * @returns {Record<string, Record<string, string>>}
+ */
+function annotationsByTriple(dataset) {
+  /** @type {Record<string, Record<string, string>>} */
+  const byTriple = {};
+  for (const q of dataset.getQuads(null, null, null, null)) {
+    if (q.subject.termType !== 'Quad') continue;
+    const key = `${q.subject.subject.value} ${q.subject.predicate.value}`;
+    byTriple[key] = { ...byTriple[key], [q.predicate.value.slice(TN.length)]: q.object.value };
+  }
+  return byTriple;
+}
+
+test('every triple made from a cell is annotated with its source cell', async () => {
+  const { dataset } = await buildTracedOrders();
+  expect(annotationsByTriple(dataset)).toEqual({
+    [`${INSTANCE}order1 ${TN}hasId`]: { sourceSheet: 'Orders', sourceRow: '2', sourceColumn: 'A', sourceCell: '1' },
+    [`${INSTANCE}order1 ${TN}hasTags`]: { sourceSheet: 'Orders', sourceRow: '2', sourceColumn: 'B', sourceCell: ' red; green ' },
+    [`${INSTANCE}order2 ${TN}hasId`]: { sourceSheet: 'Orders', sourceRow: '3', sourceColumn: 'A', sourceCell: '2' }
+  });
+
+  // The quoted triple is the asserted one, in the run graph; rdf:List nodes are not annotated.
+  const [rowAnnotation] = dataset.getQuads(null, `${TN}sourceRow`, null, null);
+  expect(rowAnnotation.graph.value).toBe(RUN);
+  expect(rowAnnotation.object.datatype.value).toBe(`${XSD}integer`);
+  const quoted = rowAnnotation.subject;
+  expect(dataset.getQuads(quoted.subject, quoted.predicate, quoted.object, RUN)).toHaveLength(1);
+  expect(dataset.getQuads(null, `${RDF}first`, null, null)).toHaveLength(2);
+});
+
+test('traced datasets reload from their records and match the canonical hash', async () => {
+  const { dataset, quads } = await buildTracedOrders();
+  expect(quads.filter((r) => r.sType === 'triple')).toHaveLength(12);
+
+  const hash = await canonical.hashCanonicalQuads(dataset.getQuads(null, null, null, null));
+  const { dataset: reloaded } = await buildDataset.datasetFromQuads(JSON.parse(JSON.stringify(quads)));
+  expect(await canonical.verifyCanonicalHash(reloaded, hash)).toEqual({ status: 'match', hash });
+});
+
+test('reifyQuotedTriples turns each quoted triple into one rdf:Statement per graph', async () => {
+  const { dataset } = await buildTracedOrders();
+  const reified = serialize.reifyQuotedTriples(dataset);
+  const all = reified.getQuads(null, null, null, null);
+  expect(all.some((q) => q.subject.termType === 'Quad' || q.object.termType === 'Quad')).toBe(false);
+  expect(all.length).toBe(dataset.size + 3 * 4);   // three statements, four describing quads each
+
+  const statements = reified.getQuads(null, `${RDF}type`, `${RDF}Statement`, RUN).map((q) => q.subject);
+  expect(statements.map((s) => s.value)).toEqual(['stmt1', 'stmt2', 'stmt3']);
+  const [first] = statements;
+  expect(reified.getObjects(first, `${RDF}subject`, RUN).map((o) => o.value)).toEqual([`${INSTANCE}order1`]);
+  expect(reified.getObjects(first, `${RDF}predicate`, RUN).map((o) => o.value)).toEqual([`${TN}hasId`]);
+  expect(reified.getObjects(first, `${RDF}object`, RUN).map((o) => o.value)).toEqual(['1']);
+  expect(reified.getObjects(first, `${TN}sourceColumn`, RUN).map((o) => o.value)).toEqual(['A']);
+
+  // Labels are numbered per call, so exporting again gives the same statements.
+  const again = serialize.reifyQuotedTriples(dataset).getQuads(null, null, null, null);
+  expect(again.map(canonical.toCanonicalNQuad).sort()).toEqual(all.map(canonical.toCanonicalNQuad).sort());
+});
+
+test('JSON-LD exports of traced runs carry the annotations on reified statements', async () => {
+  const { dataset } = await buildTracedOrders();
+  const { trig, jsonldTriples, jsonldGraph } = await serialize.datasetToSerializations({ dataset, graphIri: RUN, prefixes: {} });
+  expect(trig).toContain('<<');
+
+  const [graph] = JSON.parse(jsonldGraph);
+  expect(graph['@id']).toBe(RUN);
+  const statement = graph['@graph'].find((node) => node[`${RDF}object`]?.[0]?.['@value'] === '2');
+  expect(statement).toMatchObject({
+    '@type': [`${RDF}Statement`],
+    [`${RDF}subject`]: [{ '@id': `${INSTANCE}order2` }],
+    [`${RDF}predicate`]: [{ '@id': `${TN}hasId` }],
+    [`${TN}sourceRow`]: [{ '@value': '3', '@type': `${XSD}integer` }],
+    [`${TN}sourceSheet`]: [{ '@value': 'Orders' }]
+  });
+
+  const triples = JSON.parse(jsonldTriples);
+  expect(triples.filter((node) => node['@type']?.includes(`${RDF}Statement`))).toHaveLength(3);
+});
@@ -0,0 +1,42 @@
+import {
+  createCellValidationError,
+  resolveInvalidCellPolicy,
+  serializeCellErrorReportCsv,
+  shouldRejectRun
+} from '../docs/app/rdf/cellValidation.js';
+
+const cellError = {
+  sheetName: null,
+  row: 3,
+  column: 'B',
+  columnKey: 'Age',
+  value: 'forty, ish',
+  expectedDatatypeIri: 'http://www.w3.org/2001/XMLSchema#integer'
+};
+
+test('resolveInvalidCellPolicy falls back to keeping values as strings', () => {
+  expect(resolveInvalidCellPolicy('reject')).toBe('reject');
+  expect(resolveInvalidCellPolicy('coerce')).toBe('string');
+  expect(resolveInvalidCellPolicy(undefined)).toBe('string');
+});
+
+test('createCellValidationError names the first bad cell and carries the report', () => {
+  const err = createCellValidationError([cellError, { ...cellError, row: 4 }]);
+  expect(err.name).toBe('CellValidationError');
+  expect(err.message).toBe('Run rejected: B3 "forty, ish" is not a valid xsd:integer (+1 more).');
+  expect(err.cellErrors).toHaveLength(2);
+});
+
+test('serializeCellErrorReportCsv lists row, column, value and expected type', () => {
+  expect(serializeCellErrorReportCsv([cellError])).toBe(
+    'sheet,row,column,column key,value,expected datatype,problem\n,3,B,Age,"forty, ish",xsd:integer,invalid\n'
+  );
+});
+
+test('missing cells of required columns reject the run whatever the invalid-cell policy', () => {
+  const missing = { ...cellError, value: 'N/A', missing: true };
+  expect(shouldRejectRun([cellError], 'string')).toBe(false);
+  expect(shouldRejectRun([cellError], 'reject')).toBe(true);
+  expect(shouldRejectRun([missing], 'skip')).toBe(true);
+  expect(createCellValidationError([missing]).message).toBe('Run rejected: B3 is missing a value for required column "Age".');
+});
@@ -0,0 +1,63 @@
+import {
+  DATATYPES,
+  datatypeJsonSchema,
+  datatypeLabel,
+  normalizeLanguageTag,
+  toLexicalForm
+} from '../docs/app/rdf/datatypes.js';
+
+const xsd = 'http://www.w3.org/2001/XMLSchema#';
+
+test('toLexicalForm rejects values that do not fit the datatype instead of coercing them', () => {
+  expect(toLexicalForm('0042', `${xsd}integer`)).toBe('42');
+  expect(toLexicalForm('12345678901234567890', `${xsd}integer`)).toBe('12345678901234567890');
+  expect(toLexicalForm('4.5', `${xsd}integer`)).toBeNull();
+  expect(toLexicalForm('n/a', `${xsd}decimal`)).toBeNull();
+  expect(toLexicalForm('0x1F', `${xsd}double`)).toBeNull();
+  expect(toLexicalForm('Yes', `${xsd}boolean`)).toBe('true');
+  expect(toLexicalForm('maybe', `${xsd}boolean`)).toBeNull();
+  expect(toLexicalForm('1', `${xsd}dateTime`)).toBeNull();
+  expect(toLexicalForm('2023-02-30', `${xsd}date`)).toBeNull();
+  expect(toLexicalForm('anything', `${xsd}string`)).toBe('anything');
+});
+
+test('toLexicalForm keeps the written clock time and offset of dates and times', () => {
+  expect(toLexicalForm('2024-05-01T10:00:00Z', `${xsd}dateTime`)).toBe('2024-05-01T10:00:00Z');
+  expect(toLexicalForm('2024-05-01 10:00+0200', `${xsd}dateTime`)).toBe('2024-05-01T10:00:00+02:00');
+  expect(toLexicalForm('2024-05-01', `${xsd}dateTime`)).toBe('2024-05-01T00:00:00');
+  expect(toLexicalForm('2024-05-01T25:00', `${xsd}dateTime`)).toBeNull();
+  expect(toLexicalForm('09:30', `${xsd}time`)).toBe('09:30:00');
+  expect(toLexicalForm('2024-05-01+01:00', `${xsd}date`)).toBe('2024-05-01+01:00');
+});
+
+test('toLexicalForm enforces integer subtype ranges and canonical decimals', () => {
+  expect(toLexicalForm('9223372036854775807', `${xsd}long`)).toBe('9223372036854775807');
+  expect(toLexicalForm('9223372036854775808', `${xsd}long`)).toBeNull();
+  expect(toLexicalForm('-1', `${xsd}nonNegativeInteger`)).toBeNull();
+  expect(toLexicalForm('+7', `${xsd}nonNegativeInteger`)).toBe('7');
+  expect(toLexicalForm('007.50', `${xsd}decimal`)).toBe('7.5');
+  expect(toLexicalForm('1e3', `${xsd}decimal`)).toBeNull();
+  expect(toLexicalForm('1e3', `${xsd}double`)).toBe('1000');
+  expect(toLexicalForm('-INF', `${xsd}float`)).toBe('-INF');
+});
+
+test('toLexicalForm validates calendar fragments, durations and language tags', () => {
+  expect(toLexicalForm('1999', `${xsd}gYear`)).toBe('1999');
+  expect(toLexicalForm('99', `${xsd}gYear`)).toBeNull();
+  expect(toLexicalForm('2024-13', `${xsd}gYearMonth`)).toBeNull();
+  expect(toLexicalForm('P1Y2M3DT4H', `${xsd}duration`)).toBe('P1Y2M3DT4H');
+  expect(toLexicalForm('P', `${xsd}duration`)).toBeNull();
+  expect(toLexicalForm('P1DT', `${xsd}duration`)).toBeNull();
+  expect(toLexicalForm('en-us', `${xsd}language`)).toBe('en-US');
+  expect(toLexicalForm('a b', `${xsd}anyURI`)).toBeNull();
+  expect(normalizeLanguageTag('@EN-us')).toBe('en-US');
+  expect(normalizeLanguageTag('english please')).toBeNull();
+});
+
+test('the registry drives labels and JSON Schema types', () => {
+  expect(DATATYPES.map((d) => d.label)).toEqual(expect.arrayContaining(['xsd:gYear', 'xsd:time', 'rdf:langString']));
+  expect(datatypeLabel('http://www.w3.org/1999/02/22-rdf-syntax-ns#langString')).toBe('rdf:langString');
+  expect(datatypeJsonSchema(`${xsd}nonNegativeInteger`)).toEqual({ type: 'integer', minimum: 0 });
+  expect(datatypeJsonSchema(`${xsd}duration`)).toEqual({ type: 'string', format: 'duration' });
+  expect(datatypeJsonSchema('https://example.org/custom')).toEqual({ type: 'string' });
+});
@@ -0,0 +1,51 @@
+import {
+  normalizeOffset,
+  parseDateWithPattern,
+  toPatternDateLexical,
+  validateDatePattern
+} from '../docs/app/rdf/datePatterns.js';
+
+test('toPatternDateLexical reads day-first and month-name dates', () => {
+  expect(toPatternDateLexical('04/03/2024', { pattern: 'dd/MM/yyyy', output: 'date' })).toBe('2024-03-04');
+  expect(toPatternDateLexical('04-Mar-2024', { pattern: 'dd-MMM-yyyy', output: 'date' })).toBe('2024-03-04');
+  expect(toPatternDateLexical('4 March 24', { pattern: 'd MMMM yy', output: 'date' })).toBe('2024-03-04');
+});
+
+test('toPatternDateLexical rejects non-matching cells and impossible dates', () => {
+  expect(toPatternDateLexical('2024-03-04', { pattern: 'dd/MM/yyyy', output: 'date' })).toBeNull();
+  expect(toPatternDateLexical('31/02/2024', { pattern: 'dd/MM/yyyy', output: 'date' })).toBeNull();
+});
+
+test('toPatternDateLexical applies the default timezone to dateTime values without an offset', () => {
+  const dateTime = { pattern: 'yyyyMMdd HHmm', output: 'dateTime', timezone: '+0100' };
+  expect(toPatternDateLexical('20240304 0930', dateTime)).toBe('2024-03-04T09:30:00+01:00');
+  expect(toPatternDateLexical('20240304 0930', { pattern: 'yyyyMMdd HHmm', output: 'dateTime' })).toBe('2024-03-04T09:30:00');
+  expect(toPatternDateLexical('2024-03-04T09:30:00.25Z', { pattern: "yyyy-MM-dd'T'HH:mm:ss.SSX", output: 'dateTime', timezone: '+01:00' }))
+    .toBe('2024-03-04T09:30:00.25Z');
+});
+
+test('dateTimeStamp needs an offset from the cell or the default timezone', () => {
+  expect(toPatternDateLexical('20240304 0930', { pattern: 'yyyyMMdd HHmm', output: 'dateTimeStamp' })).toBeNull();
+  expect(toPatternDateLexical('20240304 0930', { pattern: 'yyyyMMdd HHmm', output: 'dateTimeStamp', timezone: 'Z' }))
+    .toBe('2024-03-04T09:30:00Z');
+});
+
+test('12-hour clocks need an AM/PM marker', () => {
+  expect(parseDateWithPattern('03/04/2024 12:15 am', 'MM/dd/yyyy hh:mm a')).toMatchObject({ month: 3, day: 4, hour: 0, minute: 15 });
+  expect(parseDateWithPattern('03/04/2024 1:15 PM', 'MM/dd/yyyy h:mm a')).toMatchObject({ hour: 13 });
+  expect(validateDatePattern('dd/MM/yyyy hh:mm')).toMatch(/AM\/PM/);
+});
+
+test('validateDatePattern reports unknown fields and missing date parts', () => {
+  expect(validateDatePattern('dd/MM/yyyy')).toBeNull();
+  expect(validateDatePattern('dd/QQ/yyyy')).toMatch(/unknown field "QQ"/);
+  expect(validateDatePattern('MM/yyyy')).toMatch(/day field/);
+  expect(validateDatePattern("dd 'of MM/yyyy")).toMatch(/unclosed quote/);
+});
+
+test('normalizeOffset accepts Z and hour offsets with or without a colon', () => {
+  expect(normalizeOffset('z')).toBe('Z');
+  expect(normalizeOffset('+01')).toBe('+01:00');
+  expect(normalizeOffset('-0530')).toBe('-05:30');
+  expect(normalizeOffset('+15:00')).toBeNull();
+});
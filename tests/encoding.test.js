@@ -0,0 +1,38 @@
+import { detectEncoding, resolveEncoding, sniffBom } from '../docs/app/io/encoding.js';
+import { readFileInChunks } from '../docs/app/io/fileReaders.js';
+
+const bytes = (...values) => new Uint8Array(values);
+
+test('sniffBom recognizes UTF-8 and UTF-16 byte order marks', () => {
+  expect(sniffBom(bytes(0xef, 0xbb, 0xbf, 0x61))).toBe('utf-8');
+  expect(sniffBom(bytes(0xff, 0xfe, 0x61, 0x00))).toBe('utf-16le');
+  expect(sniffBom(bytes(0xfe, 0xff, 0x00, 0x61))).toBe('utf-16be');
+  expect(sniffBom(bytes(0x61, 0x62))).toBeNull();
+});
+
+test('detectEncoding tells UTF-8, BOM-less UTF-16, and legacy Windows-1252 apart', () => {
+  expect(detectEncoding(new TextEncoder().encode('Größe,Prénom\n'))).toMatchObject({ encoding: 'utf-8', confidence: 'high' });
+  expect(detectEncoding(bytes(0x61, 0x00, 0x2c, 0x00, 0x62, 0x00, 0x0a, 0x00))).toMatchObject({ encoding: 'utf-16le' });
+  // "Größe" as Windows-1252: 0xF6 and 0xDF are not valid UTF-8 here.
+  expect(detectEncoding(bytes(0x47, 0x72, 0xf6, 0xdf, 0x65))).toEqual({ encoding: 'windows-1252', source: 'heuristic', confidence: 'low' });
+});
+
+test('resolveEncoding keeps an explicit user choice', () => {
+  expect(resolveEncoding(new TextEncoder().encode('abc'), 'windows-1250')).toBe('windows-1250');
+  expect(resolveEncoding(bytes(0xff, 0xfe), 'auto')).toBe('utf-16le');
+});
+
+test('readFileInChunks decodes legacy and UTF-16 files without mojibake', async () => {
+  const read = async (parts, encoding) => {
+    let text = '';
+    const result = await readFileInChunks(new Blob([new Uint8Array(parts)]), {
+      chunkSize: 3,
+      encoding,
+      onChunk: (chunk) => { text += chunk; }
+    });
+    return { text, encoding: result.encoding };
+  };
+
+  expect(await read([0x47, 0x72, 0xf6, 0xdf, 0x65], 'auto')).toEqual({ text: 'Größe', encoding: 'windows-1252' });
+  expect(await read([0xff, 0xfe, 0x61, 0x00, 0xe9, 0x00], 'auto')).toEqual({ text: 'aé', encoding: 'utf-16le' });
+});
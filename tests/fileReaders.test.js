@@ -0,0 +1,64 @@
+import { readFileInChunks } from '../docs/app/io/fileReaders.js';
+
+test('readFileInChunks decodes multi-byte characters split across chunks', async () => {
+  const text = 'name\nGröße,Prénom,日本\n';
+  const blob = new Blob([text]);
+  const chunks = [];
+  const progress = [];
+
+  await readFileInChunks(blob, {
+    chunkSize: 3,
+    onChunk: (chunk, loaded, total) => {
+      chunks.push(chunk);
+      progress.push([loaded, total]);
+    }
+  });
+
+  expect(chunks.join('')).toBe(text);
+  expect(progress[progress.length - 1]).toEqual([blob.size, blob.size]);
+});
+
+test('readFileInChunks stops when the signal is aborted', async () => {
+  const controller = new AbortController();
+  const seen = [];
+
+  const run = readFileInChunks(new Blob(['abcdefghij']), {
+    chunkSize: 2,
+    signal: controller.signal,
+    onChunk: (chunk) => {
+      seen.push(chunk);
+      if (seen.length === 2) controller.abort();
+    }
+  });
+
+  await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+  expect(seen).toEqual(['ab', 'cd']);
+});
+
+test('readFileInChunks hands over the raw bytes of every chunk', async () => {
+  const bytes = new Uint8Array([0xef, 0xbb, 0xbf, 0x61, 0xc3, 0xa9, 0x62]);   // BOM, "aéb"
+  const seen = [];
+
+  await readFileInChunks(new Blob([bytes]), {
+    chunkSize: 3,
+    onBytes: (chunk) => seen.push(...chunk),
+    onChunk: () => {}
+  });
+
+  expect(seen).toEqual([...bytes]);
+});
+
+test('readFileInChunks stops after maxChunks and drops a character cut at the end', async () => {
+  const chunks = [];
+  const result = await readFileInChunks(new Blob(['abé12345']), {
+    chunkSize: 3,   // the first chunk ends inside "é"
+    maxChunks: 1,
+    onChunk: (chunk) => chunks.push(chunk)
+  });
+
+  expect(chunks.join('')).toBe('ab');
+  expect(result).toEqual({ encoding: 'utf-8', truncated: true });
+
+  const whole = await readFileInChunks(new Blob(['ab']), { chunkSize: 3, maxChunks: 1, onChunk: () => {} });
+  expect(whole.truncated).toBe(false);
+});
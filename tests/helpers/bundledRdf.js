@@ -0,0 +1,29 @@
+/**
+ * @file Loads the bundled N3 and jsonld scripts (docs/app/imports) as the page does, so tests can
+ * build and serialize datasets with the real libraries.
+ */
+
+import fs from 'node:fs';
+
+const IMPORTS_DIR = new URL('../../docs/app/imports/', import.meta.url);
+
+/**
+ * Runs one bundled browser script with `window` and `self` bound to the global object.
+ * @param {string} fileName
+ * @returns {void}
+ */
+function runBundledScript(fileName) {
+  const code = fs.readFileSync(new URL(fileName, IMPORTS_DIR), 'utf8');
+  // Hide module/define so UMD bundles attach themselves to the global object.
+  new Function('window', 'self', 'module', 'exports', 'define', code)(globalThis, globalThis, undefined, undefined, undefined);
+}
+
+/**
+ * Sets `globalThis.N3` and `globalThis.jsonld` from the bundled scripts. Modules that read these
+ * globals at load time (serialize.js) must be imported afterwards.
+ * @returns {void}
+ */
+export function loadBundledRdfLibraries() {
+  if (!globalThis.N3) runBundledScript('n3.min.js');
+  if (!globalThis.jsonld) runBundledScript('jsonld.min.js');
+}
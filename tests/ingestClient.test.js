@@ -0,0 +1,81 @@
+import { loadBundledRdfLibraries } from './helpers/bundledRdf.js';
+import { TABLENOVA_DEFAULTS } from '../docs/app/state/defaults.js';
+
+/** @type {typeof import('../docs/app/workers/ingestClient.js')} */
+let ingestClient;
+
+beforeAll(async () => {
+  loadBundledRdfLibraries();
+  ingestClient = await import('../docs/app/workers/ingestClient.js');
+});
+
+afterEach(() => {
+  delete globalThis.Worker;
+});
+
+/**
+ * A stand-in worker that answers every run with one message, like a worker that cannot load the pipeline.
+ * @param {any} reply
+ */
+function installWorker(reply) {
+  const created = [];
+  globalThis.Worker = class {
+    constructor() {
+      this.listeners = {};
+      this.terminated = false;
+      created.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    postMessage() {
+      setTimeout(() => this.listeners.message({ data: reply }), 0);
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  };
+  return created;
+}
+
+const csv = () => new File(['id,name\n1,Ada\n'], 'people.csv');
+
+test('runs fall back to the main thread when the worker cannot load the pipeline', async () => {
+  const created = installWorker({ type: 'unsupported', message: 'dynamic module import is not supported' });
+  const client = ingestClient.createIngestClient({ workerUrl: 'ingestWorker.js' });
+  const phases = new Set();
+
+  const result = await client.run({ file: csv(), options: { ...TABLENOVA_DEFAULTS.fileOptions } }, (p) => phases.add(p.phase));
+  expect(result.quads.some((q) => q.oValue === 'Ada')).toBe(true);
+  expect(phases.has('build')).toBe(true);
+  expect(created).toHaveLength(1);
+  expect(created[0].terminated).toBe(true);
+  expect(client.isRunning()).toBe(false);
+
+  // Later runs skip the worker.
+  await client.run({ file: csv(), options: { ...TABLENOVA_DEFAULTS.fileOptions } });
+  expect(created).toHaveLength(1);
+});
+
+test('runs fall back to the main thread without Worker support', async () => {
+  const client = ingestClient.createIngestClient({ workerUrl: 'ingestWorker.js' });
+  const result = await client.run({ file: csv(), options: { ...TABLENOVA_DEFAULTS.fileOptions } });
+  expect(result.filename).toBe('people.csv');
+});
+
+test('main-thread runs can be cancelled', async () => {
+  const client = ingestClient.createIngestClient({ workerUrl: 'ingestWorker.js' });
+  const run = client.run({ file: csv(), options: { ...TABLENOVA_DEFAULTS.fileOptions } });
+  expect(client.isRunning()).toBe(true);
+  client.cancel();
+  await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('worker errors are still reported as failures', async () => {
+  installWorker({ type: 'error', name: 'Error', message: 'Linked table "x" is not staged.' });
+  const client = ingestClient.createIngestClient({ workerUrl: 'ingestWorker.js' });
+  await expect(client.run({ file: csv(), options: { ...TABLENOVA_DEFAULTS.fileOptions } })).rejects.toThrow('not staged');
+});
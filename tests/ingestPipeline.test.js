@@ -0,0 +1,68 @@
+import { createHash } from 'node:crypto';
+import { loadBundledRdfLibraries } from './helpers/bundledRdf.js';
+import { TABLENOVA_DEFAULTS } from '../docs/app/state/defaults.js';
+
+/** @type {typeof import('../docs/app/pipeline/ingestPipeline.js')} */
+let ingestPipeline;
+
+beforeAll(async () => {
+  loadBundledRdfLibraries();
+  ingestPipeline = await import('../docs/app/pipeline/ingestPipeline.js');
+});
+
+test('readStagedTables hashes a CSV file while reading it in chunks', async () => {
+  // A little over two 1 MiB read chunks.
+  const text = `id,name\n${'1,Ada\n2,Zoë\n'.repeat(100000)}`;
+  const file = new File([text], 'people.csv');
+  // The whole file must not be read at once, only chunk by chunk.
+  file.arrayBuffer = () => Promise.reject(new Error('read the whole file'));
+
+  const { tables, sha256 } = await ingestPipeline.readStagedTables(file, { ...TABLENOVA_DEFAULTS.fileOptions }, { hash: true });
+  expect(tables[0].tabular.rows).toHaveLength(200000);
+  expect(sha256).toBe(createHash('sha256').update(text).digest('hex'));
+});
+
+test('readStagedTables only hashes when asked to', async () => {
+  const { tables, sha256 } = await ingestPipeline.readStagedTables(new File(['id\n1\n'], 'ids.csv'), { ...TABLENOVA_DEFAULTS.fileOptions });
+  expect(tables[0].tabular.rows).toEqual([['1']]);
+  expect(sha256).toBeNull();
+});
+
+test('readStagedTables previews only the first chunk of a large CSV file', async () => {
+  const text = `id,name\n${'1,Ada\n2,Zoë\n'.repeat(100000)}`;
+  const { tables } = await ingestPipeline.readStagedTables(new File([text], 'people.csv'), { ...TABLENOVA_DEFAULTS.fileOptions }, { preview: true });
+  const { header, rows, issues } = tables[0].tabular;
+
+  expect(header).toEqual(['id', 'name']);
+  expect(rows.length).toBeGreaterThan(10000);
+  expect(rows.length).toBeLessThan(200000);
+  // The record cut by the chunk boundary is left out.
+  expect(rows.every((row) => row.length === 2 && ['Ada', 'Zoë'].includes(row[1]))).toBe(true);
+  expect(issues).toEqual([]);
+});
+
+test('key-based rows of two tables sharing a key value stay separate subjects', async () => {
+  const options = { ...TABLENOVA_DEFAULTS.fileOptions, rowIri: { strategy: 'key', keyColumns: ['id'], template: '' } };
+  const run = async (/** @type {string} */ name, /** @type {string} */ text) => {
+    const result = await ingestPipeline.runIngestPipeline({ file: new File([text], name), options });
+    return [...new Set(result.quads.filter((q) => q.p.endsWith('hasName')).map((q) => q.s))];
+  };
+
+  const customers = await run('customers.csv', 'id,name\n1,Ada\n');
+  const products = await run('products.csv', 'id,name\n1,Widget\n');
+  expect(customers).toHaveLength(1);
+  expect(products).toHaveLength(1);
+  expect(customers[0]).not.toBe(products[0]);
+  expect(customers[0]).toMatch(/\/customers\.csv\/1$/);
+});
+
+test('run results carry the predicate base and prefixes they were built with', async () => {
+  const settings = { basePredicateIri: 'https://data.example.org/terms/', prefixes: { ex: 'https://data.example.org/' } };
+  const result = await ingestPipeline.runIngestPipeline({
+    file: new File(['id\n1\n'], 'ids.csv'),
+    options: { ...TABLENOVA_DEFAULTS.fileOptions },
+    settings
+  });
+  expect(result.basePredicateIri).toBe('https://data.example.org/terms/');
+  expect(result.prefixes).toMatchObject({ ex: 'https://data.example.org/' });
+});
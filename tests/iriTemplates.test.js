@@ -0,0 +1,42 @@
+import {
+  expandIriTemplate,
+  parseIriTemplate,
+  percentEncodeIriValue,
+  previewIriTemplate,
+  validateIriTemplate
+} from '../docs/app/rdf/iriTemplates.js';
+
+const base = 'https://example.org/TableNova/instance#';
+
+test('parseIriTemplate splits text and column references, honouring escapes', () => {
+  expect(parseIriTemplate('https://x.org/{Dept}/\\{raw\\}/{ID}')).toEqual([
+    { text: 'https://x.org/' },
+    { column: 'Dept' },
+    { text: '/{raw}/' },
+    { column: 'ID' }
+  ]);
+  expect(() => parseIriTemplate('a/{ID')).toThrow('missing closing');
+  expect(() => parseIriTemplate('a/ID}')).toThrow('unmatched');
+});
+
+test('validateIriTemplate reports unknown columns and illegal fixed text', () => {
+  expect(validateIriTemplate('https://x.org/{ID}', ['ID'])).toEqual([]);
+  expect(validateIriTemplate('https://x.org/{Id}', ['ID'])).toEqual(['IRI template: unknown column {Id}.']);
+  expect(validateIriTemplate('https://x.org/a b/{ID}', ['ID'])).toHaveLength(1);
+  expect(validateIriTemplate('https://x.org/', ['ID'])).toHaveLength(1);
+});
+
+test('expandIriTemplate percent-encodes values and resolves relative templates against the base', () => {
+  expect(expandIriTemplate('https://x.org/person/{ID}', { ID: 'a/b?c#d' }, base)).toBe('https://x.org/person/a%2Fb%3Fc%23d');
+  expect(expandIriTemplate('person/{ID}', { ID: 'José (2)' }, base)).toBe('https://example.org/TableNova/instance/person/Jos%C3%A9%20%282%29');
+  expect(expandIriTemplate('person/{ID}', { ID: '  ' }, base)).toBeNull();
+  expect(percentEncodeIriValue("it's*")).toBe('it%27s%2A');
+});
+
+test('previewIriTemplate expands the first rows', () => {
+  expect(previewIriTemplate('p/{ID}', ['ID', 'Name'], [['1', 'a'], ['2', 'b'], ['3', 'c']], base, 2)).toEqual([
+    'https://example.org/TableNova/instance/p/1',
+    'https://example.org/TableNova/instance/p/2'
+  ]);
+  expect(previewIriTemplate('p/{Nope}', ['ID'], [['1']], base)).toEqual([]);
+});
@@ -0,0 +1,26 @@
+import {
+  resolveMultiValueOptions,
+  splitCellValues
+} from '../docs/app/tabular/multiValues.js';
+import { profileColumns } from '../docs/app/tabular/profileColumns.js';
+
+test('splitCellValues trims pieces and drops empty ones', () => {
+  expect(splitCellValues('red; green;; blue ;', { separator: ';' })).toEqual(['red', 'green', 'blue']);
+  expect(splitCellValues('a b  c', { separator: ' ' })).toEqual(['a', 'b', 'c']);
+  expect(splitCellValues(' red; green ', null)).toEqual(['red; green']);
+});
+
+test('resolveMultiValueOptions treats an empty separator as single-valued', () => {
+  expect(resolveMultiValueOptions({ separator: '' })).toBeNull();
+  expect(resolveMultiValueOptions({ separator: '|', asList: 1 })).toEqual({ separator: '|', asList: true });
+});
+
+test('profileColumns types multi-valued columns by their split values', () => {
+  const profiles = profileColumns({
+    columnKeys: ['scores'],
+    rows: [['1; 2; 3'], ['4;5']],
+    multiValuesByColumnKey: { scores: { separator: ';' } }
+  });
+  expect(profiles.scores.datatypeIri).toBe('http://www.w3.org/2001/XMLSchema#integer');
+  expect(profiles.scores.nonEmptyCount).toBe(5);
+});
@@ -0,0 +1,54 @@
+import {
+  formatReplacementLines,
+  parseReplacementLines,
+  resolveNamingDictionary,
+  validateNamingDictionary
+} from '../docs/app/rdf/naming.js';
+import {
+  buildColumnSchemas,
+  splitHeaderTokens
+} from '../docs/app/rdf/schema.js';
+
+const naming = resolveNamingDictionary({
+  acronyms: 'ssn, icd, gps',
+  stopWords: ['The', 'of'],
+  replacements: { '#': 'number', QTY: 'quantity' }
+});
+
+test('resolveNamingDictionary normalizes case and list input', () => {
+  expect(naming).toEqual({
+    acronyms: ['SSN', 'ICD', 'GPS'],
+    stopWords: ['the', 'of'],
+    replacements: { '#': 'number', qty: 'quantity' }
+  });
+});
+
+test('splitHeaderTokens applies acronyms, stop words and replacements', () => {
+  expect(splitHeaderTokens('Patient SSN', naming)).toEqual(['patient', 'SSN']);
+  expect(splitHeaderTokens('Order #', naming)).toEqual(['order', 'number']);
+  expect(splitHeaderTokens('qtyShipped', naming)).toEqual(['quantity', 'shipped']);
+  expect(splitHeaderTokens('Date of the Visit', naming)).toEqual(['date', 'visit']);
+  expect(splitHeaderTokens('The', naming)).toEqual(['the']);
+});
+
+test('buildColumnSchemas keeps dictionary acronyms in labels and PascalCase names', () => {
+  const schemas = buildColumnSchemas({
+    header: ['icd_code', 'gps location'],
+    rows: [],
+    treatFirstRowAsHeader: true,
+    predicateOptions: { prefixHas: false, casing: 'PascalCase', whenNoHeader: 'ordinal' },
+    basePredicateIri: 'https://example.org/TableNova/',
+    naming
+  });
+  expect(schemas.map((s) => s.label)).toEqual(['ICD Code', 'GPS Location']);
+  expect(schemas.map((s) => s.predicateLocalName)).toEqual(['ICDCode', 'GPSLocation']);
+});
+
+test('replacement lines round-trip and invalid entries are reported', () => {
+  expect(parseReplacementLines('# = number\nqty = quantity\nignored line')).toEqual({ '#': 'number', qty: 'quantity' });
+  expect(formatReplacementLines({ qty: 'quantity' })).toBe('qty = quantity');
+  expect(validateNamingDictionary(resolveNamingDictionary({ acronyms: ['U.S.'], replacements: { tbd: '' } }))).toEqual([
+    'Acronym "U.S." must be letters and digits only.',
+    'Replacement for "tbd" is empty; add it as a stop word instead.'
+  ]);
+});
@@ -0,0 +1,44 @@
+import {
+  columnNullTokens,
+  isNullCell,
+  normalizeNullTokens,
+  resolveEmptyCellPolicy
+} from '../docs/app/tabular/nullValues.js';
+import { profileColumns } from '../docs/app/tabular/profileColumns.js';
+import { buildNullCountsByPredicate } from '../docs/app/metadataDrafts.js';
+
+test('isNullCell matches empty cells and null tokens, ignoring case and spaces', () => {
+  const tokens = ['N/A', 'NULL', '-', '#N/A'];
+  expect(isNullCell('  ', tokens)).toBe(true);
+  expect(isNullCell(' n/a ', tokens)).toBe(true);
+  expect(isNullCell('#N/A', tokens)).toBe(true);
+  expect(isNullCell('-5', tokens)).toBe(false);
+  expect(isNullCell('NULL', [])).toBe(false);
+});
+
+test('column null tokens replace the file list; a comma-separated string is accepted', () => {
+  expect(normalizeNullTokens(' N/A, ,NULL, N/A ')).toEqual(['N/A', 'NULL']);
+  expect(columnNullTokens(['N/A'], { price: ['-'] }, 'price')).toEqual(['-']);
+  expect(columnNullTokens(['N/A'], { price: ['-'] }, 'name')).toEqual(['N/A']);
+});
+
+test('resolveEmptyCellPolicy falls back to skipping', () => {
+  expect(resolveEmptyCellPolicy('required')).toBe('required');
+  expect(resolveEmptyCellPolicy('fill')).toBe('skip');
+});
+
+test('profileColumns ignores null tokens when suggesting datatypes', () => {
+  const rows = [['1'], ['N/A'], ['2'], ['N/A'], ['3']];
+  expect(profileColumns({ columnKeys: ['qty'], rows }).qty.datatypeIri).toBe('http://www.w3.org/2001/XMLSchema#string');
+  expect(profileColumns({ columnKeys: ['qty'], rows, nullTokens: ['n/a'] }).qty)
+    .toMatchObject({ datatypeIri: 'http://www.w3.org/2001/XMLSchema#integer', nonEmptyCount: 3 });
+});
+
+test('buildNullCountsByPredicate counts empty and null-token cells per predicate', () => {
+  const columnSchemas = [
+    { key: 'name', index: 0, predicateIri: 'p:name' },
+    { key: 'qty', index: 1, predicateIri: 'p:qty', nullTokens: ['N/A'] }
+  ];
+  const rows = [['Ada', 'N/A'], ['', '2'], ['N/A', '']];
+  expect(buildNullCountsByPredicate({ rows, columnSchemas })).toEqual({ 'p:name': 1, 'p:qty': 2 });
+});
@@ -0,0 +1,52 @@
+import {
+  resolveNumberFormatOptions,
+  toFormattedDecimalLexical,
+  validateNumberFormat
+} from '../docs/app/rdf/numberFormats.js';
+
+const EU = { decimalSeparator: ',', groupSeparator: '.' };
+const US = { decimalSeparator: '.', groupSeparator: ',' };
+
+test('toFormattedDecimalLexical reads locale separators', () => {
+  expect(toFormattedDecimalLexical('1.234,56', EU)).toBe('1234.56');
+  expect(toFormattedDecimalLexical('1,234.50', US)).toBe('1234.5');
+  expect(toFormattedDecimalLexical('1 234 567,8', { decimalSeparator: ',', groupSeparator: ' ' })).toBe('1234567.8');
+  expect(toFormattedDecimalLexical('12,34,567', US)).toBe('1234567');
+});
+
+test('toFormattedDecimalLexical rejects malformed grouping', () => {
+  expect(toFormattedDecimalLexical('1,2', US)).toBeNull();
+  expect(toFormattedDecimalLexical('1.234,56', US)).toBeNull();
+  expect(toFormattedDecimalLexical('1,234', { decimalSeparator: '.', groupSeparator: '' })).toBeNull();
+});
+
+test('toFormattedDecimalLexical keeps every digit', () => {
+  expect(toFormattedDecimalLexical('123,456,789,012,345,678.901234567', US)).toBe('123456789012345678.901234567');
+});
+
+test('toFormattedDecimalLexical strips currency symbols and the column currency code', () => {
+  const usd = { ...US, currency: 'usd' };
+  expect(toFormattedDecimalLexical('$1,200', usd)).toBe('1200');
+  expect(toFormattedDecimalLexical('-$5.25', usd)).toBe('-5.25');
+  expect(toFormattedDecimalLexical('USD 1,200.00', usd)).toBe('1200');
+  expect(toFormattedDecimalLexical('(1,200)', usd)).toBe('-1200');
+  expect(toFormattedDecimalLexical('EUR 1,200', usd)).toBeNull();
+  expect(toFormattedDecimalLexical('$1,200', US)).toBeNull();
+  expect(toFormattedDecimalLexical('1.234,56 €', { ...EU, currency: 'EUR' })).toBe('1234.56');
+});
+
+test('toFormattedDecimalLexical turns percentages into fractions', () => {
+  const percent = { ...US, percent: true };
+  expect(toFormattedDecimalLexical('45%', percent)).toBe('0.45');
+  expect(toFormattedDecimalLexical('4.5 %', percent)).toBe('0.045');
+  expect(toFormattedDecimalLexical('-1,250%', percent)).toBe('-12.5');
+  expect(toFormattedDecimalLexical('0.45', percent)).toBe('0.45');
+  expect(toFormattedDecimalLexical('45%', US)).toBeNull();
+});
+
+test('validateNumberFormat reports clashing separators and bad currency codes', () => {
+  expect(resolveNumberFormatOptions(null)).toBeNull();
+  expect(validateNumberFormat(EU)).toBeNull();
+  expect(validateNumberFormat({ decimalSeparator: ',', groupSeparator: ',' })).toMatch(/must differ/);
+  expect(validateNumberFormat({ ...US, currency: 'dollars' })).toMatch(/currency code/);
+});
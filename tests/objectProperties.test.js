@@ -0,0 +1,82 @@
+import {
+  buildTableId,
+  createObjectIriResolver,
+  isObjectPropertyColumn,
+  listLinkableTables
+} from '../docs/app/rdf/objectProperties.js';
+import {
+  buildTableIriSegment,
+  createRowIriMinter,
+  getLinkKeyColumn
+} from '../docs/app/rdf/rowIris.js';
+
+const base = 'https://example.org/TableNova/instance/';
+
+test('absolute mode keeps absolute IRIs and rejects other values', () => {
+  const resolve = createObjectIriResolver({ objectProperty: { mode: 'absolute' }, baseInstanceIri: base });
+  expect(resolve('https://example.org/x')).toBe('https://example.org/x');
+  expect(resolve('x')).toBeNull();
+});
+
+test('base mode resolves relative values against the column base or the instance base', () => {
+  const own = createObjectIriResolver({ objectProperty: { mode: 'base', base: 'https://ex.org/dept#' }, baseInstanceIri: base });
+  expect(own('R&D')).toBe('https://ex.org/dept/R%26D');
+  expect(own('https://other.org/a')).toBe('https://other.org/a');
+
+  const fallback = createObjectIriResolver({ objectProperty: { mode: 'base' }, baseInstanceIri: base });
+  expect(fallback('42')).toBe(`${base}42`);
+});
+
+test('link mode mints the row IRI the target table gives that key value', () => {
+  const linkTargets = {
+    'people.csv': { rowIri: { strategy: 'key', keyColumns: ['EmployeeID'], template: '' }, tableSegment: 'people.csv' },
+    'book.xlsx › Depts': { rowIri: { strategy: 'template', keyColumns: [], template: 'https://data.example.org/dept/{Code}' }, tableSegment: 'book.xlsx/Depts' },
+    'notes.csv': { rowIri: { strategy: 'hash', keyColumns: [], template: '' }, tableSegment: 'notes.csv' }
+  };
+
+  const toPeople = createObjectIriResolver({ objectProperty: { mode: 'link', targetTable: 'people.csv' }, baseInstanceIri: base, linkTargets });
+  expect(toPeople('E 7')).toBe(`${base}people.csv/E-7`);
+
+  const toDepts = createObjectIriResolver({ objectProperty: { mode: 'link', targetTable: 'book.xlsx › Depts' }, baseInstanceIri: base, linkTargets });
+  expect(toDepts('HR')).toBe('https://data.example.org/dept/HR');
+
+  expect(() => createObjectIriResolver({ objectProperty: { mode: 'link', targetTable: 'notes.csv' }, baseInstanceIri: base, linkTargets }))
+    .toThrow('single key column');
+  expect(() => createObjectIriResolver({ objectProperty: { mode: 'link', targetTable: 'gone.csv' }, baseInstanceIri: base, linkTargets }))
+    .toThrow('not staged');
+});
+
+test('linked IRIs match the row IRIs the target table mints for the same key', async () => {
+  const rowIri = { strategy: 'key', keyColumns: ['id'], template: '' };
+  const tableSegment = buildTableIriSegment('people.csv', null);
+  const minter = createRowIriMinter({ baseInstanceIri: base, rowIri, columnKeys: ['id'], tableSegment });
+  const resolve = createObjectIriResolver({
+    objectProperty: { mode: 'link', targetTable: 'people.csv' },
+    baseInstanceIri: base,
+    linkTargets: { 'people.csv': { rowIri, tableSegment } }
+  });
+  expect(resolve('東京 7')).toBe(await minter.mint(['東京 7'], 0));
+});
+
+test('getLinkKeyColumn only accepts single-column keys and templates', () => {
+  expect(getLinkKeyColumn({ strategy: 'key', keyColumns: ['id'] })).toBe('id');
+  expect(getLinkKeyColumn({ strategy: 'key', keyColumns: ['a', 'b'] })).toBeNull();
+  expect(getLinkKeyColumn({ strategy: 'template', template: 'p/{id}/{id}' })).toBe('id');
+  expect(getLinkKeyColumn({ strategy: 'minted' })).toBeNull();
+});
+
+test('listLinkableTables lists CSV files and workbook sheets with key-based row IRIs', () => {
+  const keyed = { strategy: 'key', keyColumns: ['id'], template: '' };
+  const stagedFiles = [
+    { id: '1', file: { name: 'people.csv' }, options: { rowIri: keyed } },
+    { id: '2', file: { name: 'book.xlsx' }, options: { sheetNames: ['A', 'B'], rowIri: { strategy: 'minted' }, sheets: { B: { rowIri: keyed } } } }
+  ];
+  expect(listLinkableTables(stagedFiles).map((t) => [t.id, t.tableSegment]))
+    .toEqual([['people.csv', 'people.csv'], [buildTableId('book.xlsx', 'B'), 'book.xlsx/B']]);
+});
+
+test('isObjectPropertyColumn covers templated and object-property columns', () => {
+  expect(isObjectPropertyColumn({ iriTemplate: 'p/{id}' })).toBe(true);
+  expect(isObjectPropertyColumn({ objectProperty: { mode: 'absolute' } })).toBe(true);
+  expect(isObjectPropertyColumn({})).toBe(false);
+});
@@ -49,3 +49,87 @@ test('buildOntologyTurtle preserves exact source identifiers as escaped literals
 
   expect(turtle).toContain('dcterms:identifier "source \\"quote\\""');
 });
+
+test('buildOntologyTurtle declares object-property columns without a datatype range', () => {
+  const turtle = buildOntologyTurtle([
+    {
+      key: 'manager',
+      index: 0,
+      originalHeader: 'Manager',
+      detectedStyle: 'human',
+      tokens: ['manager'],
+      label: 'Manager',
+      predicateLocalName: 'hasManager',
+      predicateIri: 'https://example.org/TableNova/hasManager',
+      datatypeIri: 'http://www.w3.org/2001/XMLSchema#string',
+      objectProperty: { mode: 'link', targetTable: 'people.csv' }
+    }
+  ], prefixes);
+
+  expect(turtle).toContain('tablenova:hasManager a owl:ObjectProperty');
+  expect(turtle).not.toContain('rdfs:range');
+});
+
+test('buildOntologyTurtle gives ordered multi-valued columns an rdf:List range', () => {
+  const turtle = buildOntologyTurtle([
+    {
+      key: 'steps',
+      index: 0,
+      originalHeader: 'Steps',
+      detectedStyle: 'human',
+      tokens: ['steps'],
+      label: 'Steps',
+      predicateLocalName: 'has_steps',
+      predicateIri: 'https://example.org/TableNova/has_steps',
+      datatypeIri: 'http://www.w3.org/2001/XMLSchema#string',
+      multiValue: { separator: ';', asList: true }
+    }
+  ]);
+
+  expect(turtle).toContain('tablenova:has_steps a owl:ObjectProperty');
+  expect(turtle).toContain('rdfs:range rdf:List');
+});
+
+test('buildOntologyTurtle declares row classes and uses them as predicate domains', () => {
+  const person = { iri: 'https://example.org/TableNova/Person', label: 'Person', minted: true };
+  const column = (key, rowClass) => ({
+    key,
+    index: 0,
+    originalHeader: key,
+    detectedStyle: 'camelCase',
+    tokens: [key],
+    label: key,
+    predicateLocalName: `has_${key}`,
+    predicateIri: `https://example.org/TableNova/has_${key}`,
+    datatypeIri: 'http://www.w3.org/2001/XMLSchema#string',
+    ...(rowClass ? { rowClass } : {})
+  });
+  const turtle = buildOntologyTurtle([
+    column('name', person),
+    column('note', person),
+    column('note', null)
+  ], prefixes);
+
+  expect(turtle).toContain('tablenova:Person a owl:Class ;\n  rdfs:label "Person"');
+  expect(turtle).toContain('rdfs:domain tablenova:Person');
+  // has_note is also used by a table without a row class, so it gets no domain.
+  expect(turtle.match(/rdfs:domain/g)).toHaveLength(1);
+});
+
+test('buildOntologyTurtle records the currency of amount columns', () => {
+  const turtle = buildOntologyTurtle([{
+    key: 'price',
+    index: 0,
+    originalHeader: 'price',
+    detectedStyle: 'lowercase',
+    tokens: ['price'],
+    label: 'price',
+    predicateLocalName: 'has_price',
+    predicateIri: 'https://example.org/TableNova/has_price',
+    datatypeIri: 'http://www.w3.org/2001/XMLSchema#decimal',
+    numberFormat: { decimalSeparator: ',', groupSeparator: '.', currency: 'EUR' }
+  }], prefixes);
+
+  expect(turtle).toContain('tablenova:currency a owl:AnnotationProperty');
+  expect(turtle).toContain('rdfs:range xsd:decimal ;\n  tablenova:currency "EUR" ;');
+});
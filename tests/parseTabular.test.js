@@ -1,4 +1,14 @@
-import { applyHeaderRowOptions, detectTabularType, parseLine, parseCsvOrTsvText, detectDelimiterFromLine } from '../docs/app/tabular/parseTabular.js';
+import {
+  applyHeaderRowOptions,
+  createDelimitedTextParser,
+  detectDelimiter,
+  detectTabularType,
+  parseLine,
+  parseCsvOrTsvText,
+  detectDelimiterFromLine,
+  dropTrailingEmptyColumns
+} from '../docs/app/tabular/parseTabular.js';
+import { buildColumnKeys } from '../docs/app/rdf/schema.js';
 
 test('detectTabularType detects extensions', () => {
   expect(detectTabularType('a.csv')).toBe('csv');
@@ -36,3 +46,70 @@ test('applyHeaderRowOptions leaves no-header data unchanged', () => {
   const out = applyHeaderRowOptions(parsed, false, 2);
   expect(out).toBe(parsed);
 });
+
+test('parseCsvOrTsvText keeps line breaks inside quoted fields', () => {
+  const t = 'name,address\r\nAda,"12 Main St\r\nLondon"\r\nAlan,"Bletchley ""Park"""\r\n';
+  const out = parseCsvOrTsvText(t, ',');
+  expect(out.rows).toEqual([['Ada', '12 Main St\nLondon'], ['Alan', 'Bletchley "Park"']]);
+  expect(out.issues).toEqual([]);
+});
+
+test('parseCsvOrTsvText treats stray CRs as record breaks and drops trailing delimiters', () => {
+  const out = parseCsvOrTsvText('a,b,\rc,d,\r\n\r\ne,f,\n', ',');
+  expect(out.header).toEqual(['a', 'b']);
+  expect(out.rows).toEqual([['c', 'd'], ['e', 'f']]);
+});
+
+test('parseCsvOrTsvText reports unterminated and misplaced quotes with locations', () => {
+  const out = parseCsvOrTsvText('a,b\n1,x"y\n2,"open\nstill open', ',');
+  expect(out.rows).toEqual([['1', 'x"y'], ['2', 'open\nstill open']]);
+  expect(out.issues.map((i) => [i.kind, i.line, i.column, i.record])).toEqual([
+    ['unexpected-quote', 2, 4, 2],
+    ['unterminated-quote', 3, 3, 3]
+  ]);
+});
+
+test('createDelimitedTextParser produces the same records when fed in chunks', () => {
+  const text = 'id,note\n1,"multi\r\nline"\n2,"say ""hi"""\n';
+  const whole = parseCsvOrTsvText(text, ',');
+
+  const parser = createDelimitedTextParser(',');
+  const records = [];
+  for (let i = 0; i < text.length; i += 3) {
+    records.push(...parser.push(text.slice(i, i + 3)));
+  }
+  records.push(...parser.end());
+
+  expect(records.slice(1)).toEqual(whole.rows);
+});
+
+test('detectDelimiter scores candidates across several lines', () => {
+  expect(detectDelimiter('name;amount;note\nAda;1,5;x\nAlan;2,25;y\n')).toBe(';');
+  expect(detectDelimiter('id|name|city\n1|Ada|London, UK\n2|Alan|Wilmslow, UK\n')).toBe('|');
+  expect(detectDelimiter('a,b\n"x;y;z",1\n"p;q;r",2\n')).toBe(',');
+});
+
+test('parseCsvOrTsvText supports semicolons, custom delimiters, and a configurable quote', () => {
+  const semi = parseCsvOrTsvText('first;last\nAda;Lovelace\n');
+  expect(semi.delimiter).toBe(';');
+  expect(semi.rows).toEqual([['Ada', 'Lovelace']]);
+
+  const custom = parseCsvOrTsvText("id^note\n1^'a^b'\n2^'it''s'\n", '^', "'");
+  expect(custom.rows).toEqual([['1', 'a^b'], ['2', "it's"]]);
+
+  const unquoted = parseCsvOrTsvText('a|b\n"x|y\n', '|', '');
+  expect(unquoted.rows).toEqual([['"x', 'y']]);
+  expect(unquoted.issues).toEqual([]);
+});
+
+test('large inputs keep their width without overflowing the call stack', () => {
+  const records = Array.from({ length: 200000 }, (_, i) => [String(i), 'x', '']);
+  const trimmed = dropTrailingEmptyColumns(records);
+  expect(trimmed).toHaveLength(200000);
+  expect(trimmed[199999]).toEqual(['199999', 'x']);
+  expect(buildColumnKeys(null, trimmed, false)).toEqual(['ColumnA', 'ColumnB']);
+
+  const text = `id,name\n${Array.from({ length: 150000 }, (_, i) => `${i},n${i}`).join('\n')}\n`;
+  const parsed = parseCsvOrTsvText(text, ',');
+  expect(parsed.rows).toHaveLength(150000);
+});
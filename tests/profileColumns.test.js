@@ -0,0 +1,47 @@
+import {
+  applySuggestedDatatypes,
+  inferColumnDatatype,
+  profileColumns
+} from '../docs/app/tabular/profileColumns.js';
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+test('inferColumnDatatype picks the most specific fitting type', () => {
+  expect(inferColumnDatatype(['1', '-2', '30']).datatypeIri).toBe(`${XSD}integer`);
+  expect(inferColumnDatatype(['1', '2.5', '.75']).datatypeIri).toBe(`${XSD}decimal`);
+  expect(inferColumnDatatype(['yes', 'No', 'TRUE']).datatypeIri).toBe(`${XSD}boolean`);
+  expect(inferColumnDatatype(['2024-02-29', '2023-12-31']).datatypeIri).toBe(`${XSD}date`);
+  expect(inferColumnDatatype(['2024-02-29T10:15:00Z', '2024-03-01 08:00']).datatypeIri).toBe(`${XSD}dateTime`);
+  expect(inferColumnDatatype(['https://example.org/a', 'urn:isbn:123']).datatypeIri).toBe(`${XSD}anyURI`);
+  expect(inferColumnDatatype(['Alice', 'Bob']).datatypeIri).toBe(`${XSD}string`);
+});
+
+test('inferColumnDatatype keeps leading-zero codes and impossible dates as strings', () => {
+  expect(inferColumnDatatype(['02134', '10001']).datatypeIri).toBe(`${XSD}string`);
+  expect(inferColumnDatatype(['2023-02-30', '2023-13-01']).datatypeIri).toBe(`${XSD}string`);
+});
+
+test('inferColumnDatatype reports confidence and failing values, ignoring empty cells', () => {
+  const values = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13', '14', '15', '16', '17', '18', '19', 'n/a', '', ' '];
+  const profile = inferColumnDatatype(values);
+  expect(profile.datatypeIri).toBe(`${XSD}integer`);
+  expect(profile.nonEmptyCount).toBe(20);
+  expect(profile.confidence).toBeCloseTo(0.95);
+  expect(profile.failingCount).toBe(1);
+  expect(profile.failingValues).toEqual(['n/a']);
+});
+
+test('profileColumns profiles by column key and applySuggestedDatatypes keeps user choices', () => {
+  const profiles = profileColumns({
+    columnKeys: ['id', 'joined', 'note'],
+    rows: [['1', '2024-01-01', ''], ['2', '2024-01-02', '']]
+  });
+  expect(profiles.id.datatypeIri).toBe(`${XSD}integer`);
+  expect(profiles.joined.datatypeIri).toBe(`${XSD}date`);
+  expect(profiles.note.nonEmptyCount).toBe(0);
+
+  expect(applySuggestedDatatypes({ id: `${XSD}string` }, profiles)).toEqual({
+    id: `${XSD}string`,
+    joined: `${XSD}date`
+  });
+});
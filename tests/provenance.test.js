@@ -0,0 +1,59 @@
+import { buildProvenanceRecords } from '../docs/app/rdf/provenance.js';
+import { TABLENOVA_DEFAULTS, TABLENOVA_VERSION } from '../docs/app/state/defaults.js';
+
+const PROV = 'http://www.w3.org/ns/prov#';
+const TN = 'https://example.org/TableNova/';
+const RUN = 'https://example.org/TableNova/run#2026-03-04/customers/v2';
+
+const options = { ...TABLENOVA_DEFAULTS.fileOptions, headerRowNumber: 3 };
+const records = buildProvenanceRecords({
+  graphIri: RUN,
+  previousGraphIri: 'https://example.org/TableNova/run#2026-03-04/customers/v1',
+  source: { name: 'customers.xlsx', size: 2048, sha256: 'ab12' },
+  options,
+  tables: [
+    { sheetName: 'Customers', options },
+    { sheetName: 'Regions', options: { ...options, headerRowNumber: 1 } }
+  ],
+  startedAt: new Date('2026-03-04T15:00:00Z'),
+  endedAt: new Date('2026-03-04T15:00:02Z'),
+  basePredicateIri: TN
+});
+
+/**
+ * @param {string} s
+ * @param {string} p
+ * @returns {string[]}
+ */
+function objects(s, p) {
+  return records.filter((r) => r.s === s && r.p === p).map((r) => r.oValue);
+}
+
+test('provenance records stay inside the run graph', () => {
+  expect(records.every((r) => r.g === RUN)).toBe(true);
+});
+
+test('the run graph is generated by an activity that used the hashed source file', () => {
+  const [activity] = objects(RUN, `${PROV}wasGeneratedBy`);
+  const [source] = objects(RUN, `${PROV}wasDerivedFrom`);
+  expect(objects(activity, `${PROV}used`)).toEqual([source]);
+  expect(objects(source, 'http://purl.org/dc/terms/title')).toEqual(['customers.xlsx']);
+  expect(objects(source, 'http://www.w3.org/ns/dcat#byteSize')).toEqual(['2048']);
+  expect(objects(source, `${TN}sha256`)).toEqual(['ab12']);
+  expect(objects(activity, `${PROV}startedAtTime`)).toEqual(['2026-03-04T15:00:00.000Z']);
+  expect(objects(activity, `${PROV}endedAtTime`)).toEqual(['2026-03-04T15:00:02.000Z']);
+  expect(objects(RUN, `${PROV}wasRevisionOf`)).toEqual(['https://example.org/TableNova/run#2026-03-04/customers/v1']);
+});
+
+test('the activity records the sheets, settings and Table Nova version', () => {
+  const [activity] = objects(RUN, `${PROV}wasGeneratedBy`);
+  const [agent] = objects(activity, `${PROV}wasAssociatedWith`);
+  expect(objects(agent, 'http://purl.org/dc/terms/hasVersion')).toEqual([TABLENOVA_VERSION]);
+  expect(objects(activity, `${TN}sheet`)).toEqual(['Customers', 'Regions']);
+  expect(objects(activity, `${TN}headerRowNumber`)).toEqual(['3']);
+  expect(objects(activity, `${TN}predicateCasing`)).toEqual(['camelCase']);
+
+  const config = JSON.parse(objects(activity, `${TN}configuration`)[0]);
+  expect(config.map((c) => [c.sheet, c.headerRowNumber])).toEqual([['Customers', 3], ['Regions', 1]]);
+  expect(config[0]).not.toHaveProperty('preview');
+});
@@ -0,0 +1,40 @@
+import {
+  buildRowClass,
+  resolveRowClassOptions
+} from '../docs/app/rdf/rowClass.js';
+
+const BASE = 'https://example.org/TableNova/';
+
+test('resolveRowClassOptions defaults to no row class', () => {
+  expect(resolveRowClassOptions(undefined)).toEqual({ mode: 'none', name: '', iri: '' });
+  expect(buildRowClass({ rowClass: { mode: 'none' }, baseClassIri: BASE, fallbackName: 'people' })).toBeNull();
+});
+
+test('buildRowClass mints a PascalCase class from the name, or the sheet/file name', () => {
+  expect(buildRowClass({ rowClass: { mode: 'mint', name: 'sales order' }, baseClassIri: BASE, fallbackName: 'x' }))
+    .toEqual({ iri: `${BASE}SalesOrder`, label: 'Sales Order', minted: true });
+  expect(buildRowClass({ rowClass: { mode: 'mint' }, baseClassIri: BASE, fallbackName: 'employee_list' }).iri)
+    .toBe(`${BASE}EmployeeList`);
+});
+
+test('buildRowClass keeps acronyms from the naming dictionary upper case, like predicate names', () => {
+  const naming = { acronyms: ['NAICS'], stopWords: ['of'], replacements: {} };
+  expect(buildRowClass({ rowClass: { mode: 'mint' }, baseClassIri: BASE, fallbackName: 'List of NAICS codes', naming }))
+    .toEqual({ iri: `${BASE}ListNAICSCodes`, label: 'List NAICS Codes', minted: true });
+  // Without a dictionary entry the word is title-cased, as predicate names are.
+  expect(buildRowClass({ rowClass: { mode: 'mint', name: 'NAICS codes' }, baseClassIri: BASE, fallbackName: 'x' }).iri)
+    .toBe(`${BASE}NaicsCodes`);
+});
+
+test('buildRowClass applies the non-ASCII choice to the class name but not its label', () => {
+  const rowClass = { mode: 'mint', name: 'Bücher' };
+  expect(buildRowClass({ rowClass, baseClassIri: BASE, fallbackName: 'x' }))
+    .toEqual({ iri: `${BASE}Bucher`, label: 'Bücher', minted: true });
+  expect(buildRowClass({ rowClass, baseClassIri: BASE, fallbackName: 'x', nonAscii: 'keep' }).iri).toBe(`${BASE}Bücher`);
+});
+
+test('buildRowClass keeps existing class IRIs and rejects relative ones', () => {
+  expect(buildRowClass({ rowClass: { mode: 'iri', iri: 'https://schema.org/Person' }, baseClassIri: BASE, fallbackName: 'x' }))
+    .toEqual({ iri: 'https://schema.org/Person', label: 'https://schema.org/Person', minted: false });
+  expect(() => buildRowClass({ rowClass: { mode: 'iri', iri: 'Person' }, baseClassIri: BASE, fallbackName: 'x' })).toThrow(/absolute IRI/);
+});
@@ -0,0 +1,109 @@
+import {
+  buildTableIriSegment,
+  createRowIriMinter,
+  isBlankRowSubject,
+  resolveRowIriOptions,
+  toIriSlug
+} from '../docs/app/rdf/rowIris.js';
+
+const base = 'https://example.org/TableNova/instance/';
+
+test('toIriSlug keeps case and unreserved characters and folds the rest', () => {
+  expect(toIriSlug('  EMP 0042 / Zoë ')).toBe('EMP-0042-Zoe');
+  expect(toIriSlug('a.b~c_d')).toBe('a.b~c_d');
+  expect(toIriSlug('---')).toBe('');
+});
+
+test('toIriSlug percent-encodes non-Latin letters instead of dropping them', () => {
+  expect(toIriSlug('東京')).toBe('%E6%9D%B1%E4%BA%AC');
+  expect(toIriSlug(' Москва 2 ')).toBe('%D0%9C%D0%BE%D1%81%D0%BA%D0%B2%D0%B0-2');
+  expect(toIriSlug('Größe')).toBe('Grosse');
+});
+
+test('resolveRowIriOptions defaults to minted IRIs', () => {
+  expect(resolveRowIriOptions(undefined)).toEqual({ strategy: 'minted', keyColumns: [], template: '' });
+  expect(resolveRowIriOptions({ strategy: 'bogus', keyColumns: ['id', ''] })).toEqual({ strategy: 'minted', keyColumns: ['id'], template: '' });
+});
+
+test('isBlankRowSubject is true only for the blank strategy', () => {
+  expect(isBlankRowSubject({ strategy: 'blank' })).toBe(true);
+  expect(isBlankRowSubject({ strategy: 'minted' })).toBe(false);
+  expect(isBlankRowSubject(undefined)).toBe(false);
+});
+
+test('key strategy mints the same IRIs on every run and suffixes collisions', async () => {
+  const rows = [['7', 'Ada'], ['8', 'Alan'], ['7', 'Grace']];
+  const mintAll = async () => {
+    const minter = createRowIriMinter({ baseInstanceIri: base, rowIri: { strategy: 'key', keyColumns: ['id'] }, columnKeys: ['id', 'name'] });
+    const iris = [];
+    for (let i = 0; i < rows.length; i += 1) iris.push(await minter.mint(rows[i], i));
+    return { iris, collisions: minter.getCollisions() };
+  };
+
+  const first = await mintAll();
+  const second = await mintAll();
+  expect(first.iris).toEqual([`${base}7`, `${base}8`, `${base}7-2`]);
+  expect(second.iris).toEqual(first.iris);
+  expect(first.collisions).toEqual([{ iri: `${base}7`, rowIndex: 2, firstRowIndex: 0, resolvedIri: `${base}7-2` }]);
+});
+
+test('key strategy joins several key columns', async () => {
+  const minter = createRowIriMinter({ baseInstanceIri: base, rowIri: { strategy: 'key', keyColumns: ['dept', 'id'] }, columnKeys: ['id', 'dept'] });
+  expect(await minter.mint(['42', 'R&D'], 0)).toBe(`${base}R-D-42`);
+});
+
+test('key strategy gives non-Latin keys value-based IRIs', async () => {
+  const minter = createRowIriMinter({ baseInstanceIri: base, rowIri: { strategy: 'key', keyColumns: ['city'] }, columnKeys: ['city'] });
+  expect(await minter.mint(['大阪'], 0)).toBe(`${base}%E5%A4%A7%E9%98%AA`);
+  expect(await minter.mint(['東京'], 1)).toBe(`${base}%E6%9D%B1%E4%BA%AC`);
+  expect(minter.getCollisions()).toEqual([]);
+});
+
+test('key and hash IRIs of different tables stay apart when their values match', async () => {
+  const mintFirst = async (filename, sheetName, strategy) => {
+    const minter = createRowIriMinter({
+      baseInstanceIri: base,
+      rowIri: { strategy, keyColumns: ['id'] },
+      columnKeys: ['id'],
+      tableSegment: buildTableIriSegment(filename, sheetName)
+    });
+    return minter.mint(['1'], 0);
+  };
+
+  expect(await mintFirst('customers.csv', null, 'key')).toBe(`${base}customers.csv/1`);
+  expect(await mintFirst('products.csv', null, 'key')).toBe(`${base}products.csv/1`);
+  expect(await mintFirst('book.xlsx', 'Regions', 'key')).toBe(`${base}book.xlsx/Regions/1`);
+  expect(await mintFirst('customers.csv', null, 'hash')).not.toBe(await mintFirst('products.csv', null, 'hash'));
+  expect(await mintFirst('customers.csv', null, 'hash')).toMatch(/customers\.csv\/row-[0-9a-f]{32}$/);
+});
+
+test('buildTableIriSegment slugs the file and sheet name', () => {
+  expect(buildTableIriSegment('Sales 2024.csv')).toBe('Sales-2024.csv');
+  expect(buildTableIriSegment('book.xlsx', 'Q1 / Q2')).toBe('book.xlsx/Q1-Q2');
+});
+
+test('key strategy requires a known key column', () => {
+  expect(() => createRowIriMinter({ baseInstanceIri: base, rowIri: { strategy: 'key', keyColumns: ['gone'] }, columnKeys: ['id'] }))
+    .toThrow('choose at least one key column');
+});
+
+test('hash strategy is deterministic and content-based', async () => {
+  const minter = createRowIriMinter({ baseInstanceIri: base, rowIri: { strategy: 'hash' } });
+  const a = await minter.mint(['1', 'Ada'], 0);
+  const b = await minter.mint(['2', 'Alan'], 1);
+  expect(a).toMatch(/^https:\/\/example\.org\/TableNova\/instance\/row-[0-9a-f]{32}$/);
+  expect(b).not.toBe(a);
+
+  const again = createRowIriMinter({ baseInstanceIri: base, rowIri: { strategy: 'hash' } });
+  expect(await again.mint(['1', 'Ada'], 5)).toBe(a);
+});
+
+test('template strategy expands the template and validates it up front', async () => {
+  const rowIri = { strategy: 'template', template: 'https://data.example.org/person/{EmployeeID}' };
+  const minter = createRowIriMinter({ baseInstanceIri: base, rowIri, columnKeys: ['EmployeeID'] });
+  expect(await minter.mint(['E 7'], 0)).toBe('https://data.example.org/person/E%207');
+  expect(await minter.mint([''], 1)).toBe(`${base}row-000002`);
+
+  expect(() => createRowIriMinter({ baseInstanceIri: base, rowIri: { ...rowIri, template: 'person/{Nope}' }, columnKeys: ['EmployeeID'] }))
+    .toThrow('unknown column {Nope}');
+});
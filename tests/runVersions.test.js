@@ -0,0 +1,48 @@
+import {
+  groupRunVersions,
+  nextRunRevision
+} from '../docs/app/state/runVersions.js';
+import { buildRunGraphIri } from '../docs/app/rdf/schema.js';
+import { buildRevisionQuadRecord } from '../docs/app/rdf/provenance.js';
+
+const RUN = 'https://example.org/TableNova/run#/';
+
+const runs = [
+  { graphIri: `${RUN}2026-03-04/customers-csv/v1`, filename: 'customers.csv', createdAtIso: '2026-03-04T09:00:00Z', sourceKey: 'customers-csv', version: 1 },
+  { graphIri: `${RUN}2026-03-04/customers-csv/v2`, filename: 'customers.csv', createdAtIso: '2026-03-04T15:00:00Z', sourceKey: 'customers-csv', version: 2 },
+  { graphIri: `${RUN}2026-03-05/orders`, filename: 'orders.xlsx', createdAtIso: '2026-03-05T08:00:00Z' }
+];
+
+test('buildRunGraphIri adds the version so same-day runs get distinct graphs', () => {
+  const now = new Date('2026-03-04T15:00:00Z');
+  const base = { baseRunIri: 'https://example.org/TableNova/run#', filename: 'customers.csv', now };
+  expect(buildRunGraphIri(base)).toBe(`${RUN}2026-03-04/customers-csv/v1`);
+  expect(buildRunGraphIri({ ...base, version: 3 })).toBe(`${RUN}2026-03-04/customers-csv/v3`);
+});
+
+test('nextRunRevision continues the version sequence of the same source file', () => {
+  expect(nextRunRevision(runs, 'customers.csv')).toEqual({ version: 3, previousGraphIri: `${RUN}2026-03-04/customers-csv/v2` });
+  expect(nextRunRevision(runs, 'orders.xlsx')).toEqual({ version: 2, previousGraphIri: `${RUN}2026-03-05/orders` });
+  expect(nextRunRevision(runs, 'products.csv')).toEqual({ version: 1, previousGraphIri: null });
+});
+
+test('a file with the same name but another extension starts its own version chain', () => {
+  expect(nextRunRevision(runs, 'orders.csv')).toEqual({ version: 1, previousGraphIri: null });
+  expect(nextRunRevision(runs, 'customers.xlsx')).toEqual({ version: 1, previousGraphIri: null });
+});
+
+test('groupRunVersions groups by source, newest group and version first', () => {
+  const groups = groupRunVersions(runs);
+  expect(groups.map((g) => g.sourceKey)).toEqual(['orders-xlsx', 'customers-csv']);
+  expect(groups[1].runs.map((r) => r.version)).toEqual([2, 1]);
+});
+
+test('buildRevisionQuadRecord links a run to the run it revises inside its own graph', () => {
+  expect(buildRevisionQuadRecord(`${RUN}x/v2`, `${RUN}x/v1`)).toEqual({
+    s: `${RUN}x/v2`,
+    p: 'http://www.w3.org/ns/prov#wasRevisionOf',
+    g: `${RUN}x/v2`,
+    oType: 'iri',
+    oValue: `${RUN}x/v1`
+  });
+});
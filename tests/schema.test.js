@@ -7,7 +7,12 @@ import {
   detectHeaderStyle,
   buildColumnSchemas,
   buildRowInstanceIri,
-  ensurePathIriBase
+  ensurePathIriBase,
+  buildSheetGraphIris,
+  detectHeaderLanguage,
+  sanitizePredicateLocalName,
+  splitHeaderTokens,
+  RDF_LANGSTRING
 } from '../docs/app/rdf/schema.js';
 
 test('slugify creates safe slugs', () => {
@@ -58,6 +63,34 @@ test('detectHeaderStyle recognizes common field naming schemes', () => {
   expect(detectHeaderStyle('APPROVAL_DATE')).toBe('SHOUTING_SNAKE');
 });
 
+test('splitHeaderTokens keeps letters of any script', () => {
+  expect(splitHeaderTokens('Größe')).toEqual(['größe']);
+  expect(splitHeaderTokens('prénomÉlève')).toEqual(['prénom', 'élève']);
+  expect(splitHeaderTokens('顧客ID')).toEqual(['顧客', 'ID']);
+  expect(detectHeaderStyle('Größe')).toBe('PascalCase');
+});
+
+test('non-ASCII headers transliterate or stay Unicode, and labels keep their script', () => {
+  const build = (nonAscii) => buildColumnSchemas({
+    header: ['Größe', 'Prénom', '氏名'],
+    rows: [],
+    treatFirstRowAsHeader: true,
+    predicateOptions: { prefixHas: true, casing: 'camelCase', whenNoHeader: 'ordinal', nonAscii },
+    basePredicateIri: 'https://example.org/TableNova/'
+  });
+
+  const ascii = build('transliterate');
+  expect(ascii.map((s) => s.predicateLocalName)).toEqual(['hasGrosse', 'hasPrenom', 'has%E6%B0%8F%E5%90%8D']);
+  expect(ascii.map((s) => s.label)).toEqual(['Größe', 'Prénom', '氏名']);
+  expect(build('keep').map((s) => s.predicateLocalName)).toEqual(['hasGröße', 'hasPrénom', 'has氏名']);
+});
+
+test('sanitizePredicateLocalName accepts encoded and Unicode overrides', () => {
+  expect(sanitizePredicateLocalName('has%E6%B0%8F%E5%90%8D')).toBe('has%E6%B0%8F%E5%90%8D');
+  expect(sanitizePredicateLocalName('has%E6%B0%8F%E5%90%8D', 'keep')).toBe('has氏名');
+  expect(sanitizePredicateLocalName('Größe (cm)')).toBe('Grosse_cm');
+});
+
 test('buildColumnSchemas normalizes labels, predicates, identifiers, and datatypes', () => {
   const schemas = buildColumnSchemas({
     header: ['meetingDate', 'location', 'approval_date'],
@@ -107,6 +140,31 @@ test('buildColumnSchemas suffixes normalized predicate collisions', () => {
   expect(schemas.map((s) => s.predicateLocalName)).toEqual(['has_location', 'has_location_2']);
 });
 
+test('detectHeaderLanguage reads BCP 47 tags written into headers', () => {
+  expect(detectHeaderLanguage('Name (de)')).toEqual({ name: 'Name', lang: 'de' });
+  expect(detectHeaderLanguage('Title [pt-br]')).toEqual({ name: 'Title', lang: 'pt-BR' });
+  expect(detectHeaderLanguage('label@en')).toEqual({ name: 'label', lang: 'en' });
+  expect(detectHeaderLanguage('Price (USD)')).toBeNull();
+  expect(detectHeaderLanguage('owner@example.org')).toBeNull();
+});
+
+test('buildColumnSchemas makes language-tagged columns rdf:langString and shares their predicate', () => {
+  const schemas = buildColumnSchemas({
+    header: ['Name (de)', 'Name (en)', 'Note'],
+    rows: [['Hund', 'Dog', 'x']],
+    treatFirstRowAsHeader: true,
+    predicateOptions: { prefixHas: true, casing: 'snake_case', whenNoHeader: 'ordinal' },
+    basePredicateIri: 'https://example.org/TableNova/',
+    languagesByColumnKey: { Note: 'fr' },
+    detectHeaderLanguages: true
+  });
+
+  expect(schemas.map((s) => s.lang)).toEqual(['de', 'en', 'fr']);
+  expect(schemas.map((s) => s.predicateLocalName)).toEqual(['has_name', 'has_name', 'has_note']);
+  expect(schemas.map((s) => s.label)).toEqual(['Name', 'Name', 'Note']);
+  expect(schemas.every((s) => s.datatypeIri === RDF_LANGSTRING)).toBe(true);
+});
+
 test('buildRowInstanceIri uses path-style identifiers without fragments or query strings', () => {
   const iri = buildRowInstanceIri({
     baseInstanceIri: 'https://example.org/TableNova/instance#',
@@ -123,3 +181,12 @@ test('ensurePathIriBase normalizes fragment and query bases to path bases', () =
   expect(ensurePathIriBase('https://example.org/TableNova/instance?')).toBe('https://example.org/TableNova/instance/');
   expect(ensurePathIriBase('https://example.org/TableNova/instance/')).toBe('https://example.org/TableNova/instance/');
 });
+
+test('buildSheetGraphIris mints one graph per sheet under the run graph', () => {
+  const iris = buildSheetGraphIris('https://example.org/TableNova/run/2026-01-01/book', ['People', 'Order Lines', 'order-lines']);
+  expect(iris).toEqual({
+    People: 'https://example.org/TableNova/run/2026-01-01/book/people',
+    'Order Lines': 'https://example.org/TableNova/run/2026-01-01/book/order-lines',
+    'order-lines': 'https://example.org/TableNova/run/2026-01-01/book/order-lines_2'
+  });
+});
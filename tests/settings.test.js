@@ -0,0 +1,52 @@
+import {
+  DEFAULT_SETTINGS,
+  parseSettingsJson,
+  resolveSettings,
+  serializeSettingsJson,
+  validateSettings,
+  withSettingsBase
+} from '../docs/app/state/settings.js';
+
+test('the shipped defaults are valid settings', () => {
+  expect(validateSettings(resolveSettings(null))).toEqual([]);
+  expect(resolveSettings(null)).toEqual(DEFAULT_SETTINGS);
+});
+
+test('validateSettings reports relative bases, bases without a separator and bad prefixes', () => {
+  const problems = validateSettings({
+    ...DEFAULT_SETTINGS,
+    baseInstanceIri: 'data/',
+    baseRunIri: 'https://example.org/run',
+    prefixes: { '1ex': 'https://example.org/', ex: 'not an iri' }
+  });
+  expect(problems).toEqual([
+    'Instance base: "data/" is not an absolute IRI.',
+    'Run base: "https://example.org/run" must end with "/", "#" or ":".',
+    'Prefix "1ex" is not a valid prefix name.',
+    'Prefix "ex": "not an iri" is not an absolute IRI.'
+  ]);
+});
+
+test('settings survive a JSON export and import', () => {
+  const settings = resolveSettings({
+    ...DEFAULT_SETTINGS,
+    baseInstanceIri: 'https://data.example.org/id/',
+    prefixes: { ex: 'https://data.example.org/id/' },
+    naming: { acronyms: ['NAICS'], stopWords: ['the'], replacements: { qty: 'quantity' } }
+  });
+  expect(parseSettingsJson(serializeSettingsJson(settings))).toEqual(settings);
+});
+
+test('parseSettingsJson rejects other files and invalid IRIs', () => {
+  expect(() => parseSettingsJson('{')).toThrow(/not valid JSON/);
+  expect(() => parseSettingsJson('{"baseInstanceIri": "https://example.org/"}')).toThrow(/Not a Table Nova settings file/);
+  expect(() => parseSettingsJson(JSON.stringify({ format: 'table-nova-settings', version: 1, baseRunIri: 'runs/' })))
+    .toThrow(/Run base/);
+});
+
+test('withSettingsBase moves prefixes that named the old base', () => {
+  const next = withSettingsBase(DEFAULT_SETTINGS, 'basePredicateIri', 'https://vocab.example.org/');
+  expect(next.basePredicateIri).toBe('https://vocab.example.org/');
+  expect(next.prefixes.tablenova).toBe('https://vocab.example.org/');
+  expect(next.prefixes.xsd).toBe(DEFAULT_SETTINGS.prefixes.xsd);
+});
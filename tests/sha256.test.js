@@ -0,0 +1,45 @@
+import { createHash } from 'node:crypto';
+import { createSha256Hasher } from '../docs/app/io/sha256.js';
+
+/**
+ * Hashes bytes fed in chunks of the given size.
+ * @param {Uint8Array} bytes
+ * @param {number} chunkSize
+ * @returns {string}
+ */
+function hashInChunks(bytes, chunkSize) {
+  const hasher = createSha256Hasher();
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) hasher.update(bytes.subarray(offset, offset + chunkSize));
+  return hasher.digestHex();
+}
+
+test('createSha256Hasher matches the standard test vectors', () => {
+  const hash = (/** @type {string} */ text) => {
+    const hasher = createSha256Hasher();
+    hasher.update(new TextEncoder().encode(text));
+    return hasher.digestHex();
+  };
+  expect(hash('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  expect(hash('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  expect(hash('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))
+    .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+});
+
+test('createSha256Hasher gives the same digest however the bytes are chunked', () => {
+  // Lengths around the 55/56/64-byte padding boundaries, and a multi-block input.
+  for (const length of [55, 56, 63, 64, 65, 119, 120, 128, 5000]) {
+    const bytes = Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xff);
+    const expected = createHash('sha256').update(bytes).digest('hex');
+    for (const chunkSize of [1, 13, 64, 100, length]) {
+      expect(hashInChunks(bytes, chunkSize)).toBe(expected);
+    }
+  }
+});
+
+test('createSha256Hasher cannot be updated once finished', () => {
+  const hasher = createSha256Hasher();
+  hasher.update(new Uint8Array([1, 2, 3]));
+  const digest = hasher.digestHex();
+  expect(hasher.digestHex()).toBe(digest);
+  expect(() => hasher.update(new Uint8Array([4]))).toThrow('already finished');
+});
@@ -0,0 +1,56 @@
+import {
+  getActiveSheetName,
+  getSheetOptions,
+  resolveSheetsToRun,
+  withSheetOptions
+} from '../docs/app/state/sheetOptions.js';
+
+const baseOptions = {
+  treatFirstRowAsHeader: true,
+  headerRowNumber: 1,
+  delimiterHint: null,
+  predicate: { prefixHas: true, casing: 'camelCase', whenNoHeader: 'ordinal' },
+  preview: null,
+  datatypesByColumnKey: {},
+  columnSchemaOverridesByKey: {},
+  sheetNames: ['People', 'Orders', 'Notes'],
+  selectedSheetName: null,
+  sheetsToRun: [],
+  sheetGraphMode: 'shared',
+  sheets: {}
+};
+
+test('getActiveSheetName falls back to the first sheet', () => {
+  expect(getActiveSheetName(baseOptions)).toBe('People');
+  expect(getActiveSheetName({ ...baseOptions, selectedSheetName: 'Orders' })).toBe('Orders');
+  expect(getActiveSheetName({ ...baseOptions, selectedSheetName: 'Gone' })).toBe('People');
+  expect(getActiveSheetName({ ...baseOptions, sheetNames: null })).toBeNull();
+});
+
+test('withSheetOptions stores table settings per sheet and keeps file-level settings shared', () => {
+  const people = getSheetOptions(baseOptions, 'People');
+  const next = withSheetOptions(baseOptions, 'People', {
+    ...people,
+    headerRowNumber: 3,
+    datatypesByColumnKey: { age: 'http://www.w3.org/2001/XMLSchema#integer' },
+    sheetGraphMode: 'perSheet'
+  });
+
+  expect(next.headerRowNumber).toBe(1);
+  expect(next.sheetGraphMode).toBe('perSheet');
+  expect(next.sheets.People.headerRowNumber).toBe(3);
+  expect(getSheetOptions(next, 'People').datatypesByColumnKey).toEqual({ age: 'http://www.w3.org/2001/XMLSchema#integer' });
+  expect(getSheetOptions(next, 'Orders').datatypesByColumnKey).toEqual({});
+  expect(getSheetOptions(next, 'Orders').headerRowNumber).toBe(1);
+});
+
+test('withSheetOptions passes options through for CSV/TSV files', () => {
+  const next = { ...baseOptions, sheetNames: null, headerRowNumber: 2 };
+  expect(withSheetOptions(baseOptions, null, next)).toBe(next);
+});
+
+test('resolveSheetsToRun keeps workbook order and defaults to the active sheet', () => {
+  expect(resolveSheetsToRun(baseOptions)).toEqual(['People']);
+  expect(resolveSheetsToRun({ ...baseOptions, sheetsToRun: ['Notes', 'People'] })).toEqual(['People', 'Notes']);
+  expect(resolveSheetsToRun({ ...baseOptions, sheetNames: null })).toEqual([]);
+});